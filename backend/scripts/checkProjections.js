@@ -0,0 +1,44 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+
+/**
+ * Contract Projection Consistency Check
+ *
+ * Compares every ContractProjection with the chain it was read from and
+ * re-syncs drifted or missing contracts (all networks in DEPLOYMENT_MANIFESTS).
+ *
+ * Usage:
+ *   npm run projections:check              # check and repair
+ *   npm run projections:check -- --dry-run # report only
+ */
+
+async function main() {
+  const repair = !process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await blockchainService.initialize();
+
+  console.log(`🔍 Checking contract projections${repair ? '' : ' (dry run)'}...`);
+  const report = await contractProjectionService.checkConsistency({ repair });
+
+  // Contracts are listed as chainId/contractId
+  const list = (refs) => refs.map(ref => `${ref.chainId}/${ref.contractId}`).join(', ') || 'none';
+
+  console.log(`   Checked:  ${report.checked}`);
+  console.log(`   Drifted:  ${list(report.drifted)}`);
+  console.log(`   Missing:  ${list(report.missing)}`);
+  console.log(`   Repaired: ${list(report.repaired)}`);
+  console.log(`   Failed:   ${list(report.failed)}`);
+
+  await mongoose.connection.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Consistency check failed:', error);
+    process.exit(1);
+  });
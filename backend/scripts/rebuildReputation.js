@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const reputationService = require('../src/services/reputationService');
+
+/**
+ * Reputation Rebuild
+ *
+ * Recomputes User.reputation from indexed ContractActivity.
+ *
+ * Usage:
+ *   npm run reputation:rebuild            # every user
+ *   npm run reputation:rebuild -- 0xabc…  # one wallet
+ */
+
+async function main() {
+  const walletAddress = process.argv[2];
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (walletAddress) {
+    const metrics = await reputationService.recomputeReputation(walletAddress);
+
+    if (!metrics) {
+      console.log(`⚠️  No user found for ${walletAddress}`);
+    } else {
+      console.log(`✅ Reputation rebuilt for ${walletAddress}:`, metrics);
+    }
+  } else {
+    console.log('🔄 Rebuilding reputation for all users...');
+    const count = await reputationService.recomputeAll();
+    console.log(`✅ Reputation rebuilt for ${count} users`);
+  }
+
+  await mongoose.connection.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Reputation rebuild failed:', error);
+    process.exit(1);
+  });
@@ -9,7 +9,13 @@ const { Server } = require('socket.io');
 
 const blockchainService = require('./src/services/blockchainService');
 const EventListenerService = require('./src/services/eventListenerService');
+const webhookService = require('./src/services/webhookService');
+const emailService = require('./src/services/emailService');
+const notificationService = require('./src/services/notificationService');
+const milestoneReminderService = require('./src/services/milestoneReminderService');
+const transactionWatcherService = require('./src/services/transactionWatcherService');
 const routes = require('./src/routes');
+const { authenticateSocket, handleConnection } = require('./src/middleware/socketAuth');
 
 /**
  * Blockchain HR Platform - Main Server
@@ -47,22 +53,11 @@ app.use(express.urlencoded({ extended: true }));
 // API Routes
 app.use('/api', routes);
 
-// Socket.io Connection Handling
-io.on('connection', (socket) => {
-  console.log('👤 Client connected:', socket.id);
+// Socket.io Authentication (same JWT as the REST API)
+io.use(authenticateSocket);
 
-  // Client joins room with their wallet address
-  socket.on('join', (walletAddress) => {
-    if (walletAddress) {
-      socket.join(walletAddress.toLowerCase());
-      console.log(`👤 ${walletAddress} joined their room`);
-    }
-  });
-
-  socket.on('disconnect', () => {
-    console.log('👤 Client disconnected:', socket.id);
-  });
-});
+// Socket.io Connection Handling (wallet/session rooms, contract rooms, missed-event replay)
+io.on('connection', handleConnection);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -93,13 +88,23 @@ async function startServer() {
     await blockchainService.initialize();
     console.log('✅ Blockchain service ready\n');
 
-    // 3. Start Event Listeners
+    // 3. Start Event Listeners (one per connected network)
     console.log('👂 Starting blockchain event listeners...');
-    const eventListener = new EventListenerService(io);
-    await eventListener.startListening();
+    notificationService.initialize(io);
+    await EventListenerService.prepareCollections();
+    const eventListeners = blockchainService.getChainIds().map(chainId => new EventListenerService(chainId));
+    for (const eventListener of eventListeners) {
+      await eventListener.startListening();
+    }
     console.log('✅ Event listeners active\n');
 
-    // 4. Start HTTP Server
+    // 4. Start Background Workers (webhook retries, email outbox, deadline reminders, transaction status)
+    webhookService.start();
+    emailService.start();
+    milestoneReminderService.start();
+    transactionWatcherService.start();
+
+    // 5. Start HTTP Server
     httpServer.listen(PORT, () => {
       console.log('=' . repeat(60));
       console.log('🎉 SERVER READY');
@@ -107,22 +112,37 @@ async function startServer() {
       console.log(`📍 API: http://localhost:${PORT}/api`);
       console.log(`🔌 WebSocket: http://localhost:${PORT}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`⛓️  Network: ${process.env.BLOCKCHAIN_NETWORK}`);
+      console.log(`⛓️  Networks: ${blockchainService.listNetworks().map(n => `${n.name} (${n.chainId})`).join(', ')}`);
       console.log('=' . repeat(60));
       console.log('\n📖 API Endpoints:');
       console.log('   POST /api/auth/nonce - Get authentication nonce');
       console.log('   POST /api/auth/verify - Verify wallet signature');
+      console.log('   POST /api/auth/refresh - Rotate refresh token');
+      console.log('   GET  /api/auth/sessions - Manage signed-in devices');
+      console.log('   GET  /api/networks - Connected networks (select with ?chainId= or X-Chain-Id)');
       console.log('   GET  /api/contracts - Get user contracts');
-      console.log('   GET  /api/contracts/:id - Get contract details');
-      console.log('   POST /api/contracts/create - Create new contract');
+      console.log('   GET  /api/contracts/:id - Get contract details (parties and admins)');
+      console.log('   POST /api/contracts/:id/shares - Read-only share link (parties)');
+      console.log('   GET  /api/contracts/overdue-milestones - Overdue milestones (company)');
+      console.log('   POST /api/contracts/create/prepare - Prepare a contract for the company wallet to sign');
+      console.log('   POST /api/transactions/submit - Relay a wallet-signed transaction');
+      console.log('   GET  /api/transactions/:hash - Transaction status');
+      console.log('   GET  /api/jobs - Job board');
+      console.log('   GET  /api/notifications - Notification inbox');
+      console.log('   GET  /api/webhooks - Manage webhook subscriptions');
       console.log('   GET  /api/stats - Platform statistics');
-      console.log('   GET  /api/health - Health check\n');
+      console.log('   GET  /api/admin/platform - Platform settings (admins)');
+      console.log('   GET  /api/health - Health check (RPC endpoints, head lag)\n');
     });
 
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       console.log('\n👋 SIGTERM received, shutting down gracefully...');
-      eventListener.stop();
+      eventListeners.forEach(eventListener => eventListener.stop());
+      webhookService.stop();
+      emailService.stop();
+      milestoneReminderService.stop();
+      transactionWatcherService.stop();
       await mongoose.connection.close();
       httpServer.close(() => {
         console.log('✅ Server closed');
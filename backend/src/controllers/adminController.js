@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const blockchainService = require('../services/blockchainService');
+const adminService = require('../services/adminService');
+const { AdminActionError } = adminService;
+const AdminAuditLog = require('../models/AdminAuditLog');
+const ContractActivity = require('../models/ContractActivity');
+const ContractProjection = require('../models/ContractProjection');
+const User = require('../models/User');
+
+/**
+ * Admin Controller
+ *
+ * Platform settings (owner transactions, see adminService), plus views of
+ * users, disputes and revenue. Every route runs on one network, req.chainId.
+ */
+
+const CONTRACT_DISPUTED = 3; // ContractStatus.DISPUTED
+const USER_ROLE_FILTERS = ['company', 'talent', 'both', 'none'];
+
+/**
+ * Current owner-controlled settings and whether the backend can execute changes
+ */
+exports.getPlatform = async (req, res) => {
+  try {
+    const settings = await blockchainService.getPlatformSettings(req.chainId);
+    const signer = blockchainService.getSigner(req.chainId);
+    const signerAddress = signer ? signer.address.toLowerCase() : null;
+
+    res.json({
+      chainId: req.chainId,
+      ...settings,
+      platformSigner: signerAddress,
+      // Which contracts the backend can change itself (execute: true)
+      canExecute: {
+        EmploymentContract: signerAddress === settings.owners.EmploymentContract,
+        CredentialNFT: signerAddress === settings.owners.CredentialNFT
+      },
+      adminSource: req.adminSource
+    });
+  } catch (error) {
+    console.error('Error fetching platform settings:', error);
+    res.status(500).json({ error: 'Failed to fetch platform settings' });
+  }
+};
+
+/**
+ * Handler for one owner function
+ * Prepares an unsigned transaction for the owner wallet, or sends it with
+ * the platform wallet when the body has `execute: true`.
+ */
+const ownerAction = (action, paramsFrom) => async (req, res) => {
+  try {
+    const result = await adminService.runAction({
+      action,
+      params: paramsFrom(req.body),
+      chainId: req.chainId,
+      execute: req.body.execute === true,
+      admin: {
+        walletAddress: req.walletAddress,
+        adminSource: req.adminSource,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      }
+    });
+
+    res.json({ action, chainId: req.chainId, ...result });
+  } catch (error) {
+    if (error instanceof AdminActionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`Error running ${action}:`, error);
+    res.status(500).json({ error: `Failed to run ${action}` });
+  }
+};
+
+exports.setPlatformFee = ownerAction('setPlatformFee', ({ feePercent }) => ({ feePercent }));
+exports.setPlatformWallet = ownerAction('setPlatformWallet', ({ walletAddress }) => ({ walletAddress }));
+exports.authorizeIssuer = ownerAction('authorizeIssuer', ({ issuer }) => ({ issuer }));
+exports.revokeIssuer = ownerAction('revokeIssuer', ({ issuer }) => ({ issuer }));
+
+/**
+ * List users (?role=, ?search= wallet prefix, ?issuer=true, ?page=, ?limit=)
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const { role, search } = req.query;
+    const query = {};
+
+    if (role) {
+      if (typeof role !== 'string' || !USER_ROLE_FILTERS.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${USER_ROLE_FILTERS.join(', ')}` });
+      }
+      query.role = role === 'none' ? null : role;
+    }
+    if (req.query.issuer === 'true') query['verification.isAuthorizedIssuer'] = true;
+    if (search) {
+      if (typeof search !== 'string' || !/^0x[a-fA-F0-9]{0,40}$/.test(search)) {
+        return res.status(400).json({ error: 'search must be a wallet address prefix' });
+      }
+      query.walletAddress = { $regex: `^${search.toLowerCase()}` };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('walletAddress role roleSelectedAt profile.name profile.companyName reputation verification isActive lastLogin createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({ users, page, limit, total });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+};
+
+/**
+ * Contracts currently in dispute, with who raised it and when
+ */
+exports.getDisputes = async (req, res) => {
+  try {
+    const { chainId } = req;
+
+    const contracts = await ContractProjection.find({ chainId, status: CONTRACT_DISPUTED })
+      .sort({ contractId: -1 });
+
+    const disputeEvents = await ContractActivity.find({
+      chainId,
+      eventType: 'ContractDisputed',
+      contractId: { $in: contracts.map(contract => contract.contractId) }
+    }).sort({ timestamp: -1 });
+
+    const raisedBy = new Map();
+    for (const event of disputeEvents) {
+      if (!raisedBy.has(event.contractId)) {
+        raisedBy.set(event.contractId, { initiator: event.initiator, disputedAt: event.timestamp });
+      }
+    }
+
+    res.json({
+      chainId,
+      disputes: contracts.map(contract => ({
+        ...contract.toContractJSON(),
+        // Escrow still locked in the contract
+        lockedAmount: contract.milestones
+          .filter(milestone => milestone.status !== 4) // MilestoneStatus.PAID
+          .reduce((sum, milestone) => sum + BigInt(milestone.amount || 0), 0n)
+          .toString(),
+        ...raisedBy.get(contract.contractId)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+};
+
+/**
+ * Platform revenue from milestone fees
+ *
+ * MilestonePaid carries what the talent received; the milestone's amount
+ * is what left escrow. The difference is the fee the platform wallet got,
+ * at whatever fee percent applied when it was paid.
+ */
+exports.getRevenue = async (req, res) => {
+  try {
+    const { chainId } = req;
+
+    const payments = await ContractActivity.find({ chainId, eventType: 'MilestonePaid' })
+      .select('contractId eventData timestamp');
+
+    const contracts = await ContractProjection.find({
+      chainId,
+      contractId: { $in: [...new Set(payments.map(payment => payment.contractId))] }
+    }).select('contractId milestones');
+    const milestonesByContract = new Map(contracts.map(contract => [contract.contractId, contract.milestones]));
+
+    let totalFees = 0n;
+    let totalPaidOut = 0n;
+    let unmatched = 0;
+    const byMonth = new Map();
+
+    for (const payment of payments) {
+      const milestone = milestonesByContract.get(payment.contractId)
+        ?.find(m => m.index === payment.eventData.milestoneIndex);
+
+      if (!milestone) {
+        unmatched++;
+        continue;
+      }
+
+      const paidToTalent = BigInt(payment.eventData.amount);
+      const fee = BigInt(milestone.amount) - paidToTalent;
+      const month = payment.timestamp.toISOString().slice(0, 7);
+
+      totalFees += fee;
+      totalPaidOut += paidToTalent;
+      byMonth.set(month, (byMonth.get(month) || 0n) + fee);
+    }
+
+    const settings = await blockchainService.getPlatformSettings(chainId);
+    const walletBalance = await blockchainService.getNetwork(chainId).provider.getBalance(settings.platformWallet);
+
+    res.json({
+      chainId,
+      totalFees: totalFees.toString(),
+      totalFeesEth: ethers.formatEther(totalFees),
+      totalPaidToTalent: totalPaidOut.toString(),
+      paymentCount: payments.length - unmatched,
+      // Payments whose contract hasn't been projected yet (run the consistency check)
+      unmatchedPayments: unmatched,
+      byMonth: [...byMonth.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, fees]) => ({ month, fees: fees.toString(), feesEth: ethers.formatEther(fees) })),
+      currentFeePercent: settings.platformFeePercent,
+      platformWallet: settings.platformWallet,
+      platformWalletBalance: walletBalance.toString()
+    });
+  } catch (error) {
+    console.error('Error computing revenue:', error);
+    res.status(500).json({ error: 'Failed to compute revenue' });
+  }
+};
+
+/**
+ * Admin audit log, newest first
+ * Query: limit (max 100), before (entry id cursor), action, walletAddress
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { before, action, walletAddress } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    const query = {};
+
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query._id = { $lt: before };
+    }
+    if (action) {
+      if (typeof action !== 'string' || !adminService.supportedActions.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${adminService.supportedActions.join(', ')}` });
+      }
+      query.action = action;
+    }
+    if (walletAddress) {
+      if (typeof walletAddress !== 'string' || !blockchainService.isValidAddress(walletAddress)) {
+        return res.status(400).json({ error: 'walletAddress must be a wallet address' });
+      }
+      query.walletAddress = walletAddress.toLowerCase();
+    }
+
+    const entries = await AdminAuditLog.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    res.json({
+      entries: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
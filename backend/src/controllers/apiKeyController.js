@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+const { ApiKeyError } = apiKeyService;
+
+/**
+ * API Key Controller
+ *
+ * Lets a wallet create keys for its integrations (see apiKeyService).
+ * Managing keys requires a wallet session; a key can't create other keys.
+ */
+
+const MAX_EXPIRY_DAYS = 365;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Public view of a key (never the secret or its hash)
+ */
+const toKeyJSON = (apiKey) => ({
+  keyId: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Create an API key
+ * Body: name, scopes, expiresInDays (optional, max 365)
+ * The key is only returned here - store it in the integration's secrets.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { scopes, expiresInDays } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `A name of 1 to ${MAX_NAME_LENGTH} characters is required` });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required', supportedScopes: apiKeyService.scopes });
+    }
+
+    const unknown = scopes.filter(scope => !apiKeyService.scopes.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown scopes: ${unknown.join(', ')}`,
+        supportedScopes: apiKeyService.scopes
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined) {
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.walletAddress, { name, scopes, expiresAt });
+
+    res.status(201).json({ ...toKeyJSON(apiKey), key });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+};
+
+/**
+ * List the caller's API keys (including revoked and expired ones)
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.walletAddress);
+
+    res.json({ apiKeys: apiKeys.map(toKeyJSON), supportedScopes: apiKeyService.scopes });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+};
+
+/**
+ * Revoke an API key (takes effect on its next request)
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    if (!mongoose.isValidObjectId(keyId) || !(await apiKeyService.revokeKey(req.walletAddress, keyId))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
@@ -1,5 +1,11 @@
 const blockchainService = require('../services/blockchainService');
+const contractProjectionService = require('../services/contractProjectionService');
+const milestoneReminderService = require('../services/milestoneReminderService');
+const transactionService = require('../services/transactionService');
+const payoutPreviewService = require('../services/payoutPreviewService');
+const { TransactionError } = transactionService;
 const ContractActivity = require('../models/ContractActivity');
+const ContractProjection = require('../models/ContractProjection');
 const JobPosting = require('../models/JobPosting');
 const User = require('../models/User');
 
@@ -10,49 +16,55 @@ const User = require('../models/User');
  * - Frontend -> Backend API -> Blockchain
  * - Backend acts as a "helper" layer
  * - Can also do direct Frontend -> Blockchain (for wallet interactions)
+ *
+ * Every handler works on one network, req.chainId (see middleware/network).
  */
 
 /**
- * Get user's contracts (from blockchain)
+ * Get user's contracts
+ * Served from the contract projection; ?fresh=true re-reads every contract from chain
  */
 exports.getUserContracts = async (req, res) => {
   try {
-    const { walletAddress } = req;
-    const { role } = req.query;
+    const { walletAddress, chainId } = req;
+    const { role, fresh } = req.query;
+
+    let contracts;
 
-    let contractIds;
+    if (fresh === 'true') {
+      let contractIds;
 
-    if (role === 'company') {
-      contractIds = await blockchainService.getCompanyContracts(walletAddress);
-    } else if (role === 'talent') {
-      contractIds = await blockchainService.getTalentContracts(walletAddress);
+      if (role === 'company') {
+        contractIds = await blockchainService.getCompanyContracts(walletAddress, chainId);
+      } else if (role === 'talent') {
+        contractIds = await blockchainService.getTalentContracts(walletAddress, chainId);
+      } else {
+        // Both
+        const [companyIds, talentIds] = await Promise.all([
+          blockchainService.getCompanyContracts(walletAddress, chainId),
+          blockchainService.getTalentContracts(walletAddress, chainId)
+        ]);
+        contractIds = [...companyIds, ...talentIds];
+      }
+
+      // Re-read every contract in one batched read and update the projections on the way
+      const refreshed = await contractProjectionService.refreshContracts(contractIds, chainId);
+      contracts = refreshed.filter(Boolean).sort((a, b) => b.contractId - a.contractId);
     } else {
-      // Both
-      const companyIds = await blockchainService.getCompanyContracts(walletAddress);
-      const talentIds = await blockchainService.getTalentContracts(walletAddress);
-      contractIds = [...companyIds, ...talentIds];
-    }
+      let query;
 
-    // Fetch full details for each contract
-    const contracts = await Promise.all(
-      contractIds.map(async (id) => {
-        const contract = await blockchainService.getContract(id);
-
-        // Get milestones
-        const milestones = [];
-        for (let i = 0; i < contract.milestoneCount; i++) {
-          const milestone = await blockchainService.getMilestone(id, i);
-          milestones.push(milestone);
-        }
-
-        return {
-          ...contract,
-          milestones
-        };
-      })
-    );
+      if (role === 'company') {
+        query = { chainId, company: walletAddress };
+      } else if (role === 'talent') {
+        query = { chainId, talent: walletAddress };
+      } else {
+        query = { chainId, $or: [{ company: walletAddress }, { talent: walletAddress }] };
+      }
+
+      contracts = await ContractProjection.find(query).sort({ contractId: -1 });
+    }
 
-    res.json({ contracts });
+    res.json({ chainId, contracts: contracts.map(contract => contract.toContractJSON()) });
   } catch (error) {
     console.error('Error fetching contracts:', error);
     res.status(500).json({ error: 'Failed to fetch contracts' });
@@ -60,31 +72,30 @@ exports.getUserContracts = async (req, res) => {
 };
 
 /**
- * Get contract details
+ * Get contract details (parties and admins, see auth.requireContractAccess)
+ * Served from the contract projection; ?fresh=true re-reads it from chain
  */
 exports.getContract = async (req, res) => {
   try {
-    const { contractId } = req.params;
+    const { chainId } = req;
+    const { contractId } = req.contract;
 
-    const contract = await blockchainService.getContract(Number(contractId));
+    const contract = req.query.fresh === 'true'
+      ? await contractProjectionService.getContract(contractId, { fresh: true, chainId })
+      : req.contract;
 
-    // Get milestones
-    const milestones = [];
-    for (let i = 0; i < contract.milestoneCount; i++) {
-      const milestone = await blockchainService.getMilestone(Number(contractId), i);
-      milestones.push(milestone);
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
     }
 
     // Get activity history
-    const activities = await ContractActivity.find({ contractId: Number(contractId) })
+    const activities = await ContractActivity.find({ chainId, contractId })
+      .select(ContractActivity.PUBLIC_FIELDS)
       .sort({ timestamp: -1 })
       .limit(50);
 
     res.json({
-      contract: {
-        ...contract,
-        milestones
-      },
+      contract: contract.toContractJSON(),
       activities
     });
   } catch (error) {
@@ -94,66 +105,135 @@ exports.getContract = async (req, res) => {
 };
 
 /**
- * Create contract (helper endpoint - could also be done directly from frontend)
+ * Get overdue milestones across the company's active contracts
+ */
+exports.getOverdueMilestones = async (req, res) => {
+  try {
+    const milestones = await milestoneReminderService.findOverdueMilestones(req.walletAddress, req.chainId);
+
+    res.json({ milestones });
+  } catch (error) {
+    console.error('Error fetching overdue milestones:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue milestones' });
+  }
+};
+
+/**
+ * Prepare a createContract transaction for the company's wallet to sign
+ * The signed transaction goes to POST /transactions/submit (or the wallet broadcasts it).
+ */
+exports.prepareCreateContract = async (req, res) => {
+  try {
+    const { transaction, transactionId, params } = await transactionService.prepareCreateContract(
+      req.body,
+      req.walletAddress,
+      req.chainId
+    );
+
+    res.json({
+      chainId: req.chainId,
+      transaction,
+      transactionId,
+      // What the wallet will be asked to confirm
+      summary: {
+        talent: params.talent,
+        jobTitle: params.jobTitle,
+        milestoneCount: params.milestoneAmounts.length,
+        escrowAmount: params.totalAmount.toString(),
+        escrowAmountEth: blockchainService.formatEther(params.totalAmount)
+      }
+    });
+  } catch (error) {
+    if (error instanceof TransactionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error preparing contract:', error);
+    res.status(500).json({ error: 'Failed to prepare contract' });
+  }
+};
+
+/**
+ * Fee and payout preview of a draft contract
+ * Same body and validation as create/prepare; nothing is recorded.
  */
-exports.createContract = async (req, res) => {
+exports.previewDraftContract = async (req, res) => {
   try {
-    const {
-      talent,
-      jobTitle,
-      ipfsMetadata,
-      startDate,
-      endDate,
-      milestones,
-      totalAmount,
-      signerPrivateKey // In production, use more secure key management
-    } = req.body;
-
-    // Validate
-    if (!talent || !jobTitle || !milestones || !totalAmount) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    res.json(await payoutPreviewService.previewDraft(req.body, req.walletAddress, req.chainId));
+  } catch (error) {
+    if (error instanceof TransactionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
     }
 
-    // Prepare milestone data
-    const milestoneDescriptions = milestones.map(m => m.description);
-    const milestoneAmounts = milestones.map(m => blockchainService.parseEther(m.amount));
-    const milestoneDeadlines = milestones.map(m => Math.floor(new Date(m.deadline).getTime() / 1000));
-
-    const params = {
-      talent,
-      jobTitle,
-      ipfsMetadata: ipfsMetadata || '',
-      startDate: Math.floor(new Date(startDate).getTime() / 1000),
-      endDate: Math.floor(new Date(endDate).getTime() / 1000),
-      milestoneDescriptions,
-      milestoneAmounts,
-      milestoneDeadlines,
-      totalAmount: blockchainService.parseEther(totalAmount)
-    };
-
-    // Create on blockchain
-    const result = await blockchainService.createEmploymentContract(params, signerPrivateKey);
+    console.error('Error previewing contract:', error);
+    res.status(500).json({ error: 'Failed to preview contract' });
+  }
+};
+
+/**
+ * Fee and payout preview of an existing contract (live from chain)
+ */
+exports.getContractPreview = async (req, res) => {
+  try {
+    const preview = await payoutPreviewService.previewContract(req.contract.contractId, req.chainId);
+
+    if (!preview) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing contract:', error);
+    res.status(500).json({ error: 'Failed to preview contract' });
+  }
+};
+
+/**
+ * Handler that prepares one lifecycle transaction for the caller's wallet
+ * Party and status are checked against the chain first (see transactionService),
+ * so a transaction that would revert is refused with { error, code }.
+ */
+const contractAction = (action) => async (req, res) => {
+  try {
+    const { transaction, transactionId, contract } = await transactionService.prepareContractAction(
+      action,
+      { ...req.params, ipfsHash: req.body.ipfsHash },
+      req.walletAddress,
+      req.chainId
+    );
 
     res.json({
-      success: true,
-      contractId: result.contractId,
-      transactionHash: result.transactionHash,
-      blockNumber: result.blockNumber
+      action,
+      chainId: req.chainId,
+      contractId: contract.id,
+      ...(req.params.milestoneIndex !== undefined && { milestoneIndex: Number(req.params.milestoneIndex) }),
+      transaction,
+      transactionId
     });
   } catch (error) {
-    console.error('Error creating contract:', error);
-    res.status(500).json({ error: error.message });
+    if (error instanceof TransactionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`Error preparing ${action}:`, error);
+    res.status(500).json({ error: `Failed to prepare ${action}` });
   }
 };
 
+exports.prepareAcceptContract = contractAction('acceptContract');
+exports.prepareSubmitMilestone = contractAction('submitMilestone');
+exports.prepareApproveMilestone = contractAction('approveMilestone');
+exports.prepareRaiseDispute = contractAction('raiseDispute');
+exports.prepareFinalizeContract = contractAction('finalizeContract');
+exports.prepareCancelContract = contractAction('cancelContract');
+
 /**
- * Get contract activity/history
+ * Get contract activity/history (parties and admins)
  */
 exports.getContractActivity = async (req, res) => {
   try {
-    const { contractId } = req.params;
-
-    const activities = await ContractActivity.find({ contractId: Number(contractId) })
+    const activities = await ContractActivity.find({ chainId: req.chainId, contractId: req.contract.contractId })
+      .select(ContractActivity.PUBLIC_FIELDS)
       .sort({ timestamp: -1 });
 
     res.json({ activities });
@@ -165,19 +245,32 @@ exports.getContractActivity = async (req, res) => {
 
 /**
  * Get platform analytics
+ * Contract figures are for the selected network; user counts are platform-wide
  */
 exports.getPlatformStats = async (req, res) => {
   try {
+    const { chainId } = req;
+
     // Total contracts created
-    const totalContracts = await ContractActivity.countDocuments({ eventType: 'ContractCreated' });
+    const totalContracts = await ContractActivity.countDocuments({ chainId, eventType: 'ContractCreated' });
 
-    // Active contracts
-    const activeContracts = await ContractActivity.distinct('contractId', {
+    // Active contracts (activated and not yet completed, disputed or closed)
+    const activatedIds = await ContractActivity.distinct('contractId', {
+      chainId,
       eventType: { $in: ['ContractAccepted', 'ContractActivated'] }
     });
+    const endedIds = await ContractActivity.distinct('contractId', {
+      chainId,
+      eventType: { $in: ['ContractCompleted', 'ContractDisputed', 'ContractFinalized', 'ContractCancelled'] }
+    });
+    const ended = new Set(endedIds);
+    const activeContracts = activatedIds.filter(id => !ended.has(id));
 
     // Completed contracts
-    const completedContracts = await ContractActivity.countDocuments({ eventType: 'ContractCompleted' });
+    const completedContracts = await ContractActivity.countDocuments({ chainId, eventType: 'ContractCompleted' });
+    const finalizedContracts = await ContractActivity.countDocuments({ chainId, eventType: 'ContractFinalized' });
+    const cancelledContracts = await ContractActivity.countDocuments({ chainId, eventType: 'ContractCancelled' });
+    const disputedContracts = await ContractActivity.countDocuments({ chainId, eventType: 'ContractDisputed' });
 
     // Total users
     const totalUsers = await User.countDocuments();
@@ -185,15 +278,19 @@ exports.getPlatformStats = async (req, res) => {
     const talents = await User.countDocuments({ role: { $in: ['talent', 'both'] } });
 
     // Total volume (from MilestonePaid events)
-    const paymentEvents = await ContractActivity.find({ eventType: 'MilestonePaid' });
+    const paymentEvents = await ContractActivity.find({ chainId, eventType: 'MilestonePaid' });
     const totalVolume = paymentEvents.reduce((sum, event) => {
       return sum + BigInt(event.eventData.amount || '0');
     }, BigInt(0));
 
     res.json({
+      chainId,
       totalContracts,
       activeContracts: activeContracts.length,
       completedContracts,
+      finalizedContracts,
+      cancelledContracts,
+      disputedContracts,
       totalUsers,
       companies,
       talents,
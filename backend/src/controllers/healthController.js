@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const blockchainService = require('../services/blockchainService');
+
+// An endpoint this many blocks behind the best head counts as degraded
+const MAX_HEAD_LAG = parseInt(process.env.HEALTH_MAX_HEAD_LAG, 10) || 5;
+// The route is public: endpoint probes are shared by every request within this window
+const CACHE_MS = parseInt(process.env.HEALTH_CACHE_MS, 10) || 5000;
+
+let cachedStatus = null; // { networks, checkedAt }
+let inflightStatus = null;
+
+/**
+ * Network status, probed at most once per CACHE_MS (concurrent callers share the probe)
+ */
+const getNetworkStatus = async () => {
+  if (cachedStatus && Date.now() - cachedStatus.checkedAt < CACHE_MS) {
+    return cachedStatus;
+  }
+
+  if (!inflightStatus) {
+    inflightStatus = blockchainService.getNetworkStatus()
+      .then(networks => {
+        cachedStatus = { networks, checkedAt: Date.now() };
+        return cachedStatus;
+      })
+      .finally(() => {
+        inflightStatus = null;
+      });
+  }
+
+  return inflightStatus;
+};
+
+/**
+ * Health Controller
+ *
+ * - ok: every RPC endpoint answers and is close to the chain head
+ * - degraded: some endpoints are down or lagging, requests fail over to the rest
+ * - down (503): a network has no usable endpoint, or the database is disconnected
+ *
+ * RPC endpoints are probed at most every HEALTH_CACHE_MS (`checkedAt`).
+ */
+
+exports.getHealth = async (req, res) => {
+  try {
+    const database = mongoose.connection.readyState === 1;
+    const { networks, checkedAt } = blockchainService.isInitialized
+      ? await getNetworkStatus()
+      : { networks: [], checkedAt: Date.now() };
+
+    let status = 'ok';
+
+    if (!database || !blockchainService.isInitialized || networks.some(n => n.healthyEndpoints === 0)) {
+      status = 'down';
+    } else if (networks.some(n =>
+      n.healthyEndpoints < n.endpoints.length ||
+      n.endpoints.some(endpoint => endpoint.headLag > MAX_HEAD_LAG)
+    )) {
+      status = 'degraded';
+    }
+
+    res.status(status === 'down' ? 503 : 200).json({
+      status,
+      database,
+      blockchain: blockchainService.isInitialized,
+      networks,
+      checkedAt: new Date(checkedAt).toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking health:', error);
+    res.status(503).json({ status: 'down', error: 'Health check failed' });
+  }
+};
@@ -0,0 +1,156 @@
+const JobPosting = require('../models/JobPosting');
+
+/**
+ * Job Controller
+ *
+ * Off-chain job board: companies post jobs, talent applies. Hiring happens
+ * on-chain afterwards (POST /contracts/create/prepare, signed by the
+ * company's wallet, then POST /transactions/submit); the posting only helps
+ * the two sides find each other.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Public view of a posting; applicants are only shown to the company that posted it
+ */
+function toJobJSON(job, walletAddress) {
+  const { applicants, ...rest } = job.toObject();
+
+  return job.company === walletAddress
+    ? { ...rest, applicants }
+    : rest;
+}
+
+/**
+ * Post a job (company)
+ */
+exports.createJob = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      category,
+      skillsRequired,
+      paymentType,
+      budget,
+      duration,
+      proposedMilestones,
+      tags,
+      experienceLevel
+    } = req.body;
+
+    const job = new JobPosting({
+      company: req.walletAddress,
+      title,
+      description,
+      category,
+      skillsRequired,
+      paymentType,
+      budget,
+      duration,
+      proposedMilestones,
+      tags,
+      experienceLevel
+    });
+
+    const validationError = job.validateSync();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await job.save();
+
+    res.status(201).json({ job: toJobJSON(job, req.walletAddress) });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+};
+
+/**
+ * List open jobs, newest first (?category=, ?skill=, ?page=, ?limit=)
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = { status: 'open' };
+    if (req.query.category) query.category = req.query.category;
+    if (req.query.skill) query.skillsRequired = req.query.skill;
+
+    const [jobs, total] = await Promise.all([
+      JobPosting.find(query)
+        .select('-applicants')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobPosting.countDocuments(query)
+    ]);
+
+    res.json({ jobs, page, limit, total });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+};
+
+/**
+ * Get one job
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await JobPosting.findById(req.params.jobId).catch(() => null);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: toJobJSON(job, req.walletAddress) });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+};
+
+/**
+ * Apply to an open job (talent)
+ */
+exports.applyToJob = async (req, res) => {
+  try {
+    const { proposal, proposedRate } = req.body;
+    const { walletAddress } = req;
+
+    const job = await JobPosting.findById(req.params.jobId).catch(() => null);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.company === walletAddress) {
+      return res.status(400).json({ error: 'You cannot apply to your own job' });
+    }
+
+    // Only open jobs the wallet hasn't applied to yet
+    const updated = await JobPosting.findOneAndUpdate(
+      { _id: job._id, status: 'open', 'applicants.talent': { $ne: walletAddress } },
+      {
+        $push: { applicants: { talent: walletAddress, proposal, proposedRate } },
+        $inc: { applicationsCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        error: job.status === 'open' ? 'You already applied to this job' : 'Job is no longer open'
+      });
+    }
+
+    res.status(201).json({ success: true, applicationsCount: updated.applicationsCount });
+  } catch (error) {
+    console.error('Error applying to job:', error);
+    res.status(500).json({ error: 'Failed to apply to job' });
+  }
+};
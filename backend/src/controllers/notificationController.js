@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+/**
+ * Notification Controller
+ *
+ * The caller's in-app inbox (see notificationService for how rows are written).
+ */
+
+/**
+ * List notifications, newest first
+ * Query: limit (max 100), before (notificationId cursor), unread=true
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { before, unread } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = { walletAddress: req.walletAddress };
+
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query._id = { $lt: before };
+    }
+    if (unread === 'true') query.readAt = null;
+
+    const notifications = await Notification.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    const unreadCount = await Notification.countDocuments({
+      walletAddress: req.walletAddress,
+      readAt: null
+    });
+
+    res.json({
+      notifications: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+/**
+ * Number of unread notifications (for the badge)
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      walletAddress: req.walletAddress,
+      readAt: null
+    });
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+};
+
+/**
+ * Mark one notification as read
+ */
+exports.markRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, walletAddress: req.walletAddress },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+};
+
+/**
+ * Mark every unread notification as read
+ */
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { walletAddress: req.walletAddress, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+};
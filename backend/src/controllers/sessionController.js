@@ -0,0 +1,67 @@
+const sessionService = require('../services/sessionService');
+
+/**
+ * Session Controller
+ *
+ * Lets a wallet see where it is signed in and sign devices out
+ * (e.g. a lost laptop). Revoked sessions stop working on their next request.
+ */
+
+/**
+ * List the caller's active sessions
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.walletAddress);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        sessionId: session._id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        lastUsedIp: session.lastUsedIp,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+};
+
+/**
+ * Revoke one of the caller's sessions
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.walletAddress, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+/**
+ * Revoke all of the caller's sessions
+ * `?keepCurrent=true` keeps the session making the request signed in.
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.walletAddress, {
+      exceptSessionId: req.query.keepCurrent === 'true' ? req.sessionId : null
+    });
+
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
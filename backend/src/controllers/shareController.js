@@ -0,0 +1,118 @@
+const contractAccessService = require('../services/contractAccessService');
+const { ContractAccessError } = contractAccessService;
+const ContractActivity = require('../models/ContractActivity');
+
+/**
+ * Share Controller
+ *
+ * Read-only links to one contract for people who aren't parties to it
+ * (see contractAccessService). The contract's parties manage them; anyone
+ * holding a valid link can view the contract and its history, nothing else.
+ */
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Create a share link (parties only)
+ * Body: label (optional), expiresInDays (optional, default 7, max 90)
+ * The link is only returned here.
+ */
+exports.createShare = async (req, res) => {
+  try {
+    const { label, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({ error: 'label must be a string of at most 100 characters' });
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+    }
+
+    const { share, token } = await contractAccessService.createShare(req.contract, req.walletAddress, {
+      label,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      ...share.toShareJSON(),
+      token,
+      url: `${appUrl()}/shared/${token}`
+    });
+  } catch (error) {
+    if (error instanceof ContractAccessError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+};
+
+/**
+ * List a contract's share links, by either party (including revoked and expired ones)
+ */
+exports.getShares = async (req, res) => {
+  try {
+    const { chainId, contractId } = req.contract;
+    const shares = await contractAccessService.listShares(chainId, contractId);
+
+    res.json({ shares: shares.map(share => share.toShareJSON()) });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+};
+
+/**
+ * Revoke a share link (either party, whoever created it)
+ */
+exports.revokeShare = async (req, res) => {
+  try {
+    const { chainId, contractId } = req.contract;
+    const share = await contractAccessService.revokeShare(chainId, contractId, req.params.shareId, req.walletAddress);
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json(share.toShareJSON());
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+};
+
+/**
+ * View a shared contract (public: the token is the credential)
+ */
+exports.getSharedContract = async (req, res) => {
+  try {
+    const result = await contractAccessService.verifyShareToken(req.params.token);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Share link is invalid, expired or revoked', code: 'INVALID_SHARE_LINK' });
+    }
+
+    const { share, contract } = result;
+
+    const activities = await ContractActivity.find({ chainId: contract.chainId, contractId: contract.contractId })
+      .select(ContractActivity.PUBLIC_FIELDS)
+      .sort({ timestamp: -1 });
+
+    res.json({
+      readOnly: true,
+      share: {
+        label: share.label,
+        expiresAt: share.expiresAt
+      },
+      contract: contract.toContractJSON(),
+      activities
+    });
+  } catch (error) {
+    console.error('Error fetching shared contract:', error);
+    res.status(500).json({ error: 'Failed to fetch shared contract' });
+  }
+};
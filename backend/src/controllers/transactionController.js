@@ -0,0 +1,88 @@
+const transactionService = require('../services/transactionService');
+const transactionWatcherService = require('../services/transactionWatcherService');
+const { TransactionError } = transactionService;
+
+/**
+ * Transaction Controller
+ *
+ * Relays transactions the user's wallet signed (see transactionService) and
+ * reports their status (see transactionWatcherService).
+ */
+
+const TX_HASH = /^0x[a-fA-F0-9]{64}$/;
+
+/**
+ * Broadcast a signed transaction
+ * Body: signedTransaction (raw, 0x...)
+ * Returns once the node accepted it (202); status updates follow on the
+ * socket ('transaction-updated') and GET /transactions/:hash.
+ */
+exports.submitTransaction = async (req, res) => {
+  try {
+    const { signedTransaction } = req.body;
+
+    if (!signedTransaction || typeof signedTransaction !== 'string') {
+      return res.status(400).json({ error: 'signedTransaction is required', code: 'MALFORMED_TRANSACTION' });
+    }
+
+    const record = await transactionService.submitTransaction(signedTransaction, req.walletAddress, req.chainId);
+
+    res.status(202).json({ transaction: record.toTransactionJSON() });
+  } catch (error) {
+    if (error instanceof TransactionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error submitting transaction:', error);
+    res.status(500).json({ error: 'Failed to submit transaction' });
+  }
+};
+
+/**
+ * Follow a transaction the wallet broadcast itself
+ * Body: transactionHash
+ */
+exports.trackTransaction = async (req, res) => {
+  try {
+    const { transactionHash } = req.body;
+
+    if (!transactionHash || !TX_HASH.test(transactionHash)) {
+      return res.status(400).json({ error: 'transactionHash must be a transaction hash' });
+    }
+
+    const record = await transactionService.trackTransaction(transactionHash, req.walletAddress, req.chainId);
+
+    res.status(202).json({ transaction: record.toTransactionJSON() });
+  } catch (error) {
+    if (error instanceof TransactionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error tracking transaction:', error);
+    res.status(500).json({ error: 'Failed to track transaction' });
+  }
+};
+
+/**
+ * Status of a transaction on the selected network (initiator only)
+ */
+exports.getTransaction = async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!TX_HASH.test(hash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+
+    const record = await transactionWatcherService.getTransaction(req.chainId, hash);
+
+    if (!record || record.walletAddress !== req.walletAddress) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json({ transaction: record.toTransactionJSON() });
+  } catch (error) {
+    console.error('Error fetching transaction:', error);
+    res.status(500).json({ error: 'Failed to fetch transaction' });
+  }
+};
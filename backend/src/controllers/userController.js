@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ContractProjection = require('../models/ContractProjection');
+const JobPosting = require('../models/JobPosting');
+const emailService = require('../services/emailService');
+const { rolesOf } = require('../middleware/auth');
+
+/**
+ * User Controller
+ *
+ * Off-chain account settings: role, contact email and notification preferences.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const NOTIFICATION_PREFERENCES = ['email', 'browser', 'contractUpdates', 'milestoneReminders'];
+const ROLES = ['company', 'talent', 'both'];
+const CLOSED_CONTRACT_STATUSES = [4, 5]; // ContractStatus.CANCELLED, FINALIZED
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * What still ties a wallet to a role: contracts not yet cancelled or
+ * finalized (on any network) and, for companies, open job postings
+ */
+async function roleCommitments(walletAddress, role) {
+  const [openContracts, openJobs] = await Promise.all([
+    ContractProjection.countDocuments({
+      [role]: walletAddress,
+      status: { $nin: CLOSED_CONTRACT_STATUSES }
+    }),
+    role === 'company'
+      ? JobPosting.countDocuments({ company: walletAddress, status: { $in: ['open', 'in-progress'] } })
+      : 0
+  ]);
+
+  return { openContracts, openJobs };
+}
+
+/**
+ * Choose a role (onboarding) or switch to another one
+ *
+ * Switching rules:
+ * - New users pick any role
+ * - Adding a role (company/talent -> both) is always allowed
+ * - Dropping a role (e.g. both -> talent) is only allowed once no contract
+ *   in that role is still open, and (for company) no job posting is open
+ */
+exports.setRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = req.user;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const dropped = rolesOf(user.role).filter(current => !rolesOf(role).includes(current));
+
+    for (const droppedRole of dropped) {
+      const { openContracts, openJobs } = await roleCommitments(user.walletAddress, droppedRole);
+
+      if (openContracts > 0 || openJobs > 0) {
+        return res.status(409).json({
+          error: `Close your open ${droppedRole} contracts${droppedRole === 'company' ? ' and job postings' : ''} before dropping the ${droppedRole} role`,
+          code: 'ROLE_IN_USE',
+          role: droppedRole,
+          openContracts,
+          openJobs
+        });
+      }
+    }
+
+    if (user.role !== role) {
+      user.role = role;
+      user.roleSelectedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ role: user.role, roleSelectedAt: user.roleSelectedAt });
+  } catch (error) {
+    console.error('Error setting role:', error);
+    res.status(500).json({ error: 'Failed to set role' });
+  }
+};
+
+/**
+ * Set the contact email and send a verification link
+ * No notification email is sent until the address is verified.
+ */
+exports.updateEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const user = req.user;
+
+    user.contact = user.contact || {};
+    user.contact.email = email.toLowerCase().trim();
+    user.contact.emailVerified = false;
+    user.contact.emailVerifiedAt = undefined;
+    user.emailVerification = {
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS)
+    };
+    await user.save();
+
+    await emailService.queueEmail({
+      to: user.contact.email,
+      walletAddress: user.walletAddress,
+      template: 'email-verification',
+      data: { token }
+    });
+
+    res.json({
+      email: user.contact.email,
+      emailVerified: false,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Error updating email:', error);
+    res.status(500).json({ error: 'Failed to update email' });
+  }
+};
+
+/**
+ * Confirm an email address with the token from the verification link
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Missing verification token' });
+    }
+
+    const user = await User.findOne({
+      'emailVerification.tokenHash': hashToken(token),
+      'emailVerification.expiresAt': { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.contact.emailVerified = true;
+    user.contact.emailVerifiedAt = new Date();
+    user.emailVerification = undefined;
+    await user.save();
+
+    res.json({ email: user.contact.email, emailVerified: true });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+/**
+ * Update notification preferences (email, browser, contractUpdates, milestoneReminders)
+ */
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = req.user;
+
+    for (const key of NOTIFICATION_PREFERENCES) {
+      if (req.body[key] !== undefined) {
+        if (typeof req.body[key] !== 'boolean') {
+          return res.status(400).json({ error: `${key} must be true or false` });
+        }
+        user.notifications[key] = req.body[key];
+      }
+    }
+
+    await user.save();
+
+    res.json({ notifications: user.notifications });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+};
+
+/**
+ * Credential NFTs earned by the caller (indexed from CredentialIssued events)
+ * ?chainId= limits them to one network
+ */
+exports.getCredentials = async (req, res) => {
+  try {
+    const chainId = req.query.chainId !== undefined ? Number(req.query.chainId) : null;
+    const credentials = (req.user.credentials || [])
+      .filter(credential => chainId === null || credential.chainId === chainId);
+
+    res.json({ credentials });
+  } catch (error) {
+    console.error('Error fetching credentials:', error);
+    res.status(500).json({ error: 'Failed to fetch credentials' });
+  }
+};
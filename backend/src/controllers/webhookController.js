@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const blockchainService = require('../services/blockchainService');
+const { UnsafeAddressError, resolvePublicAddress } = require('../utils/publicAddress');
+
+/**
+ * Webhook Controller
+ *
+ * Lets a wallet register HTTP endpoints that receive its contract and
+ * credential events (see webhookService for delivery and signing).
+ */
+
+/**
+ * Validate url/events/contracts from a request body
+ * The URL's host must resolve to public addresses only (no requests into
+ * the backend's own network); it is checked again before every delivery.
+ * @returns {Promise<string|null>} error message, or null when valid
+ */
+async function validateWebhookInput({ url, events, contracts, contractIds }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid webhook URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook URL must use http or https';
+    }
+    try {
+      await resolvePublicAddress(url);
+    } catch (error) {
+      if (error instanceof UnsafeAddressError) {
+        return `Webhook URL not allowed: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'At least one event type is required';
+    }
+    const unknown = events.filter(e => !webhookService.supportedEvents.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown event types: ${unknown.join(', ')}`;
+    }
+  }
+
+  if (contracts !== undefined) {
+    const valid = Array.isArray(contracts) && contracts.every(contract =>
+      contract && Number.isInteger(Number(contract.contractId)) && blockchainService.hasNetwork(Number(contract.chainId)));
+    if (!valid) {
+      return `contracts must be an array of { chainId, contractId } (supported chainIds: ${blockchainService.getChainIds().join(', ')})`;
+    }
+  }
+
+  if (contractIds !== undefined) {
+    if (!Array.isArray(contractIds) || !contractIds.every(id => Number.isInteger(Number(id)))) {
+      return 'contractIds must be an array of contract IDs';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Contract filter from a validated body: `contracts` ({ chainId, contractId }),
+ * plus `contractIds`, shorthand for contracts on the request's network
+ * @returns {Array<{ chainId, contractId }>|undefined} undefined if neither was sent
+ */
+function contractFilter({ contracts, contractIds }, chainId) {
+  if (contracts === undefined && contractIds === undefined) {
+    return undefined;
+  }
+
+  return [
+    ...(contracts || []).map(contract => ({ chainId: Number(contract.chainId), contractId: Number(contract.contractId) })),
+    ...(contractIds || []).map(contractId => ({ chainId, contractId: Number(contractId) }))
+  ];
+}
+
+/**
+ * Find a webhook owned by the caller
+ */
+async function findOwnWebhook(req) {
+  return Webhook.findOne({ _id: req.params.webhookId, walletAddress: req.walletAddress });
+}
+
+/**
+ * Register a webhook
+ * The secret is only returned here - store it to verify signatures.
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const validationError = await validateWebhookInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const webhook = await Webhook.create({
+      walletAddress: req.walletAddress,
+      url,
+      events,
+      contracts: contractFilter(req.body, req.chainId) || [],
+      description,
+      secret
+    });
+
+    res.status(201).json({
+      webhook: { ...webhook.toObject(), secret: undefined },
+      secret
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+};
+
+/**
+ * List the caller's webhooks
+ */
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ walletAddress: req.walletAddress }).sort({ createdAt: -1 });
+
+    res.json({ webhooks, supportedEvents: webhookService.supportedEvents });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+};
+
+/**
+ * Update url, events, contract filter, description or active flag
+ * A new contract filter (contracts and/or contractIds) replaces the old one.
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const validationError = await validateWebhookInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    const contracts = contractFilter(req.body, req.chainId);
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (contracts !== undefined) webhook.contracts = contracts;
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = Boolean(isActive);
+
+    await webhook.save();
+
+    res.json({ webhook });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+};
+
+/**
+ * Delete a webhook (its delivery log is kept)
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await webhook.deleteOne();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+/**
+ * Delivery log for a webhook (most recent first)
+ */
+exports.getDeliveries = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const query = { webhook: webhook._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+};
+
+/**
+ * Send a past delivery again
+ */
+exports.replayDelivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      walletAddress: req.walletAddress
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const replayed = await webhookService.replay(delivery);
+
+    res.json({ delivery: replayed });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay delivery' });
+  }
+};
@@ -1,26 +1,58 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const blockchainService = require('../services/blockchainService');
+const sessionService = require('../services/sessionService');
+const adminService = require('../services/adminService');
+const apiKeyService = require('../services/apiKeyService');
+const contractAccessService = require('../services/contractAccessService');
+const { SessionError } = sessionService;
 const crypto = require('crypto');
+const { resolveChainId } = require('./network');
+const { SiweError, buildMessage, parseMessage, validateMessage } = require('../utils/siwe');
 
 /**
  * Authentication Middleware
  *
- * WEB3 AUTHENTICATION FLOW:
- * 1. Client requests a nonce (random number)
- * 2. Client signs: "Sign this message to authenticate: [nonce]"
- * 3. Server verifies signature matches wallet address
- * 4. Server issues JWT token
- * 5. Client uses JWT for subsequent requests
+ * WEB3 AUTHENTICATION FLOW (Sign-In with Ethereum, EIP-4361):
+ * 1. Client requests a nonce for its wallet (and chain)
+ * 2. Server returns a SIWE message binding the nonce to this site's domain
+ *    and URI, the chain, an issue time and an expiry
+ * 3. Client signs the message as-is and sends it back with the signature
+ * 4. Server checks the message was issued for this site, chain and nonce,
+ *    is not expired, and that the signature matches the wallet address
+ * 5. Server starts a session: short-lived JWT access token for subsequent
+ *    requests, plus a refresh token to get new ones (POST /auth/refresh)
+ * 6. Logging out or revoking the session invalidates both immediately
  *
  * KEY DIFFERENCE FROM WEB2:
  * - No passwords! Users prove ownership via cryptographic signature
- * - Nonce prevents replay attacks
+ * - Nonce prevents replay attacks, domain binding prevents phishing
  * - User controls their identity (wallet), not the platform
  */
 
+// How long a nonce (and the message carrying it) can be used to sign in
+const SIWE_NONCE_TTL_MS = parseInt(process.env.SIWE_NONCE_TTL_MS, 10) || 10 * 60 * 1000;
+
 /**
- * Generate authentication nonce for wallet
+ * Where sign-in messages are valid: the frontend users sign in from
+ */
+const siweConfig = () => {
+  const uri = process.env.SIWE_URI || process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    uri,
+    domain: process.env.SIWE_DOMAIN || new URL(uri).host,
+    statement: process.env.SIWE_STATEMENT ||
+      'Sign in to Blockchain HR Platform. This request will not trigger a blockchain transaction or cost any gas fees.',
+    resources: (process.env.SIWE_RESOURCES || '')
+      .split(',')
+      .map(resource => resource.trim())
+      .filter(Boolean)
+  };
+};
+
+/**
+ * Generate authentication nonce and SIWE message for wallet
  */
 exports.generateNonce = async (req, res) => {
   try {
@@ -30,31 +62,52 @@ exports.generateNonce = async (req, res) => {
       return res.status(400).json({ error: 'Invalid wallet address' });
     }
 
+    const chainId = resolveChainId(req.body.chainId);
+
+    if (chainId === null) {
+      return res.status(400).json({
+        error: 'Unsupported network',
+        code: 'UNSUPPORTED_CHAIN',
+        supportedChainIds: blockchainService.getChainIds()
+      });
+    }
+
     const normalizedAddress = walletAddress.toLowerCase();
 
     // Generate random nonce
     const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + SIWE_NONCE_TTL_MS);
 
     // Find or create user
     let user = await User.findOne({ walletAddress: normalizedAddress });
 
     if (!user) {
-      // New user - create with pending status
-      user = new User({
-        walletAddress: normalizedAddress,
-        role: 'talent', // Default, can be updated
-        nonce
-      });
-    } else {
-      user.nonce = nonce;
+      // New user - no role until they pick one (POST /api/users/me/role)
+      user = new User({ walletAddress: normalizedAddress });
     }
 
+    user.nonce = nonce;
+    user.nonceExpiresAt = expiresAt;
+    user.nonceChainId = chainId;
     await user.save();
 
-    res.json({
+    const { domain, uri, statement, resources } = siweConfig();
+
+    const message = buildMessage({
+      domain,
+      address: walletAddress,
+      statement,
+      uri,
+      version: '1',
+      chainId,
       nonce,
-      message: `Welcome to Blockchain HR Platform!\n\nSign this message to authenticate with your wallet.\n\nNonce: ${nonce}\n\nThis request will not trigger a blockchain transaction or cost any gas fees.`
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+      resources
     });
+
+    res.json({ nonce, message, expiresAt });
   } catch (error) {
     console.error('Error generating nonce:', error);
     res.status(500).json({ error: 'Failed to generate nonce' });
@@ -62,71 +115,194 @@ exports.generateNonce = async (req, res) => {
 };
 
 /**
- * Verify signature and issue JWT token
+ * Device info stored with a session, to tell a wallet's sessions apart
+ */
+const deviceInfo = (req) => ({
+  name: typeof req.body.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+  userAgent: req.headers['user-agent']?.slice(0, 500),
+  ip: req.ip
+});
+
+/**
+ * Access + refresh token response shared by sign-in and refresh
+ */
+const tokenResponse = (user, session, refreshToken) => {
+  const { token, tokenExpiresAt } = sessionService.issueAccessToken(user, session);
+
+  return {
+    token,
+    tokenExpiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
+    user: {
+      walletAddress: user.walletAddress,
+      role: user.role,
+      needsOnboarding: !user.role, // pick a role with POST /api/users/me/role
+      profile: user.profile,
+      reputation: user.reputation
+    }
+  };
+};
+
+/**
+ * Verify a signed SIWE message and start a session
+ *
+ * Errors carry a `code` so clients can tell an expired message (request a
+ * new nonce) from a forged or misdirected one.
  */
 exports.verifySignature = async (req, res) => {
   try {
-    const { walletAddress, signature } = req.body;
+    const { message, signature, walletAddress } = req.body;
 
-    if (!walletAddress || !signature) {
-      return res.status(400).json({ error: 'Missing wallet address or signature' });
+    if (!message || !signature) {
+      return res.status(400).json({ error: 'Missing message or signature' });
+    }
+    if (typeof message !== 'string' || typeof signature !== 'string' ||
+      (walletAddress !== undefined && typeof walletAddress !== 'string')) {
+      return res.status(400).json({ error: 'message, signature and walletAddress must be strings' });
     }
 
-    const normalizedAddress = walletAddress.toLowerCase();
+    // Was this message issued for us, and is it still valid?
+    const fields = parseMessage(message);
+    validateMessage(fields, { ...siweConfig(), chainIds: blockchainService.getChainIds() });
+
+    if (walletAddress && walletAddress.toLowerCase() !== fields.address.toLowerCase()) {
+      throw new SiweError('ADDRESS_MISMATCH', 'Message was signed for a different wallet address');
+    }
+
+    const normalizedAddress = fields.address.toLowerCase();
 
     // Get user and nonce
     const user = await User.findOne({ walletAddress: normalizedAddress });
 
     if (!user || !user.nonce) {
-      return res.status(400).json({ error: 'Please request a nonce first' });
+      throw new SiweError('NONCE_NOT_FOUND', 'Please request a nonce first');
+    }
+    if (user.nonce !== fields.nonce) {
+      throw new SiweError('NONCE_MISMATCH', 'Nonce does not match, request a new one');
+    }
+    if (!user.nonceExpiresAt || user.nonceExpiresAt <= new Date()) {
+      throw new SiweError('NONCE_EXPIRED', 'Nonce has expired, request a new one');
+    }
+    // A message for another supported chain would sign the user in there
+    if (user.nonceChainId !== fields.chainId) {
+      throw new SiweError('CHAIN_MISMATCH', `Nonce was issued for chain ${user.nonceChainId}, not ${fields.chainId}`);
     }
 
-    // Construct the message that was signed
-    const message = `Welcome to Blockchain HR Platform!\n\nSign this message to authenticate with your wallet.\n\nNonce: ${user.nonce}\n\nThis request will not trigger a blockchain transaction or cost any gas fees.`;
-
-    // Verify signature
-    const isValid = blockchainService.verifySignature(message, signature, normalizedAddress);
+    // Verify signature over the exact message the wallet signed
+    // (contract wallets are asked on the message's chain)
+    const isValid = await blockchainService.verifySignature(message, signature, normalizedAddress, fields.chainId);
 
     if (!isValid) {
-      return res.status(401).json({ error: 'Invalid signature' });
+      throw new SiweError('INVALID_SIGNATURE', 'Invalid signature');
     }
 
-    // Clear nonce (prevent replay)
-    user.nonce = crypto.randomBytes(16).toString('hex');
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        walletAddress: normalizedAddress,
-        role: user.role,
-        userId: user._id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    // Consume nonce (prevent replay); a concurrent request with the same
+    // message finds it already gone
+    const signedIn = await User.findOneAndUpdate(
+      { _id: user._id, nonce: fields.nonce },
+      { $unset: { nonce: 1, nonceExpiresAt: 1, nonceChainId: 1 }, $set: { lastLogin: new Date() } },
+      { new: true }
     );
 
-    res.json({
-      token,
-      user: {
-        walletAddress: user.walletAddress,
-        role: user.role,
-        profile: user.profile,
-        reputation: user.reputation
-      }
-    });
+    if (!signedIn) {
+      throw new SiweError('NONCE_MISMATCH', 'Nonce was already used, request a new one');
+    }
+
+    // Start a session for this device
+    const { session, refreshToken } = await sessionService.createSession(signedIn, deviceInfo(req));
+
+    res.json(tokenResponse(signedIn, session, refreshToken));
   } catch (error) {
+    if (error instanceof SiweError) {
+      const status = error.code === 'MALFORMED_MESSAGE' ? 400 : 401;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+
     console.error('Error verifying signature:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; reusing it revokes the session.
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Missing refresh token' });
+    }
+
+    const { session, refreshToken: newRefreshToken } =
+      await sessionService.rotateRefreshToken(refreshToken, req.ip);
+
+    const user = await User.findById(session.userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    res.json(tokenResponse(user, session, newRefreshToken));
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+};
+
+/**
+ * End the caller's session (access and refresh token both stop working)
+ */
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.walletAddress, req.sessionId, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+/**
+ * Verify a JWT, its session and load its user
+ * Shared by the HTTP middleware and the Socket.io handshake.
+ * @throws {JsonWebTokenError|TokenExpiredError} if the token is invalid or expired
+ * @throws {SessionError} SESSION_REVOKED if its session was revoked or has ended
+ * @returns {Promise<{ user, decoded, session }>} user is null if the wallet has no account
+ */
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens from before sessions existed have no sid and can't be revoked
+  if (!decoded.sid) {
+    throw new SessionError('SESSION_REVOKED', 'Session has ended, please sign in again');
+  }
+
+  const session = await sessionService.getActiveSession(decoded.sid, decoded.walletAddress);
+  const user = await User.findOne({ walletAddress: decoded.walletAddress });
+
+  return { user, decoded, session };
+};
+
+exports.verifyToken = verifyToken;
+
 /**
  * JWT authentication middleware
  */
 exports.authenticate = async (req, res, next) => {
   try {
+    // Server-to-server integrations authenticate with an API key instead
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
 
@@ -136,11 +312,8 @@ exports.authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
-    // Verify JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get user
-    const user = await User.findOne({ walletAddress: decoded.walletAddress });
+    // Verify JWT and get user
+    const { user, decoded } = await verifyToken(token);
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -149,9 +322,13 @@ exports.authenticate = async (req, res, next) => {
     // Attach to request
     req.user = user;
     req.walletAddress = decoded.walletAddress;
+    req.sessionId = decoded.sid;
 
     next();
   } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
     }
@@ -164,8 +341,65 @@ exports.authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Allow API keys on a route, for keys holding this scope
+ * Goes before authenticate: router.get('/contracts', auth.apiKeyScope('contracts:read'), auth.authenticate, ...)
+ * Routes without it only accept wallet sessions.
+ */
+exports.apiKeyScope = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * Authenticate with the X-API-Key header, acting as the key's owner
+ */
+const authenticateApiKey = async (req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      error: 'API keys cannot be used on this route, sign in with a wallet',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const result = await apiKeyService.verifyKey(req.headers['x-api-key'], req.ip);
+
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key', code: 'INVALID_API_KEY' });
+  }
+  if (!result.apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      error: `API key is missing the ${req.apiKeyScope} scope`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.user = result.user;
+  req.walletAddress = result.user.walletAddress;
+  req.apiKey = result.apiKey;
+
+  next();
+};
+
+/**
+ * Roles a user's role grants: 'both' acts as company and talent
+ */
+const rolesOf = (role) => (role === 'both' ? ['company', 'talent'] : role ? [role] : []);
+
+/**
+ * Does the user act as this role? ('both' requires company and talent)
+ */
+const hasRole = (user, role) => rolesOf(role).every(required => rolesOf(user.role).includes(required));
+
+exports.rolesOf = rolesOf;
+exports.hasRole = hasRole;
+
 /**
  * Role-based authorization
+ * Passes if the user acts as any of the roles, e.g. authorize('company')
+ * lets 'company' and 'both' users through.
  */
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -173,11 +407,83 @@ exports.authorize = (...roles) => {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    if (!roles.includes(req.user.role) && !roles.includes('both')) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (!req.user.role) {
+      return res.status(403).json({
+        error: 'Choose a role first (POST /api/users/me/role)',
+        code: 'ROLE_REQUIRED'
+      });
+    }
+
+    if (!roles.some(role => hasRole(req.user, role))) {
+      return res.status(403).json({
+        error: `Only ${roles.join(' or ')} accounts can do this`,
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Platform admin authorization (after authenticate and selectNetwork)
+ * Admins are listed in ADMIN_WALLETS or own the contracts on req.chainId.
+ */
+exports.requireAdmin = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const adminSource = await adminService.getAdminSource(req.walletAddress, req.chainId);
+
+    if (!adminSource) {
+      return res.status(403).json({ error: 'Admin access required', code: 'ADMIN_REQUIRED' });
     }
 
+    req.adminSource = adminSource;
     next();
+  } catch (error) {
+    console.error('Admin authorization error:', error);
+    res.status(500).json({ error: 'Authorization failed' });
+  }
+};
+
+/**
+ * Contract authorization (after authenticate and selectNetwork)
+ * Only the contract's company and talent get through, and platform admins
+ * unless { admins: false }. Sets req.contract and req.contractRole.
+ */
+exports.requireContractAccess = ({ admins = true } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const contractId = Number(req.params.contractId);
+
+      if (!Number.isInteger(contractId) || contractId < 1) {
+        return res.status(400).json({ error: 'contractId must be a positive integer' });
+      }
+
+      const { contract, role } = await contractAccessService.getAccess(req.walletAddress, contractId, req.chainId);
+
+      if (!contract) {
+        return res.status(404).json({ error: 'Contract not found' });
+      }
+      if (!role || (role === 'admin' && !admins)) {
+        return res.status(403).json({
+          error: admins
+            ? 'Only the parties to this contract and admins can see it'
+            : 'Only the parties to this contract can do this',
+          code: 'CONTRACT_ACCESS_DENIED'
+        });
+      }
+
+      req.contract = contract;
+      req.contractRole = role;
+      next();
+    } catch (error) {
+      console.error('Contract authorization error:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
   };
 };
 
@@ -190,12 +496,12 @@ exports.optionalAuth = async (req, res, next) => {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findOne({ walletAddress: decoded.walletAddress });
+      const { user, decoded } = await verifyToken(token);
 
       if (user) {
         req.user = user;
         req.walletAddress = decoded.walletAddress;
+        req.sessionId = decoded.sid;
       }
     }
 
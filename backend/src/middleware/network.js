@@ -0,0 +1,41 @@
+const blockchainService = require('../services/blockchainService');
+
+/**
+ * Network Selection
+ *
+ * The backend can index several deployments at once (see DEPLOYMENT_MANIFESTS).
+ * Callers pick one with `?chainId=11155111` or an `X-Chain-Id` header;
+ * without either, the default network is used.
+ */
+
+/**
+ * Resolve a requested chainId to a connected network
+ * @returns {number|null} chainId, or null if that network isn't configured
+ */
+const resolveChainId = (requested) => {
+  if (requested === undefined || requested === null || requested === '') {
+    return blockchainService.defaultChainId;
+  }
+
+  const chainId = Number(requested);
+  return Number.isInteger(chainId) && blockchainService.hasNetwork(chainId) ? chainId : null;
+};
+
+/**
+ * Set req.chainId from the query string or X-Chain-Id header
+ */
+exports.selectNetwork = (req, res, next) => {
+  const chainId = resolveChainId(req.query.chainId ?? req.headers['x-chain-id']);
+
+  if (chainId === null) {
+    return res.status(400).json({
+      error: 'Unsupported network',
+      supportedChainIds: blockchainService.getChainIds()
+    });
+  }
+
+  req.chainId = chainId;
+  next();
+};
+
+exports.resolveChainId = resolveChainId;
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { verifyToken } = require('./auth');
+const { resolveChainId } = require('./network');
+const { SessionError } = require('../services/sessionService');
+const contractProjectionService = require('../services/contractProjectionService');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Socket.io Authentication
+ *
+ * The handshake must carry the same JWT the REST API uses:
+ *   io(API_URL, { auth: { token } })
+ * (an `Authorization: Bearer <token>` header is accepted too).
+ *
+ * The socket is bound to the token's wallet: it joins that wallet's room
+ * automatically and can't join anyone else's. Contract rooms are limited to
+ * the contract's company and talent. Revoking the token's session
+ * disconnects the socket.
+ */
+
+/**
+ * Handshake middleware: reject sockets without a valid token
+ */
+exports.authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+
+    const { user, decoded } = await verifyToken(token);
+
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    socket.data.walletAddress = decoded.walletAddress;
+    socket.data.sessionId = decoded.sid;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+
+    next();
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return next(new Error(error.message));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+
+    console.error('Socket authentication error:', error);
+    next(new Error('Authentication failed'));
+  }
+};
+
+/**
+ * Is this wallet the company or talent of the contract?
+ */
+const isContractParty = async (walletAddress, contractId, chainId) => {
+  const contract = await contractProjectionService.getContract(contractId, { chainId });
+
+  return Boolean(contract) &&
+    (contract.company === walletAddress || contract.talent === walletAddress);
+};
+
+exports.isContractParty = isContractParty;
+
+/**
+ * Connection handler for an authenticated socket: joins its wallet and
+ * session rooms and handles contract rooms and missed-event replay
+ */
+exports.handleConnection = (socket) => {
+  const { walletAddress, sessionId, tokenExpiresAt } = socket.data;
+  console.log('👤 Client connected:', socket.id, walletAddress);
+
+  // Private notifications go to the wallet room - only the token's wallet can join it
+  socket.join(walletAddress);
+  // Session room: revoking the session disconnects this socket
+  socket.join(notificationService.sessionRoom(sessionId));
+
+  // Drop the connection when the token expires; the client reconnects with a new one
+  // (capped: setTimeout overflows past ~24.8 days)
+  const expiryTimer = setTimeout(() => {
+    socket.emit('token-expired');
+    socket.disconnect(true);
+  }, Math.min(Math.max(tokenExpiresAt - Date.now(), 0), 2 ** 31 - 1));
+
+  // Live updates for a single contract (parties only)
+  // Accepts a contractId (default network) or { contractId, chainId }
+  socket.on('join-contract', async (room, ack) => {
+    // Clients may omit the acknowledgement or send something else in its place
+    if (typeof ack !== 'function') ack = () => {};
+
+    try {
+      const { contractId, chainId: requestedChainId } = typeof room === 'object' && room !== null
+        ? room
+        : { contractId: room };
+      const chainId = resolveChainId(requestedChainId);
+
+      if (chainId === null) {
+        return ack({ error: 'Unsupported network' });
+      }
+
+      if (!(await isContractParty(walletAddress, Number(contractId), chainId))) {
+        return ack({ error: 'Only contract parties can join this room' });
+      }
+
+      socket.join(notificationService.contractRoom(chainId, Number(contractId)));
+      ack({ success: true, chainId });
+    } catch (error) {
+      console.error('Error joining contract room:', error.message);
+      ack({ error: 'Failed to join contract room' });
+    }
+  });
+
+  // Reconnect protocol: client sends the last notificationId it saw,
+  // server re-emits everything newer (flagged `replayed: true`)
+  socket.on('sync', async (lastSeenId, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+
+    try {
+      if (lastSeenId && !mongoose.isValidObjectId(lastSeenId)) {
+        return ack({ error: 'Invalid notification cursor' });
+      }
+
+      ack(await notificationService.replayMissed(socket, walletAddress, lastSeenId));
+    } catch (error) {
+      console.error('Error replaying notifications:', error.message);
+      ack({ error: 'Failed to replay notifications' });
+    }
+  });
+
+  socket.on('leave-contract', (room) => {
+    const { contractId, chainId } = typeof room === 'object' && room !== null
+      ? room
+      : { contractId: room };
+
+    socket.leave(notificationService.contractRoom(resolveChainId(chainId), Number(contractId)));
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    console.log('👤 Client disconnected:', socket.id);
+  });
+};
+
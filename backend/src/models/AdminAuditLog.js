@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin Audit Log Model
+ *
+ * Every admin action (owner transaction prepared or executed through the
+ * admin API), who did it and what came of it. Rows are never updated or
+ * deleted by the API.
+ */
+
+const adminAuditLogSchema = new mongoose.Schema({
+  // Admin who acted
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+
+  // How they qualified as admin
+  adminSource: {
+    type: String,
+    enum: ['config', 'owner']
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['setPlatformFee', 'setPlatformWallet', 'authorizeIssuer', 'revokeIssuer'],
+    index: true
+  },
+
+  chainId: { type: Number, required: true },
+
+  // Function arguments (e.g. { feePercent: 3 })
+  params: { type: mongoose.Schema.Types.Mixed },
+
+  // prepared: unsigned transaction returned for the owner wallet to sign
+  // executed: sent with the backend's platform key (outcome: GET /api/transactions/:hash)
+  // failed: rejected (simulation reverted, signer isn't the owner, tx failed)
+  status: {
+    type: String,
+    required: true,
+    enum: ['prepared', 'executed', 'failed']
+  },
+
+  transaction: {
+    to: { type: String },
+    data: { type: String },
+    hash: { type: String }
+  },
+
+  error: { type: String },
+
+  ip: { type: String },
+  userAgent: { type: String },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
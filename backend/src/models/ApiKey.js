@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Key Model
+ *
+ * Credentials for server-to-server integrations (payroll, ATS...) that
+ * can't sign in with a wallet. A key acts as the wallet that created it,
+ * limited to its scopes.
+ * - Only the SHA-256 of the key is stored; the key itself is shown once
+ * - `prefix` (start of the key) lets owners tell keys apart
+ * - Revoked keys are kept for the record
+ */
+
+const API_KEY_SCOPES = ['contracts:read', 'activity:read', 'jobs:manage', 'webhooks:manage'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Owner: requests made with the key act as this wallet
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  prefix: { type: String, required: true },
+
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // null = never expires
+  expiresAt: { type: Date, default: null },
+
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String },
+
+  revokedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -8,20 +8,38 @@ const mongoose = require('mongoose');
  * - We index them in MongoDB for FAST queries
  * - Backend listens to blockchain events and stores them here
  * - This is what services like Etherscan do
+ * - Credential NFT events are indexed here too (no contractId, see eventData.tokenId)
  */
 
+const CREDENTIAL_EVENTS = ['CredentialIssued', 'CredentialRevoked', 'IssuerAuthorized', 'IssuerRevoked'];
+
 const contractActivitySchema = new mongoose.Schema({
   // Blockchain data
   contractId: {
     type: Number,
-    required: true,
+    required: function() {
+      return !CREDENTIAL_EVENTS.includes(this.eventType);
+    },
     index: true
   },
 
+  // Identity of an indexed log: (chainId, transactionHash, logIndex).
+  // One transaction can emit several events (e.g. approveMilestone emits
+  // MilestoneApproved, MilestonePaid and possibly ContractCompleted).
+  chainId: {
+    type: Number,
+    required: true
+  },
+
   transactionHash: {
     type: String,
     required: true,
-    unique: true
+    index: true
+  },
+
+  logIndex: {
+    type: Number,
+    required: true
   },
 
   blockNumber: {
@@ -29,6 +47,19 @@ const contractActivitySchema = new mongoose.Schema({
     required: true
   },
 
+  // Hash of the block the event was indexed from (detects reorgs)
+  blockHash: { type: String },
+
+  // Reorg safety: 'pending' until CONFIRMATION_DEPTH blocks are on top of it.
+  // Rows indexed before confirmation tracking existed are treated as confirmed.
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'confirmed'
+  },
+
+  confirmedAt: { type: Date },
+
   eventType: {
     type: String,
     required: true,
@@ -42,11 +73,12 @@ const contractActivitySchema = new mongoose.Schema({
       'ContractDisputed',
       'ContractCompleted',
       'ContractFinalized',
-      'ContractCancelled'
+      'ContractCancelled',
+      ...CREDENTIAL_EVENTS
     ]
   },
 
-  // Parties involved
+  // Parties involved (issuer/recipient for credential events)
   company: { type: String, index: true },
   talent: { type: String, index: true },
   initiator: { type: String }, // Who triggered this event
@@ -56,7 +88,9 @@ const contractActivitySchema = new mongoose.Schema({
     milestoneIndex: { type: Number },
     amount: { type: String }, // In wei as string
     ipfsHash: { type: String },
-    reason: { type: String }
+    reason: { type: String },
+    tokenId: { type: Number }, // Credential NFT
+    skillName: { type: String }
   },
 
   // Metadata
@@ -66,18 +100,32 @@ const contractActivitySchema = new mongoose.Schema({
     index: true
   },
 
+  // Side effects (notifications, profile updates) done. They run once the row
+  // is confirmed; the listener process running them and since when are kept
+  // until then (null while pending, see eventListenerService)
   processed: {
     type: Boolean,
     default: false
-  }
+  },
+  processingBy: { type: String },
+  processingStartedAt: { type: Date }
 }, {
   timestamps: true
 });
 
+// Idempotency: the same log can only be indexed once
+contractActivitySchema.index({ chainId: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+
 // Indexes for querying
 contractActivitySchema.index({ contractId: 1, timestamp: -1 });
 contractActivitySchema.index({ company: 1, timestamp: -1 });
 contractActivitySchema.index({ talent: 1, timestamp: -1 });
 contractActivitySchema.index({ eventType: 1, timestamp: -1 });
+contractActivitySchema.index({ status: 1, blockNumber: 1 });
+// Confirmed activity still owing its side effects
+contractActivitySchema.index({ chainId: 1, status: 1, processed: 1 });
+
+// Listener bookkeeping, left out of API responses: .select(ContractActivity.PUBLIC_FIELDS)
+contractActivitySchema.statics.PUBLIC_FIELDS = { processed: 0, processingBy: 0, processingStartedAt: 0 };
 
 module.exports = mongoose.model('ContractActivity', contractActivitySchema);
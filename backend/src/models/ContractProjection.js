@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contract Projection Model
+ *
+ * WEB3 CONCEPT: Read Models (Materialized Views)
+ * - Reading a contract from chain costs 1 RPC call + 1 per milestone
+ * - A dashboard listing dozens of contracts becomes hundreds of calls
+ * - We keep a COPY of each EmploymentContract's current state here
+ * - The event listener refreshes it whenever an event touches the contract
+ * - Blockchain is still the source of truth: ?fresh=true re-reads it,
+ *   and a consistency check repairs any drift
+ * - Contract IDs are only unique per deployment, so (chainId, contractId) is the key
+ */
+
+const milestoneSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  description: { type: String },
+  amount: { type: String }, // In wei as string
+  deadline: { type: Number }, // Unix timestamp (seconds)
+  status: { type: Number }, // MilestoneStatus enum index
+  ipfsHash: { type: String } // Deliverable submitted by talent
+}, { _id: false });
+
+const contractProjectionSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  contractId: {
+    type: Number,
+    required: true
+  },
+
+  // Parties
+  company: { type: String, required: true, lowercase: true, index: true },
+  talent: { type: String, required: true, lowercase: true, index: true },
+
+  // Terms
+  jobTitle: { type: String },
+  ipfsMetadata: { type: String },
+  totalAmount: { type: String }, // In wei as string
+  startDate: { type: Number }, // Unix timestamp (seconds)
+  endDate: { type: Number },
+  createdOnChainAt: { type: Number },
+
+  // State machine (ContractStatus enum index, same as getContract)
+  status: { type: Number, required: true, index: true },
+  companyApproved: { type: Boolean, default: false },
+  talentApproved: { type: Boolean, default: false },
+
+  milestones: [milestoneSchema],
+
+  // When this copy was last read from chain
+  syncedAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+contractProjectionSchema.index({ chainId: 1, contractId: 1 }, { unique: true });
+contractProjectionSchema.index({ company: 1, contractId: -1 });
+contractProjectionSchema.index({ talent: 1, contractId: -1 });
+
+/**
+ * Shape returned by the API (matches what was previously read from chain)
+ */
+contractProjectionSchema.methods.toContractJSON = function() {
+  return {
+    id: this.contractId,
+    chainId: this.chainId,
+    company: this.company,
+    talent: this.talent,
+    jobTitle: this.jobTitle,
+    ipfsMetadata: this.ipfsMetadata,
+    totalAmount: this.totalAmount,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    createdAt: this.createdOnChainAt,
+    status: this.status,
+    companyApproved: this.companyApproved,
+    talentApproved: this.talentApproved,
+    milestoneCount: this.milestones.length,
+    milestones: this.milestones.map(m => ({
+      description: m.description,
+      amount: m.amount,
+      deadline: m.deadline,
+      status: m.status,
+      ipfsHash: m.ipfsHash
+    })),
+    syncedAt: this.syncedAt
+  };
+};
+
+module.exports = mongoose.model('ContractProjection', contractProjectionSchema);
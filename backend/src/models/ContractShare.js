@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contract Share Model
+ *
+ * A read-only link to one contract that a party hands to someone without
+ * a stake in it (accountant, auditor...).
+ * - The link carries a signed token naming this record (see contractAccessService);
+ *   the token itself is never stored
+ * - Expires at expiresAt, or earlier if either party revokes it
+ * - Revoked and expired links are kept for the record
+ */
+
+const contractShareSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  contractId: {
+    type: Number,
+    required: true
+  },
+
+  // Party that created the link
+  createdBy: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Who it is for, e.g. "Accountant - Q3 audit"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: String, lowercase: true },
+
+  lastViewedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+contractShareSchema.index({ chainId: 1, contractId: 1, createdAt: -1 });
+
+/**
+ * View of a link for the contract's parties (never the token)
+ */
+contractShareSchema.methods.toShareJSON = function() {
+  return {
+    shareId: this._id,
+    chainId: this.chainId,
+    contractId: this.contractId,
+    createdBy: this.createdBy,
+    label: this.label,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    revokedBy: this.revokedBy,
+    lastViewedAt: this.lastViewedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ContractShare', contractShareSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Email Outbox Model
+ *
+ * Emails are rendered and written here first, then sent by a background
+ * worker (emailService). If the mail server is down, nothing is lost:
+ * rows stay 'pending' and are retried with backoff.
+ */
+
+const emailOutboxSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  walletAddress: { type: String, lowercase: true, index: true },
+
+  // Template that produced this email (e.g. 'milestone-paid')
+  template: { type: String, required: true },
+
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  html: { type: String },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  sentAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
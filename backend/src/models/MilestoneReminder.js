@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Milestone Reminder Model
+ *
+ * Records every deadline reminder sent, so the scheduler never sends the
+ * same reminder twice (one row per milestone, recipient and reminder kind).
+ */
+
+const milestoneReminderSchema = new mongoose.Schema({
+  chainId: { type: Number, required: true },
+  contractId: { type: Number, required: true },
+  milestoneIndex: { type: Number, required: true },
+  recipient: { type: String, required: true, lowercase: true },
+
+  // 'due-in-3d', 'due-in-1d', ... or 'overdue'
+  kind: { type: String, required: true },
+
+  deadline: { type: Number, required: true }, // Unix timestamp (seconds)
+  sentAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+milestoneReminderSchema.index(
+  { chainId: 1, contractId: 1, milestoneIndex: 1, recipient: 1, kind: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('MilestoneReminder', milestoneReminderSchema);
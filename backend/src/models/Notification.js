@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model
+ *
+ * In-app inbox: every notification pushed over Socket.io is stored here
+ * first, so users who were offline still see it.
+ * - _id doubles as the cursor (ObjectIds increase over time)
+ * - readAt is null until the user marks it read
+ * - Rows expire after 90 days
+ */
+
+const notificationSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Socket.io event name (e.g. 'milestone-paid')
+  kind: { type: String, required: true },
+
+  // Webhook-style event type (e.g. 'MilestonePaid')
+  eventType: { type: String },
+
+  payload: { type: mongoose.Schema.Types.Mixed },
+
+  readAt: { type: Date, default: null },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 90 // 90 days
+  }
+});
+
+notificationSchema.index({ walletAddress: 1, _id: -1 });
+notificationSchema.index({ walletAddress: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pending Transaction Model
+ *
+ * Every transaction the platform prepares for a wallet or relays for it,
+ * followed until it is final (see transactionWatcherService).
+ *
+ * prepared → pending → mined → confirmed
+ *                    ↘ failed (reverted, with the decoded reason)
+ *                    ↘ replaced (another transaction used its nonce)
+ *                    ↘ dropped (the network forgot it)
+ *
+ * Prepared transactions that are never sent expire after a day.
+ */
+
+const TRANSACTION_STATUSES = ['prepared', 'pending', 'mined', 'confirmed', 'failed', 'replaced', 'dropped'];
+
+const pendingTransactionSchema = new mongoose.Schema({
+  chainId: { type: Number, required: true },
+
+  // Wallet that asked for it (gets the Socket.io updates)
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Contract function, e.g. 'approveMilestone' or 'setPlatformFee'
+  action: { type: String, required: true },
+  contractId: { type: Number },
+  milestoneIndex: { type: Number },
+
+  // Transaction fields (hash and nonce are known once it is signed)
+  hash: { type: String, lowercase: true },
+  from: { type: String, required: true, lowercase: true },
+  to: { type: String, required: true, lowercase: true },
+  data: { type: String, required: true },
+  value: { type: String, default: '0' },
+  nonce: { type: Number },
+
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    default: 'prepared'
+  },
+
+  submittedAt: { type: Date },
+  blockNumber: { type: Number },
+  blockHash: { type: String },
+  gasUsed: { type: String },
+  confirmations: { type: Number, default: 0 },
+
+  // Platform contract events emitted by the transaction
+  events: [{
+    _id: false,
+    name: { type: String },
+    args: { type: mongoose.Schema.Types.Mixed }
+  }],
+
+  // Decoded revert reason, e.g. "Cannot dispute in current status"
+  revertReason: { type: String },
+  // Hash of the transaction that took this one's nonce
+  replacedBy: { type: String },
+
+  // Only set while prepared (TTL)
+  expiresAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+pendingTransactionSchema.index({ chainId: 1, hash: 1 }, { unique: true, partialFilterExpression: { hash: { $type: 'string' } } });
+pendingTransactionSchema.index({ status: 1, chainId: 1 });
+pendingTransactionSchema.index({ walletAddress: 1, createdAt: -1 });
+pendingTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+pendingTransactionSchema.statics.STATUSES = TRANSACTION_STATUSES;
+
+/**
+ * API view of a transaction
+ */
+pendingTransactionSchema.methods.toTransactionJSON = function() {
+  return {
+    transactionId: this._id,
+    chainId: this.chainId,
+    action: this.action,
+    contractId: this.contractId,
+    milestoneIndex: this.milestoneIndex,
+    hash: this.hash,
+    from: this.from,
+    to: this.to,
+    nonce: this.nonce,
+    status: this.status,
+    submittedAt: this.submittedAt,
+    blockNumber: this.blockNumber,
+    gasUsed: this.gasUsed,
+    confirmations: this.confirmations,
+    events: this.events,
+    revertReason: this.revertReason,
+    replacedBy: this.replacedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('PendingTransaction', pendingTransactionSchema);
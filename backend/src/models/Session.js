@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ *
+ * One row per signed-in device. Access tokens are short-lived JWTs that
+ * carry the session ID (`sid`); the long-lived refresh token is only stored
+ * as a hash and is replaced on every use.
+ * - Revoking a session invalidates its access token on the next request
+ * - A refresh token that was already rotated away is a sign of theft:
+ *   presenting it revokes the whole session
+ * - Rows expire when the refresh token would have
+ */
+
+const sessionSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Hashes of refresh tokens already exchanged (reuse detection)
+  previousRefreshTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  // Where the session was started, to tell devices apart
+  device: {
+    name: { type: String, maxlength: 100 },
+    userAgent: { type: String, maxlength: 500 },
+    ip: { type: String }
+  },
+
+  lastUsedAt: { type: Date, default: Date.now },
+  lastUsedIp: { type: String },
+
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'refresh-token-reuse', null],
+    default: null
+  },
+
+  expiresAt: { type: Date, required: true },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+sessionSchema.index({ walletAddress: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
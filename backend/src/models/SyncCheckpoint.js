@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sync Checkpoint Model
+ *
+ * WEB3 CONCEPT: Resumable Indexing
+ * - The backend can be offline while the chain keeps producing blocks
+ * - We remember the last block whose events we fully processed
+ * - On restart, the indexer backfills from here to the chain head
+ * - One checkpoint per contract and network, since each is scanned independently
+ */
+
+const syncCheckpointSchema = new mongoose.Schema({
+  // Network the contract is deployed on
+  chainId: {
+    type: Number,
+    required: true
+  },
+
+  // Contract being indexed (e.g. 'EmploymentContract')
+  contractName: {
+    type: String,
+    required: true
+  },
+
+  // Every event up to and including this block has been processed
+  lastSyncedBlock: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+syncCheckpointSchema.index({ chainId: 1, contractName: 1 }, { unique: true });
+
+module.exports = mongoose.model('SyncCheckpoint', syncCheckpointSchema);
@@ -26,12 +26,14 @@ const userSchema = new mongoose.Schema({
     }
   },
 
-  // User role
+  // User role, chosen during onboarding (null until then)
+  // 'both' can act as company and talent
   role: {
     type: String,
-    enum: ['company', 'talent', 'both'],
-    required: true
+    enum: ['company', 'talent', 'both', null],
+    default: null
   },
+  roleSelectedAt: { type: Date },
 
   // Profile information
   profile: {
@@ -56,6 +58,8 @@ const userSchema = new mongoose.Schema({
   // Contact (private, not shared publicly)
   contact: {
     email: { type: String, sparse: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
     telegram: { type: String },
     discord: { type: String }
   },
@@ -65,17 +69,22 @@ const userSchema = new mongoose.Schema({
     isVerified: { type: Boolean, default: false },
     kycCompleted: { type: Boolean, default: false },
     verifiedAt: { type: Date },
-    verificationMethod: { type: String }
+    verificationMethod: { type: String },
+
+    // Mirrors CredentialNFT.authorizedIssuers (kept in sync by event listener)
+    isAuthorizedIssuer: { type: Boolean, default: false },
+    issuerAuthorizedAt: { type: Date }
   },
 
-  // Reputation metrics (calculated from blockchain data)
+  // Reputation metrics (recomputed from indexed activity by reputationService)
   reputation: {
     rating: { type: Number, default: 0, min: 0, max: 5 },
     totalContracts: { type: Number, default: 0 },
     completedContracts: { type: Number, default: 0 },
     disputedContracts: { type: Number, default: 0 },
     totalEarned: { type: String, default: '0' }, // In wei as string
-    totalSpent: { type: String, default: '0' }
+    totalSpent: { type: String, default: '0' },
+    completionRate: { type: Number, default: 0 } // Percent
   },
 
   // Social proof
@@ -87,12 +96,19 @@ const userSchema = new mongoose.Schema({
 
   // Credentials (NFT token IDs owned)
   credentials: [{
+    chainId: { type: Number }, // Network the credential NFT lives on
     tokenId: { type: Number },
     skillName: { type: String },
     issuer: { type: String },
     issuedAt: { type: Date }
   }],
 
+  // Pending email verification (token is stored hashed)
+  emailVerification: {
+    tokenHash: { type: String, index: true, sparse: true },
+    expiresAt: { type: Date }
+  },
+
   // Notification preferences
   notifications: {
     email: { type: Boolean, default: true },
@@ -107,6 +123,9 @@ const userSchema = new mongoose.Schema({
 
   // Nonce for wallet signature verification (anti-replay)
   nonce: { type: String },
+  nonceExpiresAt: { type: Date },
+  // Chain the nonce's sign-in message was issued for
+  nonceChainId: { type: Number },
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -119,10 +138,9 @@ userSchema.index({ 'profile.companyName': 'text', 'profile.name': 'text' });
 userSchema.index({ role: 1, 'verification.isVerified': 1 });
 userSchema.index({ 'reputation.rating': -1 });
 
-// Virtual for total completion rate
+// Virtual for total completion rate (stored by reputationService, kept for existing callers)
 userSchema.virtual('completionRate').get(function() {
-  if (this.reputation.totalContracts === 0) return 0;
-  return (this.reputation.completedContracts / this.reputation.totalContracts) * 100;
+  return this.reputation.completionRate || 0;
 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Model
+ *
+ * Outbound HTTP subscriptions for server-to-server integrations
+ * (HR systems, payroll...) that can't hold a Socket.io connection.
+ * - Owned by a wallet: only events that wallet would be notified about are sent
+ * - Filtered by event type and, optionally, by contract (chainId + contractId)
+ * - Each delivery is signed with the webhook's secret (HMAC-SHA256)
+ */
+
+const webhookSchema = new mongoose.Schema({
+  // Owner
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: { type: String, maxlength: 200 },
+
+  // Event types to deliver (e.g. 'MilestonePaid', 'ContractDisputed')
+  events: {
+    type: [String],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+
+  // Only deliver events for these contracts (empty = all contracts).
+  // Contract IDs are only unique per deployment, so each names its chain.
+  contracts: [{
+    _id: false,
+    chainId: { type: Number, required: true },
+    contractId: { type: Number, required: true }
+  }],
+
+  // Shared secret for signatures, only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ walletAddress: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Delivery Model
+ *
+ * One row per event sent to one webhook, with every attempt logged.
+ * Failed attempts are retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+
+  // Copied from the webhook so deliveries stay listable per owner
+  walletAddress: { type: String, required: true, lowercase: true },
+
+  eventType: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed },
+
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastStatusCode: { type: Number },
+  deliveredAt: { type: Date },
+
+  // Every HTTP attempt with its outcome
+  attemptLog: [{
+    _id: false,
+    attemptedAt: { type: Date },
+    statusCode: { type: Number },
+    durationMs: { type: Number },
+    error: { type: String }
+  }],
+
+  // Set when this delivery was created by replaying an earlier one
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
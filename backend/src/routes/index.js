@@ -1,28 +1,120 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { selectNetwork } = require('../middleware/network');
+const blockchainService = require('../services/blockchainService');
 const contractController = require('../controllers/contractController');
+const webhookController = require('../controllers/webhookController');
+const userController = require('../controllers/userController');
+const notificationController = require('../controllers/notificationController');
+const healthController = require('../controllers/healthController');
+const jobController = require('../controllers/jobController');
+const adminController = require('../controllers/adminController');
+const sessionController = require('../controllers/sessionController');
+const apiKeyController = require('../controllers/apiKeyController');
+const transactionController = require('../controllers/transactionController');
+const shareController = require('../controllers/shareController');
 
 // ===== Authentication Routes =====
 router.post('/auth/nonce', auth.generateNonce);
 router.post('/auth/verify', auth.verifySignature);
+router.post('/auth/refresh', auth.refreshToken);
+router.post('/auth/logout', auth.authenticate, auth.logout);
 
-// ===== Contract Routes =====
-router.get('/contracts', auth.authenticate, contractController.getUserContracts);
-router.get('/contracts/:contractId', auth.authenticate, contractController.getContract);
-router.post('/contracts/create', auth.authenticate, contractController.createContract);
-router.get('/contracts/:contractId/activity', auth.authenticate, contractController.getContractActivity);
+// ===== Session Routes =====
+router.get('/auth/sessions', auth.authenticate, sessionController.getSessions);
+router.delete('/auth/sessions', auth.authenticate, sessionController.revokeAllSessions);
+router.delete('/auth/sessions/:sessionId', auth.authenticate, sessionController.revokeSession);
+
+// ===== API Key Routes (wallet sessions only) =====
+router.get('/api-keys', auth.authenticate, apiKeyController.getApiKeys);
+router.post('/api-keys', auth.authenticate, apiKeyController.createApiKey);
+router.delete('/api-keys/:keyId', auth.authenticate, apiKeyController.revokeApiKey);
+
+// ===== User Settings Routes =====
+router.post('/users/me/role', auth.authenticate, userController.setRole);
+router.get('/users/me/credentials', auth.authenticate, auth.authorize('talent'), userController.getCredentials);
+router.post('/users/me/email', auth.authenticate, userController.updateEmail);
+router.post('/users/email/verify', userController.verifyEmail);
+router.patch('/users/me/notifications', auth.authenticate, userController.updateNotificationPreferences);
+
+// ===== Contract Routes (network: ?chainId= or X-Chain-Id header) =====
+// A single contract is only visible to its company, its talent and admins (auth.requireContractAccess)
+// Routes with auth.apiKeyScope also accept an X-API-Key holding that scope
+router.get('/contracts', auth.apiKeyScope('contracts:read'), auth.authenticate, selectNetwork, contractController.getUserContracts);
+router.get('/contracts/overdue-milestones', auth.apiKeyScope('contracts:read'), auth.authenticate, auth.authorize('company'), selectNetwork, contractController.getOverdueMilestones);
+router.get('/contracts/:contractId', auth.apiKeyScope('contracts:read'), auth.authenticate, selectNetwork, auth.requireContractAccess(), contractController.getContract);
+router.post('/contracts/create/prepare', auth.authenticate, auth.authorize('company'), selectNetwork, contractController.prepareCreateContract);
+router.post('/contracts/preview', auth.authenticate, auth.authorize('company'), selectNetwork, contractController.previewDraftContract);
+router.get('/contracts/:contractId/preview', auth.apiKeyScope('contracts:read'), auth.authenticate, selectNetwork, auth.requireContractAccess(), contractController.getContractPreview);
+router.get('/contracts/:contractId/activity', auth.apiKeyScope('activity:read'), auth.authenticate, selectNetwork, auth.requireContractAccess(), contractController.getContractActivity);
+
+// Read-only share links for non-parties (accountants, auditors); managed by the parties
+router.get('/contracts/:contractId/shares', auth.authenticate, selectNetwork, auth.requireContractAccess({ admins: false }), shareController.getShares);
+router.post('/contracts/:contractId/shares', auth.authenticate, selectNetwork, auth.requireContractAccess({ admins: false }), shareController.createShare);
+router.delete('/contracts/:contractId/shares/:shareId', auth.authenticate, selectNetwork, auth.requireContractAccess({ admins: false }), shareController.revokeShare);
+
+// Lifecycle: each returns an unsigned transaction for the caller's wallet (then POST /transactions/submit)
+router.post('/contracts/:contractId/accept/prepare', auth.authenticate, selectNetwork, contractController.prepareAcceptContract);
+router.post('/contracts/:contractId/milestones/:milestoneIndex/submit/prepare', auth.authenticate, selectNetwork, contractController.prepareSubmitMilestone);
+router.post('/contracts/:contractId/milestones/:milestoneIndex/approve/prepare', auth.authenticate, selectNetwork, contractController.prepareApproveMilestone);
+router.post('/contracts/:contractId/dispute/prepare', auth.authenticate, selectNetwork, contractController.prepareRaiseDispute);
+router.post('/contracts/:contractId/finalize/prepare', auth.authenticate, selectNetwork, contractController.prepareFinalizeContract);
+router.post('/contracts/:contractId/cancel/prepare', auth.authenticate, selectNetwork, contractController.prepareCancelContract);
+
+// ===== Shared Contracts (Public: the share link's token is the credential) =====
+router.get('/shared/:token', shareController.getSharedContract);
+
+// ===== Transaction Routes (signed by the user's wallet, relayed and watched by the backend) =====
+router.post('/transactions/submit', auth.authenticate, selectNetwork, transactionController.submitTransaction);
+router.post('/transactions/track', auth.authenticate, selectNetwork, transactionController.trackTransaction);
+router.get('/transactions/:hash', auth.authenticate, selectNetwork, transactionController.getTransaction);
+
+// ===== Job Board Routes (companies post, talent applies) =====
+router.get('/jobs', jobController.getJobs);
+router.post('/jobs', auth.apiKeyScope('jobs:manage'), auth.authenticate, auth.authorize('company'), jobController.createJob);
+router.get('/jobs/:jobId', auth.optionalAuth, jobController.getJob);
+router.post('/jobs/:jobId/apply', auth.apiKeyScope('jobs:manage'), auth.authenticate, auth.authorize('talent'), jobController.applyToJob);
+
+// ===== Notification Inbox Routes =====
+router.get('/notifications', auth.authenticate, notificationController.getNotifications);
+router.get('/notifications/unread-count', auth.authenticate, notificationController.getUnreadCount);
+router.post('/notifications/read-all', auth.authenticate, notificationController.markAllRead);
+router.post('/notifications/:notificationId/read', auth.authenticate, notificationController.markRead);
+
+// ===== Webhook Routes =====
+// Contract filters: contracts [{ chainId, contractId }], or contractIds on the selected network
+router.get('/webhooks', auth.apiKeyScope('webhooks:manage'), auth.authenticate, webhookController.getWebhooks);
+router.post('/webhooks', auth.apiKeyScope('webhooks:manage'), auth.authenticate, selectNetwork, webhookController.createWebhook);
+router.patch('/webhooks/:webhookId', auth.apiKeyScope('webhooks:manage'), auth.authenticate, selectNetwork, webhookController.updateWebhook);
+router.delete('/webhooks/:webhookId', auth.apiKeyScope('webhooks:manage'), auth.authenticate, webhookController.deleteWebhook);
+router.get('/webhooks/:webhookId/deliveries', auth.apiKeyScope('webhooks:manage'), auth.authenticate, webhookController.getDeliveries);
+router.post('/webhooks/deliveries/:deliveryId/replay', auth.apiKeyScope('webhooks:manage'), auth.authenticate, webhookController.replayDelivery);
+
+// ===== Admin Routes (ADMIN_WALLETS or contract owner; network: ?chainId= or X-Chain-Id) =====
+// Owner transactions are prepared for the owner wallet to sign, or sent with `execute: true`
+router.get('/admin/platform', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.getPlatform);
+router.post('/admin/platform/fee', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.setPlatformFee);
+router.post('/admin/platform/wallet', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.setPlatformWallet);
+router.post('/admin/issuers/authorize', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.authorizeIssuer);
+router.post('/admin/issuers/revoke', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.revokeIssuer);
+router.get('/admin/users', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.getUsers);
+router.get('/admin/disputes', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.getDisputes);
+router.get('/admin/revenue', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.getRevenue);
+router.get('/admin/audit-log', auth.authenticate, selectNetwork, auth.requireAdmin, adminController.getAuditLog);
 
 // ===== Platform Stats (Public) =====
-router.get('/stats', contractController.getPlatformStats);
+router.get('/stats', selectNetwork, contractController.getPlatformStats);
 
-// ===== Health Check =====
-router.get('/health', (req, res) => {
+// ===== Networks (Public) =====
+router.get('/networks', (req, res) => {
   res.json({
-    status: 'ok',
-    blockchain: blockchainService.isInitialized,
-    timestamp: new Date().toISOString()
+    defaultChainId: blockchainService.defaultChainId,
+    networks: blockchainService.listNetworks()
   });
 });
 
+// ===== Health Check (RPC endpoint status and head lag) =====
+router.get('/health', healthController.getHealth);
+
 module.exports = router;
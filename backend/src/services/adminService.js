@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const blockchainService = require('./blockchainService');
+const transactionWatcherService = require('./transactionWatcherService');
+
+// How long a contract's owner() is cached per network
+const OWNER_CACHE_MS = 60 * 1000;
+// Max platform fee, mirrors EmploymentContract.setPlatformFee
+const MAX_PLATFORM_FEE_PERCENT = 10;
+
+/**
+ * Error with a machine-readable code, returned to API clients as { error, code }
+ */
+class AdminActionError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'AdminActionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const validAddress = (address, field) => {
+  if (!address || !ethers.isAddress(address) || address === ethers.ZeroAddress) {
+    throw new AdminActionError('INVALID_PARAMS', `${field} must be a non-zero address`);
+  }
+  return ethers.getAddress(address);
+};
+
+/**
+ * Owner functions the admin API can call
+ * - contract: which deployment contract (and whose owner() must sign)
+ * - args: validates request params into function arguments
+ */
+const ACTIONS = {
+  setPlatformFee: {
+    contract: 'EmploymentContract',
+    args: ({ feePercent }) => {
+      if (!Number.isInteger(feePercent) || feePercent < 0 || feePercent > MAX_PLATFORM_FEE_PERCENT) {
+        throw new AdminActionError(
+          'INVALID_PARAMS',
+          `feePercent must be a whole number between 0 and ${MAX_PLATFORM_FEE_PERCENT}`
+        );
+      }
+      return [feePercent];
+    }
+  },
+  setPlatformWallet: {
+    contract: 'EmploymentContract',
+    args: ({ walletAddress }) => [validAddress(walletAddress, 'walletAddress')]
+  },
+  authorizeIssuer: {
+    contract: 'CredentialNFT',
+    args: ({ issuer }) => [validAddress(issuer, 'issuer')]
+  },
+  revokeIssuer: {
+    contract: 'CredentialNFT',
+    args: ({ issuer }) => [validAddress(issuer, 'issuer')]
+  }
+};
+
+/**
+ * Admin Service
+ *
+ * WEB3 CONCEPT: Contract Ownership
+ * - EmploymentContract and CredentialNFT are Ownable: only owner() can
+ *   change the platform fee, the fee wallet or the credential issuers
+ * - The API never asks for the owner's key: it prepares the transaction
+ *   for the owner wallet (often a multisig) to sign, or, if the backend's
+ *   platform wallet IS the owner, sends it itself
+ *
+ * Admins are wallets listed in ADMIN_WALLETS or the owner() of either
+ * contract on the selected network. Every action is written to AdminAuditLog.
+ */
+
+class AdminService {
+  constructor() {
+    this.configuredAdmins = new Set(
+      (process.env.ADMIN_WALLETS || '')
+        .split(',')
+        .map(address => address.trim().toLowerCase())
+        .filter(Boolean)
+    );
+
+    // chainId -> { owners, fetchedAt }
+    this.ownerCache = new Map();
+    this.supportedActions = Object.keys(ACTIONS);
+  }
+
+  /**
+   * owner() of each contract on a network (cached for OWNER_CACHE_MS)
+   */
+  async getOwners(chainId) {
+    const cached = this.ownerCache.get(chainId);
+    if (cached && Date.now() - cached.fetchedAt < OWNER_CACHE_MS) {
+      return cached.owners;
+    }
+
+    const { owners } = await blockchainService.getPlatformSettings(chainId);
+    this.ownerCache.set(chainId, { owners, fetchedAt: Date.now() });
+    return owners;
+  }
+
+  /**
+   * Is this wallet an admin on a network?
+   * @returns {Promise<'config'|'owner'|null>} how it qualifies, or null if it doesn't
+   */
+  async getAdminSource(walletAddress, chainId) {
+    if (this.configuredAdmins.has(walletAddress)) {
+      return 'config';
+    }
+
+    if (!blockchainService.hasNetwork(chainId)) {
+      return null;
+    }
+
+    try {
+      const owners = await this.getOwners(chainId);
+      return Object.values(owners).includes(walletAddress) ? 'owner' : null;
+    } catch (error) {
+      console.error('Error reading contract owners:', error.message);
+      return null;
+    }
+  }
+
+  async isAdmin(walletAddress, chainId) {
+    return (await this.getAdminSource(walletAddress, chainId)) !== null;
+  }
+
+  /**
+   * Prepare (default) or execute an owner transaction, and audit it
+   *
+   * @param {Object} options
+   * @param {string} options.action - One of supportedActions
+   * @param {Object} options.params - Request params (validated per action)
+   * @param {number} options.chainId
+   * @param {boolean} options.execute - Send with the platform wallet instead of preparing
+   * @param {Object} options.admin - { walletAddress, adminSource, ip, userAgent }
+   * @throws {AdminActionError}
+   */
+  async runAction({ action, params, chainId, execute, admin }) {
+    const definition = ACTIONS[action];
+    if (!definition) {
+      throw new AdminActionError('UNKNOWN_ACTION', `Unknown admin action ${action}`);
+    }
+
+    const audit = {
+      walletAddress: admin.walletAddress,
+      adminSource: admin.adminSource,
+      action,
+      chainId,
+      params,
+      ip: admin.ip,
+      userAgent: admin.userAgent
+    };
+
+    try {
+      const args = definition.args(params);
+      const network = blockchainService.getNetwork(chainId);
+      const contract = definition.contract === 'EmploymentContract'
+        ? network.employmentContract
+        : network.credentialContract;
+
+      const to = await contract.getAddress();
+      const data = contract.interface.encodeFunctionData(action, args);
+      const owner = (await this.getOwners(chainId))[definition.contract];
+      audit.transaction = { to, data };
+
+      if (!execute) {
+        // Simulated as the owner: reverts (e.g. "Fee too high") surface here
+        const transaction = await blockchainService.prepareTransaction({ from: owner, to, data }, chainId);
+        const record = await transactionWatcherService.recordPrepared(transaction, {
+          walletAddress: admin.walletAddress,
+          action
+        });
+
+        await AdminAuditLog.create({ ...audit, status: 'prepared' });
+        return { status: 'prepared', owner, transaction, transactionId: record._id };
+      }
+
+      const signer = blockchainService.getSigner(chainId);
+      if (!signer) {
+        throw new AdminActionError('SIGNER_UNAVAILABLE', 'PLATFORM_PRIVATE_KEY is not configured, prepare the transaction instead', 409);
+      }
+      if (signer.address.toLowerCase() !== owner) {
+        throw new AdminActionError(
+          'SIGNER_NOT_OWNER',
+          `The platform wallet is not the ${definition.contract} owner (${owner}), prepare the transaction instead`,
+          409
+        );
+      }
+
+      // Sent, not yet mined: its outcome is followed like any other transaction
+      const tx = await blockchainService.sendPlatformTransaction({ to, data }, chainId);
+      const record = await transactionWatcherService.recordSubmitted(tx, {
+        walletAddress: admin.walletAddress,
+        chainId,
+        action
+      });
+
+      await AdminAuditLog.create({
+        ...audit,
+        status: 'executed',
+        transaction: { ...audit.transaction, hash: tx.hash }
+      });
+      console.log(`🛡️  Admin ${admin.walletAddress} executed ${action} on chain ${chainId}:`, tx.hash);
+
+      return { status: 'executed', owner, transactionHash: tx.hash, transactionId: record._id };
+    } catch (error) {
+      const failure = error instanceof AdminActionError
+        ? error
+        : new AdminActionError(
+          error.code === 'CALL_EXCEPTION' ? 'TRANSACTION_REVERTED' : 'TRANSACTION_FAILED',
+          error.reason || error.shortMessage || error.message,
+          error.code === 'CALL_EXCEPTION' ? 400 : 502
+        );
+
+      await AdminAuditLog.create({ ...audit, status: 'failed', error: failure.message });
+      throw failure;
+    }
+  }
+}
+
+// Singleton instance
+const adminService = new AdminService();
+
+module.exports = adminService;
+module.exports.AdminActionError = AdminActionError;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+const KEY_PREFIX = 'hrk_';
+// Active keys one wallet can hold
+const MAX_KEYS_PER_WALLET = 20;
+// lastUsedAt is written at most this often per key (not on every request)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Error with a machine-readable code, returned to API clients as { error, code }
+ */
+class ApiKeyError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * API Key Service
+ *
+ * Keys look like `hrk_<43 random chars>` and are sent in the X-API-Key
+ * header. Routes opt in to API keys with the scope they need (see
+ * auth.apiKeyScope); every other route only accepts wallet sessions.
+ */
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = ApiKey.SCOPES;
+  }
+
+  /**
+   * Create a key for a wallet
+   * @returns {Promise<{ apiKey, key }>} key is the secret, only available here
+   * @throws {ApiKeyError} TOO_MANY_KEYS
+   */
+  async createKey(walletAddress, { name, scopes, expiresAt = null }) {
+    const activeKeys = await ApiKey.countDocuments({
+      walletAddress,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (activeKeys >= MAX_KEYS_PER_WALLET) {
+      throw new ApiKeyError(
+        'TOO_MANY_KEYS',
+        `A wallet can have at most ${MAX_KEYS_PER_WALLET} active API keys, revoke one first`,
+        409
+      );
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      walletAddress,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Look up a key and its owner
+   * @returns {Promise<{ apiKey, user }|null>} null if unknown, revoked or expired
+   */
+  async verifyKey(key, ip) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+
+    const user = await User.findOne({ walletAddress: apiKey.walletAddress });
+    if (!user) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+        .catch(error => console.error('Error updating API key usage:', error.message));
+    }
+
+    return { apiKey, user };
+  }
+
+  async listKeys(walletAddress) {
+    return ApiKey.find({ walletAddress }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a wallet's keys
+   * @returns {Promise<boolean>} false if the wallet has no such active key
+   */
+  async revokeKey(walletAddress, keyId) {
+    const result = await ApiKey.updateOne(
+      { _id: keyId, walletAddress, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.ApiKeyError = ApiKeyError;
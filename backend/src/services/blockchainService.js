@@ -1,5 +1,24 @@
 const { ethers } = require('ethers');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const ResilientProvider = require('./resilientProvider');
+
+// Multicall3 is deployed at the same address on most public chains;
+// local networks get their own copy from deploy.js (see the manifest)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+// Calls per aggregate3 request (keeps each eth_call within node gas limits)
+const MULTICALL_BATCH_SIZE = parseInt(process.env.MULTICALL_BATCH_SIZE, 10) || 200;
+
+// Contract wallet signatures (EIP-1271) and undeployed contract wallets (EIP-6492)
+const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+];
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC6492_SUFFIX = '0x' + '6492'.repeat(16);
 
 /**
  * Blockchain Service
@@ -18,20 +37,56 @@ const EventEmitter = require('events');
 class BlockchainService extends EventEmitter {
   constructor() {
     super();
+    this.networks = new Map(); // chainId -> { name, provider, employmentContract, ... }
+    this.defaultChainId = null;
+
+    // Default network, kept for code that doesn't pick a chain
     this.provider = null;
     this.signer = null;
     this.employmentContract = null;
     this.credentialContract = null;
+    this.chainId = null;
     this.isInitialized = false;
+
+    // ValidateSigOffchain factory, loaded on first EIP-6492 signature
+    this.sigValidatorFactory = null;
   }
 
   /**
-   * Initialize blockchain connection
+   * Initialize blockchain connections
+   *
+   * WEB3 CONCEPT: Same Contracts, Many Chains
+   * - The same contracts can be deployed to several networks (local, testnet, mainnet)
+   * - Each deployment has its own addresses, RPC endpoint and chainId
+   * - We connect to every configured deployment and key everything by chainId
    */
   async initialize() {
     try {
-      // Create provider (read-only connection)
-      this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+      const configs = this.loadNetworkConfigs();
+
+      for (const config of configs) {
+        const network = await this.connectNetwork(config);
+
+        if (this.networks.has(network.chainId)) {
+          throw new Error(`Two deployments configured for chainId ${network.chainId}`);
+        }
+        this.networks.set(network.chainId, network);
+
+        console.log('⛓️  Connected to blockchain:', network.name, `(chainId ${network.chainId})`);
+        console.log('   📄 Employment Contract:', network.addresses.EmploymentContract);
+        console.log('   🎖️  Credential Contract:', network.addresses.CredentialNFT);
+      }
+
+      this.defaultChainId = process.env.DEFAULT_CHAIN_ID
+        ? Number(process.env.DEFAULT_CHAIN_ID)
+        : this.networks.keys().next().value;
+
+      const defaultNetwork = this.getNetwork(this.defaultChainId);
+      this.provider = defaultNetwork.provider;
+      this.employmentContract = defaultNetwork.employmentContract;
+      this.credentialContract = defaultNetwork.credentialContract;
+      this.chainId = defaultNetwork.chainId;
+      console.log('⭐ Default network:', defaultNetwork.name, `(chainId ${this.chainId})`);
 
       // Create signer (can write transactions)
       if (process.env.PLATFORM_PRIVATE_KEY) {
@@ -42,29 +97,6 @@ class BlockchainService extends EventEmitter {
         console.log('🔑 Platform wallet:', this.signer.address);
       }
 
-      // Load contract ABIs
-      const employmentABI = require('../../contracts/EmploymentContract.json');
-      const credentialABI = require('../../contracts/CredentialNFT.json');
-
-      // Create contract instances
-      this.employmentContract = new ethers.Contract(
-        process.env.EMPLOYMENT_CONTRACT_ADDRESS,
-        employmentABI.abi,
-        this.provider
-      );
-
-      this.credentialContract = new ethers.Contract(
-        process.env.CREDENTIAL_NFT_ADDRESS,
-        credentialABI.abi,
-        this.provider
-      );
-
-      // Verify connection
-      const network = await this.provider.getNetwork();
-      console.log('⛓️  Connected to blockchain:', network.name);
-      console.log('📄 Employment Contract:', process.env.EMPLOYMENT_CONTRACT_ADDRESS);
-      console.log('🎖️  Credential Contract:', process.env.CREDENTIAL_NFT_ADDRESS);
-
       this.isInitialized = true;
       return true;
     } catch (error) {
@@ -73,65 +105,376 @@ class BlockchainService extends EventEmitter {
     }
   }
 
+  /**
+   * Read network settings
+   *
+   * DEPLOYMENT_MANIFESTS lists manifests written by contracts/scripts/deploy.js
+   * (comma-separated paths). Each network's RPC endpoints come from
+   * RPC_URL_<NETWORK> (e.g. RPC_URL_SEPOLIA), falling back to RPC_URL.
+   *
+   * Without manifests, the single network from RPC_URL,
+   * EMPLOYMENT_CONTRACT_ADDRESS and CREDENTIAL_NFT_ADDRESS is used.
+   */
+  loadNetworkConfigs() {
+    const manifests = (process.env.DEPLOYMENT_MANIFESTS || '')
+      .split(',')
+      .map(file => file.trim())
+      .filter(Boolean);
+
+    if (manifests.length === 0) {
+      const name = process.env.BLOCKCHAIN_NETWORK || 'default';
+
+      return [{
+        name,
+        rpcEndpoints: this.rpcEndpoints(name),
+        addresses: {
+          EmploymentContract: process.env.EMPLOYMENT_CONTRACT_ADDRESS,
+          CredentialNFT: process.env.CREDENTIAL_NFT_ADDRESS,
+          Multicall3: process.env.MULTICALL3_ADDRESS
+        }
+      }];
+    }
+
+    return manifests.map(file => {
+      const manifest = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+      return {
+        name: manifest.network,
+        chainId: manifest.chainId,
+        rpcEndpoints: this.rpcEndpoints(manifest.network),
+        addresses: manifest.contracts,
+        deploymentBlock: manifest.deploymentBlock
+      };
+    });
+  }
+
+  /**
+   * Per-network env setting: <KEY>_<NETWORK> wins over <KEY>
+   * e.g. networkSetting('sepolia', 'CONFIRMATION_DEPTH') reads CONFIRMATION_DEPTH_SEPOLIA
+   */
+  networkSetting(networkName, key) {
+    const suffix = String(networkName).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return process.env[`${key}_${suffix}`] ?? process.env[key];
+  }
+
+  /**
+   * RPC endpoints of a network, in failover order
+   *
+   * RPC_URL is a comma-separated list; RPC_WEIGHTS optionally gives each
+   * endpoint a weight (default 1, higher is preferred):
+   *   RPC_URL_SEPOLIA=https://eth-sepolia.g.alchemy.com/v2/KEY,https://rpc.sepolia.org
+   *   RPC_WEIGHTS_SEPOLIA=10,1
+   */
+  rpcEndpoints(networkName) {
+    const urls = (this.networkSetting(networkName, 'RPC_URL') || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    const weights = (this.networkSetting(networkName, 'RPC_WEIGHTS') || '')
+      .split(',')
+      .map(weight => parseFloat(weight));
+
+    return urls.map((url, i) => ({ url, weight: weights[i] > 0 ? weights[i] : 1 }));
+  }
+
+  /**
+   * Connect to one deployment and check the RPC endpoints serve the chain it was deployed to
+   */
+  async connectNetwork(config) {
+    if (config.rpcEndpoints.length === 0) {
+      throw new Error(`No RPC URL configured for network ${config.name}`);
+    }
+
+    // Load contract ABIs (same for every network; addresses come from the deployment)
+    const employmentABI = require('../../contracts/EmploymentContract.json');
+    const credentialABI = require('../../contracts/CredentialNFT.json');
+
+    // Create provider (read-only connection, fails over between endpoints)
+    const chainId = config.chainId !== undefined
+      ? Number(config.chainId)
+      : await ResilientProvider.detectChainId(config.rpcEndpoints.map(endpoint => endpoint.url));
+    const provider = new ResilientProvider(config.rpcEndpoints, chainId);
+
+    const reachable = await provider.verifyEndpoints();
+    if (reachable === 0) {
+      provider.destroy();
+      throw new Error(`No RPC endpoint reachable for network ${config.name}`);
+    }
+    console.log(`🛰️  ${config.name}: ${reachable}/${config.rpcEndpoints.length} RPC endpoints reachable`);
+
+    // Batched reads go through Multicall3 where the chain has it
+    const multicallAddress = config.addresses.Multicall3 || MULTICALL3_ADDRESS;
+    const hasMulticall = (await provider.getCode(multicallAddress)) !== '0x';
+    if (!hasMulticall) {
+      console.log(`   ℹ️  No Multicall3 on ${config.name}, reads go out as one request per call`);
+    }
+
+    return {
+      name: config.name,
+      chainId,
+      provider,
+      addresses: config.addresses,
+      deploymentBlock: config.deploymentBlock,
+      multicall: hasMulticall ? new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider) : null,
+      employmentContract: new ethers.Contract(config.addresses.EmploymentContract, employmentABI.abi, provider),
+      credentialContract: new ethers.Contract(config.addresses.CredentialNFT, credentialABI.abi, provider)
+    };
+  }
+
+  /**
+   * Get a connected network (default network if chainId is omitted)
+   */
+  getNetwork(chainId) {
+    const id = chainId === undefined || chainId === null ? this.defaultChainId : Number(chainId);
+    const network = this.networks.get(id);
+
+    if (!network) {
+      throw new Error(`Network ${id} is not configured`);
+    }
+
+    return network;
+  }
+
+  hasNetwork(chainId) {
+    return this.networks.has(Number(chainId));
+  }
+
+  getChainIds() {
+    return [...this.networks.keys()];
+  }
+
+  /**
+   * Public description of the configured networks
+   */
+  listNetworks() {
+    return [...this.networks.values()].map(network => ({
+      chainId: network.chainId,
+      name: network.name,
+      contracts: network.addresses,
+      deploymentBlock: network.deploymentBlock,
+      isDefault: network.chainId === this.defaultChainId
+    }));
+  }
+
+  /**
+   * RPC health of every network (see ResilientProvider.getStatus)
+   * headAgeSeconds: how long ago the best head block was produced
+   */
+  async getNetworkStatus() {
+    return Promise.all([...this.networks.values()].map(async (network) => {
+      const status = await network.provider.getStatus();
+      let headAgeSeconds = null;
+
+      if (status.headBlock !== null) {
+        try {
+          const block = await network.provider.getBlock(status.headBlock);
+          headAgeSeconds = Math.max(0, Math.floor(Date.now() / 1000) - block.timestamp);
+        } catch (error) {
+          console.error(`Error fetching head block on ${network.name}:`, error.message);
+        }
+      }
+
+      return {
+        chainId: network.chainId,
+        name: network.name,
+        isDefault: network.chainId === this.defaultChainId,
+        headAgeSeconds,
+        ...status
+      };
+    }));
+  }
+
   /**
    * Get contract instance with signer (for writing)
    */
-  getEmploymentContractWithSigner(signerOrProvider) {
-    return this.employmentContract.connect(signerOrProvider || this.signer);
+  getEmploymentContractWithSigner(signerOrProvider, chainId) {
+    return this.getNetwork(chainId).employmentContract.connect(signerOrProvider || this.signer);
   }
 
-  getCredentialContractWithSigner(signerOrProvider) {
-    return this.credentialContract.connect(signerOrProvider || this.signer);
+  getCredentialContractWithSigner(signerOrProvider, chainId) {
+    return this.getNetwork(chainId).credentialContract.connect(signerOrProvider || this.signer);
+  }
+
+  /**
+   * Platform wallet (PLATFORM_PRIVATE_KEY) connected to a network, or null if not configured
+   */
+  getSigner(chainId) {
+    return this.signer ? this.signer.connect(this.getNetwork(chainId).provider) : null;
   }
 
   // ===== READ FUNCTIONS (Free - No Gas) =====
 
   /**
    * Get contract details from blockchain
+   * Read functions take an optional chainId (default network if omitted)
    */
-  async getContract(contractId) {
+  async getContract(contractId, chainId) {
     try {
-      const contract = await this.employmentContract.getContract(contractId);
-      return {
-        id: Number(contract.id),
-        company: contract.company,
-        talent: contract.talent,
-        jobTitle: contract.jobTitle,
-        totalAmount: contract.totalAmount.toString(),
-        status: Number(contract.status),
-        milestoneCount: Number(contract.milestoneCount)
-      };
+      const contract = await this.getNetwork(chainId).employmentContract.getContract(contractId);
+      return this.formatContract(contract);
     } catch (error) {
       console.error('Error fetching contract:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get everything we know about a contract: the getContract summary, the
+   * extra fields from the public `contracts` mapping (dates, metadata,
+   * finalize approvals) and all milestones
+   */
+  async getContractDetails(contractId, chainId) {
+    const [details] = await this.getContractsWithMilestones([contractId], chainId);
+    return details;
+  }
+
+  /**
+   * Full details (as getContractDetails) of many contracts in two batched reads:
+   * every summary first, then every milestone of every contract
+   * Unknown IDs come back as an empty contract (id 0, no milestones).
+   */
+  async getContractsWithMilestones(contractIds, chainId) {
+    try {
+      const { employmentContract } = this.getNetwork(chainId);
+
+      const reads = await this.multicall(contractIds.flatMap(contractId => [
+        { contract: employmentContract, method: 'getContract', args: [contractId] },
+        { contract: employmentContract, method: 'contracts', args: [contractId] }
+      ]), chainId);
+
+      const contracts = contractIds.map((contractId, i) => {
+        const [summary, record] = [reads[i * 2], reads[i * 2 + 1]];
+        if (!summary.success || !record.success) {
+          throw new Error(`Failed to read contract ${contractId}`);
+        }
+
+        return {
+          ...this.formatContract(summary.result),
+          ipfsMetadata: record.result.ipfsMetadata,
+          startDate: Number(record.result.startDate),
+          endDate: Number(record.result.endDate),
+          createdAt: Number(record.result.createdAt),
+          companyApproved: record.result.companyApproved,
+          talentApproved: record.result.talentApproved
+        };
+      });
+
+      const milestoneReads = await this.multicall(contracts.flatMap((contract, i) =>
+        Array.from({ length: contract.milestoneCount }, (_, index) => ({
+          contract: employmentContract,
+          method: 'getMilestone',
+          args: [contractIds[i], index]
+        }))
+      ), chainId);
+
+      let next = 0;
+      return contracts.map(contract => ({
+        ...contract,
+        milestones: Array.from({ length: contract.milestoneCount }, (_, index) => {
+          const read = milestoneReads[next++];
+          if (!read.success) {
+            throw new Error(`Failed to read milestone ${index} of contract ${contract.id}`);
+          }
+          return this.formatMilestone(read.result);
+        })
+      }));
+    } catch (error) {
+      console.error('Error fetching contract details:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get milestone details
    */
-  async getMilestone(contractId, milestoneIndex) {
+  async getMilestone(contractId, milestoneIndex, chainId) {
     try {
-      const milestone = await this.employmentContract.getMilestone(contractId, milestoneIndex);
-      return {
-        description: milestone.description,
-        amount: milestone.amount.toString(),
-        deadline: Number(milestone.deadline),
-        status: Number(milestone.status),
-        ipfsHash: milestone.ipfsHash
-      };
+      const milestone = await this.getNetwork(chainId).employmentContract.getMilestone(contractId, milestoneIndex);
+      return this.formatMilestone(milestone);
     } catch (error) {
       console.error('Error fetching milestone:', error.message);
       throw error;
     }
   }
 
+  formatContract(contract) {
+    return {
+      id: Number(contract.id),
+      company: contract.company,
+      talent: contract.talent,
+      jobTitle: contract.jobTitle,
+      totalAmount: contract.totalAmount.toString(),
+      status: Number(contract.status),
+      milestoneCount: Number(contract.milestoneCount)
+    };
+  }
+
+  formatMilestone(milestone) {
+    return {
+      description: milestone.description,
+      amount: milestone.amount.toString(),
+      deadline: Number(milestone.deadline),
+      status: Number(milestone.status),
+      ipfsHash: milestone.ipfsHash
+    };
+  }
+
+  /**
+   * Run many view calls in as few round trips as possible
+   *
+   * WEB3 CONCEPT: Multicall
+   * - Each eth_call is one round trip to the RPC node
+   * - Multicall3's aggregate3 runs a whole list of calls inside ONE eth_call
+   * - Chains without Multicall3 fall back to concurrent eth_calls, one
+   *   request per call (ResilientProvider sends each request on its own)
+   *
+   * @param {Array<{ contract, method, args }>} calls - ethers Contract, function name, arguments
+   * @returns {Promise<Array<{ success, result }>>} decoded results in call order
+   *   (success is false if that call reverted)
+   */
+  async multicall(calls, chainId) {
+    if (calls.length === 0) return [];
+
+    const network = this.getNetwork(chainId);
+
+    if (!network.multicall) {
+      return Promise.all(calls.map(async ({ contract, method, args }) => {
+        try {
+          return { success: true, result: await contract.getFunction(method).staticCallResult(...args) };
+        } catch (error) {
+          if (error.code !== 'CALL_EXCEPTION') throw error;
+          return { success: false, result: null };
+        }
+      }));
+    }
+
+    const batches = [];
+    for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+      batches.push(calls.slice(i, i + MULTICALL_BATCH_SIZE));
+    }
+
+    const results = await Promise.all(batches.map(async (batch) => {
+      const returnData = await network.multicall.aggregate3.staticCall(batch.map(({ contract, method, args }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args)
+      })));
+
+      return returnData.map(({ success, returnData: data }, i) => ({
+        success,
+        result: success ? batch[i].contract.interface.decodeFunctionResult(batch[i].method, data) : null
+      }));
+    }));
+
+    return results.flat();
+  }
+
   /**
    * Get all contracts for an address
    */
-  async getCompanyContracts(companyAddress) {
+  async getCompanyContracts(companyAddress, chainId) {
     try {
-      const contractIds = await this.employmentContract.getCompanyContracts(companyAddress);
+      const contractIds = await this.getNetwork(chainId).employmentContract.getCompanyContracts(companyAddress);
       return contractIds.map(id => Number(id));
     } catch (error) {
       console.error('Error fetching company contracts:', error.message);
@@ -139,9 +482,9 @@ class BlockchainService extends EventEmitter {
     }
   }
 
-  async getTalentContracts(talentAddress) {
+  async getTalentContracts(talentAddress, chainId) {
     try {
-      const contractIds = await this.employmentContract.getTalentContracts(talentAddress);
+      const contractIds = await this.getNetwork(chainId).employmentContract.getTalentContracts(talentAddress);
       return contractIds.map(id => Number(id));
     } catch (error) {
       console.error('Error fetching talent contracts:', error.message);
@@ -152,9 +495,9 @@ class BlockchainService extends EventEmitter {
   /**
    * Get talent's credentials
    */
-  async getTalentCredentials(talentAddress) {
+  async getTalentCredentials(talentAddress, chainId) {
     try {
-      const tokenIds = await this.credentialContract.getTalentCredentials(talentAddress);
+      const tokenIds = await this.getNetwork(chainId).credentialContract.getTalentCredentials(talentAddress);
       return tokenIds.map(id => Number(id));
     } catch (error) {
       console.error('Error fetching credentials:', error.message);
@@ -162,9 +505,9 @@ class BlockchainService extends EventEmitter {
     }
   }
 
-  async getCredential(tokenId) {
+  async getCredential(tokenId, chainId) {
     try {
-      const cred = await this.credentialContract.getCredential(tokenId);
+      const cred = await this.getNetwork(chainId).credentialContract.getCredential(tokenId);
       return {
         issuer: cred.issuer,
         recipient: cred.recipient,
@@ -179,114 +522,73 @@ class BlockchainService extends EventEmitter {
     }
   }
 
-  // ===== WRITE FUNCTIONS (Cost Gas - Need Signer) =====
-
   /**
-   * Create employment contract on-chain
-   * NOTE: This returns transaction, caller must wait for mining
+   * Owner-controlled settings of a deployment
+   * @returns {Promise<{ platformFeePercent, platformWallet, owners: { EmploymentContract, CredentialNFT } }>}
    */
-  async createEmploymentContract(params, signerPrivateKey) {
-    try {
-      // Create wallet from private key
-      const wallet = new ethers.Wallet(signerPrivateKey, this.provider);
-      const contract = this.getEmploymentContractWithSigner(wallet);
-
-      // Estimate gas
-      const gasEstimate = await contract.createContract.estimateGas(
-        params.talent,
-        params.jobTitle,
-        params.ipfsMetadata,
-        params.startDate,
-        params.endDate,
-        params.milestoneDescriptions,
-        params.milestoneAmounts,
-        params.milestoneDeadlines,
-        { value: params.totalAmount }
-      );
-
-      console.log('⛽ Estimated gas:', gasEstimate.toString());
-
-      // Send transaction
-      const tx = await contract.createContract(
-        params.talent,
-        params.jobTitle,
-        params.ipfsMetadata,
-        params.startDate,
-        params.endDate,
-        params.milestoneDescriptions,
-        params.milestoneAmounts,
-        params.milestoneDeadlines,
-        {
-          value: params.totalAmount,
-          gasLimit: gasEstimate * 120n / 100n // 20% buffer
-        }
-      );
-
-      console.log('📤 Transaction sent:', tx.hash);
-
-      // Wait for mining
-      const receipt = await tx.wait();
-      console.log('✅ Transaction mined in block:', receipt.blockNumber);
-
-      // Extract contract ID from event
-      const event = receipt.logs.find(
-        log => log.topics[0] === ethers.id('ContractCreated(uint256,address,address,uint256)')
-      );
-
-      if (event) {
-        const contractId = Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], event.topics[1])[0]);
-        return {
-          contractId,
-          transactionHash: receipt.hash,
-          blockNumber: receipt.blockNumber
-        };
+  async getPlatformSettings(chainId) {
+    const { employmentContract, credentialContract } = this.getNetwork(chainId);
+
+    const [platformFeePercent, platformWallet, employmentOwner, credentialOwner] = await Promise.all([
+      employmentContract.platformFeePercent(),
+      employmentContract.platformWallet(),
+      employmentContract.owner(),
+      credentialContract.owner()
+    ]);
+
+    return {
+      platformFeePercent: Number(platformFeePercent),
+      platformWallet: platformWallet.toLowerCase(),
+      owners: {
+        EmploymentContract: employmentOwner.toLowerCase(),
+        CredentialNFT: credentialOwner.toLowerCase()
       }
-
-      throw new Error('ContractCreated event not found');
-    } catch (error) {
-      console.error('Error creating contract:', error.message);
-      throw error;
-    }
+    };
   }
 
+  // ===== WRITE FUNCTIONS (Cost Gas - Need Signer) =====
+
   /**
-   * Issue a credential NFT
+   * Build an unsigned transaction for a wallet to sign
+   *
+   * WEB3 CONCEPT: Prepare, Don't Sign
+   * - The backend never holds the user's key
+   * - It simulates the call as the sender (reverts surface here, before
+   *   anyone pays gas), estimates gas and returns the transaction fields
+   * - The wallet (MetaMask, Safe...) signs and broadcasts it
+   *
+   * @throws {Error} CALL_EXCEPTION if the call would revert (error.reason has the message)
    */
-  async issueCredential(params, signerPrivateKey) {
-    try {
-      const wallet = new ethers.Wallet(signerPrivateKey, this.provider);
-      const contract = this.getCredentialContractWithSigner(wallet);
-
-      const tx = await contract.issueCredential(
-        params.recipient,
-        params.skillName,
-        params.credentialType,
-        params.tokenURI
-      );
-
-      console.log('📤 Credential issuance tx:', tx.hash);
+  async prepareTransaction({ from, to, data, value = 0n }, chainId) {
+    const network = this.getNetwork(chainId);
+    const gasEstimate = await network.provider.estimateGas({ from, to, data, value });
+
+    return {
+      chainId: network.chainId,
+      from,
+      to,
+      data,
+      value: value.toString(),
+      gasLimit: (gasEstimate * 120n / 100n).toString() // 20% buffer
+    };
+  }
 
-      const receipt = await tx.wait();
+  /**
+   * Send a transaction from the platform wallet
+   * Returns once the node accepted it; follow it with transactionWatcherService.
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async sendPlatformTransaction({ to, data, value = 0n }, chainId) {
+    const signer = this.getSigner(chainId);
 
-      // Extract token ID from event
-      const event = receipt.logs.find(
-        log => log.topics[0] === ethers.id('CredentialIssued(uint256,address,address,string)')
-      );
+    if (!signer) {
+      throw new Error('PLATFORM_PRIVATE_KEY is not configured');
+    }
 
-      if (event) {
-        const tokenId = Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], event.topics[1])[0]);
-        return {
-          tokenId,
-          transactionHash: receipt.hash,
-          blockNumber: receipt.blockNumber
-        };
-      }
+    const tx = await signer.sendTransaction({ to, data, value });
+    console.log('📤 Transaction sent:', tx.hash);
 
-      throw new Error('CredentialIssued event not found');
-    } catch (error) {
-      console.error('Error issuing credential:', error.message);
-      throw error;
-    }
+    return tx;
   }
 
   // ===== UTILITY FUNCTIONS =====
@@ -297,17 +599,100 @@ class BlockchainService extends EventEmitter {
    * - User signs a message with their private key
    * - Server verifies signature matches claimed address
    * - No password needed!
+   *
+   * Contract wallets (Safe, multisigs) have no private key. Following
+   * EIP-6492's order:
+   * 1. Signature ends with the EIP-6492 suffix: a wallet that may not be
+   *    deployed yet; checked by eth_calling ValidateSigOffchain, which
+   *    simulates the deployment and asks the wallet (nothing is deployed)
+   * 2. Address has code: ask the wallet via isValidSignature (EIP-1271)
+   * 3. Otherwise an EOA: recover the signer with ecrecover
+   *
+   * @param {number} chainId - Chain the wallet lives on (contract wallets are
+   *   per chain); EOAs are verified even if it isn't connected
+   * @returns {Promise<boolean>}
    */
-  verifySignature(message, signature, expectedAddress) {
+  async verifySignature(message, signature, expectedAddress, chainId) {
     try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
+      const hash = ethers.hashMessage(message);
+      const network = this.hasNetwork(chainId ?? this.defaultChainId) ? this.getNetwork(chainId) : null;
+
+      if (ethers.dataLength(signature) > 32 && ethers.dataSlice(signature, -32) === ERC6492_SUFFIX) {
+        if (!network) return false;
+        return await this.verifyErc6492Signature(network, hash, signature, expectedAddress);
+      }
+
+      if (network && (await network.provider.getCode(expectedAddress)) !== '0x') {
+        return await this.verifyErc1271Signature(network, hash, signature, expectedAddress);
+      }
+
+      const recoveredAddress = ethers.recoverAddress(hash, signature);
       return recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
     } catch (error) {
-      console.error('Signature verification failed:', error.message);
+      console.error('Signature verification failed:', error.shortMessage || error.message);
       return false;
     }
   }
 
+  /**
+   * Ask a deployed contract wallet whether it signed a hash (EIP-1271)
+   */
+  async verifyErc1271Signature(network, hash, signature, walletAddress) {
+    const wallet = new ethers.Contract(walletAddress, ERC1271_ABI, network.provider);
+    return (await wallet.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+  }
+
+  /**
+   * Verify an EIP-6492 signature without deploying anything: eth_call the
+   * creation code of ValidateSigOffchain, which returns 0x01 if valid
+   * (copied to backend/contracts by deploy.js)
+   */
+  async verifyErc6492Signature(network, hash, signature, walletAddress) {
+    if (!this.sigValidatorFactory) {
+      const { abi, bytecode } = require('../../contracts/ValidateSigOffchain.json');
+      this.sigValidatorFactory = new ethers.ContractFactory(abi, bytecode);
+    }
+
+    const { data } = await this.sigValidatorFactory.getDeployTransaction(walletAddress, hash, signature);
+    return (await network.provider.call({ data })) === '0x01';
+  }
+
+  /**
+   * Human-readable reason of a reverted call or estimate
+   *
+   * WEB3 CONCEPT: Revert Data
+   * - require(cond, "message") reverts with Error(string): ethers decodes it
+   *   into error.reason ("Cannot dispute in current status")
+   * - Custom errors (e.g. OpenZeppelin's OwnableUnauthorizedAccount) are
+   *   only a selector plus arguments: decoded with the contracts' ABIs
+   *
+   * @returns {string|null} null if the error carries no revert data we know
+   */
+  decodeRevertReason(error, chainId) {
+    if (error.reason) {
+      return error.reason;
+    }
+
+    const data = error.data || error.info?.error?.data;
+    if (typeof data !== 'string' || data === '0x') {
+      return null;
+    }
+
+    const { employmentContract, credentialContract } = this.getNetwork(chainId);
+    try {
+      for (const contract of [employmentContract, credentialContract]) {
+        const parsed = contract.interface.parseError(data);
+        if (parsed) {
+          return `${parsed.name}(${parsed.args.map(arg => arg.toString()).join(', ')})`;
+        }
+      }
+    } catch (error) {
+      // Malformed revert data
+    }
+
+    return null;
+  }
+
   /**
    * Format ether amounts
    */
@@ -0,0 +1,170 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const ContractShare = require('../models/ContractShare');
+const blockchainService = require('./blockchainService');
+const contractProjectionService = require('./contractProjectionService');
+const adminService = require('./adminService');
+
+// Share tokens are signed with JWT_SECRET but only valid for this audience,
+// so they can't be used as access tokens (and access tokens can't be used as links)
+const SHARE_AUDIENCE = 'contract-share';
+// Active links one contract can have
+const MAX_SHARES_PER_CONTRACT = 20;
+// lastViewedAt is written at most this often per link
+const LAST_VIEWED_RESOLUTION_MS = 60 * 1000;
+
+class ContractAccessError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ContractAccessError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Contract Access Service
+ *
+ * WEB3 CONCEPT: Public Chain, Private App
+ * - Anyone can read a contract's storage on chain, but only by knowing
+ *   where to look and decoding it; the API serves it decoded, with the
+ *   job title, amounts and full history in one call
+ * - So the API only shows a contract to its company, its talent and
+ *   platform admins
+ * - A party can share one contract read-only with someone else through an
+ *   expiring signed link, and revoke it at any time
+ */
+
+class ContractAccessService {
+  /**
+   * How a wallet may see a contract
+   * @returns {Promise<{ contract, role }>} contract is null if it doesn't exist;
+   *   role is 'company', 'talent', 'admin' or null (no access)
+   */
+  async getAccess(walletAddress, contractId, chainId) {
+    const contract = await contractProjectionService.getContract(contractId, { chainId });
+
+    if (!contract) {
+      return { contract: null, role: null };
+    }
+    if (contract.company === walletAddress) {
+      return { contract, role: 'company' };
+    }
+    if (contract.talent === walletAddress) {
+      return { contract, role: 'talent' };
+    }
+    if (await adminService.isAdmin(walletAddress, chainId)) {
+      return { contract, role: 'admin' };
+    }
+
+    return { contract, role: null };
+  }
+
+  /**
+   * Create a read-only link to a contract
+   * @param {ContractProjection} contract
+   * @param {string} walletAddress - Party creating it
+   * @param {Object} options - { label, expiresAt }
+   * @returns {Promise<{ share, token }>} token is only available here
+   * @throws {ContractAccessError} TOO_MANY_SHARES
+   */
+  async createShare(contract, walletAddress, { label, expiresAt }) {
+    const { chainId, contractId } = contract;
+
+    const activeShares = await ContractShare.countDocuments({
+      chainId,
+      contractId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeShares >= MAX_SHARES_PER_CONTRACT) {
+      throw new ContractAccessError(
+        'TOO_MANY_SHARES',
+        `A contract can have at most ${MAX_SHARES_PER_CONTRACT} active share links, revoke one first`,
+        409
+      );
+    }
+
+    const share = await ContractShare.create({ chainId, contractId, createdBy: walletAddress, label, expiresAt });
+
+    const token = jwt.sign(
+      { shr: share._id.toString(), chainId, contractId },
+      process.env.JWT_SECRET,
+      {
+        audience: SHARE_AUDIENCE,
+        expiresIn: Math.floor((expiresAt.getTime() - Date.now()) / 1000)
+      }
+    );
+
+    return { share, token };
+  }
+
+  async listShares(chainId, contractId) {
+    return ContractShare.find({ chainId, contractId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke one of a contract's links (takes effect on its next use)
+   * @returns {Promise<ContractShare|null>} null if the contract has no such active link
+   */
+  async revokeShare(chainId, contractId, shareId, walletAddress) {
+    if (!mongoose.isValidObjectId(shareId)) {
+      return null;
+    }
+
+    return ContractShare.findOneAndUpdate(
+      { _id: shareId, chainId, contractId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: walletAddress } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resolve a share link token
+   * @returns {Promise<{ share, contract }|null>} null if the token is invalid,
+   *   expired or revoked, or the contract no longer exists
+   */
+  async verifyShareToken(token) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: SHARE_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+
+    if (!mongoose.isValidObjectId(decoded.shr)) {
+      return null;
+    }
+
+    const share = await ContractShare.findOne({
+      _id: decoded.shr,
+      chainId: decoded.chainId,
+      contractId: decoded.contractId,
+      revokedAt: null
+    });
+
+    if (!share || share.expiresAt <= new Date() || !blockchainService.hasNetwork(share.chainId)) {
+      return null;
+    }
+
+    const contract = await contractProjectionService.getContract(share.contractId, { chainId: share.chainId });
+    if (!contract) {
+      return null;
+    }
+
+    if (!share.lastViewedAt || Date.now() - share.lastViewedAt.getTime() > LAST_VIEWED_RESOLUTION_MS) {
+      ContractShare.updateOne({ _id: share._id }, { $set: { lastViewedAt: new Date() } })
+        .catch(error => console.error('Error updating share link usage:', error.message));
+    }
+
+    return { share, contract };
+  }
+}
+
+// Singleton instance
+const contractAccessService = new ContractAccessService();
+
+module.exports = contractAccessService;
+module.exports.ContractAccessError = ContractAccessError;
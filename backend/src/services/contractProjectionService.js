@@ -0,0 +1,201 @@
+const blockchainService = require('./blockchainService');
+const ContractProjection = require('../models/ContractProjection');
+const ContractActivity = require('../models/ContractActivity');
+
+// Contracts read from chain per batched read during the consistency check
+const CHECK_BATCH_SIZE = 50;
+
+/**
+ * Contract Projection Service
+ *
+ * Keeps ContractProjection (our MongoDB copy of each EmploymentContract)
+ * in step with the chain:
+ * - refreshContract: re-read one contract from chain and upsert it
+ * - checkConsistency: compare every copy with the chain and repair drift
+ *
+ * The event listener calls refreshContract for every indexed event, so the
+ * API can serve contract lists from MongoDB instead of N+1 RPC calls.
+ * Every method takes a chainId (default network if omitted).
+ */
+
+class ContractProjectionService {
+  /**
+   * Re-read a contract from chain and store it
+   * @returns {Promise<ContractProjection|null>} the updated projection, or null
+   *   if the contract does not exist on chain (e.g. its creation was reorged out)
+   */
+  async refreshContract(contractId, chainId) {
+    const [projection] = await this.refreshContracts([contractId], chainId);
+    return projection;
+  }
+
+  /**
+   * Re-read many contracts from chain in one batched read and store them
+   * @returns {Promise<Array<ContractProjection|null>>} in the order of contractIds
+   */
+  async refreshContracts(contractIds, chainId) {
+    const network = blockchainService.getNetwork(chainId);
+    const contracts = await blockchainService.getContractsWithMilestones(contractIds, network.chainId);
+
+    return Promise.all(contracts.map(async (details, i) => {
+      // Unknown IDs read back as an empty struct
+      if (details.id === 0) {
+        await ContractProjection.deleteOne({ chainId: network.chainId, contractId: contractIds[i] });
+        return null;
+      }
+
+      return ContractProjection.findOneAndUpdate(
+        { chainId: network.chainId, contractId: details.id },
+        {
+          $set: {
+            company: details.company.toLowerCase(),
+            talent: details.talent.toLowerCase(),
+            jobTitle: details.jobTitle,
+            ipfsMetadata: details.ipfsMetadata,
+            totalAmount: details.totalAmount,
+            startDate: details.startDate,
+            endDate: details.endDate,
+            createdOnChainAt: details.createdAt,
+            status: details.status,
+            companyApproved: details.companyApproved,
+            talentApproved: details.talentApproved,
+            milestones: details.milestones.map((milestone, index) => ({ index, ...milestone })),
+            syncedAt: new Date()
+          }
+        },
+        { upsert: true, new: true }
+      );
+    }));
+  }
+
+  /**
+   * Get a contract, from the projection unless fresh data is requested
+   * Contracts we have never projected are read from chain and stored.
+   */
+  async getContract(contractId, { fresh = false, chainId } = {}) {
+    const network = blockchainService.getNetwork(chainId);
+
+    if (!fresh) {
+      const projection = await ContractProjection.findOne({ chainId: network.chainId, contractId });
+      if (projection) return projection;
+    }
+
+    return this.refreshContract(contractId, network.chainId);
+  }
+
+  /**
+   * Compare projections with the chain and repair drift
+   *
+   * Checks every projected contract plus any contract we indexed a
+   * ContractCreated event for but never projected, on every connected network.
+   * Report entries are { chainId, contractId }.
+   *
+   * @param {Object} options
+   * @param {boolean} options.repair - Re-sync drifted/missing contracts (default true)
+   * @returns {Promise<Object>} { checked, drifted, missing, repaired, failed }
+   */
+  async checkConsistency({ repair = true } = {}) {
+    const report = { checked: 0, drifted: [], missing: [], repaired: [], failed: [] };
+
+    for (const chainId of blockchainService.getChainIds()) {
+      const projections = await ContractProjection.find({ chainId });
+      const projected = new Set(projections.map(p => p.contractId));
+
+      const createdIds = await ContractActivity.distinct('contractId', { chainId, eventType: 'ContractCreated' });
+      report.missing.push(
+        ...createdIds.filter(id => !projected.has(id)).map(contractId => ({ chainId, contractId }))
+      );
+
+      for (let start = 0; start < projections.length; start += CHECK_BATCH_SIZE) {
+        const batch = projections.slice(start, start + CHECK_BATCH_SIZE);
+        const onChain = await this.readForCheck(batch.map(p => p.contractId), chainId);
+
+        batch.forEach((projection, i) => {
+          report.checked++;
+          const ref = { chainId, contractId: projection.contractId };
+
+          if (onChain[i] instanceof Error) {
+            report.failed.push(ref);
+          } else if (this.hasDrifted(projection, onChain[i])) {
+            report.drifted.push(ref);
+          }
+        });
+      }
+    }
+
+    if (repair) {
+      for (const ref of [...report.drifted, ...report.missing]) {
+        try {
+          await this.refreshContract(ref.contractId, ref.chainId);
+          report.repaired.push(ref);
+        } catch (error) {
+          console.error(`Error repairing contract ${ref.contractId} on chain ${ref.chainId}:`, error.message);
+          report.failed.push(ref);
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Read contracts with their milestones for checkConsistency
+   * If the batched read fails, each contract is read on its own so one bad
+   * contract doesn't fail the whole batch.
+   * @returns {Promise<Array<Object|Error>>} details, or the error, per contractId
+   */
+  async readForCheck(contractIds, chainId) {
+    try {
+      return await blockchainService.getContractsWithMilestones(contractIds, chainId);
+    } catch (error) {
+      return Promise.all(contractIds.map(contractId =>
+        blockchainService.getContractDetails(contractId, chainId).catch((readError) => {
+          console.error(`Error checking contract ${contractId} on chain ${chainId}:`, readError.message);
+          return readError;
+        })
+      ));
+    }
+  }
+
+  /**
+   * Does the projection disagree with the chain?
+   * Compares everything refreshContracts stores, milestone by milestone.
+   * @param {Object} onChain - getContractsWithMilestones entry
+   */
+  hasDrifted(projection, onChain) {
+    // Gone from chain (its creation was reorged out)
+    if (onChain.id === 0) return true;
+
+    const fieldsDiffer = (
+      projection.company !== onChain.company.toLowerCase() ||
+      projection.talent !== onChain.talent.toLowerCase() ||
+      projection.jobTitle !== onChain.jobTitle ||
+      projection.ipfsMetadata !== onChain.ipfsMetadata ||
+      projection.totalAmount !== onChain.totalAmount ||
+      projection.startDate !== onChain.startDate ||
+      projection.endDate !== onChain.endDate ||
+      projection.createdOnChainAt !== onChain.createdAt ||
+      projection.status !== onChain.status ||
+      projection.companyApproved !== onChain.companyApproved ||
+      projection.talentApproved !== onChain.talentApproved ||
+      projection.milestones.length !== onChain.milestones.length
+    );
+    if (fieldsDiffer) return true;
+
+    return onChain.milestones.some((milestone, index) => {
+      const stored = projection.milestones[index];
+      return (
+        stored.description !== milestone.description ||
+        stored.amount !== milestone.amount ||
+        stored.deadline !== milestone.deadline ||
+        stored.status !== milestone.status ||
+        stored.ipfsHash !== milestone.ipfsHash
+      );
+    });
+  }
+}
+
+// Singleton instance
+const contractProjectionService = new ContractProjectionService();
+
+module.exports = contractProjectionService;
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailOutbox = require('../models/EmailOutbox');
+const User = require('../models/User');
+const { renderTemplate } = require('./emailTemplates');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 60000;
+const POLL_INTERVAL_MS = 10000;
+
+/**
+ * Email Service
+ *
+ * Templated emails through a persistent outbox:
+ * 1. queueNotification / queueEmail render a template into EmailOutbox
+ * 2. A background worker sends pending rows through the configured transport
+ * 3. Failures are retried with exponential backoff up to EMAIL_MAX_ATTEMPTS
+ *
+ * Transports (EMAIL_TRANSPORT):
+ * - smtp: real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ * - file: writes each email as JSON to EMAIL_FILE_DIR (local testing)
+ * - console: logs each email (default)
+ *
+ * A transport is anything with `sendMail(message)`, like a nodemailer transport.
+ */
+
+function createTransport() {
+  const type = process.env.EMAIL_TRANSPORT || 'console';
+
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+
+    case 'file': {
+      const dir = process.env.EMAIL_FILE_DIR || './logs/emails';
+      return {
+        async sendMail(message) {
+          await fs.promises.mkdir(dir, { recursive: true });
+          const file = path.join(dir, `${Date.now()}-${message.template}.json`);
+          await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+          return { messageId: file };
+        }
+      };
+    }
+
+    case 'console':
+      return {
+        async sendMail(message) {
+          console.log(`📧 [email] to=${message.to} subject="${message.subject}"\n${message.text}\n`);
+          return { messageId: `console-${Date.now()}` };
+        }
+      };
+
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`);
+  }
+}
+
+class EmailService {
+  constructor() {
+    this.transport = null;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Render a template into the outbox
+   * @returns {Promise<EmailOutbox|null>} null if the template doesn't exist
+   */
+  async queueEmail({ to, walletAddress, template, data }) {
+    const rendered = renderTemplate(template, data);
+    if (!rendered) return null;
+
+    const email = await EmailOutbox.create({
+      to,
+      walletAddress,
+      template,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html
+    });
+
+    // Send right away instead of waiting for the next poll
+    setImmediate(() => this.processOutbox());
+
+    return email;
+  }
+
+  /**
+   * Queue a notification email if the user wants it
+   *
+   * Skipped unless the user has a verified email, has email notifications
+   * on, and has the template's category (e.g. contractUpdates) enabled.
+   */
+  async queueNotification(walletAddress, template, data) {
+    const rendered = renderTemplate(template, data);
+    if (!rendered) return null;
+
+    const user = await User.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!user || !user.contact?.email || !user.contact.emailVerified) return null;
+
+    const prefs = user.notifications || {};
+    if (!prefs.email) return null;
+    if (rendered.category !== 'account' && prefs[rendered.category] === false) return null;
+
+    return this.queueEmail({
+      to: user.contact.email,
+      walletAddress: user.walletAddress,
+      template,
+      data
+    });
+  }
+
+  /**
+   * Send due outbox rows
+   */
+  async processOutbox() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const due = await EmailOutbox.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(50);
+
+      for (const email of due) {
+        await this.send(email);
+      }
+    } catch (error) {
+      console.error('Error processing email outbox:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async send(email) {
+    email.attempts += 1;
+
+    try {
+      await this.getTransport().sendMail({
+        from: process.env.EMAIL_FROM || 'Blockchain HR Platform <no-reply@localhost>',
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        template: email.template
+      });
+
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.lastError = undefined;
+    } catch (error) {
+      email.lastError = error.message;
+
+      if (email.attempts >= MAX_ATTEMPTS) {
+        email.status = 'failed';
+        console.error(`❌ Email ${email._id} failed after ${email.attempts} attempts:`, error.message);
+      } else {
+        email.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (email.attempts - 1));
+      }
+    }
+
+    return email.save();
+  }
+
+  /**
+   * Start the outbox worker
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processOutbox(), POLL_INTERVAL_MS);
+    console.log(`✅ Email outbox worker started (${process.env.EMAIL_TRANSPORT || 'console'} transport)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const emailService = new EmailService();
+
+module.exports = emailService;
@@ -0,0 +1,127 @@
+/**
+ * Email Templates
+ *
+ * One entry per notification kind (the Socket.io event name).
+ * - category: User.notifications flag that must be on ('account' is always sent)
+ * - render(data): returns { subject, text }
+ *
+ * Kinds without a template (e.g. 'contract-created' to the company that
+ * just created it) are not emailed.
+ */
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+const contractLink = (contractId) => `${appUrl()}/contracts/${contractId}`;
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+const milestoneLabel = (index) => `Milestone #${Number(index) + 1}`;
+
+const templates = {
+  'email-verification': {
+    category: 'account',
+    render: ({ token }) => ({
+      subject: 'Verify your email address',
+      text: `Confirm this email address for your Blockchain HR Platform account:\n\n${appUrl()}/verify-email?token=${token}\n\nThe link expires in 24 hours. If you didn't request this, ignore this email.`
+    })
+  },
+
+  'contract-received': {
+    category: 'contractUpdates',
+    render: ({ contractId, company, amount }) => ({
+      subject: `New contract offer #${contractId}`,
+      text: `${shortAddress(company)} sent you contract #${contractId} with ${amount} ETH in escrow.\n\nReview and accept it here: ${contractLink(contractId)}`
+    })
+  },
+
+  'milestone-submitted': {
+    category: 'contractUpdates',
+    render: ({ contractId, milestoneIndex }) => ({
+      subject: `${milestoneLabel(milestoneIndex)} submitted for review (contract #${contractId})`,
+      text: `The talent submitted ${milestoneLabel(milestoneIndex)} of contract #${contractId}.\n\nReview the deliverable and approve it to release payment: ${contractLink(contractId)}`
+    })
+  },
+
+  'milestone-approved': {
+    category: 'contractUpdates',
+    render: ({ contractId, milestoneIndex }) => ({
+      subject: `${milestoneLabel(milestoneIndex)} approved (contract #${contractId})`,
+      text: `The company approved ${milestoneLabel(milestoneIndex)} of contract #${contractId}. Payment is being released.\n\n${contractLink(contractId)}`
+    })
+  },
+
+  'milestone-due-soon': {
+    category: 'milestoneReminders',
+    render: ({ contractId, milestoneIndex, description, daysLeft, role }) => ({
+      subject: `${milestoneLabel(milestoneIndex)} is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (contract #${contractId})`,
+      text: role === 'talent'
+        ? `Reminder: "${description}" (${milestoneLabel(milestoneIndex)} of contract #${contractId}) is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.\n\nSubmit your deliverable here: ${contractLink(contractId)}`
+        : `"${description}" (${milestoneLabel(milestoneIndex)} of contract #${contractId}) is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'} and hasn't been submitted yet.\n\n${contractLink(contractId)}`
+    })
+  },
+
+  'milestone-overdue': {
+    category: 'milestoneReminders',
+    render: ({ contractId, milestoneIndex, description }) => ({
+      subject: `${milestoneLabel(milestoneIndex)} is overdue (contract #${contractId})`,
+      text: `The deadline for "${description}" (${milestoneLabel(milestoneIndex)} of contract #${contractId}) has passed without a submission.\n\n${contractLink(contractId)}`
+    })
+  },
+
+  'milestone-paid': {
+    category: 'contractUpdates',
+    render: ({ contractId, milestoneIndex, amount }) => ({
+      subject: `You were paid ${amount} ETH (contract #${contractId})`,
+      text: `${amount} ETH for ${milestoneLabel(milestoneIndex)} of contract #${contractId} was sent to your wallet.\n\n${contractLink(contractId)}`
+    })
+  },
+
+  'contract-disputed': {
+    category: 'contractUpdates',
+    render: ({ contractId, initiator }) => ({
+      subject: `Dispute raised on contract #${contractId}`,
+      text: `${shortAddress(initiator)} raised a dispute on contract #${contractId}. Escrowed funds are frozen until it is resolved.\n\n${contractLink(contractId)}`
+    })
+  },
+
+  'credential-received': {
+    category: 'contractUpdates',
+    render: ({ skillName, issuer }) => ({
+      subject: `New credential: ${skillName}`,
+      text: `${shortAddress(issuer)} issued you a "${skillName}" credential. It is now part of your on-chain profile.\n\n${appUrl()}/profile`
+    })
+  },
+
+  'credential-revoked': {
+    category: 'contractUpdates',
+    render: ({ skillName, issuer }) => ({
+      subject: `Credential revoked: ${skillName}`,
+      text: `${shortAddress(issuer)} revoked your "${skillName}" credential. It no longer appears on your profile.\n\n${appUrl()}/profile`
+    })
+  }
+};
+
+/**
+ * Render a template
+ * @returns {{ subject, text, html, category }|null} null if no template exists
+ */
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) return null;
+
+  const { subject, text } = template.render(data);
+
+  return {
+    category: template.category,
+    subject,
+    text,
+    html: `<p>${text.split('\n\n').map(escapeHtml).join('</p><p>').replace(/\n/g, '<br>')}</p>`
+  };
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { renderTemplate };
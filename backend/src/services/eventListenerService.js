@@ -1,8 +1,30 @@
 const blockchainService = require('./blockchainService');
 const ContractActivity = require('../models/ContractActivity');
 const User = require('../models/User');
+const SyncCheckpoint = require('../models/SyncCheckpoint');
+const ContractProjection = require('../models/ContractProjection');
+const MilestoneReminder = require('../models/MilestoneReminder');
+const Webhook = require('../models/Webhook');
+const contractProjectionService = require('./contractProjectionService');
+const reputationService = require('./reputationService');
+const notificationService = require('./notificationService');
+const crypto = require('crypto');
 const { ethers } = require('ethers');
 
+// Indexer tuning, read per network (e.g. CONFIRMATION_DEPTH_SEPOLIA overrides CONFIRMATION_DEPTH):
+// - SYNC_CHUNK_SIZE: many RPC providers cap eth_getLogs ranges, so scan in chunks
+// - SYNC_START_BLOCK: first block to scan when no checkpoint exists
+//   (defaults to the deployment block from the manifest)
+// - CONFIRMATION_DEPTH: blocks an event needs on top of it (including its own)
+//   before we treat it as final
+const DEFAULT_SYNC_CHUNK_SIZE = 2000;
+const DEFAULT_CONFIRMATION_DEPTH = 12;
+
+// Side effects claimed by another process (or by this one for longer than
+// this) were abandoned and are run again on the next reconcile
+const PROCESS_ID = crypto.randomUUID();
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
 /**
  * Event Listener Service
  *
@@ -16,12 +38,33 @@ const { ethers } = require('ethers');
  * - Web2: Your server knows everything (it's in your DB)
  * - Web3: Truth is on blockchain, you LISTEN to learn about changes
  * - Events can arrive out of order during chain reorgs!
+ *
+ * One instance runs per connected network; everything it stores
+ * (activity, checkpoints, projections) is tagged with its chainId.
  */
 
 class EventListenerService {
-  constructor(io) {
-    this.io = io; // Socket.io instance for real-time frontend updates
+  /**
+   * @param {number} chainId - Network to index (default network if omitted)
+   */
+  constructor(chainId) {
+    this.network = blockchainService.getNetwork(chainId);
+    this.chainId = this.network.chainId;
+
+    const setting = (key, fallback) => {
+      const value = parseInt(blockchainService.networkSetting(this.network.name, key), 10);
+      return Number.isNaN(value) ? fallback : value;
+    };
+    this.syncChunkSize = setting('SYNC_CHUNK_SIZE', DEFAULT_SYNC_CHUNK_SIZE);
+    this.syncStartBlock = setting('SYNC_START_BLOCK', this.network.deploymentBlock || 0);
+    this.confirmationDepth = setting('CONFIRMATION_DEPTH', DEFAULT_CONFIRMATION_DEPTH);
+
     this.isListening = false;
+    this.isSynced = false; // Live events only move checkpoints once backfill is done
+    this.isReconciling = false;
+    this.isBackfilling = false;
+    this.staleReputations = new Set(); // Wallets whose reputation needs recomputing
+    this.onBlock = (blockNumber) => this.reconcileBlocks(blockNumber);
   }
 
   /**
@@ -34,7 +77,7 @@ class EventListenerService {
     }
 
     try {
-      console.log('👂 Starting blockchain event listeners...');
+      console.log(`👂 Starting blockchain event listeners on ${this.network.name} (chainId ${this.chainId})...`);
 
       // Listen to Employment Contract events
       this.listenToEmploymentEvents();
@@ -45,6 +88,12 @@ class EventListenerService {
       // Handle missed events (from last processed block)
       await this.syncPastEvents();
 
+      // Settle activity left pending (or unprocessed) by the last run
+      await this.reconcileBlocks(await this.network.provider.getBlockNumber());
+
+      // Confirm or roll back pending activity as new blocks arrive
+      this.network.provider.on('block', this.onBlock);
+
       this.isListening = true;
       console.log('✅ Event listeners active\n');
     } catch (error) {
@@ -57,48 +106,71 @@ class EventListenerService {
    * Listen to Employment Contract events
    */
   listenToEmploymentEvents() {
-    const contract = blockchainService.employmentContract;
+    const contract = this.network.employmentContract;
 
     // ContractCreated event
     contract.on('ContractCreated', async (contractId, company, talent, totalAmount, event) => {
       console.log('📝 New contract created:', Number(contractId));
-      await this.handleContractCreated(contractId, company, talent, totalAmount, event);
+      await this.handleContractCreated(contractId, company, talent, totalAmount, event.log);
     });
 
     // ContractAccepted event
     contract.on('ContractAccepted', async (contractId, talent, event) => {
       console.log('✅ Contract accepted:', Number(contractId));
-      await this.handleContractAccepted(contractId, talent, event);
+      await this.handleContractAccepted(contractId, talent, event.log);
+    });
+
+    // ContractActivated event (emitted right after ContractAccepted)
+    contract.on('ContractActivated', async (contractId, event) => {
+      console.log('🟢 Contract activated:', Number(contractId));
+      await this.handleContractActivated(contractId, event.log);
     });
 
     // MilestoneSubmitted event
     contract.on('MilestoneSubmitted', async (contractId, milestoneIndex, event) => {
       console.log('📤 Milestone submitted:', Number(contractId), 'index:', Number(milestoneIndex));
-      await this.handleMilestoneSubmitted(contractId, milestoneIndex, event);
+      await this.handleMilestoneSubmitted(contractId, milestoneIndex, event.log);
     });
 
     // MilestoneApproved event
     contract.on('MilestoneApproved', async (contractId, milestoneIndex, event) => {
       console.log('👍 Milestone approved:', Number(contractId));
-      await this.handleMilestoneApproved(contractId, milestoneIndex, event);
+      await this.handleMilestoneApproved(contractId, milestoneIndex, event.log);
     });
 
     // MilestonePaid event
     contract.on('MilestonePaid', async (contractId, milestoneIndex, amount, event) => {
       console.log('💰 Milestone paid:', Number(contractId), ethers.formatEther(amount), 'ETH');
-      await this.handleMilestonePaid(contractId, milestoneIndex, amount, event);
+      await this.handleMilestonePaid(contractId, milestoneIndex, amount, event.log);
     });
 
     // ContractCompleted event
     contract.on('ContractCompleted', async (contractId, event) => {
       console.log('🎉 Contract completed:', Number(contractId));
-      await this.handleContractCompleted(contractId, event);
+      await this.handleContractCompleted(contractId, event.log);
     });
 
     // ContractDisputed event
     contract.on('ContractDisputed', async (contractId, initiator, event) => {
       console.log('⚠️  Contract disputed:', Number(contractId), 'by:', initiator);
-      await this.handleContractDisputed(contractId, initiator, event);
+      await this.handleContractDisputed(contractId, initiator, event.log);
+    });
+
+    // ContractFinalized event
+    contract.on('ContractFinalized', async (contractId, event) => {
+      console.log('🏁 Contract finalized:', Number(contractId));
+      await this.handleContractFinalized(contractId, event.log);
+    });
+
+    // ContractCancelled event
+    contract.on('ContractCancelled', async (contractId, event) => {
+      console.log('🚫 Contract cancelled:', Number(contractId));
+      await this.handleContractCancelled(contractId, event.log);
+    });
+
+    // Any event: remember how far the live stream has progressed
+    contract.on('*', async (event) => {
+      await this.advanceCheckpoint('EmploymentContract', event.log.blockNumber - 1);
     });
 
     console.log('✅ Employment contract listeners registered');
@@ -108,63 +180,50 @@ class EventListenerService {
    * Listen to Credential NFT events
    */
   listenToCredentialEvents() {
-    const contract = blockchainService.credentialContract;
+    const contract = this.network.credentialContract;
 
     contract.on('CredentialIssued', async (tokenId, issuer, recipient, skillName, event) => {
       console.log('🎖️  Credential issued:', Number(tokenId), skillName);
-      await this.handleCredentialIssued(tokenId, issuer, recipient, skillName, event);
+      await this.handleCredentialIssued(tokenId, issuer, recipient, skillName, event.log);
+    });
+
+    contract.on('CredentialRevoked', async (tokenId, issuer, event) => {
+      console.log('🗑️  Credential revoked:', Number(tokenId));
+      await this.handleCredentialRevoked(tokenId, issuer, event.log);
+    });
+
+    contract.on('IssuerAuthorized', async (issuer, event) => {
+      console.log('🏢 Issuer authorized:', issuer);
+      await this.handleIssuerAuthorized(issuer, event.log);
+    });
+
+    contract.on('IssuerRevoked', async (issuer, event) => {
+      console.log('🏢 Issuer revoked:', issuer);
+      await this.handleIssuerRevoked(issuer, event.log);
+    });
+
+    contract.on('*', async (event) => {
+      await this.advanceCheckpoint('CredentialNFT', event.log.blockNumber - 1);
     });
 
     console.log('✅ Credential contract listeners registered');
   }
 
   // ===== EVENT HANDLERS =====
+  // Handlers only record the activity. Notifications and profile updates
+  // follow once it is confirmed (see applySideEffects).
 
   async handleContractCreated(contractId, company, talent, totalAmount, event) {
     try {
-      const block = await event.getBlock();
-
-      // Save to database
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'ContractCreated',
         company: company.toLowerCase(),
         talent: talent.toLowerCase(),
         initiator: company.toLowerCase(),
         eventData: {
           amount: totalAmount.toString()
-        },
-        timestamp: new Date(block.timestamp * 1000)
-      });
-
-      // Update user stats
-      await User.findOneAndUpdate(
-        { walletAddress: company.toLowerCase() },
-        {
-          $inc: { 'reputation.totalContracts': 1, 'reputation.totalSpent': totalAmount.toString() }
         }
-      );
-
-      await User.findOneAndUpdate(
-        { walletAddress: talent.toLowerCase() },
-        {
-          $inc: { 'reputation.totalContracts': 1 }
-        }
-      );
-
-      // Emit real-time notification via Socket.io
-      this.io.to(company.toLowerCase()).emit('contract-created', {
-        contractId: Number(contractId),
-        talent: talent.toLowerCase(),
-        amount: ethers.formatEther(totalAmount)
-      });
-
-      this.io.to(talent.toLowerCase()).emit('contract-received', {
-        contractId: Number(contractId),
-        company: company.toLowerCase(),
-        amount: ethers.formatEther(totalAmount)
       });
     } catch (error) {
       console.error('Error handling ContractCreated:', error.message);
@@ -173,53 +232,49 @@ class EventListenerService {
 
   async handleContractAccepted(contractId, talent, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'ContractAccepted',
         company: contractData.company.toLowerCase(),
         talent: talent.toLowerCase(),
-        initiator: talent.toLowerCase(),
-        timestamp: new Date(block.timestamp * 1000)
+        initiator: talent.toLowerCase()
       });
+    } catch (error) {
+      console.error('Error handling ContractAccepted:', error.message);
+    }
+  }
 
-      // Notify company
-      this.io.to(contractData.company.toLowerCase()).emit('contract-accepted', {
+  async handleContractActivated(contractId, event) {
+    try {
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
+
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        talent: talent.toLowerCase()
+        eventType: 'ContractActivated',
+        company: contractData.company.toLowerCase(),
+        talent: contractData.talent.toLowerCase(),
+        initiator: contractData.talent.toLowerCase()
       });
     } catch (error) {
-      console.error('Error handling ContractAccepted:', error.message);
+      console.error('Error handling ContractActivated:', error.message);
     }
   }
 
   async handleMilestoneSubmitted(contractId, milestoneIndex, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'MilestoneSubmitted',
         company: contractData.company.toLowerCase(),
         talent: contractData.talent.toLowerCase(),
         initiator: contractData.talent.toLowerCase(),
         eventData: {
           milestoneIndex: Number(milestoneIndex)
-        },
-        timestamp: new Date(block.timestamp * 1000)
-      });
-
-      // Notify company to review
-      this.io.to(contractData.company.toLowerCase()).emit('milestone-submitted', {
-        contractId: Number(contractId),
-        milestoneIndex: Number(milestoneIndex)
+        }
       });
     } catch (error) {
       console.error('Error handling MilestoneSubmitted:', error.message);
@@ -228,26 +283,17 @@ class EventListenerService {
 
   async handleMilestoneApproved(contractId, milestoneIndex, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'MilestoneApproved',
         company: contractData.company.toLowerCase(),
         talent: contractData.talent.toLowerCase(),
         initiator: contractData.company.toLowerCase(),
         eventData: {
           milestoneIndex: Number(milestoneIndex)
-        },
-        timestamp: new Date(block.timestamp * 1000)
-      });
-
-      this.io.to(contractData.talent.toLowerCase()).emit('milestone-approved', {
-        contractId: Number(contractId),
-        milestoneIndex: Number(milestoneIndex)
+        }
       });
     } catch (error) {
       console.error('Error handling MilestoneApproved:', error.message);
@@ -256,13 +302,10 @@ class EventListenerService {
 
   async handleMilestonePaid(contractId, milestoneIndex, amount, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'MilestonePaid',
         company: contractData.company.toLowerCase(),
         talent: contractData.talent.toLowerCase(),
@@ -270,22 +313,7 @@ class EventListenerService {
         eventData: {
           milestoneIndex: Number(milestoneIndex),
           amount: amount.toString()
-        },
-        timestamp: new Date(block.timestamp * 1000)
-      });
-
-      // Update talent earnings
-      await User.findOneAndUpdate(
-        { walletAddress: contractData.talent.toLowerCase() },
-        {
-          $inc: { 'reputation.totalEarned': amount.toString() }
         }
-      );
-
-      this.io.to(contractData.talent.toLowerCase()).emit('milestone-paid', {
-        contractId: Number(contractId),
-        milestoneIndex: Number(milestoneIndex),
-        amount: ethers.formatEther(amount)
       });
     } catch (error) {
       console.error('Error handling MilestonePaid:', error.message);
@@ -294,36 +322,13 @@ class EventListenerService {
 
   async handleContractCompleted(contractId, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'ContractCompleted',
         company: contractData.company.toLowerCase(),
-        talent: contractData.talent.toLowerCase(),
-        timestamp: new Date(block.timestamp * 1000)
-      });
-
-      // Update completion stats
-      await User.findOneAndUpdate(
-        { walletAddress: contractData.company.toLowerCase() },
-        { $inc: { 'reputation.completedContracts': 1 } }
-      );
-
-      await User.findOneAndUpdate(
-        { walletAddress: contractData.talent.toLowerCase() },
-        { $inc: { 'reputation.completedContracts': 1 } }
-      );
-
-      this.io.to(contractData.company.toLowerCase()).emit('contract-completed', {
-        contractId: Number(contractId)
-      });
-
-      this.io.to(contractData.talent.toLowerCase()).emit('contract-completed', {
-        contractId: Number(contractId)
+        talent: contractData.talent.toLowerCase()
       });
     } catch (error) {
       console.error('Error handling ContractCompleted:', error.message);
@@ -332,108 +337,640 @@ class EventListenerService {
 
   async handleContractDisputed(contractId, initiator, event) {
     try {
-      const block = await event.getBlock();
-      const contractData = await blockchainService.getContract(Number(contractId));
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      await ContractActivity.create({
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
         eventType: 'ContractDisputed',
         company: contractData.company.toLowerCase(),
         talent: contractData.talent.toLowerCase(),
-        initiator: initiator.toLowerCase(),
-        timestamp: new Date(block.timestamp * 1000)
+        initiator: initiator.toLowerCase()
       });
+    } catch (error) {
+      console.error('Error handling ContractDisputed:', error.message);
+    }
+  }
 
-      // Update dispute stats
-      await User.findOneAndUpdate(
-        { walletAddress: contractData.company.toLowerCase() },
-        { $inc: { 'reputation.disputedContracts': 1 } }
-      );
-
-      await User.findOneAndUpdate(
-        { walletAddress: contractData.talent.toLowerCase() },
-        { $inc: { 'reputation.disputedContracts': 1 } }
-      );
+  async handleContractFinalized(contractId, event) {
+    try {
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
 
-      // Notify both parties
-      this.io.to(contractData.company.toLowerCase()).emit('contract-disputed', {
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        initiator: initiator.toLowerCase()
+        eventType: 'ContractFinalized',
+        company: contractData.company.toLowerCase(),
+        talent: contractData.talent.toLowerCase()
       });
+    } catch (error) {
+      console.error('Error handling ContractFinalized:', error.message);
+    }
+  }
 
-      this.io.to(contractData.talent.toLowerCase()).emit('contract-disputed', {
+  async handleContractCancelled(contractId, event) {
+    try {
+      const contractData = await blockchainService.getContract(Number(contractId), this.chainId);
+
+      // Escrow is refunded to the company on cancellation
+      await this.recordActivity(event, {
         contractId: Number(contractId),
-        initiator: initiator.toLowerCase()
+        eventType: 'ContractCancelled',
+        company: contractData.company.toLowerCase(),
+        talent: contractData.talent.toLowerCase(),
+        initiator: contractData.company.toLowerCase(),
+        eventData: {
+          amount: contractData.totalAmount
+        }
       });
     } catch (error) {
-      console.error('Error handling ContractDisputed:', error.message);
+      console.error('Error handling ContractCancelled:', error.message);
     }
   }
 
   async handleCredentialIssued(tokenId, issuer, recipient, skillName, event) {
     try {
-      const block = await event.getBlock();
+      await this.recordActivity(event, {
+        eventType: 'CredentialIssued',
+        company: issuer.toLowerCase(),
+        talent: recipient.toLowerCase(),
+        initiator: issuer.toLowerCase(),
+        eventData: {
+          tokenId: Number(tokenId),
+          skillName
+        }
+      });
+    } catch (error) {
+      console.error('Error handling CredentialIssued:', error.message);
+    }
+  }
 
-      // Update talent's credentials
-      await User.findOneAndUpdate(
-        { walletAddress: recipient.toLowerCase() },
-        {
-          $push: {
-            credentials: {
-              tokenId: Number(tokenId),
-              skillName,
-              issuer: issuer.toLowerCase(),
-              issuedAt: new Date(block.timestamp * 1000)
+  async handleCredentialRevoked(tokenId, issuer, event) {
+    try {
+      const credential = await blockchainService.getCredential(Number(tokenId), this.chainId);
+
+      await this.recordActivity(event, {
+        eventType: 'CredentialRevoked',
+        company: issuer.toLowerCase(),
+        talent: credential.recipient.toLowerCase(),
+        initiator: issuer.toLowerCase(),
+        eventData: {
+          tokenId: Number(tokenId),
+          skillName: credential.skillName
+        }
+      });
+    } catch (error) {
+      console.error('Error handling CredentialRevoked:', error.message);
+    }
+  }
+
+  async handleIssuerAuthorized(issuer, event) {
+    try {
+      await this.recordActivity(event, {
+        eventType: 'IssuerAuthorized',
+        company: issuer.toLowerCase()
+      });
+    } catch (error) {
+      console.error('Error handling IssuerAuthorized:', error.message);
+    }
+  }
+
+  async handleIssuerRevoked(issuer, event) {
+    try {
+      await this.recordActivity(event, {
+        eventType: 'IssuerRevoked',
+        company: issuer.toLowerCase()
+      });
+    } catch (error) {
+      console.error('Error handling IssuerRevoked:', error.message);
+    }
+  }
+
+  // ===== SIDE EFFECTS OF CONFIRMED ACTIVITY =====
+
+  /**
+   * Notify the parties of a confirmed activity and update their profiles
+   *
+   * Only runs once the activity is confirmed, so nothing here has to be
+   * undone when a reorg drops a pending one. Works from the stored row alone,
+   * and is safe to run again after a crash: profile updates are idempotent,
+   * notifications may be sent a second time.
+   */
+  async applySideEffects(activity) {
+    const { contractId, company, talent, initiator, eventData = {} } = activity;
+
+    switch (activity.eventType) {
+      case 'ContractCreated':
+        await this.notify(company, 'contract-created', {
+          contractId, talent, amount: ethers.formatEther(eventData.amount)
+        }, 'ContractCreated');
+        await this.notify(talent, 'contract-received', {
+          contractId, company, amount: ethers.formatEther(eventData.amount)
+        }, 'ContractCreated');
+        break;
+
+      case 'ContractAccepted':
+        await this.notify(company, 'contract-accepted', { contractId, talent }, 'ContractAccepted');
+        break;
+
+      case 'ContractActivated':
+        // Work can start: tell both parties
+        await this.notifyParties(activity, 'contract-activated', { contractId });
+        break;
+
+      case 'MilestoneSubmitted':
+        // Company reviews it
+        await this.notify(company, 'milestone-submitted', {
+          contractId, milestoneIndex: eventData.milestoneIndex
+        }, 'MilestoneSubmitted');
+        break;
+
+      case 'MilestoneApproved':
+        await this.notify(talent, 'milestone-approved', {
+          contractId, milestoneIndex: eventData.milestoneIndex
+        }, 'MilestoneApproved');
+        break;
+
+      case 'MilestonePaid':
+        await this.notify(talent, 'milestone-paid', {
+          contractId, milestoneIndex: eventData.milestoneIndex, amount: ethers.formatEther(eventData.amount)
+        }, 'MilestonePaid');
+        break;
+
+      case 'ContractCompleted':
+        await this.notifyParties(activity, 'contract-completed', { contractId });
+        break;
+
+      case 'ContractDisputed':
+        await this.notifyParties(activity, 'contract-disputed', { contractId, initiator });
+        break;
+
+      case 'ContractFinalized':
+        await this.notifyParties(activity, 'contract-finalized', { contractId });
+        break;
+
+      case 'ContractCancelled':
+        await this.notify(company, 'contract-cancelled', {
+          contractId, refund: ethers.formatEther(eventData.amount)
+        }, 'ContractCancelled');
+        await this.notify(talent, 'contract-cancelled', { contractId }, 'ContractCancelled');
+        break;
+
+      case 'CredentialIssued':
+        // Add it to the talent's credentials (once per token)
+        await User.findOneAndUpdate(
+          {
+            walletAddress: talent,
+            credentials: { $not: { $elemMatch: { chainId: this.chainId, tokenId: eventData.tokenId } } }
+          },
+          {
+            $push: {
+              credentials: {
+                chainId: this.chainId,
+                tokenId: eventData.tokenId,
+                skillName: eventData.skillName,
+                issuer: company,
+                issuedAt: activity.timestamp
+              }
             }
           }
-        }
-      );
+        );
 
-      this.io.to(recipient.toLowerCase()).emit('credential-received', {
-        tokenId: Number(tokenId),
-        skillName,
-        issuer: issuer.toLowerCase()
+        await this.notify(talent, 'credential-received', {
+          tokenId: eventData.tokenId, skillName: eventData.skillName, issuer: company
+        }, 'CredentialIssued');
+        break;
+
+      case 'CredentialRevoked':
+        // Revoked credentials no longer count towards the talent's profile
+        await User.findOneAndUpdate(
+          { walletAddress: talent },
+          { $pull: { credentials: { chainId: this.chainId, tokenId: eventData.tokenId } } }
+        );
+
+        await this.notify(talent, 'credential-revoked', {
+          tokenId: eventData.tokenId, skillName: eventData.skillName, issuer: company
+        }, 'CredentialRevoked');
+        break;
+
+      case 'IssuerAuthorized':
+        await User.findOneAndUpdate(
+          { walletAddress: company },
+          {
+            $set: {
+              'verification.isAuthorizedIssuer': true,
+              'verification.issuerAuthorizedAt': activity.timestamp
+            }
+          }
+        );
+
+        await this.notify(company, 'issuer-authorized', { issuer: company }, 'IssuerAuthorized');
+        break;
+
+      case 'IssuerRevoked':
+        await User.findOneAndUpdate(
+          { walletAddress: company },
+          { $set: { 'verification.isAuthorizedIssuer': false } }
+        );
+
+        await this.notify(company, 'issuer-revoked', { issuer: company }, 'IssuerRevoked');
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Notify a wallet about an event on this network
+   * Payloads carry the chainId: contract and token IDs are only unique per chain.
+   */
+  async notify(walletAddress, kind, payload, eventType) {
+    await notificationService.notify(walletAddress, kind, { chainId: this.chainId, ...payload }, eventType);
+  }
+
+  /**
+   * Send the same notification to the company and the talent of an activity
+   */
+  async notifyParties(activity, kind, payload) {
+    await this.notify(activity.company, kind, payload, activity.eventType);
+    await this.notify(activity.talent, kind, payload, activity.eventType);
+  }
+
+  // ===== INDEXING & REORG HANDLING =====
+
+  /**
+   * Persist an indexed event
+   *
+   * Activity identity is (chainId, transactionHash, logIndex), so the same log
+   * seen twice (live + backfill, or a replay) is stored once. Rows are stored
+   * as 'pending' together with the hash of the block they were seen in, so a
+   * reorg can be detected later, and get their side effects once
+   * reconcileBlocks confirms them (right away with CONFIRMATION_DEPTH=0).
+   * The contract's room sees the activity immediately, marked pending.
+   *
+   * @param {EventLog} event - Decoded log (live or backfilled)
+   * @param {Object} activity - ContractActivity fields specific to this event
+   * @returns {Promise<boolean>} true if the activity was newly inserted
+   */
+  async recordActivity(event, activity) {
+    const block = await event.getBlock();
+    const status = this.confirmationDepth > 0 ? 'pending' : 'confirmed';
+
+    let row;
+    try {
+      row = await ContractActivity.create({
+        ...activity,
+        chainId: this.chainId,
+        transactionHash: event.transactionHash,
+        logIndex: event.index,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        status,
+        timestamp: new Date(block.timestamp * 1000),
+        processed: false,
+        // Confirmed rows are claimed right away (see processConfirmedActivity)
+        processingBy: status === 'confirmed' ? PROCESS_ID : null,
+        processingStartedAt: status === 'confirmed' ? new Date() : null
       });
     } catch (error) {
-      console.error('Error handling CredentialIssued:', error.message);
+      // Duplicate key on (chainId, transactionHash, logIndex): already indexed.
+      // Side effects it still owes are picked up by processConfirmedActivity.
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    if (activity.contractId !== undefined) {
+      await this.refreshProjection(activity.contractId);
+      // Reputation only counts confirmed activity
+      if (status === 'confirmed') {
+        await this.invalidateReputation([activity.company, activity.talent]);
+      }
+
+      notificationService.emitToContract(this.chainId, activity.contractId, 'contract-activity', {
+        chainId: this.chainId,
+        contractId: activity.contractId,
+        eventType: activity.eventType,
+        eventData: activity.eventData,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        status
+      });
+    }
+
+    if (status === 'confirmed') {
+      await this.processActivity(row);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a claimed activity's side effects and record that they are done
+   * On failure the claim is left to expire (PROCESSING_TIMEOUT_MS) and the
+   * next processConfirmedActivity retries.
+   */
+  async processActivity(activity) {
+    try {
+      await this.applySideEffects(activity);
+
+      await ContractActivity.updateOne(
+        { _id: activity._id },
+        { $set: { processed: true }, $unset: { processingBy: '', processingStartedAt: '' } }
+      );
+    } catch (error) {
+      console.error(`Error applying ${activity.eventType} side effects:`, error.message);
+    }
+  }
+
+  /**
+   * Run the side effects of every confirmed activity that hasn't had them yet
+   *
+   * Each row is claimed (processingBy/processingStartedAt) before it is run.
+   * Rows claimed by another process (one that died) or by this one for longer
+   * than PROCESSING_TIMEOUT_MS were abandoned and are claimed again. Rows
+   * indexed before side effects waited for confirmation have no processingBy
+   * and are left alone: theirs ran when they were inserted.
+   */
+  async processConfirmedActivity() {
+    for (;;) {
+      const activity = await ContractActivity.findOneAndUpdate(
+        {
+          chainId: this.chainId,
+          status: 'confirmed',
+          processed: false,
+          $or: [
+            { processingBy: { $exists: true, $ne: PROCESS_ID } },
+            { processingStartedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+          ]
+        },
+        { $set: { processingBy: PROCESS_ID, processingStartedAt: new Date() } },
+        { new: true, sort: { blockNumber: 1, logIndex: 1 } }
+      );
+
+      if (!activity) return;
+
+      await this.processActivity(activity);
+    }
+  }
+
+  /**
+   * Mark wallets for a reputation recompute
+   * Live events recompute immediately; the backfill batches them per chunk.
+   */
+  async invalidateReputation(walletAddresses) {
+    walletAddresses.filter(Boolean).forEach(wallet => this.staleReputations.add(wallet));
+
+    if (!this.isBackfilling) {
+      await this.flushReputation();
+    }
+  }
+
+  /**
+   * Recompute reputation for every wallet marked stale
+   */
+  async flushReputation() {
+    const wallets = [...this.staleReputations];
+    this.staleReputations.clear();
+
+    for (const wallet of wallets) {
+      try {
+        await reputationService.recomputeReputation(wallet);
+      } catch (error) {
+        console.error(`Error recomputing reputation for ${wallet}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Re-read a contract into its projection after an event touched it
+   * A failure here only leaves the copy stale; the consistency check repairs it.
+   */
+  async refreshProjection(contractId) {
+    try {
+      await contractProjectionService.refreshContract(contractId, this.chainId);
+    } catch (error) {
+      console.error(`Error refreshing projection for contract ${contractId}:`, error.message);
+    }
+  }
+
+  /**
+   * Check pending activity against the canonical chain
+   *
+   * Runs on every new block:
+   * - Block hash still canonical and deep enough -> mark confirmed
+   * - Block hash no longer canonical (reorg) -> roll back and re-index
+   * Then runs the side effects of everything confirmed so far.
+   */
+  async reconcileBlocks(headBlock) {
+    if (this.isReconciling) return;
+    this.isReconciling = true;
+
+    try {
+      const pendingBlocks = await ContractActivity.distinct('blockNumber', { chainId: this.chainId, status: 'pending' });
+      let reorgedFrom = null;
+
+      for (const blockNumber of pendingBlocks.sort((a, b) => a - b)) {
+        const block = await this.network.provider.getBlock(blockNumber);
+        const activities = await ContractActivity.find({ chainId: this.chainId, status: 'pending', blockNumber });
+
+        const orphaned = activities.filter(activity => !block || activity.blockHash !== block.hash);
+
+        if (orphaned.length > 0) {
+          console.log(`🔀 Reorg detected at block ${blockNumber}, rolling back ${orphaned.length} activities`);
+          await this.rollbackActivities(orphaned);
+          reorgedFrom = reorgedFrom === null ? blockNumber : Math.min(reorgedFrom, blockNumber);
+          continue;
+        }
+
+        const confirmations = headBlock - blockNumber + 1;
+        if (confirmations >= this.confirmationDepth) {
+          await ContractActivity.updateMany(
+            { chainId: this.chainId, status: 'pending', blockNumber, blockHash: block.hash },
+            { $set: { status: 'confirmed', confirmedAt: new Date() } }
+          );
+
+          // Now part of the parties' reputation
+          await this.invalidateReputation(activities
+            .filter(activity => activity.contractId !== undefined)
+            .flatMap(activity => [activity.company, activity.talent]));
+        }
+      }
+
+      // Re-index the replacement blocks from the canonical chain
+      if (reorgedFrom !== null) {
+        await SyncCheckpoint.updateMany(
+          { chainId: this.chainId, lastSyncedBlock: { $gte: reorgedFrom } },
+          { $set: { lastSyncedBlock: reorgedFrom - 1 } }
+        );
+        await this.syncPastEvents();
+      }
+
+      await this.processConfirmedActivity();
+    } catch (error) {
+      console.error('Error reconciling pending activity:', error.message);
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Undo activity rows from blocks that are no longer canonical
+   *
+   * Pending rows have had no side effects yet (no notifications, webhooks,
+   * emails or profile updates) and don't count towards reputation, so
+   * deleting them undoes everything but the projections, which are re-read,
+   * and what the contract's room was shown, which it is told to drop.
+   */
+  async rollbackActivities(activities) {
+    const contractIds = new Set();
+
+    for (const activity of activities) {
+      await ContractActivity.deleteOne({ _id: activity._id });
+
+      if (activity.contractId !== undefined) {
+        contractIds.add(activity.contractId);
+
+        notificationService.emitToContract(this.chainId, activity.contractId, 'activity-reverted', {
+          chainId: this.chainId,
+          contractId: activity.contractId,
+          eventType: activity.eventType,
+          transactionHash: activity.transactionHash
+        });
+      }
+    }
+
+    // Projections may reflect the orphaned block; re-read canonical state
+    for (const contractId of contractIds) {
+      await this.refreshProjection(contractId);
+    }
+  }
+
+  /**
+   * Route a decoded log to its handler
+   * Used by the backfill so past events take the exact same path as live ones
+   */
+  async processEvent(event) {
+    const { args } = event;
+
+    switch (event.eventName) {
+      case 'ContractCreated':
+        return this.handleContractCreated(args.contractId, args.company, args.talent, args.totalAmount, event);
+      case 'ContractAccepted':
+        return this.handleContractAccepted(args.contractId, args.talent, event);
+      case 'ContractActivated':
+        return this.handleContractActivated(args.contractId, event);
+      case 'MilestoneSubmitted':
+        return this.handleMilestoneSubmitted(args.contractId, args.milestoneIndex, event);
+      case 'MilestoneApproved':
+        return this.handleMilestoneApproved(args.contractId, args.milestoneIndex, event);
+      case 'MilestonePaid':
+        return this.handleMilestonePaid(args.contractId, args.milestoneIndex, args.amount, event);
+      case 'ContractCompleted':
+        return this.handleContractCompleted(args.contractId, event);
+      case 'ContractDisputed':
+        return this.handleContractDisputed(args.contractId, args.initiator, event);
+      case 'ContractFinalized':
+        return this.handleContractFinalized(args.contractId, event);
+      case 'ContractCancelled':
+        return this.handleContractCancelled(args.contractId, event);
+      case 'CredentialIssued':
+        return this.handleCredentialIssued(args.tokenId, args.issuer, args.recipient, args.skillName, event);
+      case 'CredentialRevoked':
+        return this.handleCredentialRevoked(args.tokenId, args.issuer, event);
+      case 'IssuerAuthorized':
+        return this.handleIssuerAuthorized(args.issuer, event);
+      case 'IssuerRevoked':
+        return this.handleIssuerRevoked(args.issuer, event);
+      default:
+        // Events we don't index (e.g. ERC-721 Transfer) or logs we couldn't decode
+        return undefined;
     }
   }
 
   /**
    * Sync past events that we might have missed
+   *
+   * Walks each contract from its saved checkpoint to the chain head.
+   * Progress is saved after every chunk, so a restart resumes where it stopped.
    */
   async syncPastEvents() {
     try {
-      // Get last processed block
-      const lastActivity = await ContractActivity.findOne().sort({ blockNumber: -1 });
-      const fromBlock = lastActivity ? lastActivity.blockNumber + 1 : 0;
+      const currentBlock = await this.network.provider.getBlockNumber();
 
-      console.log(`🔄 Syncing past events from block ${fromBlock}...`);
+      await this.backfillContract('EmploymentContract', this.network.employmentContract, currentBlock);
+      await this.backfillContract('CredentialNFT', this.network.credentialContract, currentBlock);
 
-      // Query past events (limit to avoid timeouts)
-      const currentBlock = await blockchainService.provider.getBlockNumber();
-      const toBlock = Math.min(fromBlock + 1000, currentBlock);
+      this.isSynced = true;
+      console.log(`✅ Past events synced on ${this.network.name}`);
+    } catch (error) {
+      // Checkpoint still points at the last completed chunk; next start retries from there
+      console.error('Error syncing past events:', error.message);
+    }
+  }
 
-      if (fromBlock < toBlock) {
-        const events = await blockchainService.employmentContract.queryFilter(
-          '*',
-          fromBlock,
-          toBlock
-        );
+  /**
+   * Backfill one contract in SYNC_CHUNK_SIZE block ranges
+   */
+  async backfillContract(contractName, contract, toBlock) {
+    const checkpoint = await SyncCheckpoint.findOne({ chainId: this.chainId, contractName });
+    let fromBlock = checkpoint ? checkpoint.lastSyncedBlock + 1 : this.syncStartBlock;
+
+    if (fromBlock > toBlock) {
+      console.log(`✅ ${contractName} on ${this.network.name} already synced to block ${toBlock}`);
+      return;
+    }
+
+    console.log(`🔄 Syncing ${contractName} events on ${this.network.name} from block ${fromBlock} to ${toBlock}...`);
 
-        console.log(`📦 Found ${events.length} past events`);
+    let processed = 0;
+    this.isBackfilling = true;
 
+    try {
+      while (fromBlock <= toBlock) {
+        const chunkEnd = Math.min(fromBlock + this.syncChunkSize - 1, toBlock);
+        const events = await contract.queryFilter('*', fromBlock, chunkEnd);
+
+        // Logs come back in chain order (block, then log index)
         for (const event of events) {
-          // Process each event based on its name
-          // (Implementation similar to real-time handlers)
+          await this.processEvent(event);
         }
+
+        // Reputation for everyone touched in this chunk, then move the checkpoint
+        await this.flushReputation();
+
+        processed += events.length;
+        await this.saveCheckpoint(contractName, chunkEnd);
+        fromBlock = chunkEnd + 1;
       }
+    } finally {
+      this.isBackfilling = false;
+    }
+
+    console.log(`📦 Processed ${processed} past ${contractName} events on ${this.network.name}`);
+  }
+
+  /**
+   * Persist backfill progress (never moves backwards)
+   */
+  async saveCheckpoint(contractName, blockNumber) {
+    await SyncCheckpoint.findOneAndUpdate(
+      { chainId: this.chainId, contractName },
+      { $max: { lastSyncedBlock: blockNumber } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Move the checkpoint forward as live events arrive
+   * Skipped until backfill finishes, otherwise a crash mid-backfill would
+   * leave a gap between the backfilled range and the live block.
+   */
+  async advanceCheckpoint(contractName, blockNumber) {
+    if (!this.isSynced) return;
 
-      console.log('✅ Past events synced');
+    try {
+      await this.saveCheckpoint(contractName, blockNumber);
     } catch (error) {
-      console.error('Error syncing past events:', error.message);
+      console.error('Error saving sync checkpoint:', error.message);
     }
   }
 
@@ -442,12 +979,58 @@ class EventListenerService {
    */
   stop() {
     if (this.isListening) {
-      blockchainService.employmentContract.removeAllListeners();
-      blockchainService.credentialContract.removeAllListeners();
+      this.network.employmentContract.removeAllListeners();
+      this.network.credentialContract.removeAllListeners();
+      this.network.provider.off('block', this.onBlock);
       this.isListening = false;
-      console.log('👋 Event listeners stopped');
+      console.log(`👋 Event listeners stopped on ${this.network.name}`);
     }
   }
 }
 
+/**
+ * Bring indexed collections up to date with their schemas (run once at startup,
+ * before any listener starts)
+ *
+ * Rows written before multi-network support carry no chainId; they were
+ * indexed from the default network, so they are tagged with it before the
+ * old single-chain unique indexes are replaced.
+ */
+EventListenerService.prepareCollections = async () => {
+  const chainId = blockchainService.defaultChainId;
+  const untagged = { chainId: { $exists: false } };
+
+  await SyncCheckpoint.updateMany(untagged, { $set: { chainId } });
+  // Activity indexed before multi-network support (every query filters on chainId)
+  await ContractActivity.updateMany(untagged, { $set: { chainId } });
+  await ContractProjection.updateMany(untagged, { $set: { chainId } });
+  await MilestoneReminder.updateMany(untagged, { $set: { chainId } });
+  await User.updateMany(
+    { credentials: { $elemMatch: untagged } },
+    { $set: { 'credentials.$[credential].chainId': chainId } },
+    { arrayFilters: [{ 'credential.chainId': { $exists: false } }] }
+  );
+
+  // Webhook contract filters were bare contract IDs, all on the default network
+  await Webhook.collection.updateMany(
+    { contractIds: { $exists: true } },
+    [
+      {
+        $set: {
+          contracts: {
+            $map: { input: '$contractIds', as: 'contractId', in: { chainId, contractId: '$$contractId' } }
+          }
+        }
+      },
+      { $unset: 'contractIds' }
+    ]
+  );
+
+  // Drop indexes no longer in the schema (e.g. the old unique transactionHash)
+  await ContractActivity.syncIndexes();
+  await SyncCheckpoint.syncIndexes();
+  await ContractProjection.syncIndexes();
+  await MilestoneReminder.syncIndexes();
+};
+
 module.exports = EventListenerService;
@@ -0,0 +1,207 @@
+const ContractProjection = require('../models/ContractProjection');
+const MilestoneReminder = require('../models/MilestoneReminder');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+// Days before a deadline to remind at (e.g. "3,1")
+const REMINDER_DAYS = (process.env.MILESTONE_REMINDER_DAYS || '3,1')
+  .split(',')
+  .map(d => parseInt(d, 10))
+  .filter(d => d > 0)
+  .sort((a, b) => a - b);
+const INTERVAL_MS = parseInt(process.env.MILESTONE_REMINDER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+const DAY = 24 * 60 * 60;
+const CONTRACT_ACTIVE = 1; // ContractStatus.ACTIVE
+const OPEN_MILESTONE_STATUSES = [0, 1]; // MilestoneStatus.PENDING, IN_PROGRESS
+
+/**
+ * Milestone Reminder Service
+ *
+ * Watches milestone deadlines of ACTIVE contracts (from the contract
+ * projection) and reminds both parties:
+ * - 'due-in-Nd' for each of MILESTONE_REMINDER_DAYS before the deadline
+ * - 'overdue' once the deadline has passed without a submission
+ *
+ * Only the closest reminder window fires: a milestone first seen 12 hours
+ * before its deadline gets the 1-day reminder, not the 3-day one as well.
+ * Users who turned off notifications.milestoneReminders are skipped.
+ */
+
+class MilestoneReminderService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Open (not yet submitted) milestones of active contracts with a deadline before `before`
+   * @param {Object} options
+   * @param {number} options.before - Unix timestamp (seconds)
+   * @param {string} options.company - Only contracts of this company
+   * @param {number} options.chainId - Only contracts on this network (all networks if omitted)
+   */
+  async findOpenMilestones({ before, company, chainId } = {}) {
+    const query = {
+      status: CONTRACT_ACTIVE,
+      milestones: {
+        $elemMatch: {
+          status: { $in: OPEN_MILESTONE_STATUSES },
+          deadline: { $gt: 0, $lte: before }
+        }
+      }
+    };
+    if (company) query.company = company.toLowerCase();
+    if (chainId !== undefined) query.chainId = chainId;
+
+    const contracts = await ContractProjection.find(query);
+    const milestones = [];
+
+    for (const contract of contracts) {
+      for (const milestone of contract.milestones) {
+        if (
+          OPEN_MILESTONE_STATUSES.includes(milestone.status) &&
+          milestone.deadline > 0 &&
+          milestone.deadline <= before
+        ) {
+          milestones.push({ contract, milestone });
+        }
+      }
+    }
+
+    return milestones;
+  }
+
+  /**
+   * Overdue milestones for a company dashboard
+   */
+  async findOverdueMilestones(company, chainId) {
+    const now = Math.floor(Date.now() / 1000);
+    const overdue = await this.findOpenMilestones({ before: now, company, chainId });
+
+    return overdue
+      .map(({ contract, milestone }) => ({
+        chainId: contract.chainId,
+        contractId: contract.contractId,
+        jobTitle: contract.jobTitle,
+        talent: contract.talent,
+        milestoneIndex: milestone.index,
+        description: milestone.description,
+        amount: milestone.amount,
+        deadline: milestone.deadline,
+        daysOverdue: Math.floor((now - milestone.deadline) / DAY)
+      }))
+      .sort((a, b) => a.deadline - b.deadline);
+  }
+
+  /**
+   * Which reminder applies to a deadline right now (null if none yet)
+   */
+  reminderKind(deadline, now) {
+    if (deadline <= now) return 'overdue';
+
+    const days = REMINDER_DAYS.find(d => deadline - now <= d * DAY);
+    return days ? `due-in-${days}d` : null;
+  }
+
+  /**
+   * One scheduler pass: send every reminder that is due and not yet sent
+   */
+  async runOnce() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let sent = 0;
+
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const horizon = now + (REMINDER_DAYS[REMINDER_DAYS.length - 1] || 0) * DAY;
+      const candidates = await this.findOpenMilestones({ before: horizon });
+
+      for (const { contract, milestone } of candidates) {
+        const kind = this.reminderKind(milestone.deadline, now);
+        if (!kind) continue;
+
+        for (const recipient of [contract.talent, contract.company]) {
+          if (await this.sendReminder(contract, milestone, recipient, kind, now)) {
+            sent++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error running milestone reminders:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Record and send one reminder
+   * @returns {Promise<boolean>} false if it was already sent or the user opted out
+   */
+  async sendReminder(contract, milestone, recipient, kind, now) {
+    const user = await User.findOne({ walletAddress: recipient }).select('notifications');
+    if (user && user.notifications?.milestoneReminders === false) return false;
+
+    // Record first: the unique index guarantees at most one reminder per kind
+    try {
+      await MilestoneReminder.create({
+        chainId: contract.chainId,
+        contractId: contract.contractId,
+        milestoneIndex: milestone.index,
+        recipient,
+        kind,
+        deadline: milestone.deadline
+      });
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    const overdue = kind === 'overdue';
+    const payload = {
+      chainId: contract.chainId,
+      contractId: contract.contractId,
+      milestoneIndex: milestone.index,
+      description: milestone.description,
+      deadline: milestone.deadline,
+      role: recipient === contract.company ? 'company' : 'talent',
+      ...(overdue
+        ? { daysOverdue: Math.floor((now - milestone.deadline) / DAY) }
+        : { daysLeft: Math.ceil((milestone.deadline - now) / DAY) })
+    };
+
+    await notificationService.notify(
+      recipient,
+      overdue ? 'milestone-overdue' : 'milestone-due-soon',
+      payload,
+      overdue ? 'MilestoneOverdue' : 'MilestoneDueSoon'
+    );
+
+    return true;
+  }
+
+  /**
+   * Start the scheduler (runs immediately, then every MILESTONE_REMINDER_INTERVAL_MS)
+   */
+  start() {
+    if (this.timer) return;
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), INTERVAL_MS);
+    console.log(`✅ Milestone reminder scheduler started (reminding ${REMINDER_DAYS.join(', ')} days ahead)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const milestoneReminderService = new MilestoneReminderService();
+
+module.exports = milestoneReminderService;
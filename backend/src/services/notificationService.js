@@ -0,0 +1,153 @@
+const Notification = require('../models/Notification');
+const webhookService = require('./webhookService');
+const emailService = require('./emailService');
+
+/**
+ * Notification Service
+ *
+ * Single entry point for telling a wallet that something happened.
+ * Fans out to every channel:
+ * - Inbox: stored as a Notification (read state, missed-event replay)
+ * - Socket.io: pushed to the wallet's room (kebab-case event name)
+ * - Webhooks: endpoints the wallet registered for this event type
+ * - Email: if a template exists and the user's preferences allow it
+ */
+
+class NotificationService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the Socket.io server (called once at startup)
+   */
+  initialize(io) {
+    this.io = io;
+  }
+
+  /**
+   * Room for live updates of one contract (joined by its parties only)
+   * Contract IDs are per deployment, so the room includes the chain.
+   */
+  contractRoom(chainId, contractId) {
+    return `contract:${chainId}:${contractId}`;
+  }
+
+  /**
+   * Push an update to everyone viewing a contract
+   */
+  emitToContract(chainId, contractId, event, payload) {
+    if (this.io) {
+      this.io.to(this.contractRoom(chainId, contractId)).emit(event, payload);
+    }
+  }
+
+  /**
+   * Push a live update to a wallet's sockets only (no inbox, webhook or email)
+   */
+  emitToWallet(walletAddress, event, payload) {
+    if (this.io) {
+      this.io.to(walletAddress).emit(event, payload);
+    }
+  }
+
+  /**
+   * Room of every socket opened with one session's access tokens
+   */
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Close a revoked session's sockets (its token would otherwise stay
+   * usable on the open connection until it expires)
+   */
+  disconnectSession(sessionId) {
+    if (this.io) {
+      const room = this.sessionRoom(sessionId);
+      this.io.to(room).emit('session-revoked');
+      this.io.in(room).disconnectSockets(true);
+    }
+  }
+
+  /**
+   * Notify a wallet on every channel
+   * @param {string} walletAddress - Recipient (lowercase)
+   * @param {string} kind - Socket.io event / email template name (e.g. 'milestone-paid')
+   * @param {Object} payload - Event data sent to the client
+   * @param {string} eventType - Webhook event type (e.g. 'MilestonePaid')
+   */
+  async notify(walletAddress, kind, payload, eventType) {
+    let notificationId;
+
+    try {
+      const notification = await Notification.create({ walletAddress, kind, eventType, payload });
+      notificationId = notification._id.toString();
+    } catch (error) {
+      console.error(`Error storing ${kind} notification:`, error.message);
+    }
+
+    if (this.io) {
+      this.io.to(walletAddress).emit(kind, { ...payload, notificationId });
+    }
+
+    try {
+      await webhookService.dispatch(walletAddress, eventType, payload);
+    } catch (error) {
+      console.error(`Error dispatching ${eventType} webhooks:`, error.message);
+    }
+
+    try {
+      await emailService.queueNotification(walletAddress, kind, payload);
+    } catch (error) {
+      console.error(`Error queueing ${kind} email:`, error.message);
+    }
+  }
+
+  /**
+   * Replay notifications a client missed while disconnected
+   *
+   * Clients send the notificationId of the last notification they saw;
+   * everything newer is re-emitted in order with `replayed: true`.
+   * Without a cursor (first connection) the newest `limit` are sent, still
+   * oldest first; `hasMore` then means older ones exist (see the inbox API).
+   *
+   * @returns {Promise<{ count, hasMore }>}
+   */
+  async replayMissed(socket, walletAddress, lastSeenId, limit = 200) {
+    let missed;
+
+    if (lastSeenId) {
+      missed = await Notification.find({ walletAddress, _id: { $gt: lastSeenId } })
+        .sort({ _id: 1 })
+        .limit(limit + 1);
+    } else {
+      missed = await Notification.find({ walletAddress })
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+    }
+
+    const hasMore = missed.length > limit;
+    missed = missed.slice(0, limit);
+
+    if (!lastSeenId) {
+      missed.reverse();
+    }
+
+    for (const notification of missed) {
+      socket.emit(notification.kind, {
+        ...notification.payload,
+        notificationId: notification._id.toString(),
+        read: Boolean(notification.readAt),
+        replayed: true
+      });
+    }
+
+    return { count: missed.length, hasMore };
+  }
+}
+
+// Singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
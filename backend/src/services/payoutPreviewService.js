@@ -0,0 +1,246 @@
+const ContractActivity = require('../models/ContractActivity');
+const blockchainService = require('./blockchainService');
+const transactionService = require('./transactionService');
+
+const MILESTONE_PAID = 4; // MilestoneStatus.PAID
+
+/**
+ * Typical gas used by each EmploymentContract function, measured on a local
+ * node (short titles and descriptions, 46-character IPFS hashes). Only used,
+ * with `estimated: false`, when a call can't be estimated: lifecycle calls of
+ * a draft, or calls an existing contract doesn't accept in its current state.
+ * - approveMilestone loops over every milestone to detect completion
+ */
+const TYPICAL_GAS = {
+  createContract: (milestoneCount) => 360000 + 75000 * milestoneCount,
+  acceptContract: () => 50000,
+  submitMilestone: () => 121000,
+  approveMilestone: (milestoneCount) => 68000 + 3000 * milestoneCount,
+  raiseDispute: () => 31000,
+  finalizeContract: () => 49000,
+  cancelContract: () => 59000
+};
+
+// Stand-in deliverable for estimating submitMilestone (a CIDv0 is 46 characters)
+const SAMPLE_IPFS_HASH = `Qm${'x'.repeat(44)}`;
+
+const eth = (wei) => blockchainService.formatEther(wei);
+
+/**
+ * Payout Preview Service
+ *
+ * WEB3 CONCEPT: Fees Are Decided On-Chain
+ * - _releaseMilestonePayment takes platformFeePercent of each milestone when
+ *   it is paid, at the fee in force THEN (the owner can change it, max 10%)
+ * - fee = amount * platformFeePercent / 100, rounded down like Solidity;
+ *   the talent receives the rest
+ * - Every state change also costs its sender gas
+ *
+ * Previews use the live fee; milestones already paid show what was actually
+ * paid (from the MilestonePaid event).
+ */
+
+class PayoutPreviewService {
+  /**
+   * Preview a draft contract (same body and validation as create/prepare)
+   * @throws {TransactionError} INVALID_PARAMS
+   */
+  async previewDraft(body, company, chainId) {
+    const params = transactionService.parseCreateContract(body, company);
+    const { platformFeePercent } = await blockchainService.getPlatformSettings(chainId);
+
+    const milestones = params.milestoneAmounts.map((amount, index) => ({
+      index,
+      description: params.milestoneDescriptions[index],
+      deadline: params.milestoneDeadlines[index],
+      ...this.split(amount, platformFeePercent)
+    }));
+
+    const createContract = await this.estimateCreate(params, company, chainId);
+
+    return {
+      chainId,
+      platformFeePercent,
+      milestones,
+      totals: this.totals(milestones, params.totalAmount),
+      gas: await this.gasCosts(milestones.length, chainId, createContract ? { createContract } : {})
+    };
+  }
+
+  /**
+   * Preview an existing contract, read live from chain
+   * @returns {Promise<Object|null>} null if the contract doesn't exist
+   */
+  async previewContract(contractId, chainId) {
+    const contract = await blockchainService.getContractDetails(contractId, chainId);
+    if (!contract || contract.id === 0) {
+      return null;
+    }
+
+    const { platformFeePercent } = await blockchainService.getPlatformSettings(chainId);
+
+    const payments = await ContractActivity.find({ chainId, contractId, eventType: 'MilestonePaid' })
+      .select('eventData');
+    const paidToTalent = new Map(payments.map(payment => [payment.eventData.milestoneIndex, payment.eventData.amount]));
+
+    const milestones = contract.milestones.map((milestone, index) => {
+      const amount = BigInt(milestone.amount);
+      const settled = milestone.status === MILESTONE_PAID && paidToTalent.has(index);
+
+      return {
+        index,
+        description: milestone.description,
+        deadline: milestone.deadline,
+        status: milestone.status,
+        // Paid milestones: what was actually paid, at the fee in force then
+        settled,
+        ...(settled
+          ? this.settledSplit(amount, BigInt(paidToTalent.get(index)))
+          : this.split(amount, platformFeePercent))
+      };
+    });
+
+    const unpaid = contract.milestones
+      .filter(milestone => milestone.status !== MILESTONE_PAID)
+      .reduce((sum, milestone) => sum + BigInt(milestone.amount), 0n);
+
+    return {
+      chainId,
+      contractId,
+      status: contract.status,
+      platformFeePercent,
+      milestones,
+      totals: {
+        ...this.totals(milestones, BigInt(contract.totalAmount)),
+        // Still locked in the contract
+        escrowRemaining: unpaid.toString(),
+        escrowRemainingEth: eth(unpaid)
+      },
+      gas: await this.gasCosts(milestones.length, chainId, await this.estimateNextActions(contract, chainId))
+    };
+  }
+
+  split(amount, feePercent) {
+    const platformFee = amount * BigInt(feePercent) / 100n;
+    return this.settledSplit(amount, amount - platformFee);
+  }
+
+  settledSplit(amount, netPayout) {
+    const platformFee = amount - netPayout;
+    return {
+      gross: amount.toString(),
+      platformFee: platformFee.toString(),
+      netPayout: netPayout.toString(),
+      grossEth: eth(amount),
+      platformFeeEth: eth(platformFee),
+      netPayoutEth: eth(netPayout)
+    };
+  }
+
+  totals(milestones, escrowRequired) {
+    const sum = (field) => milestones.reduce((total, milestone) => total + BigInt(milestone[field]), 0n);
+    const platformFees = sum('platformFee');
+    const netPayout = sum('netPayout');
+
+    return {
+      escrowRequired: escrowRequired.toString(),
+      platformFees: platformFees.toString(),
+      netPayout: netPayout.toString(),
+      escrowRequiredEth: eth(escrowRequired),
+      platformFeesEth: eth(platformFees),
+      netPayoutEth: eth(netPayout)
+    };
+  }
+
+  /**
+   * Live gas estimate of createContract, as the company
+   * @returns {Promise<bigint|null>} null if it can't be estimated (e.g. balance too low)
+   */
+  async estimateCreate(params, company, chainId) {
+    const contract = blockchainService.getNetwork(chainId).employmentContract;
+
+    try {
+      return await contract.createContract.estimateGas(
+        params.talent,
+        params.jobTitle,
+        params.ipfsMetadata,
+        params.startDate,
+        params.endDate,
+        params.milestoneDescriptions,
+        params.milestoneAmounts,
+        params.milestoneDeadlines,
+        { from: company, value: params.totalAmount }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Live gas estimates of the calls an existing contract accepts next,
+   * each from the party that would send it
+   * @returns {Promise<Object>} action -> gas (calls that can't be estimated are left out)
+   */
+  async estimateNextActions(contract, chainId) {
+    const { employmentContract } = blockchainService.getNetwork(chainId);
+    const estimates = {};
+
+    await Promise.all(transactionService.nextContractActions(contract, { ipfsHash: SAMPLE_IPFS_HASH })
+      .map(async ({ action, from, args }) => {
+        try {
+          estimates[action] = await employmentContract[action].estimateGas(...args, { from });
+        } catch (error) {
+          // Left to the typical figure
+        }
+      }));
+
+    return estimates;
+  }
+
+  /**
+   * Gas and cost (at the current gas price) of each lifecycle call, and of
+   * the whole happy path for each party. `estimated` tells live estimates
+   * from TYPICAL_GAS figures (a happy path only counts if all its calls are).
+   * @param {Object} estimates - action -> live gas estimate; other calls use TYPICAL_GAS
+   */
+  async gasCosts(milestoneCount, chainId, estimates = {}) {
+    const feeData = await blockchainService.getNetwork(chainId).provider.getFeeData();
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+
+    const cost = (gas, estimated) => ({
+      gas: gas.toString(),
+      cost: (gas * gasPrice).toString(),
+      costEth: eth(gas * gasPrice),
+      estimated
+    });
+
+    const actions = {};
+    for (const [action, typical] of Object.entries(TYPICAL_GAS)) {
+      actions[action] = estimates[action] !== undefined
+        ? cost(estimates[action], true)
+        : cost(BigInt(typical(milestoneCount)), false);
+    }
+
+    const gasOf = (action) => BigInt(actions[action].gas);
+    const allEstimated = (...names) => names.every(action => actions[action].estimated);
+    const count = BigInt(milestoneCount);
+    // create, approve every milestone, finalize / accept, submit every milestone, finalize
+    const companyGas = gasOf('createContract') + gasOf('approveMilestone') * count + gasOf('finalizeContract');
+    const talentGas = gasOf('acceptContract') + gasOf('submitMilestone') * count + gasOf('finalizeContract');
+
+    return {
+      gasPrice: gasPrice.toString(),
+      // Per call; submitMilestone and approveMilestone are per milestone
+      actions,
+      happyPath: {
+        company: cost(companyGas, allEstimated('createContract', 'approveMilestone', 'finalizeContract')),
+        talent: cost(talentGas, allEstimated('acceptContract', 'submitMilestone', 'finalizeContract'))
+      }
+    };
+  }
+}
+
+// Singleton instance
+const payoutPreviewService = new PayoutPreviewService();
+
+module.exports = payoutPreviewService;
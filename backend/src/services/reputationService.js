@@ -0,0 +1,131 @@
+const ContractActivity = require('../models/ContractActivity');
+const User = require('../models/User');
+
+/**
+ * Reputation Service
+ *
+ * WEB3 CONCEPT: Derived State
+ * - Reputation is never edited directly, it is RECOMPUTED from indexed events
+ * - Same activity in -> same reputation out (replays and reorgs can't skew it)
+ * - Wei amounts are summed as BigInt: a uint256 doesn't fit in a JS number,
+ *   and MongoDB $inc can't add numeric strings
+ */
+
+const REPUTATION_EVENTS = [
+  'ContractCreated',
+  'ContractCancelled',
+  'ContractCompleted',
+  'ContractDisputed',
+  'MilestonePaid'
+];
+
+class ReputationService {
+  /**
+   * Compute reputation metrics for a wallet from its ContractActivity
+   *
+   * - totalContracts: contracts created with this wallet as a party, minus cancelled ones
+   * - completedContracts / disputedContracts: distinct contracts that reached that state
+   * - totalEarned: net milestone payments received as talent (wei)
+   * - totalSpent: escrow funded as company, minus refunds on cancellation (wei)
+   * - completionRate: completed / total, in percent
+   *
+   * Activity from every indexed network counts; contracts are told apart by
+   * (chainId, contractId) since IDs restart on each deployment. Pending
+   * activity (not yet CONFIRMATION_DEPTH blocks deep) doesn't count until
+   * the listener confirms it; rows indexed before confirmations were
+   * tracked have no status and count as confirmed.
+   */
+  async computeReputation(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+
+    const activities = await ContractActivity.find({
+      eventType: { $in: REPUTATION_EVENTS },
+      status: { $ne: 'pending' },
+      $or: [{ company: wallet }, { talent: wallet }]
+    }).select('chainId contractId eventType company talent eventData.amount');
+
+    const created = new Set();
+    const cancelled = new Set();
+    const completed = new Set();
+    const disputed = new Set();
+    let totalEarned = 0n;
+    let totalSpent = 0n;
+
+    for (const activity of activities) {
+      const amount = BigInt(activity.eventData?.amount || '0');
+      const isCompany = activity.company === wallet;
+      const contractKey = `${activity.chainId}:${activity.contractId}`;
+
+      switch (activity.eventType) {
+        case 'ContractCreated':
+          created.add(contractKey);
+          if (isCompany) totalSpent += amount;
+          break;
+        case 'ContractCancelled':
+          cancelled.add(contractKey);
+          if (isCompany) totalSpent -= amount;
+          break;
+        case 'ContractCompleted':
+          completed.add(contractKey);
+          break;
+        case 'ContractDisputed':
+          disputed.add(contractKey);
+          break;
+        case 'MilestonePaid':
+          if (activity.talent === wallet) totalEarned += amount;
+          break;
+      }
+    }
+
+    const totalContracts = [...created].filter(id => !cancelled.has(id)).length;
+
+    return {
+      totalContracts,
+      completedContracts: completed.size,
+      disputedContracts: disputed.size,
+      totalEarned: totalEarned.toString(),
+      totalSpent: totalSpent.toString(),
+      completionRate: totalContracts === 0 ? 0 : (completed.size / totalContracts) * 100
+    };
+  }
+
+  /**
+   * Recompute and store reputation for one wallet
+   * @returns {Promise<Object|null>} the new metrics, or null if the wallet has no account
+   */
+  async recomputeReputation(walletAddress) {
+    const metrics = await this.computeReputation(walletAddress);
+
+    const update = {};
+    for (const [field, value] of Object.entries(metrics)) {
+      update[`reputation.${field}`] = value;
+    }
+
+    const user = await User.findOneAndUpdate(
+      { walletAddress: walletAddress.toLowerCase() },
+      { $set: update }
+    );
+
+    return user ? metrics : null;
+  }
+
+  /**
+   * Recompute reputation for every user
+   * @returns {Promise<number>} number of users updated
+   */
+  async recomputeAll() {
+    let count = 0;
+
+    for await (const user of User.find().select('walletAddress').cursor()) {
+      await this.recomputeReputation(user.walletAddress);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+// Singleton instance
+const reputationService = new ReputationService();
+
+module.exports = reputationService;
@@ -0,0 +1,327 @@
+const { ethers } = require('ethers');
+
+// Per-request timeout for a single endpoint
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS, 10) || 10000;
+// Extra rounds over all endpoints after every endpoint failed, with exponential backoff
+// (0 is allowed; empty or invalid values fall back to the default)
+const parsedMaxRetries = parseInt(process.env.RPC_MAX_RETRIES, 10);
+const RPC_MAX_RETRIES = Number.isInteger(parsedMaxRetries) && parsedMaxRetries >= 0 ? parsedMaxRetries : 2;
+const RPC_RETRY_BASE_MS = parseInt(process.env.RPC_RETRY_BASE_MS, 10) || 250;
+// Consecutive transient failures that open an endpoint's circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.RPC_CIRCUIT_FAILURE_THRESHOLD, 10) || 3;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.RPC_CIRCUIT_COOLDOWN_MS, 10) || 30000;
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.2;
+
+// Errors worth retrying elsewhere: the endpoint (not the request) is the problem
+const TRANSIENT_ERRORS = new Set([
+  'TIMEOUT',
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+]);
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half-open';
+
+/**
+ * Resilient Provider
+ *
+ * WEB3 CONCEPT: RPC Endpoints Are Unreliable
+ * - Every chain read goes through a JSON-RPC node (Alchemy, Infura, your own...)
+ * - Nodes rate-limit, time out, fall behind the chain head or go down
+ * - A single bad node shouldn't take the whole API down with it
+ *
+ * An ethers provider backed by several endpoints of the same chain:
+ * - Weighted failover: requests go to the highest-weight healthy endpoint
+ *   first and move on to the next one on a transient error
+ * - Retries: once every endpoint failed, retry with exponential backoff
+ * - Circuit breaker: an endpoint that keeps failing is skipped for a
+ *   cooldown, then gets a single trial request before it is used again
+ * - Metrics: requests, failures and latency per endpoint (see getStatus)
+ *
+ * Errors caused by the request itself (reverts, bad arguments) are thrown
+ * straight away; another node would answer the same.
+ */
+
+/**
+ * Hide credentials in endpoint URLs (API keys usually live in the path)
+ */
+const redactUrl = (url) => {
+  try {
+    const { origin, pathname } = new URL(url);
+    return pathname.length > 1 ? `${origin}/***` : origin;
+  } catch (error) {
+    return 'invalid-url';
+  }
+};
+
+const isTransientError = (error) => TRANSIENT_ERRORS.has(error?.code);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One RPC endpoint with its circuit breaker and metrics
+ */
+class RpcEndpoint {
+  constructor(url, weight, network) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = RPC_TIMEOUT_MS;
+
+    this.url = redactUrl(url);
+    this.weight = weight;
+    this.provider = new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+
+    this.circuit = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+
+    this.metrics = {
+      requests: 0,
+      failures: 0,
+      avgLatencyMs: null,
+      lastLatencyMs: null,
+      lastError: null,
+      lastErrorAt: null
+    };
+  }
+
+  /**
+   * Can this endpoint take a request right now?
+   * An open circuit moves to half-open once the cooldown has passed.
+   */
+  isAvailable(now = Date.now()) {
+    if (this.circuit === CIRCUIT_OPEN && now - this.openedAt >= CIRCUIT_COOLDOWN_MS) {
+      this.circuit = CIRCUIT_HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.circuit === CIRCUIT_HALF_OPEN) return !this.trialInFlight;
+    return this.circuit === CIRCUIT_CLOSED;
+  }
+
+  /**
+   * Send a request through this endpoint, updating the breaker and metrics
+   */
+  async perform(req) {
+    if (this.circuit === CIRCUIT_HALF_OPEN) this.trialInFlight = true;
+
+    try {
+      const result = await this.measure(() => this.provider._perform(req));
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // The node answered, the request was just bad: the endpoint is healthy
+      if (!isTransientError(error)) {
+        this.recordSuccess();
+      } else {
+        this.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the endpoint's head block (health checks; doesn't touch the breaker)
+   */
+  async probe() {
+    try {
+      const blockNumber = await this.measure(() => this.provider._perform({ method: 'getBlockNumber' }));
+      return { blockNumber: Number(blockNumber), error: null };
+    } catch (error) {
+      this.metrics.failures++;
+      this.metrics.lastError = error.shortMessage || error.message;
+      this.metrics.lastErrorAt = new Date();
+      return { blockNumber: null, error: this.metrics.lastError };
+    }
+  }
+
+  async measure(send) {
+    const startedAt = Date.now();
+    this.metrics.requests++;
+
+    try {
+      return await send();
+    } finally {
+      const latency = Date.now() - startedAt;
+      this.metrics.lastLatencyMs = latency;
+      this.metrics.avgLatencyMs = this.metrics.avgLatencyMs === null
+        ? latency
+        : Math.round(this.metrics.avgLatencyMs * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+    }
+  }
+
+  recordSuccess() {
+    if (this.circuit !== CIRCUIT_CLOSED) {
+      console.log(`✅ RPC endpoint ${this.url} recovered, circuit closed`);
+    }
+
+    this.circuit = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.metrics.failures++;
+    this.metrics.lastError = error.shortMessage || error.message;
+    this.metrics.lastErrorAt = new Date();
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    // A failed trial re-opens immediately; otherwise wait for the threshold
+    if (this.circuit === CIRCUIT_HALF_OPEN || this.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      if (this.circuit !== CIRCUIT_OPEN) {
+        console.error(`⚠️  RPC endpoint ${this.url} failing (${this.metrics.lastError}), circuit open`);
+      }
+      this.circuit = CIRCUIT_OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+class ResilientProvider extends ethers.AbstractProvider {
+  /**
+   * @param {Array<{ url: string, weight: number }>} endpoints - RPC endpoints of one chain
+   * @param {number} chainId - Chain every endpoint must serve
+   */
+  constructor(endpoints, chainId) {
+    const network = ethers.Network.from(chainId);
+    // No request cache: a cached 'pending' nonce would make back-to-back
+    // transactions from the platform wallet reuse the same nonce
+    super(network, { cacheTimeout: -1 });
+
+    this.staticNetwork = network;
+    this.endpoints = endpoints.map(({ url, weight }) => new RpcEndpoint(url, weight, network));
+  }
+
+  /**
+   * Ask the endpoints which chain they serve (first one to answer wins)
+   * Used when no deployment manifest tells us the chainId up front.
+   */
+  static async detectChainId(urls) {
+    let lastError;
+
+    for (const url of urls) {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = RPC_TIMEOUT_MS;
+      const provider = new ethers.JsonRpcProvider(request);
+
+      try {
+        const network = await provider._detectNetwork();
+        return Number(network.chainId);
+      } catch (error) {
+        lastError = error;
+      } finally {
+        provider.destroy();
+      }
+    }
+
+    throw lastError || new Error('No RPC endpoints configured');
+  }
+
+  /**
+   * Check every endpoint serves the expected chain
+   * Unreachable endpoints are tolerated (the breaker handles them), a wrong chain is not.
+   * @returns {Promise<number>} number of endpoints that answered
+   */
+  async verifyEndpoints() {
+    let reachable = 0;
+
+    for (const endpoint of this.endpoints) {
+      try {
+        const chainId = Number(await endpoint.perform({ method: 'chainId' }));
+
+        if (chainId !== Number(this.staticNetwork.chainId)) {
+          throw new Error(
+            `RPC endpoint ${endpoint.url} is on chainId ${chainId}, expected ${this.staticNetwork.chainId}`
+          );
+        }
+        reachable++;
+      } catch (error) {
+        if (!isTransientError(error)) throw error;
+        console.error(`⚠️  RPC endpoint ${endpoint.url} unreachable:`, error.shortMessage || error.message);
+      }
+    }
+
+    return reachable;
+  }
+
+  async _detectNetwork() {
+    return this.staticNetwork;
+  }
+
+  /**
+   * Endpoints to try for the next request, best first
+   */
+  availableEndpoints() {
+    const now = Date.now();
+    return this.endpoints
+      .filter(endpoint => endpoint.isAvailable(now))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  async _perform(req) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= RPC_MAX_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await sleep(RPC_RETRY_BASE_MS * 2 ** (attempt - 1));
+      }
+
+      for (const endpoint of this.availableEndpoints()) {
+        try {
+          return await endpoint.perform(req);
+        } catch (error) {
+          if (!isTransientError(error)) throw error;
+          lastError = error;
+        }
+      }
+    }
+
+    throw ethers.makeError(
+      `All RPC endpoints failed for ${req.method}${lastError ? `: ${lastError.shortMessage || lastError.message}` : ' (all circuits open)'}`,
+      'SERVER_ERROR',
+      { request: req, info: { lastError } }
+    );
+  }
+
+  /**
+   * Health of every endpoint: circuit state, metrics and how far its head
+   * is behind the best head any endpoint reported
+   */
+  async getStatus() {
+    const probes = await Promise.all(this.endpoints.map(endpoint => endpoint.probe()));
+    const heads = probes.map(probe => probe.blockNumber).filter(blockNumber => blockNumber !== null);
+    const headBlock = heads.length > 0 ? Math.max(...heads) : null;
+
+    const endpoints = this.endpoints.map((endpoint, i) => ({
+      url: endpoint.url,
+      weight: endpoint.weight,
+      circuit: endpoint.circuit,
+      blockNumber: probes[i].blockNumber,
+      headLag: probes[i].blockNumber === null ? null : headBlock - probes[i].blockNumber,
+      probeError: probes[i].error,
+      ...endpoint.metrics
+    }));
+
+    return {
+      headBlock,
+      healthyEndpoints: endpoints.filter(e => e.circuit !== CIRCUIT_OPEN && e.blockNumber !== null).length,
+      endpoints
+    };
+  }
+
+  destroy() {
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+module.exports = ResilientProvider;
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const notificationService = require('./notificationService');
+
+// Access tokens are short-lived: a revoked session can't be used for long
+// even by clients that cached the JWT
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+// A session ends after this long without a refresh
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Rotated-away refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+/**
+ * Error with a machine-readable code, returned to API clients as { error, code }
+ */
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Session Service
+ *
+ * Access + refresh tokens:
+ * - Access token: JWT valid for ACCESS_TOKEN_TTL_SECONDS, carries the
+ *   session ID (`sid`) that authenticate checks on every request
+ * - Refresh token: `<sessionId>.<random>`, stored hashed, exchanged for a
+ *   new access token AND a new refresh token (rotation) at /auth/refresh
+ *
+ * If an old refresh token shows up again, either the client or an attacker
+ * holds a stolen copy; we can't tell which, so the session is revoked.
+ */
+
+class SessionService {
+  /**
+   * Start a session after a successful sign-in
+   * @param {Object} user - Signed-in user
+   * @param {Object} device - { name, userAgent, ip }
+   * @returns {Promise<{ session, refreshToken }>}
+   */
+  async createSession(user, device) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = this.generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      walletAddress: user.walletAddress,
+      userId: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      device,
+      lastUsedIp: device.ip,
+      expiresAt: refreshExpiry()
+    });
+
+    return { session, refreshToken };
+  }
+
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Sign an access token for a session
+   * @returns {{ token: string, tokenExpiresAt: Date }}
+   */
+  issueAccessToken(user, session) {
+    const token = jwt.sign(
+      {
+        walletAddress: user.walletAddress,
+        role: user.role,
+        userId: user._id,
+        sid: session._id.toString()
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+      token,
+      tokenExpiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (rotation)
+   * @throws {SessionError} INVALID_REFRESH_TOKEN, SESSION_REVOKED,
+   *   SESSION_EXPIRED, REFRESH_TOKEN_REUSED
+   * @returns {Promise<{ session, refreshToken }>}
+   */
+  async rotateRefreshToken(refreshToken, ip) {
+    const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+    if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const hash = hashToken(refreshToken);
+    const newRefreshToken = this.generateRefreshToken(sessionId);
+
+    // Only the current token of a live session can be exchanged, and only once
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: hash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newRefreshToken),
+          lastUsedAt: new Date(),
+          lastUsedIp: ip,
+          expiresAt: refreshExpiry()
+        },
+        $push: {
+          previousRefreshTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS }
+        }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return { session, refreshToken: newRefreshToken };
+    }
+
+    // Work out why it failed
+    const existing = await Session.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHashes');
+
+    if (!existing) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+    if (existing.revokedAt) {
+      throw new SessionError('SESSION_REVOKED', 'Session has been revoked, please sign in again');
+    }
+    if (existing.expiresAt <= new Date()) {
+      throw new SessionError('SESSION_EXPIRED', 'Session has expired, please sign in again');
+    }
+    if (existing.previousRefreshTokenHashes.includes(hash)) {
+      console.warn(`⚠️  Refresh token reused for session ${sessionId} (${existing.walletAddress}), revoking it`);
+      await this.revokeSession(existing.walletAddress, sessionId, 'refresh-token-reuse');
+      throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token was already used, session revoked');
+    }
+
+    throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+
+  /**
+   * Load the live session an access token belongs to
+   * @throws {SessionError} SESSION_REVOKED if it was revoked, expired or
+   *   doesn't belong to the wallet
+   */
+  async getActiveSession(sessionId, walletAddress) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await Session.findById(sessionId)
+      : null;
+
+    if (!session || session.walletAddress !== walletAddress || !session.isActive()) {
+      throw new SessionError('SESSION_REVOKED', 'Session has been revoked, please sign in again');
+    }
+
+    return session;
+  }
+
+  /**
+   * Active sessions of a wallet, most recently used first
+   */
+  async listSessions(walletAddress) {
+    return Session.find({
+      walletAddress,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session of a wallet
+   * @returns {Promise<boolean>} false if the wallet has no such active session
+   */
+  async revokeSession(walletAddress, sessionId, reason = 'revoked') {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, walletAddress, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    // Only this wallet's sessions: another wallet's session ID must not sign its sockets out
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    notificationService.disconnectSession(sessionId.toString());
+    return true;
+  }
+
+  /**
+   * Revoke every session of a wallet (optionally keeping one, e.g. the caller's)
+   * @returns {Promise<number>} number of sessions revoked
+   */
+  async revokeAllSessions(walletAddress, { exceptSessionId = null } = {}) {
+    const filter = { walletAddress, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(filter).select('_id');
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+
+    sessions.forEach(session => notificationService.disconnectSession(session._id.toString()));
+    return sessions.length;
+  }
+}
+
+// Singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.SessionError = SessionError;
@@ -0,0 +1,469 @@
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const transactionWatcherService = require('./transactionWatcherService');
+
+// Milestones per contract (each one is a storage write paid by the company)
+const MAX_MILESTONES = 50;
+const MAX_JOB_TITLE_LENGTH = 200;
+
+/**
+ * Error with a machine-readable code, returned to API clients as { error, code }
+ */
+class TransactionError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// EmploymentContract enums, by index
+const CONTRACT_STATUSES = ['PENDING', 'ACTIVE', 'COMPLETED', 'DISPUTED', 'CANCELLED', 'FINALIZED'];
+const MILESTONE_STATUSES = ['PENDING', 'IN_PROGRESS', 'SUBMITTED', 'APPROVED', 'PAID'];
+
+/**
+ * Lifecycle functions of EmploymentContract, with the checks their
+ * modifiers and require()s make
+ * - party: who may call it (onlyCompany, onlyTalent, onlyParties)
+ * - statuses: contract statuses it's allowed in (inStatus)
+ * - milestoneStatuses: for milestone actions, the milestone statuses it's allowed in
+ * - args: function arguments
+ */
+const CONTRACT_ACTIONS = {
+  acceptContract: {
+    party: 'talent',
+    statuses: ['PENDING'],
+    args: ({ contractId }) => [contractId]
+  },
+  submitMilestone: {
+    party: 'talent',
+    statuses: ['ACTIVE'],
+    milestoneStatuses: ['PENDING', 'IN_PROGRESS'],
+    args: ({ contractId, milestoneIndex, ipfsHash }) => [contractId, milestoneIndex, ipfsHash]
+  },
+  approveMilestone: {
+    party: 'company',
+    statuses: ['ACTIVE'],
+    milestoneStatuses: ['SUBMITTED'],
+    args: ({ contractId, milestoneIndex }) => [contractId, milestoneIndex]
+  },
+  raiseDispute: {
+    party: 'parties',
+    statuses: ['ACTIVE', 'COMPLETED'],
+    args: ({ contractId }) => [contractId]
+  },
+  finalizeContract: {
+    party: 'parties',
+    statuses: ['COMPLETED'],
+    args: ({ contractId }) => [contractId]
+  },
+  cancelContract: {
+    party: 'company',
+    statuses: ['PENDING'],
+    args: ({ contractId }) => [contractId]
+  }
+};
+
+const PARTY_NAMES = {
+  company: 'the company',
+  talent: 'the talent',
+  parties: 'the company or the talent'
+};
+
+const invalid = (message) => new TransactionError('INVALID_PARAMS', message);
+
+const toTimestamp = (value, field) => {
+  const time = new Date(value).getTime();
+  if (value === undefined || value === null || value === '' || Number.isNaN(time)) {
+    throw invalid(`${field} must be a date`);
+  }
+  return Math.floor(time / 1000);
+};
+
+const toWei = (value, field) => {
+  let wei;
+  try {
+    wei = blockchainService.parseEther(value);
+  } catch (error) {
+    throw invalid(`${field} must be an ETH amount`);
+  }
+  if (wei <= 0n) {
+    throw invalid(`${field} must be greater than 0`);
+  }
+  return wei;
+};
+
+/**
+ * Transaction Service
+ *
+ * WEB3 CONCEPT: The User Signs, The Server Relays
+ * - The backend builds transactions (prepare) but never signs them for a
+ *   user: their wallet does, so their key never leaves it
+ * - The signed transaction can come back to be broadcast (submit), which
+ *   lets the backend check it and report the outcome (see transactionWatcherService)
+ */
+
+class TransactionService {
+  constructor() {
+    this.contractActions = Object.keys(CONTRACT_ACTIONS);
+  }
+
+  /**
+   * Validate a create-contract request and turn it into createContract arguments
+   * Mirrors the require()s of EmploymentContract.createContract, so users get
+   * an error message instead of a reverted transaction.
+   *
+   * @param {Object} body - { talent, jobTitle, ipfsMetadata, startDate, endDate,
+   *   milestones: [{ description, amount (ETH), deadline }], totalAmount (ETH, optional) }
+   * @param {string} company - Wallet that will send the transaction
+   * @throws {TransactionError} INVALID_PARAMS
+   */
+  parseCreateContract(body, company) {
+    const { talent, jobTitle, ipfsMetadata, startDate, endDate, milestones, totalAmount } = body;
+
+    if (!talent || !ethers.isAddress(talent) || talent === ethers.ZeroAddress) {
+      throw invalid('talent must be a non-zero address');
+    }
+    if (talent.toLowerCase() === company) {
+      throw invalid('Cannot create contract with yourself');
+    }
+    if (!jobTitle || typeof jobTitle !== 'string' || jobTitle.length > MAX_JOB_TITLE_LENGTH) {
+      throw invalid(`jobTitle is required (max ${MAX_JOB_TITLE_LENGTH} characters)`);
+    }
+    if (ipfsMetadata !== undefined && typeof ipfsMetadata !== 'string') {
+      throw invalid('ipfsMetadata must be a string');
+    }
+
+    const start = toTimestamp(startDate, 'startDate');
+    const end = toTimestamp(endDate, 'endDate');
+    if (end < start) {
+      throw invalid('endDate must be after startDate');
+    }
+
+    if (!Array.isArray(milestones) || milestones.length === 0 || milestones.length > MAX_MILESTONES) {
+      throw invalid(`Must have between 1 and ${MAX_MILESTONES} milestones`);
+    }
+
+    const milestoneDescriptions = [];
+    const milestoneAmounts = [];
+    const milestoneDeadlines = [];
+
+    milestones.forEach((milestone, index) => {
+      if (!milestone || !milestone.description || typeof milestone.description !== 'string') {
+        throw invalid(`milestones[${index}].description is required`);
+      }
+      milestoneDescriptions.push(milestone.description);
+      milestoneAmounts.push(toWei(milestone.amount, `milestones[${index}].amount`));
+      milestoneDeadlines.push(toTimestamp(milestone.deadline, `milestones[${index}].deadline`));
+    });
+
+    // The contract escrows exactly the sum of the milestones
+    const total = milestoneAmounts.reduce((sum, amount) => sum + amount, 0n);
+    if (totalAmount !== undefined && toWei(totalAmount, 'totalAmount') !== total) {
+      throw invalid(`totalAmount must equal the sum of the milestones (${ethers.formatEther(total)} ETH)`);
+    }
+
+    return {
+      talent: ethers.getAddress(talent),
+      jobTitle,
+      ipfsMetadata: ipfsMetadata || '',
+      startDate: start,
+      endDate: end,
+      milestoneDescriptions,
+      milestoneAmounts,
+      milestoneDeadlines,
+      totalAmount: total
+    };
+  }
+
+  /**
+   * Build the unsigned createContract transaction for the company's wallet
+   * @returns {Promise<{ transaction, transactionId, params }>}
+   * @throws {TransactionError} INVALID_PARAMS, TRANSACTION_REVERTED
+   */
+  async prepareCreateContract(body, company, chainId) {
+    const params = this.parseCreateContract(body, company);
+    const contract = blockchainService.getNetwork(chainId).employmentContract;
+
+    const data = contract.interface.encodeFunctionData('createContract', [
+      params.talent,
+      params.jobTitle,
+      params.ipfsMetadata,
+      params.startDate,
+      params.endDate,
+      params.milestoneDescriptions,
+      params.milestoneAmounts,
+      params.milestoneDeadlines
+    ]);
+
+    const prepared = await this.prepare({
+      from: company,
+      to: await contract.getAddress(),
+      data,
+      value: params.totalAmount
+    }, chainId, { walletAddress: company, action: 'createContract' });
+
+    return { ...prepared, params };
+  }
+
+  /**
+   * Build the unsigned transaction for a lifecycle action (accept, submit,
+   * approve, dispute, finalize, cancel) after checking, against live chain
+   * state, that the wallet may call it now
+   *
+   * @param {string} action - One of contractActions
+   * @param {Object} params - { contractId, milestoneIndex?, ipfsHash? }
+   * @param {string} walletAddress - Wallet that will send the transaction
+   * @returns {Promise<{ transaction, transactionId, contract }>}
+   * @throws {TransactionError} INVALID_PARAMS, CONTRACT_NOT_FOUND, NOT_ALLOWED,
+   *   INVALID_STATUS, INVALID_MILESTONE_STATUS, ALREADY_APPROVED, TRANSACTION_REVERTED
+   */
+  async prepareContractAction(action, params, walletAddress, chainId) {
+    const definition = CONTRACT_ACTIONS[action];
+    if (!definition) {
+      throw new TransactionError('UNKNOWN_ACTION', `Unknown contract action ${action}`);
+    }
+
+    const contractId = Number(params.contractId);
+    if (!Number.isInteger(contractId) || contractId < 1) {
+      throw invalid('contractId must be a positive integer');
+    }
+
+    const contract = await blockchainService.getContractDetails(contractId, chainId);
+    if (!contract || contract.id === 0) {
+      throw new TransactionError('CONTRACT_NOT_FOUND', 'Contract not found', 404);
+    }
+
+    const isCompany = contract.company.toLowerCase() === walletAddress;
+    const isTalent = contract.talent.toLowerCase() === walletAddress;
+    const allowed = definition.party === 'company' ? isCompany
+      : definition.party === 'talent' ? isTalent
+        : isCompany || isTalent;
+
+    if (!allowed) {
+      throw new TransactionError('NOT_ALLOWED', `Only ${PARTY_NAMES[definition.party]} can call ${action}`, 403);
+    }
+
+    const status = CONTRACT_STATUSES[contract.status];
+    if (!definition.statuses.includes(status)) {
+      throw new TransactionError(
+        'INVALID_STATUS',
+        `Contract is ${status}, ${action} needs it to be ${definition.statuses.join(' or ')}`,
+        409
+      );
+    }
+
+    let milestoneIndex;
+    if (definition.milestoneStatuses) {
+      milestoneIndex = Number(params.milestoneIndex);
+      if (!Number.isInteger(milestoneIndex) || milestoneIndex < 0 || milestoneIndex >= contract.milestones.length) {
+        throw invalid(`milestoneIndex must be between 0 and ${contract.milestones.length - 1}`);
+      }
+
+      const milestoneStatus = MILESTONE_STATUSES[contract.milestones[milestoneIndex].status];
+      if (!definition.milestoneStatuses.includes(milestoneStatus)) {
+        throw new TransactionError(
+          'INVALID_MILESTONE_STATUS',
+          `Milestone ${milestoneIndex} is ${milestoneStatus}, ${action} needs it to be ${definition.milestoneStatuses.join(' or ')}`,
+          409
+        );
+      }
+    }
+
+    if (action === 'submitMilestone' && (!params.ipfsHash || typeof params.ipfsHash !== 'string')) {
+      throw invalid('ipfsHash of the deliverable is required');
+    }
+
+    // Not a revert, but a second approval would only waste gas
+    if (action === 'finalizeContract' && (isCompany ? contract.companyApproved : contract.talentApproved)) {
+      throw new TransactionError('ALREADY_APPROVED', 'You already approved finalizing this contract, waiting for the other party', 409);
+    }
+
+    const { employmentContract } = blockchainService.getNetwork(chainId);
+    const data = employmentContract.interface.encodeFunctionData(
+      action,
+      definition.args({ contractId, milestoneIndex, ipfsHash: params.ipfsHash })
+    );
+
+    const prepared = await this.prepare({
+      from: walletAddress,
+      to: await employmentContract.getAddress(),
+      data
+    }, chainId, { walletAddress, action, contractId, milestoneIndex });
+
+    return { ...prepared, contract };
+  }
+
+  /**
+   * Lifecycle calls a contract accepts in its current state, with the party
+   * that would send each one and its arguments (milestone actions: the first
+   * milestone they apply to)
+   * @param {Object} contract - getContractDetails() result
+   * @param {Object} params - { ipfsHash } for submitMilestone
+   * @returns {Array<{ action, from, milestoneIndex, args }>}
+   */
+  nextContractActions(contract, params = {}) {
+    const status = CONTRACT_STATUSES[contract.status];
+    const next = [];
+
+    for (const [action, definition] of Object.entries(CONTRACT_ACTIONS)) {
+      if (!definition.statuses.includes(status)) continue;
+
+      let milestoneIndex;
+      if (definition.milestoneStatuses) {
+        milestoneIndex = contract.milestones.findIndex(milestone =>
+          definition.milestoneStatuses.includes(MILESTONE_STATUSES[milestone.status]));
+        if (milestoneIndex === -1) continue;
+      }
+
+      // 'parties' actions: the company, unless it already approved finalizing
+      const from = definition.party === 'talent' || (action === 'finalizeContract' && contract.companyApproved)
+        ? contract.talent
+        : contract.company;
+
+      next.push({
+        action,
+        from,
+        milestoneIndex,
+        args: definition.args({ contractId: contract.id, milestoneIndex, ipfsHash: params.ipfsHash })
+      });
+    }
+
+    return next;
+  }
+
+  /**
+   * Simulate and build a transaction, turning reverts into TransactionErrors,
+   * and record it as prepared so its outcome can be followed once it is sent
+   * @param {Object} context - { walletAddress, action, contractId?, milestoneIndex? }
+   * @returns {Promise<{ transaction, transactionId }>}
+   */
+  async prepare(request, chainId, context) {
+    let transaction;
+    try {
+      transaction = await blockchainService.prepareTransaction(request, chainId);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') {
+        throw new TransactionError(
+          'TRANSACTION_REVERTED',
+          blockchainService.decodeRevertReason(error, chainId) || 'Transaction would revert'
+        );
+      }
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw new TransactionError('INSUFFICIENT_FUNDS', 'Wallet balance is too low for this transaction');
+      }
+      throw error;
+    }
+
+    const record = await transactionWatcherService.recordPrepared(transaction, context);
+    return { transaction, transactionId: record._id };
+  }
+
+  /**
+   * Only transactions to the platform contracts are relayed or tracked
+   */
+  async assertPlatformTarget(to, chainId) {
+    const network = blockchainService.getNetwork(chainId);
+    const targets = await Promise.all([
+      network.employmentContract.getAddress(),
+      network.credentialContract.getAddress()
+    ]);
+
+    if (!to || !targets.includes(ethers.getAddress(to))) {
+      throw new TransactionError('UNSUPPORTED_TARGET', 'Only transactions to the platform contracts can be submitted');
+    }
+  }
+
+  /**
+   * Broadcast a transaction signed by the user's wallet
+   *
+   * Only transactions from the signed-in wallet, for this network and to the
+   * platform contracts are relayed. Returns as soon as the node accepted it;
+   * transactionWatcherService follows it from there.
+   *
+   * @param {string} signedTransaction - Raw signed transaction (0x...)
+   * @param {string} walletAddress - Signed-in wallet
+   * @returns {Promise<PendingTransaction>}
+   * @throws {TransactionError}
+   */
+  async submitTransaction(signedTransaction, walletAddress, chainId) {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(signedTransaction);
+    } catch (error) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'signedTransaction must be a raw signed transaction');
+    }
+
+    if (!tx.isSigned()) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Transaction is not signed');
+    }
+    if (tx.from.toLowerCase() !== walletAddress) {
+      throw new TransactionError('SIGNER_MISMATCH', 'Transaction must be signed by the signed-in wallet', 403);
+    }
+    if (Number(tx.chainId) !== chainId) {
+      throw new TransactionError('CHAIN_MISMATCH', `Transaction is for chain ${tx.chainId}, not ${chainId}`);
+    }
+    await this.assertPlatformTarget(tx.to, chainId);
+
+    const { provider } = blockchainService.getNetwork(chainId);
+    try {
+      await provider.broadcastTransaction(signedTransaction);
+    } catch (error) {
+      // Already relayed ("already known", nonce too low): it is being watched
+      const existing = await transactionWatcherService.getTransaction(chainId, tx.hash);
+      if (existing) {
+        return existing;
+      }
+
+      // The node has this exact transaction despite the error (e.g. the
+      // wallet broadcast it too): it is in flight, the watcher takes over
+      if (await provider.getTransaction(tx.hash).catch(() => null)) {
+        console.log(`📤 Relayed transaction from ${walletAddress} on chain ${chainId} (node reported: ${error.shortMessage || error.message}):`, tx.hash);
+        return transactionWatcherService.recordSubmitted(tx, { walletAddress, chainId });
+      }
+      if (error.code === 'NONCE_EXPIRED') {
+        throw new TransactionError('NONCE_ALREADY_USED', 'Transaction nonce was already used (already submitted?)', 409);
+      }
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw new TransactionError('INSUFFICIENT_FUNDS', 'Wallet balance is too low for this transaction');
+      }
+      throw new TransactionError('BROADCAST_FAILED', error.shortMessage || error.message, 502);
+    }
+    console.log(`📤 Relayed transaction from ${walletAddress} on chain ${chainId}:`, tx.hash);
+
+    return transactionWatcherService.recordSubmitted(tx, { walletAddress, chainId });
+  }
+
+  /**
+   * Follow a transaction the wallet broadcast itself (e.g. MetaMask's sendTransaction)
+   * @returns {Promise<PendingTransaction>}
+   * @throws {TransactionError}
+   */
+  async trackTransaction(hash, walletAddress, chainId) {
+    const existing = await transactionWatcherService.getTransaction(chainId, hash);
+    if (existing) {
+      if (existing.walletAddress !== walletAddress) {
+        throw new TransactionError('SIGNER_MISMATCH', 'Transaction must be signed by the signed-in wallet', 403);
+      }
+      return existing;
+    }
+
+    const tx = await blockchainService.getNetwork(chainId).provider.getTransaction(hash);
+    if (!tx) {
+      throw new TransactionError('TRANSACTION_NOT_FOUND', `Transaction ${hash} is not known on chain ${chainId}`, 404);
+    }
+    if (tx.from.toLowerCase() !== walletAddress) {
+      throw new TransactionError('SIGNER_MISMATCH', 'Transaction must be signed by the signed-in wallet', 403);
+    }
+    await this.assertPlatformTarget(tx.to, chainId);
+
+    return transactionWatcherService.recordSubmitted(tx, { walletAddress, chainId });
+  }
+}
+
+// Singleton instance
+const transactionService = new TransactionService();
+
+module.exports = transactionService;
+module.exports.TransactionError = TransactionError;
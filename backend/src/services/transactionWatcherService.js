@@ -0,0 +1,314 @@
+const PendingTransaction = require('../models/PendingTransaction');
+const blockchainService = require('./blockchainService');
+const notificationService = require('./notificationService');
+
+const INTERVAL_MS = parseInt(process.env.TRANSACTION_WATCH_INTERVAL_MS, 10) || 5000;
+// A transaction the node no longer knows is dropped after this long (its nonce may still be reused)
+const DROPPED_AFTER_MS = (parseInt(process.env.TRANSACTION_DROPPED_AFTER_MINUTES, 10) || 30) * 60 * 1000;
+// Prepared transactions nobody sent are deleted after a day
+const PREPARED_TTL_MS = 24 * 60 * 60 * 1000;
+// Same default as the event indexer (CONFIRMATION_DEPTH, per network)
+const DEFAULT_CONFIRMATION_DEPTH = 12;
+
+// Lifecycle functions whose first argument is the contract ID (and second a milestone index)
+const CONTRACT_FUNCTIONS = ['acceptContract', 'raiseDispute', 'finalizeContract', 'cancelContract'];
+const MILESTONE_FUNCTIONS = ['submitMilestone', 'approveMilestone'];
+
+/**
+ * Transaction Watcher Service
+ *
+ * WEB3 CONCEPT: A Sent Transaction Is Only a Request
+ * - It waits in the mempool until a block includes it (mined), and is only
+ *   safe from reorgs a few blocks later (confirmed)
+ * - Mined is not success: a reverted transaction is mined too, costs gas
+ *   and changes nothing (failed). The reason isn't in the receipt, so the
+ *   call is replayed against the previous block to read it
+ * - A transaction with a higher fee and the same nonce replaces it, and
+ *   nodes can forget it entirely (dropped)
+ *
+ * Every transaction the platform prepares or relays is a PendingTransaction;
+ * this worker polls the active ones and pushes each status change to the
+ * initiator's sockets ('transaction-updated').
+ */
+
+class TransactionWatcherService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  confirmationDepth(chainId) {
+    const { name } = blockchainService.getNetwork(chainId);
+    const value = parseInt(blockchainService.networkSetting(name, 'CONFIRMATION_DEPTH'), 10);
+    return Number.isNaN(value) ? DEFAULT_CONFIRMATION_DEPTH : value;
+  }
+
+  /**
+   * Record a transaction prepared for a wallet to sign
+   * @param {Object} transaction - prepareTransaction() result ({ chainId, from, to, data, value })
+   * @param {Object} context - { walletAddress, action, contractId?, milestoneIndex? }
+   */
+  async recordPrepared(transaction, context) {
+    return PendingTransaction.create({
+      ...context,
+      chainId: transaction.chainId,
+      from: transaction.from,
+      to: transaction.to,
+      data: transaction.data,
+      value: transaction.value,
+      status: 'prepared',
+      expiresAt: new Date(Date.now() + PREPARED_TTL_MS)
+    });
+  }
+
+  /**
+   * Start watching a signed transaction that was just broadcast
+   * Picks up the prepared record it was built from when there is one.
+   *
+   * @param {ethers.Transaction|ethers.TransactionResponse} tx
+   * @param {Object} context - { walletAddress, chainId, action?, contractId?, milestoneIndex? }
+   */
+  async recordSubmitted(tx, context) {
+    const from = tx.from.toLowerCase();
+    const to = tx.to.toLowerCase();
+
+    const update = {
+      $set: {
+        hash: tx.hash.toLowerCase(),
+        nonce: tx.nonce,
+        value: tx.value.toString(),
+        status: 'pending',
+        submittedAt: new Date()
+      },
+      $unset: { expiresAt: 1 }
+    };
+
+    let record = await PendingTransaction.findOneAndUpdate(
+      { chainId: context.chainId, walletAddress: context.walletAddress, from, to, data: tx.data, status: 'prepared' },
+      update,
+      { new: true, sort: { createdAt: -1 } }
+    );
+
+    if (!record) {
+      try {
+        record = await PendingTransaction.create({
+          ...this.describeCall(to, tx.data, context.chainId),
+          ...context,
+          from,
+          to,
+          data: tx.data,
+          ...update.$set
+        });
+      } catch (error) {
+        // Recorded concurrently (the same transaction submitted twice at once)
+        if (error.code !== 11000) throw error;
+        return this.getTransaction(context.chainId, tx.hash);
+      }
+    }
+
+    this.emitUpdate(record);
+    return record;
+  }
+
+  /**
+   * Function name and contract/milestone of a call to the platform contracts
+   */
+  describeCall(to, data, chainId) {
+    const { employmentContract, credentialContract } = blockchainService.getNetwork(chainId);
+
+    for (const contract of [employmentContract, credentialContract]) {
+      if (contract.target.toLowerCase() !== to) continue;
+
+      const parsed = contract.interface.parseTransaction({ data });
+      if (!parsed) break;
+
+      return {
+        action: parsed.name,
+        ...(CONTRACT_FUNCTIONS.concat(MILESTONE_FUNCTIONS).includes(parsed.name) && { contractId: Number(parsed.args[0]) }),
+        ...(MILESTONE_FUNCTIONS.includes(parsed.name) && { milestoneIndex: Number(parsed.args[1]) })
+      };
+    }
+
+    return { action: 'unknown' };
+  }
+
+  /**
+   * The record of a transaction on one network
+   */
+  async getTransaction(chainId, hash) {
+    return PendingTransaction.findOne({ chainId, hash: hash.toLowerCase() });
+  }
+
+  /**
+   * Re-check one transaction against the chain and save any status change
+   * @param {number} head - Latest block number of its network
+   */
+  async checkTransaction(record, head) {
+    const network = blockchainService.getNetwork(record.chainId);
+    const { provider } = network;
+    const previous = record.status;
+
+    const receipt = await provider.getTransactionReceipt(record.hash);
+
+    if (receipt) {
+      record.blockNumber = receipt.blockNumber;
+      record.blockHash = receipt.blockHash;
+      record.gasUsed = receipt.gasUsed.toString();
+      record.confirmations = Math.max(head - receipt.blockNumber + 1, 1);
+
+      if (receipt.status === 0) {
+        record.status = 'failed';
+        if (previous !== 'failed') {
+          record.revertReason = await this.replayRevertReason(record, receipt.blockNumber);
+        }
+      } else {
+        if (previous === 'pending') {
+          record.events = this.parseEvents(receipt, network);
+        }
+        record.status = record.confirmations >= this.confirmationDepth(record.chainId) ? 'confirmed' : 'mined';
+      }
+    } else if (previous === 'mined') {
+      // Its block was reorged out: back to the mempool (or gone)
+      record.status = 'pending';
+      record.blockNumber = undefined;
+      record.blockHash = undefined;
+      record.confirmations = 0;
+    } else if (!(await provider.getTransaction(record.hash))) {
+      const nonce = await provider.getTransactionCount(record.from, 'latest');
+
+      if (nonce > record.nonce) {
+        record.status = 'replaced';
+        const replacement = await PendingTransaction.findOne({
+          chainId: record.chainId,
+          from: record.from,
+          nonce: record.nonce,
+          hash: { $ne: record.hash }
+        });
+        if (replacement) record.replacedBy = replacement.hash;
+      } else if (Date.now() - record.submittedAt.getTime() > DROPPED_AFTER_MS) {
+        record.status = 'dropped';
+      }
+    }
+
+    const changed = record.status !== previous || record.isModified('confirmations');
+
+    if (record.isModified()) {
+      await record.save();
+    }
+    if (changed) {
+      this.emitUpdate(record);
+    }
+    if (record.status !== previous) {
+      console.log(`🧾 Transaction ${record.hash} (${record.action}) is ${record.status}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Run a reverted transaction again on the state before its block to get the reason
+   * (approximate: transactions earlier in the same block aren't replayed)
+   */
+  async replayRevertReason(record, blockNumber) {
+    try {
+      await blockchainService.getNetwork(record.chainId).provider.call({
+        from: record.from,
+        to: record.to,
+        data: record.data,
+        value: BigInt(record.value || 0),
+        blockTag: blockNumber - 1
+      });
+      return 'Transaction reverted (it succeeds when replayed, likely out of gas or state changed in the same block)';
+    } catch (error) {
+      return blockchainService.decodeRevertReason(error, record.chainId) || 'Transaction reverted without a reason';
+    }
+  }
+
+  /**
+   * Platform contract events in a receipt, with named arguments as strings
+   */
+  parseEvents(receipt, network) {
+    const events = [];
+
+    for (const log of receipt.logs) {
+      for (const contract of [network.employmentContract, network.credentialContract]) {
+        if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+
+        const parsed = contract.interface.parseLog(log);
+        if (!parsed) continue;
+
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+          args[input.name] = parsed.args[i].toString();
+        });
+        events.push({ name: parsed.name, args });
+        break;
+      }
+    }
+
+    return events;
+  }
+
+  emitUpdate(record) {
+    notificationService.emitToWallet(record.walletAddress, 'transaction-updated', record.toTransactionJSON());
+  }
+
+  /**
+   * One pass over every pending or mined (not yet confirmed) transaction
+   */
+  async runOnce() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let checked = 0;
+
+    try {
+      const active = await PendingTransaction.find({ status: { $in: ['pending', 'mined'] } })
+        .sort({ submittedAt: 1 });
+      const heads = new Map();
+
+      for (const record of active) {
+        try {
+          if (!blockchainService.hasNetwork(record.chainId)) continue;
+
+          if (!heads.has(record.chainId)) {
+            heads.set(record.chainId, await blockchainService.getNetwork(record.chainId).provider.getBlockNumber());
+          }
+
+          await this.checkTransaction(record, heads.get(record.chainId));
+          checked++;
+        } catch (error) {
+          console.error(`Error checking transaction ${record.hash}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error watching transactions:', error.message);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return checked;
+  }
+
+  /**
+   * Start the watcher (runs immediately, then every TRANSACTION_WATCH_INTERVAL_MS)
+   */
+  start() {
+    if (this.timer) return;
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), INTERVAL_MS);
+    console.log('✅ Transaction watcher started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const transactionWatcherService = new TransactionWatcherService();
+
+module.exports = transactionWatcherService;
@@ -0,0 +1,220 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ContractActivity = require('../models/ContractActivity');
+const { resolvePublicAddress } = require('../utils/publicAddress');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const POLL_INTERVAL_MS = 15000;
+// dispatch() sends first attempts itself; the retry worker only picks up
+// never-attempted deliveries older than this (lost to a crash or restart)
+const FIRST_ATTEMPT_GRACE_MS = TIMEOUT_MS + 60000;
+
+// Indexed event types (sent once confirmed), plus deadline reminders
+const WEBHOOK_EVENTS = [
+  ...ContractActivity.schema.path('eventType').enumValues,
+  'MilestoneDueSoon',
+  'MilestoneOverdue'
+];
+
+/**
+ * Webhook Service
+ *
+ * Delivers indexed events to registered HTTP endpoints.
+ *
+ * Every request carries:
+ * - X-Webhook-Id / X-Webhook-Event: delivery ID and event type
+ * - X-Webhook-Timestamp: unix seconds when the request was signed
+ * - X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Receivers should recompute the signature and reject old timestamps.
+ * The URL's host is resolved and checked before every attempt, and the
+ * request goes to that checked address (see utils/publicAddress).
+ * Non-2xx responses and network errors are retried with exponential
+ * backoff (RETRY_BASE_MS * 2^(attempt-1)) up to MAX_ATTEMPTS.
+ */
+
+class WebhookService {
+  constructor() {
+    this.supportedEvents = WEBHOOK_EVENTS;
+    this.retryTimer = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Queue and send an event to the wallet's matching webhooks
+   */
+  async dispatch(walletAddress, eventType, payload) {
+    const webhooks = await Webhook.find({
+      walletAddress: walletAddress.toLowerCase(),
+      isActive: true,
+      events: eventType
+    });
+
+    for (const webhook of webhooks) {
+      // Contract IDs repeat across networks: match the chain too
+      const contractFilter = webhook.contracts || [];
+      if (contractFilter.length > 0 && !contractFilter.some(contract =>
+        contract.chainId === payload.chainId && contract.contractId === payload.contractId)) {
+        continue;
+      }
+
+      const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        walletAddress: webhook.walletAddress,
+        eventType,
+        payload
+      });
+
+      // Don't hold up the event handler on a slow endpoint
+      this.attemptDelivery(delivery).catch(error => {
+        console.error('Error delivering webhook:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Sign a request body with the webhook secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   */
+  async attemptDelivery(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.attemptLog.push({ attemptedAt: new Date(), error: 'Webhook deleted or disabled' });
+      return delivery.save();
+    }
+
+    const body = JSON.stringify({
+      id: delivery._id,
+      event: delivery.eventType,
+      createdAt: delivery.createdAt,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const attempt = { attemptedAt: new Date() };
+    const startedAt = Date.now();
+
+    try {
+      // Re-checked on every attempt: the host's DNS may have changed since it was registered
+      const { address, family } = await resolvePublicAddress(webhook.url);
+
+      const response = await axios.post(webhook.url, body, {
+        timeout: TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BlockchainHR-Webhooks/1.0',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': timestamp.toString(),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        // Record every status code instead of throwing on non-2xx
+        validateStatus: () => true,
+        maxRedirects: 0,
+        // Connect to the address that was checked, not a fresh lookup
+        lookup: (hostname, options, callback) => callback(null, address, family)
+      });
+
+      attempt.statusCode = response.status;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+
+    delivery.attempts += 1;
+    delivery.attemptLog.push(attempt);
+    delivery.lastStatusCode = attempt.statusCode;
+
+    if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed, and send first attempts
+   * that dispatch() never got to
+   */
+  async processDueDeliveries() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+
+      const due = await WebhookDelivery.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { attempts: { $gt: 0 } },
+          { createdAt: { $lte: new Date(now.getTime() - FIRST_ATTEMPT_GRACE_MS) } }
+        ]
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(50);
+
+      for (const delivery of due) {
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      console.error('Error processing webhook retries:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Send a previous delivery's payload again as a new delivery
+   */
+  async replay(delivery) {
+    const replayed = await WebhookDelivery.create({
+      webhook: delivery.webhook,
+      walletAddress: delivery.walletAddress,
+      eventType: delivery.eventType,
+      payload: delivery.payload,
+      replayOf: delivery._id
+    });
+
+    return this.attemptDelivery(replayed);
+  }
+
+  /**
+   * Start the retry loop
+   */
+  start() {
+    if (this.retryTimer) return;
+    this.retryTimer = setInterval(() => this.processDueDeliveries(), POLL_INTERVAL_MS);
+    console.log('✅ Webhook retry worker started');
+  }
+
+  stop() {
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
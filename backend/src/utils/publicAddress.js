@@ -0,0 +1,102 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Public Address Checks
+ *
+ * Outbound requests to user-supplied URLs (webhooks) must not reach the
+ * backend's own network: loopback, private (RFC 1918), carrier-grade NAT,
+ * link-local (incl. the 169.254.169.254 cloud metadata endpoint) and
+ * unique-local IPv6. Hostnames are resolved and EVERY address is checked,
+ * and the caller connects to the address that was checked, so a DNS record
+ * that changes between check and request (DNS rebinding) can't get through.
+ */
+
+const blocked = new net.BlockList();
+
+// IPv4
+blocked.addSubnet('0.0.0.0', 8, 'ipv4'); // "this" network
+blocked.addSubnet('10.0.0.0', 8, 'ipv4'); // private
+blocked.addSubnet('100.64.0.0', 10, 'ipv4'); // carrier-grade NAT
+blocked.addSubnet('127.0.0.0', 8, 'ipv4'); // loopback
+blocked.addSubnet('169.254.0.0', 16, 'ipv4'); // link-local
+blocked.addSubnet('172.16.0.0', 12, 'ipv4'); // private
+blocked.addSubnet('192.0.0.0', 24, 'ipv4'); // IETF protocol assignments
+blocked.addSubnet('192.168.0.0', 16, 'ipv4'); // private
+blocked.addSubnet('198.18.0.0', 15, 'ipv4'); // benchmarking
+blocked.addSubnet('224.0.0.0', 4, 'ipv4'); // multicast
+blocked.addSubnet('240.0.0.0', 4, 'ipv4'); // reserved, broadcast
+
+// IPv6
+blocked.addAddress('::', 'ipv6'); // unspecified
+blocked.addAddress('::1', 'ipv6'); // loopback
+blocked.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64 (embeds an IPv4 address)
+blocked.addSubnet('fc00::', 7, 'ipv6'); // unique-local
+blocked.addSubnet('fe80::', 10, 'ipv6'); // link-local
+blocked.addSubnet('ff00::', 8, 'ipv6'); // multicast
+
+class UnsafeAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeAddressError';
+  }
+}
+
+/**
+ * Is this IP address on the public internet?
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (family === 4) {
+    return !blocked.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    // IPv4-mapped (::ffff:127.0.0.1) is the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return isPublicAddress(mapped[1]);
+    }
+    return !blocked.check(address, 'ipv6');
+  }
+
+  return false;
+};
+
+/**
+ * Resolve a URL's host and check every address it resolves to
+ * Set WEBHOOK_ALLOW_PRIVATE_URLS=true to allow local receivers in development.
+ *
+ * @returns {Promise<{ address, family }>} the address to connect to
+ * @throws {UnsafeAddressError} if the host doesn't resolve or any address isn't public
+ */
+const resolvePublicAddress = async (url) => {
+  // [::1] -> ::1
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new UnsafeAddressError(`Could not resolve ${hostname}`);
+  }
+
+  if (addresses.length === 0) {
+    throw new UnsafeAddressError(`Could not resolve ${hostname}`);
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true') {
+    const internal = addresses.find(({ address }) => !isPublicAddress(address));
+    if (internal) {
+      throw new UnsafeAddressError(`${hostname} resolves to a private or reserved address (${internal.address})`);
+    }
+  }
+
+  return addresses[0];
+};
+
+module.exports = {
+  UnsafeAddressError,
+  isPublicAddress,
+  resolvePublicAddress
+};
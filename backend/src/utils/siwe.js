@@ -0,0 +1,227 @@
+const { ethers } = require('ethers');
+
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ *
+ * WEB3 CONCEPT: Phishing-Resistant Wallet Login
+ * - A bare "sign this nonce" message can be replayed by any site that
+ *   tricks the user into signing it
+ * - SIWE messages have a fixed, human-readable format that names the site
+ *   (domain + URI), the chain, when the message was issued and when it expires
+ * - Wallets can show (and check) who is asking; the server rejects any
+ *   message that wasn't issued for this site, this chain and this nonce
+ *
+ * Message format (https://eips.ethereum.org/EIPS/eip-4361):
+ *
+ *   example.com wants you to sign in with your Ethereum account:
+ *   0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2
+ *
+ *   Sign in to Blockchain HR Platform.
+ *
+ *   URI: https://example.com
+ *   Version: 1
+ *   Chain ID: 1
+ *   Nonce: 32891756
+ *   Issued At: 2021-09-30T16:25:24Z
+ *   Expiration Time: 2021-09-30T16:35:24Z
+ *   Resources:
+ *   - https://example.com/terms
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Fields after the statement, in the order the EIP requires them
+const FIELDS = [
+  { label: 'URI', key: 'uri', required: true },
+  { label: 'Version', key: 'version', required: true },
+  { label: 'Chain ID', key: 'chainId', required: true },
+  { label: 'Nonce', key: 'nonce', required: true },
+  { label: 'Issued At', key: 'issuedAt', required: true },
+  { label: 'Expiration Time', key: 'expirationTime' },
+  { label: 'Not Before', key: 'notBefore' },
+  { label: 'Request ID', key: 'requestId' }
+];
+
+// Tolerated difference between our clock and the wallet's for Issued At
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Error with a machine-readable code, returned to API clients as { error, code }
+ */
+class SiweError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SiweError';
+    this.code = code;
+  }
+}
+
+const isTimestamp = (value) => !Number.isNaN(Date.parse(value));
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} fields - domain, address, statement, uri, chainId, nonce,
+ *   issuedAt, expirationTime, notBefore, requestId, resources
+ * @returns {string}
+ */
+const buildMessage = (fields) => {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(fields.address),
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  for (const { label, key } of FIELDS) {
+    if (fields[key] !== undefined && fields[key] !== null) {
+      lines.push(`${label}: ${fields[key]}`);
+    }
+  }
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 message
+ * @throws {SiweError} MALFORMED_MESSAGE if it doesn't follow the format
+ * @returns {Object} the fields buildMessage takes (chainId as a number)
+ */
+const parseMessage = (message) => {
+  const malformed = (reason) => new SiweError('MALFORMED_MESSAGE', `Malformed sign-in message: ${reason}`);
+
+  if (typeof message !== 'string') {
+    throw malformed('message must be a string');
+  }
+
+  const lines = message.split('\n');
+  let line = 0;
+
+  // Header and address
+  if (!lines[line] || !lines[line].endsWith(HEADER_SUFFIX)) {
+    throw malformed('missing header');
+  }
+  const domain = lines[line++].slice(0, -HEADER_SUFFIX.length);
+  if (!domain || /\s/.test(domain)) {
+    throw malformed('invalid domain');
+  }
+
+  const address = lines[line++];
+  if (!address || !ethers.isAddress(address) || ethers.getAddress(address) !== address) {
+    throw malformed('address must be an EIP-55 checksummed address');
+  }
+
+  // Optional statement, surrounded by blank lines
+  if (lines[line++] !== '') {
+    throw malformed('expected a blank line after the address');
+  }
+
+  let statement;
+  if (lines[line] !== '' && !lines[line]?.startsWith('URI: ')) {
+    statement = lines[line++];
+  }
+  if (lines[line] === '') line++;
+
+  // Fields in EIP order
+  const fields = {};
+  for (const { label, key, required } of FIELDS) {
+    const prefix = `${label}: `;
+
+    if (lines[line]?.startsWith(prefix)) {
+      fields[key] = lines[line++].slice(prefix.length);
+    } else if (required) {
+      throw malformed(`missing ${label}`);
+    }
+  }
+
+  // Optional resources
+  const resources = [];
+  if (lines[line] === 'Resources:') {
+    line++;
+    while (lines[line]?.startsWith('- ')) {
+      resources.push(lines[line++].slice(2));
+    }
+  }
+
+  if (line !== lines.length) {
+    throw malformed(`unexpected content on line ${line + 1}`);
+  }
+
+  if (fields.version !== '1') {
+    throw malformed('unsupported version');
+  }
+  if (!/^\d+$/.test(fields.chainId)) {
+    throw malformed('invalid Chain ID');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw malformed('nonce must be at least 8 alphanumeric characters');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && !isTimestamp(fields[key])) {
+      throw malformed(`invalid ${key}`);
+    }
+  }
+
+  return {
+    domain,
+    address,
+    statement,
+    ...fields,
+    chainId: Number(fields.chainId),
+    resources
+  };
+};
+
+/**
+ * Check a parsed message was issued for this site and is valid right now
+ *
+ * Nonce and signature are checked by the caller (they need the user record
+ * and the raw message).
+ *
+ * @param {Object} fields - Result of parseMessage
+ * @param {Object} expected - { domain, uri, chainIds: number[] }
+ * @throws {SiweError} DOMAIN_MISMATCH, URI_MISMATCH, UNSUPPORTED_CHAIN,
+ *   INVALID_ISSUED_AT, MESSAGE_EXPIRED, MESSAGE_NOT_YET_VALID
+ */
+const validateMessage = (fields, expected, now = new Date()) => {
+  if (fields.domain !== expected.domain) {
+    throw new SiweError('DOMAIN_MISMATCH', `Message was issued for ${fields.domain}, not ${expected.domain}`);
+  }
+
+  let uriOrigin;
+  try {
+    uriOrigin = new URL(fields.uri).origin;
+  } catch (error) {
+    throw new SiweError('URI_MISMATCH', 'Message URI is not a valid URI');
+  }
+  if (uriOrigin !== new URL(expected.uri).origin) {
+    throw new SiweError('URI_MISMATCH', `Message URI ${fields.uri} does not belong to ${expected.uri}`);
+  }
+
+  if (!expected.chainIds.includes(fields.chainId)) {
+    throw new SiweError('UNSUPPORTED_CHAIN', `Chain ${fields.chainId} is not supported`);
+  }
+
+  if (Date.parse(fields.issuedAt) > now.getTime() + CLOCK_SKEW_MS) {
+    throw new SiweError('INVALID_ISSUED_AT', 'Message was issued in the future');
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now.getTime()) {
+    throw new SiweError('MESSAGE_EXPIRED', 'Sign-in message has expired, request a new nonce');
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now.getTime()) {
+    throw new SiweError('MESSAGE_NOT_YET_VALID', 'Sign-in message is not valid yet');
+  }
+};
+
+module.exports = {
+  SiweError,
+  buildMessage,
+  parseMessage,
+  validateMessage
+};
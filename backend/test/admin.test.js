@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const auth = require('../src/middleware/auth');
+const AdminAuditLog = require('../src/models/AdminAuditLog');
+const User = require('../src/models/User');
+const adminService = require('../src/services/adminService');
+const blockchainService = require('../src/services/blockchainService');
+const adminController = require('../src/controllers/adminController');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse } = require('./helpers/http');
+
+const ADMIN = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+describe('Admin', function () {
+  beforeEach(function () {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('requireAdmin', function () {
+    const check = async (walletAddress) => {
+      const req = { user: { walletAddress }, walletAddress, chainId: 1337 };
+      const res = mockResponse();
+      const next = jest.fn();
+      await auth.requireAdmin(req, res, next);
+      return { req, res, next };
+    };
+
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'hasNetwork').mockReturnValue(true);
+      jest.spyOn(blockchainService, 'getPlatformSettings').mockResolvedValue({
+        owners: { EmploymentContract: COMPANY, CredentialNFT: ADMIN }
+      });
+      adminService.ownerCache.clear();
+    });
+
+    it('Should let contract owners through and record how they qualify', async function () {
+      const { req, next } = await check(COMPANY);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.adminSource).toBe('owner');
+    });
+
+    it('Should refuse everyone else', async function () {
+      const { res, next } = await check(TALENT);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+    });
+
+    it('Should refuse owners when the owners cannot be read', async function () {
+      blockchainService.getPlatformSettings.mockRejectedValue(new Error('RPC down'));
+
+      expect((await check(COMPANY)).res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('getUsers', function () {
+    beforeEach(function () {
+      const users = memoryModel(User);
+      users.docs.push(
+        { walletAddress: COMPANY, role: 'company', createdAt: new Date(1) },
+        { walletAddress: TALENT, role: 'talent', createdAt: new Date(2) },
+        { walletAddress: ADMIN, role: null, createdAt: new Date(3) }
+      );
+    });
+
+    const getUsers = async (query) => {
+      const res = mockResponse();
+      await adminController.getUsers({ query }, res);
+      return res;
+    };
+
+    const listed = (res) => res.json.mock.calls[0][0].users.map(user => user.walletAddress);
+
+    it('Should filter by role, including users who have not picked one', async function () {
+      expect(listed(await getUsers({ role: 'talent' }))).toEqual([TALENT]);
+      expect(listed(await getUsers({ role: 'none' }))).toEqual([ADMIN]);
+      expect(listed(await getUsers({}))).toEqual([ADMIN, TALENT, COMPANY]);
+    });
+
+    it('Should filter by wallet prefix and page the result', async function () {
+      expect(listed(await getUsers({ search: '0x3C44' }))).toEqual([TALENT]);
+
+      const res = await getUsers({ limit: '2', page: '2' });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ page: 2, limit: 2, total: 3 }));
+      expect(listed(res)).toEqual([COMPANY]);
+    });
+
+    it('Should reject roles and prefixes that are not plain strings', async function () {
+      const invalid = [{ role: 'admin' }, { role: ['company'] }, { role: { $ne: null } }, { search: ['0x3c'] }, { search: '.*' }];
+
+      for (const query of invalid) {
+        const res = await getUsers(query);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAuditLog', function () {
+    let entries;
+
+    beforeEach(function () {
+      const log = memoryModel(AdminAuditLog);
+      entries = ['setPlatformFee', 'authorizeIssuer', 'authorizeIssuer'].map((action, i) => ({
+        _id: new mongoose.Types.ObjectId(),
+        action,
+        walletAddress: i === 0 ? COMPANY : ADMIN,
+        chainId: 1337
+      }));
+      log.docs.push(...entries);
+    });
+
+    const getAuditLog = async (query) => {
+      const res = mockResponse();
+      await adminController.getAuditLog({ query }, res);
+      return res;
+    };
+
+    it('Should filter by action and admin wallet, newest first', async function () {
+      const byAction = await getAuditLog({ action: 'authorizeIssuer' });
+      expect(byAction.json).toHaveBeenCalledWith({ entries: [entries[2], entries[1]], nextCursor: null });
+
+      const byWallet = await getAuditLog({ walletAddress: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' });
+      expect(byWallet.json).toHaveBeenCalledWith({ entries: [entries[0]], nextCursor: null });
+    });
+
+    it('Should reject unknown actions and anything that is not an address', async function () {
+      const invalid = [
+        { action: 'selfdestruct' },
+        { action: ['setPlatformFee'] },
+        { action: { $ne: '' } },
+        { walletAddress: '0x1234' },
+        { walletAddress: [COMPANY] },
+        { walletAddress: { $gt: '' } },
+        { before: [entries[0]._id.toString()] }
+      ];
+
+      for (const query of invalid) {
+        const res = await getAuditLog(query);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(AdminAuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+});
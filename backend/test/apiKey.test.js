@@ -0,0 +1,173 @@
+const auth = require('../src/middleware/auth');
+const ApiKey = require('../src/models/ApiKey');
+const User = require('../src/models/User');
+const apiKeyService = require('../src/services/apiKeyService');
+const apiKeyController = require('../src/controllers/apiKeyController');
+const { mockResponse } = require('./helpers/http');
+const { ApiKeyError } = apiKeyService;
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const KEY = 'hrk_AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+describe('API keys', function () {
+  let apiKey;
+
+  beforeEach(function () {
+    apiKey = {
+      _id: 'key-1',
+      walletAddress: WALLET,
+      scopes: ['contracts:read'],
+      expiresAt: null,
+      lastUsedAt: new Date()
+    };
+
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(async () => apiKey);
+    jest.spyOn(User, 'findOne').mockResolvedValue({ walletAddress: WALLET, role: 'company' });
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('apiKeyService.createKey', function () {
+    it('Should return the secret once and store only its hash', async function () {
+      jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => fields);
+
+      const { apiKey: created, key } = await apiKeyService.createKey(WALLET, {
+        name: 'CI',
+        scopes: ['contracts:read', 'contracts:read']
+      });
+
+      expect(key).toMatch(/^hrk_[\w-]{43}$/);
+      expect(created.keyHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(created)).not.toContain(key);
+      expect(created.prefix).toBe(key.slice(0, 10));
+      expect(created.scopes).toEqual(['contracts:read']);
+    });
+
+    it('Should refuse a key over the limit with a 409', async function () {
+      jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(20);
+      jest.spyOn(ApiKey, 'create');
+
+      const error = await apiKeyService.createKey(WALLET, { name: 'CI', scopes: ['contracts:read'] }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ApiKeyError);
+      expect(error.code).toBe('TOO_MANY_KEYS');
+      expect(error.status).toBe(409);
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('apiKeyController.createApiKey', function () {
+    const create = async (body) => {
+      const res = mockResponse();
+      await apiKeyController.createApiKey({ walletAddress: WALLET, body: { scopes: ['contracts:read'], ...body } }, res);
+      return res;
+    };
+
+    beforeEach(function () {
+      jest.spyOn(apiKeyService, 'createKey').mockImplementation(async (walletAddress, fields) => ({
+        apiKey: { _id: 'key-2', ...fields },
+        key: KEY
+      }));
+    });
+
+    it('Should store the name without surrounding whitespace', async function () {
+      const res = await create({ name: '  CI deploys  ' });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(apiKeyService.createKey).toHaveBeenCalledWith(WALLET, expect.objectContaining({ name: 'CI deploys' }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ name: 'CI deploys', key: KEY }));
+    });
+
+    it('Should reject names that are blank, too long or not strings', async function () {
+      for (const name of [undefined, '', '   ', 'x'.repeat(101), ['CI'], { $ne: '' }]) {
+        const res = await create({ name });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ error: 'A name of 1 to 100 characters is required' });
+      }
+      expect(apiKeyService.createKey).not.toHaveBeenCalled();
+
+      expect((await create({ name: ` ${'x'.repeat(100)} ` })).status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('apiKeyService.verifyKey', function () {
+    it('Should return the key and its owner', async function () {
+      const result = await apiKeyService.verifyKey(KEY, '127.0.0.1');
+
+      expect(result.apiKey).toBe(apiKey);
+      expect(result.user.walletAddress).toBe(WALLET);
+    });
+
+    it('Should reject values that are not platform keys without a lookup', async function () {
+      for (const key of [undefined, ['hrk_x'], 'sk_live_abc']) {
+        expect(await apiKeyService.verifyKey(key, '127.0.0.1')).toBeNull();
+      }
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+
+    it('Should reject an unknown or expired key', async function () {
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      expect(await apiKeyService.verifyKey(KEY, '127.0.0.1')).toBeNull();
+
+      apiKey = null;
+      expect(await apiKeyService.verifyKey(KEY, '127.0.0.1')).toBeNull();
+    });
+  });
+
+  describe('auth.authenticate with X-API-Key', function () {
+    /**
+     * Run a route's middleware chain, e.g. [apiKeyScope('contracts:read'), authenticate]
+     */
+    const run = async (middleware, headers = { 'x-api-key': KEY }) => {
+      const req = { headers, ip: '127.0.0.1' };
+      const res = mockResponse();
+      const next = jest.fn();
+
+      for (const fn of middleware.slice(0, -1)) {
+        fn(req, res, () => {});
+      }
+      await middleware[middleware.length - 1](req, res, next);
+
+      return { req, res, next };
+    };
+
+    it('Should act as the key\'s owner on a route that allows its scope', async function () {
+      const { req, next } = await run([auth.apiKeyScope('contracts:read'), auth.authenticate]);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.walletAddress).toBe(WALLET);
+      expect(req.apiKey).toBe(apiKey);
+    });
+
+    it('Should deny API keys on routes that do not opt in', async function () {
+      const { res, next } = await run([auth.authenticate]);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'API_KEY_NOT_ALLOWED' }));
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+
+    it('Should deny a key without the route\'s scope', async function () {
+      const { res, next } = await run([auth.apiKeyScope('webhooks:manage'), auth.authenticate]);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_SCOPE' }));
+    });
+
+    it('Should reject an invalid key', async function () {
+      apiKey = null;
+
+      const { res, next } = await run([auth.apiKeyScope('contracts:read'), auth.authenticate]);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_API_KEY' }));
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const SyncCheckpoint = require('../src/models/SyncCheckpoint');
+const EventListenerService = require('../src/services/eventListenerService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeLog, fakeNetwork } = require('./helpers/chain');
+
+describe('Event backfill', function () {
+  const env = { ...process.env };
+  let checkpoints;
+
+  const ranges = (contract) => contract.queryFilter.mock.calls.map(([, fromBlock, toBlock]) => [fromBlock, toBlock]);
+  const checkpoint = (contractName) =>
+    checkpoints.docs.find(doc => doc.contractName === contractName)?.lastSyncedBlock;
+
+  beforeEach(function () {
+    process.env.SYNC_CHUNK_SIZE = '10';
+    process.env.SYNC_START_BLOCK = '5';
+    checkpoints = memoryModel(SyncCheckpoint);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('Should scan from the start block to the head in chunks, in log order', async function () {
+    const logs = [
+      fakeLog({ eventName: 'ContractCreated', blockNumber: 7 }),
+      fakeLog({ eventName: 'ContractAccepted', blockNumber: 18, index: 0 }),
+      fakeLog({ eventName: 'ContractActivated', blockNumber: 18, index: 1 })
+    ];
+    const network = fakeNetwork({ head: 30, employmentLogs: logs });
+    const listener = new EventListenerService(1337);
+    jest.spyOn(listener, 'processEvent').mockResolvedValue();
+
+    await listener.syncPastEvents();
+
+    expect(ranges(network.employmentContract)).toEqual([[5, 14], [15, 24], [25, 30]]);
+    expect(ranges(network.credentialContract)).toEqual([[5, 14], [15, 24], [25, 30]]);
+    expect(listener.processEvent.mock.calls.map(([log]) => log)).toEqual(logs);
+    expect(checkpoint('EmploymentContract')).toBe(30);
+    expect(checkpoint('CredentialNFT')).toBe(30);
+    expect(listener.isSynced).toBe(true);
+  });
+
+  it('Should start at the deployment block when no start block is set', async function () {
+    delete process.env.SYNC_START_BLOCK;
+    const network = fakeNetwork({ head: 25, deploymentBlock: 20 });
+
+    await new EventListenerService(1337).syncPastEvents();
+
+    expect(ranges(network.employmentContract)).toEqual([[20, 25]]);
+  });
+
+  it('Should resume after the saved checkpoint', async function () {
+    await SyncCheckpoint.create({ chainId: 1337, contractName: 'EmploymentContract', lastSyncedBlock: 20 });
+    const network = fakeNetwork({ head: 30 });
+
+    await new EventListenerService(1337).syncPastEvents();
+
+    expect(ranges(network.employmentContract)).toEqual([[21, 30]]);
+    expect(ranges(network.credentialContract)[0]).toEqual([5, 14]);
+  });
+
+  it('Should not scan a contract that is already synced to the head', async function () {
+    await SyncCheckpoint.create({ chainId: 1337, contractName: 'EmploymentContract', lastSyncedBlock: 30 });
+    const network = fakeNetwork({ head: 30 });
+
+    await new EventListenerService(1337).syncPastEvents();
+
+    expect(network.employmentContract.queryFilter).not.toHaveBeenCalled();
+  });
+
+  it('Should keep the last completed chunk when a range fails and resume from there', async function () {
+    const network = fakeNetwork({ head: 30 });
+    network.employmentContract.queryFilter.mockImplementation(async (filter, fromBlock) => {
+      if (fromBlock === 15) throw new Error('query returned more than 10000 results');
+      return [];
+    });
+    const listener = new EventListenerService(1337);
+
+    await listener.syncPastEvents();
+
+    expect(checkpoint('EmploymentContract')).toBe(14);
+    expect(listener.isSynced).toBe(false);
+
+    network.employmentContract.queryFilter.mockClear();
+    network.employmentContract.queryFilter.mockResolvedValue([]);
+    await listener.syncPastEvents();
+
+    expect(ranges(network.employmentContract)).toEqual([[15, 24], [25, 30]]);
+    expect(listener.isSynced).toBe(true);
+  });
+
+  it('Should read settings per network', async function () {
+    process.env.SYNC_CHUNK_SIZE_LOCALHOST = '4';
+    process.env.SYNC_START_BLOCK_LOCALHOST = 'not a number';
+    const network = fakeNetwork({ head: 8, deploymentBlock: 1 });
+
+    await new EventListenerService(1337).syncPastEvents();
+
+    // Invalid per-network start block falls back to the deployment block
+    expect(ranges(network.employmentContract)).toEqual([[1, 4], [5, 8]]);
+  });
+
+  describe('checkpoints', function () {
+    it('Should never move a checkpoint backwards', async function () {
+      fakeNetwork();
+      const listener = new EventListenerService(1337);
+
+      await listener.saveCheckpoint('EmploymentContract', 30);
+      await listener.saveCheckpoint('EmploymentContract', 12);
+
+      expect(checkpoint('EmploymentContract')).toBe(30);
+    });
+
+    it('Should only follow live events once the backfill is done', async function () {
+      fakeNetwork({ head: 30 });
+      const listener = new EventListenerService(1337);
+
+      await listener.advanceCheckpoint('EmploymentContract', 40);
+      expect(checkpoint('EmploymentContract')).toBeUndefined();
+
+      await listener.syncPastEvents();
+      await listener.advanceCheckpoint('EmploymentContract', 40);
+      expect(checkpoint('EmploymentContract')).toBe(40);
+    });
+  });
+});
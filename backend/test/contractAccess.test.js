@@ -0,0 +1,246 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const auth = require('../src/middleware/auth');
+const ContractActivity = require('../src/models/ContractActivity');
+const ContractShare = require('../src/models/ContractShare');
+const adminService = require('../src/services/adminService');
+const blockchainService = require('../src/services/blockchainService');
+const contractAccessService = require('../src/services/contractAccessService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const contractController = require('../src/controllers/contractController');
+const shareController = require('../src/controllers/shareController');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse } = require('./helpers/http');
+const { ContractAccessError } = contractAccessService;
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const ADMIN = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+const STRANGER = '0x15d34aaf54267db7d7c367839aaf71a00a2c6a65';
+
+describe('Contract access', function () {
+  const env = { ...process.env };
+  let contract;
+
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+    contract = { chainId: 1337, contractId: 7, company: COMPANY, talent: TALENT };
+
+    jest.spyOn(contractProjectionService, 'getContract').mockImplementation(async (contractId, { chainId }) =>
+      (contract && contractId === contract.contractId && chainId === contract.chainId ? contract : null));
+    jest.spyOn(adminService, 'isAdmin').mockImplementation(async (walletAddress) => walletAddress === ADMIN);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('auth.requireContractAccess', function () {
+    const check = async (walletAddress, contractId, options) => {
+      const req = { walletAddress, chainId: 1337, params: { contractId } };
+      const res = mockResponse();
+      const next = jest.fn();
+      await auth.requireContractAccess(options)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('Should let the company and the talent through with their role', async function () {
+      const company = await check(COMPANY, '7');
+      expect(company.next).toHaveBeenCalled();
+      expect(company.req.contract).toBe(contract);
+      expect(company.req.contractRole).toBe('company');
+
+      const talent = await check(TALENT, '7');
+      expect(talent.next).toHaveBeenCalled();
+      expect(talent.req.contractRole).toBe('talent');
+    });
+
+    it('Should let admins through unless the route is for parties only', async function () {
+      const admin = await check(ADMIN, '7');
+      expect(admin.next).toHaveBeenCalled();
+      expect(admin.req.contractRole).toBe('admin');
+
+      const partiesOnly = await check(ADMIN, '7', { admins: false });
+      expect(partiesOnly.next).not.toHaveBeenCalled();
+      expect(partiesOnly.res.status).toHaveBeenCalledWith(403);
+      expect(partiesOnly.res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONTRACT_ACCESS_DENIED' }));
+    });
+
+    it('Should deny anyone else', async function () {
+      const { res, next } = await check(STRANGER, '7');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONTRACT_ACCESS_DENIED' }));
+    });
+
+    it('Should return 404 for a contract that does not exist on the selected network', async function () {
+      const { res, next } = await check(COMPANY, '8');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('Should return 400 for an invalid contract ID', async function () {
+      for (const contractId of ['abc', '0', '-1', '1.5']) {
+        const { res } = await check(COMPANY, contractId);
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(contractProjectionService.getContract).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('share links', function () {
+    let shares;
+
+    beforeEach(function () {
+      shares = new Map();
+
+      jest.spyOn(blockchainService, 'hasNetwork').mockImplementation(chainId => chainId === 1337);
+      jest.spyOn(ContractShare, 'countDocuments').mockImplementation(async () =>
+        [...shares.values()].filter(share => !share.revokedAt).length);
+      jest.spyOn(ContractShare, 'create').mockImplementation(async (fields) => {
+        const share = { _id: new mongoose.Types.ObjectId(), revokedAt: null, lastViewedAt: new Date(), ...fields };
+        shares.set(share._id.toString(), share);
+        return share;
+      });
+      jest.spyOn(ContractShare, 'findOne').mockImplementation(async (filter) => {
+        const share = shares.get(filter._id.toString());
+        return share && share.chainId === filter.chainId && share.contractId === filter.contractId && !share.revokedAt
+          ? share
+          : null;
+      });
+      jest.spyOn(ContractShare, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const share = shares.get(filter._id.toString());
+        if (!share || share.contractId !== filter.contractId || share.revokedAt) return null;
+        return Object.assign(share, update.$set);
+      });
+    });
+
+    const createShare = (expiresAt = new Date(Date.now() + 60 * 60 * 1000)) =>
+      contractAccessService.createShare(contract, COMPANY, { label: 'Accountant', expiresAt });
+
+    it('Should resolve a link to its contract', async function () {
+      const { share, token } = await createShare();
+
+      const result = await contractAccessService.verifyShareToken(token);
+
+      expect(result.share).toBe(share);
+      expect(result.contract).toBe(contract);
+    });
+
+    it('Should stop resolving a link once revoked', async function () {
+      const { share, token } = await createShare();
+
+      const revoked = await contractAccessService.revokeShare(1337, 7, share._id.toString(), TALENT);
+
+      expect(revoked.revokedBy).toBe(TALENT);
+      expect(await contractAccessService.verifyShareToken(token)).toBeNull();
+      expect(await contractAccessService.revokeShare(1337, 7, share._id.toString(), TALENT)).toBeNull();
+    });
+
+    it('Should not revoke another contract\'s link', async function () {
+      const { share, token } = await createShare();
+
+      expect(await contractAccessService.revokeShare(1337, 8, share._id.toString(), COMPANY)).toBeNull();
+      expect(await contractAccessService.revokeShare(1337, 7, 'not-an-id', COMPANY)).toBeNull();
+      expect(await contractAccessService.verifyShareToken(token)).not.toBeNull();
+    });
+
+    it('Should not accept access tokens or tampered links', async function () {
+      const { share, token } = await createShare();
+      const accessToken = jwt.sign({ walletAddress: COMPANY, sid: 'session-1', shr: share._id.toString() }, process.env.JWT_SECRET);
+      const otherContract = jwt.sign(
+        { shr: share._id.toString(), chainId: 1337, contractId: 8 },
+        process.env.JWT_SECRET,
+        { audience: 'contract-share' }
+      );
+
+      expect(await contractAccessService.verifyShareToken(accessToken)).toBeNull();
+      expect(await contractAccessService.verifyShareToken(otherContract)).toBeNull();
+      expect(await contractAccessService.verifyShareToken(`${token}x`)).toBeNull();
+    });
+
+    it('Should not accept a share link as an access token', async function () {
+      const { token } = await createShare();
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await auth.authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('Should not resolve an expired link or one on a network no longer served', async function () {
+      const { share, token } = await createShare();
+
+      share.expiresAt = new Date(Date.now() - 1000);
+      expect(await contractAccessService.verifyShareToken(token)).toBeNull();
+
+      share.expiresAt = new Date(Date.now() + 60000);
+      blockchainService.hasNetwork.mockReturnValue(false);
+      expect(await contractAccessService.verifyShareToken(token)).toBeNull();
+    });
+
+    it('Should limit active links per contract', async function () {
+      for (let i = 0; i < 20; i++) {
+        await createShare();
+      }
+
+      const error = await createShare().catch(e => e);
+
+      expect(error).toBeInstanceOf(ContractAccessError);
+      expect(error.code).toBe('TOO_MANY_SHARES');
+      expect(error.status).toBe(409);
+    });
+  });
+
+  describe('activity history', function () {
+    const LISTENER_FIELDS = ['processed', 'processingBy', 'processingStartedAt'];
+
+    beforeEach(function () {
+      contract.toContractJSON = () => ({ contractId: 7 });
+      memoryModel(ContractActivity).docs.push({
+        chainId: 1337,
+        contractId: 7,
+        eventType: 'ContractCreated',
+        timestamp: new Date(),
+        processed: true,
+        processingBy: 'listener-1',
+        processingStartedAt: new Date()
+      });
+    });
+
+    const expectPublic = (res) => {
+      const { activities } = res.json.mock.calls[0][0];
+
+      expect(activities).toHaveLength(1);
+      expect(activities[0].eventType).toBe('ContractCreated');
+      LISTENER_FIELDS.forEach(field => expect(activities[0]).not.toHaveProperty(field));
+    };
+
+    it('Should leave listener bookkeeping out of the parties\' view', async function () {
+      for (const handler of [contractController.getContract, contractController.getContractActivity]) {
+        const res = mockResponse();
+        await handler({ chainId: 1337, contract, query: {} }, res);
+
+        expectPublic(res);
+      }
+    });
+
+    it('Should leave listener bookkeeping out of a shared view', async function () {
+      jest.spyOn(contractAccessService, 'verifyShareToken').mockResolvedValue({
+        share: { label: 'Accountant', expiresAt: null },
+        contract
+      });
+      const res = mockResponse();
+
+      await shareController.getSharedContract({ params: { token: 'token' } }, res);
+
+      expectPublic(res);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const EmailOutbox = require('../src/models/EmailOutbox');
+const User = require('../src/models/User');
+const emailService = require('../src/services/emailService');
+const { renderTemplate } = require('../src/services/emailTemplates');
+const userController = require('../src/controllers/userController');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse } = require('./helpers/http');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+describe('Email notifications', function () {
+  let outbox;
+  let users;
+
+  const account = (fields = {}) => {
+    const user = {
+      walletAddress: WALLET,
+      contact: { email: 'talent@example.com', emailVerified: true },
+      notifications: { email: true, browser: true, contractUpdates: true, milestoneReminders: true },
+      save: jest.fn(async function () { return this; }),
+      ...fields
+    };
+    users.docs.push(user);
+    return user;
+  };
+
+  beforeEach(function () {
+    outbox = memoryModel(EmailOutbox);
+    users = memoryModel(User);
+    jest.spyOn(emailService, 'processOutbox').mockResolvedValue();
+  });
+
+  afterEach(async function () {
+    // Let the send queued by queueEmail run against the stub
+    await new Promise(resolve => setImmediate(resolve));
+    jest.restoreAllMocks();
+  });
+
+  describe('renderTemplate', function () {
+    it('Should escape user-supplied text in the HTML part only', function () {
+      const email = renderTemplate('milestone-overdue', {
+        contractId: 7, milestoneIndex: 0, description: '<script>alert("x")</script> & more'
+      });
+
+      expect(email.category).toBe('milestoneReminders');
+      expect(email.text).toContain('"<script>alert("x")</script> & more"');
+      expect(email.html).toContain('&quot;&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more&quot;');
+      expect(email.html).not.toContain('<script>');
+      expect(email.html.startsWith('<p>')).toBe(true);
+    });
+
+    it('Should return null for kinds without a template', function () {
+      expect(renderTemplate('contract-created', { contractId: 7 })).toBeNull();
+    });
+  });
+
+  describe('queueNotification', function () {
+    const received = { contractId: 7, company: WALLET, amount: '1.0' };
+
+    it('Should queue the email for a verified address with the category on', async function () {
+      account();
+
+      const email = await emailService.queueNotification(WALLET.toUpperCase(), 'contract-received', received);
+
+      expect(email).toMatchObject({ to: 'talent@example.com', walletAddress: WALLET, template: 'contract-received' });
+      expect(outbox.docs).toHaveLength(1);
+    });
+
+    it('Should skip users without a verified email', async function () {
+      account({ contact: { email: 'talent@example.com', emailVerified: false } });
+
+      expect(await emailService.queueNotification(WALLET, 'contract-received', received)).toBeNull();
+      expect(await emailService.queueNotification('0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc', 'contract-received', received)).toBeNull();
+      expect(outbox.docs).toHaveLength(0);
+    });
+
+    it('Should skip users who turned email notifications off', async function () {
+      account({ notifications: { email: false, contractUpdates: true } });
+
+      expect(await emailService.queueNotification(WALLET, 'contract-received', received)).toBeNull();
+      expect(outbox.docs).toHaveLength(0);
+    });
+
+    it('Should skip categories the user turned off', async function () {
+      account({ notifications: { email: true, contractUpdates: true, milestoneReminders: false } });
+
+      expect(await emailService.queueNotification(WALLET, 'milestone-overdue', {
+        contractId: 7, milestoneIndex: 0, description: 'Design'
+      })).toBeNull();
+      expect(await emailService.queueNotification(WALLET, 'contract-received', received)).not.toBeNull();
+      expect(outbox.docs.map(email => email.template)).toEqual(['contract-received']);
+    });
+
+    it('Should always send account emails', async function () {
+      account({ notifications: { email: true, contractUpdates: false, milestoneReminders: false } });
+
+      expect(await emailService.queueNotification(WALLET, 'email-verification', { token: 'abc' })).not.toBeNull();
+    });
+
+    it('Should not look up the user for kinds without a template', async function () {
+      expect(await emailService.queueNotification(WALLET, 'contract-created', { contractId: 7 })).toBeNull();
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('send', function () {
+    let email;
+
+    beforeEach(function () {
+      email = {
+        _id: 'email-1',
+        to: 'talent@example.com',
+        template: 'contract-received',
+        subject: 'New contract offer #7',
+        text: 'text',
+        html: '<p>text</p>',
+        status: 'pending',
+        attempts: 0,
+        save: jest.fn(async function () { return this; })
+      };
+      emailService.transport = { sendMail: jest.fn().mockResolvedValue({ messageId: '1' }) };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(function () {
+      emailService.transport = null;
+    });
+
+    it('Should mark a delivered email as sent', async function () {
+      await emailService.send(email);
+
+      expect(emailService.transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'talent@example.com', subject: 'New contract offer #7', html: '<p>text</p>'
+      }));
+      expect(email).toMatchObject({ status: 'sent', attempts: 1 });
+      expect(email.sentAt).toBeInstanceOf(Date);
+      expect(email.save).toHaveBeenCalled();
+    });
+
+    it('Should retry with exponential backoff and fail after the last attempt', async function () {
+      emailService.transport.sendMail.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const before = Date.now();
+      await emailService.send(email);
+      const firstDelay = email.nextAttemptAt - before;
+      await emailService.send(email);
+      const secondDelay = email.nextAttemptAt - before;
+
+      expect(email).toMatchObject({ status: 'pending', attempts: 2, lastError: 'ECONNREFUSED' });
+      expect(firstDelay).toBeGreaterThanOrEqual(60000);
+      expect(firstDelay).toBeLessThan(61000);
+      expect(secondDelay).toBeGreaterThanOrEqual(120000);
+      expect(secondDelay).toBeLessThan(121000);
+
+      email.attempts = 4;
+      await emailService.send(email);
+      expect(email.status).toBe('failed');
+    });
+  });
+
+  describe('userController', function () {
+    beforeEach(function () {
+      jest.spyOn(emailService, 'queueEmail').mockResolvedValue({});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('Should reject an email that is not a string', async function () {
+      const user = account();
+
+      for (const email of [['a@b.co'], { $ne: '' }, 42, undefined, 'not-an-email']) {
+        const res = mockResponse();
+        await userController.updateEmail({ user, body: { email } }, res);
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('Should reject a verification token that is not a string', async function () {
+      for (const token of [{ $ne: '' }, ['abc'], undefined]) {
+        const res = mockResponse();
+        await userController.verifyEmail({ body: { token } }, res);
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('Should verify an address with the emailed token until it expires', async function () {
+      const user = account();
+
+      await userController.updateEmail({ user, body: { email: '  Talent@Example.com ' } }, mockResponse());
+
+      const { token } = emailService.queueEmail.mock.calls[0][0].data;
+      expect(user.contact).toMatchObject({ email: 'talent@example.com', emailVerified: false });
+      expect(user.emailVerification.tokenHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+
+      const expired = mockResponse();
+      user.emailVerification.expiresAt = new Date(Date.now() - 1000);
+      await userController.verifyEmail({ body: { token } }, expired);
+      expect(expired.status).toHaveBeenCalledWith(400);
+
+      const res = mockResponse();
+      user.emailVerification.expiresAt = new Date(Date.now() + 60000);
+      await userController.verifyEmail({ body: { token } }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ email: 'talent@example.com', emailVerified: true });
+      expect(user.contact.emailVerified).toBe(true);
+      expect(user.emailVerification).toBeUndefined();
+    });
+
+    it('Should only accept booleans as notification preferences', async function () {
+      const user = account();
+
+      const invalid = mockResponse();
+      await userController.updateNotificationPreferences({ user, body: { milestoneReminders: 'false' } }, invalid);
+      expect(invalid.status).toHaveBeenCalledWith(400);
+      expect(user.notifications.milestoneReminders).toBe(true);
+
+      const res = mockResponse();
+      await userController.updateNotificationPreferences({ user, body: { milestoneReminders: false, unknown: true } }, res);
+      expect(res.json).toHaveBeenCalledWith({ notifications: expect.objectContaining({ milestoneReminders: false }) });
+      expect(user.notifications).not.toHaveProperty('unknown');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const ResilientProvider = require('../src/services/resilientProvider');
+const hardhat = require('./helpers/hardhat');
+
+jest.setTimeout(60000);
+
+const PRIMARY_PORT = 18546;
+const BACKUP_PORT = 18547;
+
+if (!hardhat.available) {
+  console.warn('Skipping Hardhat failover tests: run npm install and npx hardhat compile in contracts/');
+}
+
+(hardhat.available ? describe : describe.skip)('RPC failover between two Hardhat nodes', function () {
+  let primary;
+  let backup;
+  let provider;
+
+  beforeAll(async function () {
+    [primary, backup] = await Promise.all([hardhat.startNode(PRIMARY_PORT), hardhat.startNode(BACKUP_PORT)]);
+    // Tell the nodes apart by their head block
+    await primary.rpc('hardhat_mine', ['0x2']);
+    await backup.rpc('hardhat_mine', ['0x7']);
+
+    provider = new ResilientProvider([
+      { url: backup.url, weight: 1 },
+      { url: primary.url, weight: 10 }
+    ], 1337);
+  });
+
+  afterAll(async function () {
+    provider?.destroy();
+    await Promise.all([primary?.stop(), backup?.stop()]);
+  });
+
+  beforeEach(function () {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  it('Should keep serving reads from the backup after the primary node dies', async function () {
+    expect(await provider.verifyEndpoints()).toBe(2);
+    expect(await provider.getBlockNumber()).toBe(2);
+
+    await primary.stop();
+
+    // Same provider, no restart: the next reads fail over
+    expect(await provider.getBlockNumber()).toBe(7);
+    expect(await provider.getBalance('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')).toBeGreaterThan(0n);
+    await provider.getBlockNumber();
+
+    const [backupEndpoint, primaryEndpoint] = provider.endpoints;
+    expect(primaryEndpoint.circuit).toBe('open');
+    expect(primaryEndpoint.metrics.failures).toBe(3);
+    expect(backupEndpoint.circuit).toBe('closed');
+
+    const status = await provider.getStatus();
+    expect(status).toMatchObject({ headBlock: 7, healthyEndpoints: 1 });
+    expect(status.endpoints[1]).toMatchObject({ blockNumber: null, circuit: 'open' });
+  });
+});
@@ -0,0 +1,63 @@
+const blockchainService = require('../../src/services/blockchainService');
+
+/**
+ * Stand-ins for a connected network and its decoded logs
+ */
+
+const blockHash = (blockNumber, fork = 0) => `0x${fork.toString(16).padStart(2, '0')}${blockNumber.toString(16).padStart(62, '0')}`;
+
+/**
+ * A decoded log as ethers returns it from queryFilter or a listener
+ * @param {Object} fields - eventName, args, blockNumber, index (log index),
+ *   transactionHash, fork (changes the block hash, for reorgs)
+ */
+const fakeLog = ({ eventName, args = {}, blockNumber = 1, index = 0, transactionHash, fork = 0 }) => ({
+  eventName,
+  args,
+  blockNumber,
+  index,
+  blockHash: blockHash(blockNumber, fork),
+  transactionHash: transactionHash || `0x${'ab'.repeat(31)}${blockNumber.toString(16).padStart(2, '0')}`,
+  getBlock: async () => ({ number: blockNumber, hash: blockHash(blockNumber, fork), timestamp: 1700000000 + blockNumber })
+});
+
+/**
+ * A network whose contracts return the given logs from queryFilter
+ * and whose provider serves blocks up to head (hashes of `fork`)
+ * blockchainService.getNetwork returns it for every chainId.
+ */
+const fakeNetwork = ({ chainId = 1337, name = 'localhost', head = 100, deploymentBlock = 0, employmentLogs = [], credentialLogs = [] } = {}) => {
+  const contract = (logs) => ({
+    queryFilter: jest.fn(async (filter, fromBlock, toBlock) =>
+      logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)),
+    on: jest.fn(),
+    removeAllListeners: jest.fn()
+  });
+
+  const network = {
+    chainId,
+    name,
+    deploymentBlock,
+    fork: 0,
+    head,
+    employmentContract: contract(employmentLogs),
+    credentialContract: contract(credentialLogs),
+    provider: {
+      getBlockNumber: jest.fn(async () => network.head),
+      getBlock: jest.fn(async (number) => (number > network.head
+        ? null
+        : { number, hash: blockHash(number, network.fork), timestamp: 1700000000 + number })),
+      on: jest.fn(),
+      off: jest.fn()
+    }
+  };
+
+  jest.spyOn(blockchainService, 'getNetwork').mockReturnValue(network);
+  return network;
+};
+
+module.exports = {
+  blockHash,
+  fakeLog,
+  fakeNetwork
+};
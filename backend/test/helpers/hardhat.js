@@ -0,0 +1,92 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Local Hardhat nodes for tests that need a real chain (reorgs, RPC failover)
+ *
+ * Uses the Hardhat install and compiled artifacts of ../contracts
+ * (npm install && npx hardhat compile there); tests skip when they are missing.
+ */
+
+const CONTRACTS_DIR = path.resolve(__dirname, '../../../contracts');
+const HARDHAT_CLI = path.join(CONTRACTS_DIR, 'node_modules/hardhat/internal/cli/bootstrap.js');
+const START_TIMEOUT_MS = 30000;
+
+const artifactPath = (name) => path.join(CONTRACTS_DIR, 'artifacts/contracts', `${name}.sol`, `${name}.json`);
+
+const available = fs.existsSync(HARDHAT_CLI) &&
+  ['EmploymentContract', 'CredentialNFT'].every(name => fs.existsSync(artifactPath(name)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a raw JSON-RPC request (evm_snapshot, evm_revert, hardhat_mine, ...)
+ */
+const rpc = async (url, method, params = []) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  const { result, error } = await response.json();
+  if (error) throw new Error(`${method}: ${error.message}`);
+  return result;
+};
+
+/**
+ * Start `hardhat node` on a port and wait until it answers
+ * @returns {Promise<{ url: string, rpc: Function, stop: Function }>}
+ */
+const startNode = async (port) => {
+  const child = spawn(process.execPath, [HARDHAT_CLI, 'node', '--port', String(port)], {
+    cwd: CONTRACTS_DIR,
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const url = `http://127.0.0.1:${port}`;
+
+  const node = {
+    url,
+    rpc: (method, params) => rpc(url, method, params),
+    // Stop this node only (by its own PID) and wait for it to exit
+    stop: async () => {
+      if (child.exitCode === null && child.signalCode === null) {
+        process.kill(child.pid, 'SIGTERM');
+      }
+      await exited;
+    }
+  };
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await node.rpc('eth_chainId');
+      return node;
+    } catch (error) {
+      if (child.exitCode !== null || Date.now() > deadline) {
+        await node.stop();
+        throw new Error(`Hardhat node on port ${port} did not start`);
+      }
+      await sleep(250);
+    }
+  }
+};
+
+/**
+ * Deploy a compiled contract from ../contracts/artifacts
+ * @param {ethers.Signer} signer - Deployer
+ */
+const deploy = async (name, signer, args = []) => {
+  const { abi, bytecode } = JSON.parse(fs.readFileSync(artifactPath(name), 'utf8'));
+  const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+};
+
+module.exports = {
+  available,
+  startNode,
+  deploy
+};
@@ -0,0 +1,44 @@
+/**
+ * Express stand-ins for calling controllers and middleware directly
+ */
+
+/**
+ * A response whose status() and json() are jest mocks (chainable like Express)
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run a request through the handlers of one route, in order, until one
+ * of them answers instead of calling next()
+ * @param {express.Router} router - e.g. src/routes
+ * @param {string} method - 'get', 'post', ...
+ * @param {string} path - Route path as registered (e.g. '/jobs/:jobId/apply')
+ * @returns {Promise<Object>} the response (see mockResponse)
+ */
+const runRoute = async (router, method, path, req = {}) => {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  if (!layer) {
+    throw new Error(`No route ${method.toUpperCase()} ${path}`);
+  }
+
+  const res = mockResponse();
+  const request = { headers: {}, query: {}, body: {}, params: {}, ...req };
+
+  for (const { handle } of layer.route.stack) {
+    let calledNext = false;
+    await handle(request, res, () => { calledNext = true; });
+    if (!calledNext) break;
+  }
+
+  return res;
+};
+
+module.exports = {
+  mockResponse,
+  runRoute
+};
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-in for a Mongoose model
+ *
+ * Replaces a model's static query methods (jest.spyOn, so restoreAllMocks
+ * puts the real ones back) with versions that work on a plain array. Covers
+ * the query and update operators the services use, nothing more: documents
+ * are plain objects, and only the unique indexes passed in are enforced.
+ */
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => {
+    if (obj[key] == null) obj[key] = {};
+    return obj[key];
+  }, doc);
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj == null ? obj : obj[key]), doc);
+  if (target != null) delete target[last];
+};
+
+// Deep copy that keeps Dates and ObjectIds (structuredClone turns ObjectIds into plain objects)
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value === null || typeof value !== 'object' || value instanceof mongoose.Types.ObjectId) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equals = (a, b) => {
+  if (a instanceof mongoose.Types.ObjectId || b instanceof mongoose.Types.ObjectId) {
+    return String(a) === String(b);
+  }
+  if (Array.isArray(a) && !Array.isArray(b)) {
+    return a.some(item => equals(item, b));
+  }
+  return comparable(a) === comparable(b) || (a == null && b == null);
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$ne': return !equals(value, operand);
+      case '$in': return operand.some(item => equals(value, item));
+      case '$nin': return !operand.some(item => equals(value, item));
+      case '$gt': return value != null && comparable(value) > comparable(operand);
+      case '$gte': return value != null && comparable(value) >= comparable(operand);
+      case '$lt': return value != null && comparable(value) < comparable(operand);
+      case '$lte': return value != null && comparable(value) <= comparable(operand);
+      case '$regex': return typeof value === 'string' && new RegExp(operand).test(value);
+      case '$not': return !matchesCondition(value, operand);
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+      default: throw new Error(`memoryModel: unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update) => {
+  const { $set = {}, $unset = {}, $max = {}, $inc = {}, $push = {}, $pull = {}, ...replacement } = update;
+
+  Object.entries(replacement).forEach(([path, value]) => setPath(doc, path, value));
+  Object.entries($set).forEach(([path, value]) => setPath(doc, path, value));
+  Object.keys($unset).forEach(path => unsetPath(doc, path));
+  Object.entries($max).forEach(([path, value]) => {
+    const current = getPath(doc, path);
+    if (current === undefined || comparable(value) > comparable(current)) setPath(doc, path, value);
+  });
+  Object.entries($inc).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries($push).forEach(([path, value]) => {
+    const items = value && value.$each ? value.$each : [value];
+    setPath(doc, path, [...(getPath(doc, path) || []), ...items]);
+  });
+  Object.entries($pull).forEach(([path, condition]) => {
+    setPath(doc, path, (getPath(doc, path) || []).filter(item => !matches(item, condition)));
+  });
+};
+
+/**
+ * Query result that can be awaited directly or refined with sort/skip/limit/select/lean
+ */
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = null;
+    this.excluded = [];
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  select(projection) {
+    // Only exclusion projections ({ field: 0 }) are applied
+    if (projection && typeof projection === 'object') {
+      this.excluded = Object.keys(projection).filter(key => !projection[key]);
+    }
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  exec() {
+    let result = this.run();
+
+    if (Array.isArray(result)) {
+      if (this.sortSpec) {
+        const keys = Object.entries(this.sortSpec);
+        result = [...result].sort((a, b) => {
+          for (const [key, direction] of keys) {
+            const x = comparable(getPath(a, key));
+            const y = comparable(getPath(b, key));
+            if (x < y) return -direction;
+            if (x > y) return direction;
+          }
+          return 0;
+        });
+      }
+      result = result.slice(this.skipCount);
+      if (this.limitCount !== null) {
+        result = result.slice(0, this.limitCount);
+      }
+    }
+
+    if (this.excluded.length && result) {
+      const project = (doc) => {
+        const copy = { ...doc };
+        this.excluded.forEach(key => delete copy[key]);
+        return copy;
+      };
+      result = Array.isArray(result) ? result.map(project) : project(result);
+    }
+
+    return Promise.resolve(result);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Back a model with an array for the rest of the test
+ * @param {mongoose.Model} Model
+ * @param {Object} options - { unique: [['field', ...], ...] } unique indexes to enforce
+ * @returns {{ docs: Object[] }} the stored documents
+ */
+const memoryModel = (Model, { unique = [] } = {}) => {
+  const store = { docs: [] };
+
+  const duplicateOf = (doc) => unique.some(fields => store.docs.some(other =>
+    other !== doc && fields.every(field => equals(getPath(other, field), getPath(doc, field)))));
+
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  const insert = (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...fields };
+    if (duplicateOf(doc)) throw duplicateKeyError();
+    store.docs.push(doc);
+    return doc;
+  };
+
+  const updateDoc = (doc, update) => {
+    const before = clone(doc);
+    applyUpdate(doc, update);
+    if (duplicateOf(doc)) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw duplicateKeyError();
+    }
+  };
+
+  const find = (filter) => store.docs.filter(doc => matches(doc, filter));
+
+  jest.spyOn(Model, 'create').mockImplementation(async (fields) =>
+    (Array.isArray(fields) ? fields.map(insert) : insert(fields)));
+  jest.spyOn(Model, 'find').mockImplementation((filter) => new MemoryQuery(() => find(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => new MemoryQuery(() => find(filter)[0] || null));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => new MemoryQuery(() => find({ _id: id })[0] || null));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => find(filter).length);
+  jest.spyOn(Model, 'distinct').mockImplementation(async (field, filter) =>
+    [...new Set(find(filter).map(doc => getPath(doc, field)))]);
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => new MemoryQuery(() => {
+    let doc = find(filter)[0];
+
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = insert(Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))));
+      updateDoc(doc, update);
+      return options.new ? doc : null;
+    }
+
+    const before = clone(doc);
+    updateDoc(doc, update);
+    return options.new ? doc : before;
+  }));
+
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    const doc = find(filter)[0];
+    if (!doc) {
+      if (options.upsert) {
+        updateDoc(insert(Object.fromEntries(Object.entries(filter).filter(([key]) => !key.startsWith('$')))), update);
+      }
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    updateDoc(doc, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const docs = find(filter);
+    docs.forEach(doc => updateDoc(doc, update));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  });
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async (filter) => {
+    const doc = find(filter)[0];
+    if (doc) store.docs.splice(store.docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  });
+
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+    const docs = find(filter);
+    docs.forEach(doc => store.docs.splice(store.docs.indexOf(doc), 1));
+    return { deletedCount: docs.length };
+  });
+
+  return store;
+};
+
+module.exports = {
+  memoryModel,
+  matches
+};
@@ -0,0 +1,130 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const User = require('../src/models/User');
+const EventListenerService = require('../src/services/eventListenerService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const reputationService = require('../src/services/reputationService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeLog, fakeNetwork } = require('./helpers/chain');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+
+describe('Idempotent event processing', function () {
+  const env = { ...process.env };
+  let activities;
+
+  const created = (fields = {}) => fakeLog({
+    eventName: 'ContractCreated',
+    args: { contractId: 7n, company: COMPANY, talent: TALENT, totalAmount: ethers.parseEther('1') },
+    blockNumber: 5,
+    transactionHash: TX_HASH,
+    ...fields
+  });
+
+  beforeEach(function () {
+    process.env.CONFIRMATION_DEPTH = '0';
+    activities = memoryModel(ContractActivity, { unique: [['chainId', 'transactionHash', 'logIndex']] });
+    memoryModel(User);
+
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+    jest.spyOn(notificationService, 'emitToContract').mockImplementation(() => {});
+    jest.spyOn(contractProjectionService, 'refreshContract').mockResolvedValue();
+    jest.spyOn(reputationService, 'recomputeReputation').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('Should store a log seen twice once and notify once', async function () {
+    fakeNetwork();
+    const listener = new EventListenerService(1337);
+
+    await listener.processEvent(created());
+    // Same log again: live listener and backfill overlapping
+    await listener.processEvent(created());
+    await listener.processEvent(created());
+
+    expect(activities.docs).toHaveLength(1);
+    expect(await listener.recordActivity(created(), { contractId: 7, eventType: 'ContractCreated' })).toBe(false);
+    expect(notificationService.emitToContract).toHaveBeenCalledTimes(1);
+    // contract-created to the company, contract-received to the talent
+    expect(notificationService.notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('Should store every log of a transaction', async function () {
+    fakeNetwork();
+    const listener = new EventListenerService(1337);
+
+    await listener.processEvent(created({ index: 0 }));
+    await listener.processEvent(created({ index: 1, args: { contractId: 8n, company: COMPANY, talent: TALENT, totalAmount: 1n } }));
+
+    expect(activities.docs.map(activity => [activity.transactionHash, activity.logIndex, activity.contractId]))
+      .toEqual([[TX_HASH, 0, 7], [TX_HASH, 1, 8]]);
+  });
+
+  it('Should keep the same transaction hash apart on different networks', async function () {
+    fakeNetwork({ chainId: 1337 });
+    const local = new EventListenerService(1337);
+    fakeNetwork({ chainId: 11155111, name: 'sepolia' });
+    const sepolia = new EventListenerService(11155111);
+
+    await local.processEvent(created());
+    await sepolia.processEvent(created());
+
+    expect(activities.docs.map(activity => activity.chainId)).toEqual([1337, 11155111]);
+  });
+
+  it('Should rerun side effects a crashed process never finished', async function () {
+    fakeNetwork();
+    const listener = new EventListenerService(1337);
+    await ContractActivity.create({
+      chainId: 1337, contractId: 7, eventType: 'ContractCreated', company: COMPANY, talent: TALENT,
+      transactionHash: TX_HASH, logIndex: 0, blockNumber: 5, status: 'confirmed',
+      eventData: { amount: ethers.parseEther('1').toString() },
+      processed: false, processingBy: 'crashed-process', processingStartedAt: new Date()
+    });
+
+    // Seeing the log again doesn't run them twice in parallel...
+    await listener.processEvent(created());
+    expect(notificationService.notify).not.toHaveBeenCalled();
+
+    // ...the next reconcile takes them over
+    await listener.reconcileBlocks(10);
+
+    expect(notificationService.notify).toHaveBeenCalledTimes(2);
+    expect(activities.docs[0]).toMatchObject({ processed: true });
+    expect(activities.docs[0].processingBy).toBeUndefined();
+  });
+
+  it('Should only take over its own claim once it timed out', async function () {
+    fakeNetwork();
+    const listener = new EventListenerService(1337);
+    const row = await ContractActivity.create({
+      chainId: 1337, contractId: 7, eventType: 'ContractCompleted', company: COMPANY, talent: TALENT,
+      transactionHash: TX_HASH, logIndex: 0, blockNumber: 5, status: 'confirmed', processed: false,
+      processingBy: null, processingStartedAt: null
+    });
+
+    // First run fails: the row stays claimed by this process
+    notificationService.notify.mockRejectedValueOnce(new Error('smtp down'));
+    await listener.processConfirmedActivity();
+    expect(row.processed).toBe(false);
+
+    // Skipped while the claim is fresh
+    notificationService.notify.mockClear();
+    await listener.processConfirmedActivity();
+    expect(notificationService.notify).not.toHaveBeenCalled();
+
+    row.processingStartedAt = new Date(Date.now() - 6 * 60 * 1000);
+    await listener.processConfirmedActivity();
+    expect(row.processed).toBe(true);
+    expect(notificationService.notify).toHaveBeenCalledTimes(2);
+  });
+});
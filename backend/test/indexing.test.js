@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const User = require('../src/models/User');
+const EventListenerService = require('../src/services/eventListenerService');
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const reputationService = require('../src/services/reputationService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeLog, fakeNetwork } = require('./helpers/chain');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const CHECKSUMMED_TALENT = ethers.getAddress(TALENT);
+
+describe('Indexed events', function () {
+  const env = { ...process.env };
+  let activities;
+  let users;
+  let network;
+  let listener;
+
+  beforeEach(function () {
+    process.env.CONFIRMATION_DEPTH = '0';
+    activities = memoryModel(ContractActivity, { unique: [['chainId', 'transactionHash', 'logIndex']] });
+    users = memoryModel(User);
+    users.docs.push(
+      { walletAddress: COMPANY, verification: { isAuthorizedIssuer: false }, credentials: [] },
+      { walletAddress: TALENT, verification: {}, credentials: [{ chainId: 1337, tokenId: 3, skillName: 'Solidity' }] }
+    );
+    network = fakeNetwork();
+    listener = new EventListenerService(1337);
+
+    jest.spyOn(blockchainService, 'getContract').mockResolvedValue({
+      company: ethers.getAddress(COMPANY),
+      talent: CHECKSUMMED_TALENT,
+      totalAmount: ethers.parseEther('2').toString()
+    });
+    jest.spyOn(blockchainService, 'getCredential').mockResolvedValue({ recipient: CHECKSUMMED_TALENT, skillName: 'Solidity' });
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+    jest.spyOn(notificationService, 'emitToContract').mockImplementation(() => {});
+    jest.spyOn(contractProjectionService, 'refreshContract').mockResolvedValue();
+    jest.spyOn(reputationService, 'recomputeReputation').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  const index = (eventName, args) => listener.processEvent(fakeLog({ eventName, args, blockNumber: 5 }));
+  const notified = () => notificationService.notify.mock.calls.map(([wallet, kind]) => [wallet, kind]);
+  const profile = (walletAddress) => users.docs.find(user => user.walletAddress === walletAddress);
+
+  it('Should record activation with both parties and notify them', async function () {
+    await index('ContractActivated', { contractId: 7n });
+
+    expect(activities.docs[0]).toMatchObject({
+      chainId: 1337, contractId: 7, eventType: 'ContractActivated', company: COMPANY, talent: TALENT, initiator: TALENT
+    });
+    expect(notified()).toEqual([[COMPANY, 'contract-activated'], [TALENT, 'contract-activated']]);
+  });
+
+  it('Should record finalization and notify both parties', async function () {
+    await index('ContractFinalized', { contractId: 7n });
+
+    expect(activities.docs[0]).toMatchObject({ contractId: 7, eventType: 'ContractFinalized' });
+    expect(notified()).toEqual([[COMPANY, 'contract-finalized'], [TALENT, 'contract-finalized']]);
+  });
+
+  it('Should record a cancellation with the refunded escrow', async function () {
+    await index('ContractCancelled', { contractId: 7n });
+
+    expect(activities.docs[0]).toMatchObject({
+      eventType: 'ContractCancelled', initiator: COMPANY, eventData: { amount: ethers.parseEther('2').toString() }
+    });
+    expect(notificationService.notify).toHaveBeenCalledWith(COMPANY, 'contract-cancelled',
+      { chainId: 1337, contractId: 7, refund: '2.0' }, 'ContractCancelled');
+    expect(notificationService.notify).toHaveBeenCalledWith(TALENT, 'contract-cancelled',
+      { chainId: 1337, contractId: 7 }, 'ContractCancelled');
+  });
+
+  it('Should remove a revoked credential from the talent\'s profile', async function () {
+    await index('CredentialRevoked', { tokenId: 3n, issuer: ethers.getAddress(COMPANY) });
+
+    expect(activities.docs[0]).toMatchObject({
+      eventType: 'CredentialRevoked', company: COMPANY, talent: TALENT, eventData: { tokenId: 3, skillName: 'Solidity' }
+    });
+    expect(activities.docs[0].contractId).toBeUndefined();
+    expect(profile(TALENT).credentials).toEqual([]);
+    expect(notified()).toEqual([[TALENT, 'credential-revoked']]);
+  });
+
+  it('Should track issuer authorization on the company\'s profile', async function () {
+    await index('IssuerAuthorized', { issuer: ethers.getAddress(COMPANY) });
+
+    expect(profile(COMPANY).verification).toMatchObject({
+      isAuthorizedIssuer: true, issuerAuthorizedAt: new Date((1700000000 + 5) * 1000)
+    });
+
+    await listener.processEvent(fakeLog({ eventName: 'IssuerRevoked', args: { issuer: COMPANY }, blockNumber: 6 }));
+
+    expect(profile(COMPANY).verification.isAuthorizedIssuer).toBe(false);
+    expect(activities.docs.map(activity => activity.eventType)).toEqual(['IssuerAuthorized', 'IssuerRevoked']);
+    expect(notified()).toEqual([[COMPANY, 'issuer-authorized'], [COMPANY, 'issuer-revoked']]);
+  });
+
+  it('Should ignore events it does not index', async function () {
+    await index('Transfer', { from: ethers.ZeroAddress, to: TALENT, tokenId: 3n });
+    await index(undefined, {});
+
+    expect(activities.docs).toHaveLength(0);
+  });
+
+  it('Should route live events to the same handlers as the backfill', async function () {
+    listener.listenToEmploymentEvents();
+    listener.listenToCredentialEvents();
+    jest.spyOn(listener, 'handleContractFinalized').mockResolvedValue();
+    jest.spyOn(listener, 'handleIssuerRevoked').mockResolvedValue();
+
+    const registered = (contract, eventName) => contract.on.mock.calls.find(([name]) => name === eventName)[1];
+    const log = fakeLog({ eventName: 'ContractFinalized', blockNumber: 5 });
+
+    await registered(network.employmentContract, 'ContractFinalized')(7n, { log });
+    await registered(network.credentialContract, 'IssuerRevoked')(COMPANY, { log });
+
+    expect(listener.handleContractFinalized).toHaveBeenCalledWith(7n, log);
+    expect(listener.handleIssuerRevoked).toHaveBeenCalledWith(COMPANY, log);
+    expect(network.employmentContract.on.mock.calls.map(([name]) => name)).toEqual(expect.arrayContaining([
+      'ContractActivated', 'ContractFinalized', 'ContractCancelled'
+    ]));
+    expect(network.credentialContract.on.mock.calls.map(([name]) => name)).toEqual(expect.arrayContaining([
+      'CredentialRevoked', 'IssuerAuthorized', 'IssuerRevoked'
+    ]));
+  });
+});
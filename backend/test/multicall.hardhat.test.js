@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const ResilientProvider = require('../src/services/resilientProvider');
+const blockchainService = require('../src/services/blockchainService');
+const hardhat = require('./helpers/hardhat');
+
+jest.setTimeout(60000);
+
+const PORT = 18548;
+
+if (!hardhat.available) {
+  console.warn('Skipping Hardhat multicall tests: run npm install and npx hardhat compile in contracts/');
+}
+
+(hardhat.available ? describe : describe.skip)('Multicall reads on a Hardhat node', function () {
+  let node;
+  let provider;
+  let withMulticall;
+  let withoutMulticall;
+
+  beforeAll(async function () {
+    node = await hardhat.startNode(PORT);
+
+    const signer = new ethers.JsonRpcProvider(node.url, 1337, { staticNetwork: true, cacheTimeout: -1 });
+    const [deployer, company, talent] = await Promise.all([0, 1, 2].map(i => signer.getSigner(i)));
+    const employment = await hardhat.deploy('EmploymentContract', deployer, [deployer.address]);
+    const multicall = await hardhat.deploy('Multicall3', deployer);
+
+    const deadline = Math.floor(Date.now() / 1000) + 86400;
+    for (const milestones of [['Design', 'Build'], ['Audit']]) {
+      const amounts = milestones.map(() => ethers.parseEther('1'));
+      await (await employment.connect(company).createContract(
+        talent.address, 'Auditor', 'ipfs://job', deadline - 3600, deadline,
+        milestones, amounts, milestones.map(() => deadline),
+        { value: amounts.reduce((sum, amount) => sum + amount, 0n) }
+      )).wait();
+    }
+
+    provider = new ResilientProvider([{ url: node.url, weight: 1 }], 1337);
+    const employmentContract = employment.connect(provider);
+    withMulticall = { chainId: 1337, provider, employmentContract, multicall: multicall.connect(provider) };
+    withoutMulticall = { chainId: 1337, provider, employmentContract, multicall: null };
+  });
+
+  afterAll(async function () {
+    provider?.destroy();
+    await node?.stop();
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  it('Should read contracts and milestones in two eth_calls with the same result as plain calls', async function () {
+    const ethCalls = jest.spyOn(provider, '_perform');
+
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue(withMulticall);
+    const batched = await blockchainService.getContractsWithMilestones([1, 2, 99], 1337);
+    const batchedCalls = ethCalls.mock.calls.filter(([req]) => req.method === 'call').length;
+
+    ethCalls.mockClear();
+    blockchainService.getNetwork.mockReturnValue(withoutMulticall);
+    const plain = await blockchainService.getContractsWithMilestones([1, 2, 99], 1337);
+    const plainCalls = ethCalls.mock.calls.filter(([req]) => req.method === 'call').length;
+
+    expect(batched).toEqual(plain);
+    expect(batchedCalls).toBe(2);
+    // Two reads per contract, one per milestone
+    expect(plainCalls).toBe(3 * 2 + 3);
+
+    expect(batched.map(contract => [contract.id, contract.milestones.map(m => m.description)])).toEqual([
+      [1, ['Design', 'Build']],
+      [2, ['Audit']],
+      [0, []]
+    ]);
+    expect(batched[0]).toMatchObject({ jobTitle: 'Auditor', ipfsMetadata: 'ipfs://job', totalAmount: ethers.parseEther('2').toString() });
+  });
+});
@@ -0,0 +1,99 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../src/services/blockchainService');
+
+const ABI = ['function square(uint256 n) view returns (uint256)'];
+
+describe('Multicall batching', function () {
+  let target;
+  let multicall;
+
+  /**
+   * aggregate3 as Multicall3 runs it: each call decoded and answered
+   * on its own, reverting (success: false) for n = 13
+   */
+  const aggregate3 = jest.fn(async (calls) => calls.map(({ target: address, allowFailure, callData }) => {
+    expect(address).toBe(target.target);
+    expect(allowFailure).toBe(true);
+
+    const [n] = target.interface.decodeFunctionData('square', callData);
+    return n === 13n
+      ? { success: false, returnData: '0x' }
+      : { success: true, returnData: target.interface.encodeFunctionResult('square', [n * n]) };
+  }));
+
+  beforeEach(function () {
+    target = new ethers.Contract('0x5FbDB2315678afecb367f032d93F642f64180aa3', ABI);
+    multicall = { aggregate3: { staticCall: aggregate3 } };
+    aggregate3.mockClear();
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  const calls = (count) => Array.from({ length: count }, (_, n) => ({ contract: target, method: 'square', args: [n] }));
+  const squares = (results) => results.map(({ success, result }) => (success ? Number(result[0]) : null));
+
+  it('Should send every call in one aggregate3 request', async function () {
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ multicall });
+
+    const results = await blockchainService.multicall(calls(5), 1337);
+
+    expect(aggregate3).toHaveBeenCalledTimes(1);
+    expect(squares(results)).toEqual([0, 1, 4, 9, 16]);
+  });
+
+  it('Should split long call lists into batches of MULTICALL_BATCH_SIZE and keep their order', async function () {
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ multicall });
+
+    const results = await blockchainService.multicall(calls(450), 1337);
+
+    expect(aggregate3.mock.calls.map(([batch]) => batch.length)).toEqual([200, 200, 50]);
+    expect(results).toHaveLength(450);
+    expect(squares(results).slice(198, 202)).toEqual([198 ** 2, 199 ** 2, 200 ** 2, 201 ** 2]);
+    expect(squares(results)[449]).toBe(449 ** 2);
+  });
+
+  it('Should report a reverted call without failing the rest', async function () {
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ multicall });
+
+    const results = await blockchainService.multicall(calls(15), 1337);
+
+    expect(results[13]).toEqual({ success: false, result: null });
+    expect(squares(results)[14]).toBe(196);
+  });
+
+  it('Should not send anything for an empty call list', async function () {
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ multicall });
+
+    expect(await blockchainService.multicall([], 1337)).toEqual([]);
+    expect(aggregate3).not.toHaveBeenCalled();
+  });
+
+  describe('without Multicall3', function () {
+    let staticCallResult;
+
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ multicall: null });
+      staticCallResult = jest.fn(async (n) => {
+        if (n === 13) throw ethers.makeError('execution reverted', 'CALL_EXCEPTION');
+        if (n === 99) throw ethers.makeError('request timeout', 'TIMEOUT');
+        return [BigInt(n * n)];
+      });
+      jest.spyOn(target, 'getFunction').mockReturnValue({ staticCallResult });
+    });
+
+    it('Should make one call per read with the same results', async function () {
+      const results = await blockchainService.multicall(calls(15), 1337);
+
+      expect(staticCallResult).toHaveBeenCalledTimes(15);
+      expect(results[13]).toEqual({ success: false, result: null });
+      expect(squares(results).slice(0, 3)).toEqual([0, 1, 4]);
+    });
+
+    it('Should throw errors other than reverts', async function () {
+      await expect(blockchainService.multicall([{ contract: target, method: 'square', args: [99] }], 1337))
+        .rejects.toMatchObject({ code: 'TIMEOUT' });
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const dns = require('dns').promises;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Webhook = require('../src/models/Webhook');
+const blockchainService = require('../src/services/blockchainService');
+const webhookController = require('../src/controllers/webhookController');
+const { resolveChainId, selectNetwork } = require('../src/middleware/network');
+const { mockResponse } = require('./helpers/http');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+describe('Networks', function () {
+  const env = { ...process.env };
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('loadNetworkConfigs', function () {
+    let dir;
+
+    const manifest = (network, chainId) => {
+      const file = path.join(dir, `${network}.json`);
+      fs.writeFileSync(file, JSON.stringify({
+        network,
+        chainId,
+        deploymentBlock: 42,
+        contracts: { EmploymentContract: '0x01', CredentialNFT: '0x02' }
+      }));
+      return file;
+    };
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifests-'));
+      delete process.env.DEPLOYMENT_MANIFESTS;
+      delete process.env.RPC_URL;
+      delete process.env.RPC_WEIGHTS;
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('Should read one network per deployment manifest with its own RPC endpoints', function () {
+      process.env.DEPLOYMENT_MANIFESTS = `${manifest('localhost', 1337)}, ${manifest('sepolia', 11155111)}`;
+      process.env.RPC_URL = 'http://127.0.0.1:8545';
+      process.env.RPC_URL_SEPOLIA = 'https://a.example, https://b.example';
+      process.env.RPC_WEIGHTS_SEPOLIA = '10,x';
+
+      const configs = blockchainService.loadNetworkConfigs();
+
+      expect(configs).toEqual([
+        {
+          name: 'localhost',
+          chainId: 1337,
+          rpcEndpoints: [{ url: 'http://127.0.0.1:8545', weight: 1 }],
+          addresses: { EmploymentContract: '0x01', CredentialNFT: '0x02' },
+          deploymentBlock: 42
+        },
+        expect.objectContaining({
+          name: 'sepolia',
+          chainId: 11155111,
+          rpcEndpoints: [{ url: 'https://a.example', weight: 10 }, { url: 'https://b.example', weight: 1 }]
+        })
+      ]);
+    });
+
+    it('Should fall back to the single network from the environment', function () {
+      process.env.BLOCKCHAIN_NETWORK = 'base-sepolia';
+      process.env.RPC_URL_BASE_SEPOLIA = 'https://base.example';
+      process.env.EMPLOYMENT_CONTRACT_ADDRESS = '0x03';
+      process.env.CREDENTIAL_NFT_ADDRESS = '0x04';
+
+      expect(blockchainService.loadNetworkConfigs()).toEqual([{
+        name: 'base-sepolia',
+        rpcEndpoints: [{ url: 'https://base.example', weight: 1 }],
+        addresses: { EmploymentContract: '0x03', CredentialNFT: '0x04', Multicall3: undefined }
+      }]);
+    });
+  });
+
+  describe('initialize', function () {
+    const connected = (chainId, name) => ({
+      chainId,
+      name,
+      provider: {},
+      addresses: {},
+      employmentContract: { chainId },
+      credentialContract: { chainId }
+    });
+
+    beforeEach(function () {
+      for (const property of ['networks', 'defaultChainId', 'provider', 'employmentContract', 'credentialContract', 'chainId', 'isInitialized']) {
+        jest.replaceProperty(blockchainService, property, property === 'networks' ? new Map() : null);
+      }
+      delete process.env.PLATFORM_PRIVATE_KEY;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('Should connect every network and use DEFAULT_CHAIN_ID as the default', async function () {
+      process.env.DEFAULT_CHAIN_ID = '11155111';
+      jest.spyOn(blockchainService, 'loadNetworkConfigs').mockReturnValue([{ name: 'localhost' }, { name: 'sepolia' }]);
+      jest.spyOn(blockchainService, 'connectNetwork')
+        .mockResolvedValueOnce(connected(1337, 'localhost'))
+        .mockResolvedValueOnce(connected(11155111, 'sepolia'));
+
+      await blockchainService.initialize();
+
+      expect(blockchainService.getChainIds()).toEqual([1337, 11155111]);
+      expect(blockchainService.getNetwork().name).toBe('sepolia');
+      expect(blockchainService.getNetwork('1337').name).toBe('localhost');
+      expect(blockchainService.employmentContract).toEqual({ chainId: 11155111 });
+      expect(blockchainService.listNetworks().map(network => network.isDefault)).toEqual([false, true]);
+      expect(() => blockchainService.getNetwork(1)).toThrow('Network 1 is not configured');
+    });
+
+    it('Should refuse two deployments on the same chain', async function () {
+      jest.spyOn(blockchainService, 'loadNetworkConfigs').mockReturnValue([{ name: 'a' }, { name: 'b' }]);
+      jest.spyOn(blockchainService, 'connectNetwork').mockImplementation(async ({ name }) => connected(1337, name));
+
+      await expect(blockchainService.initialize()).rejects.toThrow('Two deployments configured for chainId 1337');
+    });
+  });
+
+  describe('selectNetwork', function () {
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'hasNetwork').mockImplementation(chainId => [1337, 11155111].includes(Number(chainId)));
+      jest.spyOn(blockchainService, 'getChainIds').mockReturnValue([1337, 11155111]);
+      jest.replaceProperty(blockchainService, 'defaultChainId', 1337);
+    });
+
+    const select = (query = {}, headers = {}) => {
+      const req = { query, headers };
+      const res = mockResponse();
+      const next = jest.fn();
+      selectNetwork(req, res, next);
+      return { req, res, next };
+    };
+
+    it('Should take the chain from the query string, then the X-Chain-Id header', function () {
+      expect(select({ chainId: '11155111' }, { 'x-chain-id': '1337' }).req.chainId).toBe(11155111);
+      expect(select({}, { 'x-chain-id': '11155111' }).req.chainId).toBe(11155111);
+      expect(select().req.chainId).toBe(1337);
+    });
+
+    it('Should reject networks that are not connected', function () {
+      for (const chainId of ['1', '1337.5', 'sepolia']) {
+        const { res, next } = select({ chainId });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Unsupported network', supportedChainIds: [1337, 11155111] });
+        expect(next).not.toHaveBeenCalled();
+      }
+    });
+
+    it('Should resolve socket requests the same way', function () {
+      expect(resolveChainId(undefined)).toBe(1337);
+      expect(resolveChainId('')).toBe(1337);
+      expect(resolveChainId(11155111)).toBe(11155111);
+      expect(resolveChainId(1)).toBeNull();
+    });
+  });
+
+  describe('webhook contract filters', function () {
+    let created;
+
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'hasNetwork').mockImplementation(chainId => [1337, 11155111].includes(Number(chainId)));
+      jest.spyOn(blockchainService, 'getChainIds').mockReturnValue([1337, 11155111]);
+      jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      jest.spyOn(Webhook, 'create').mockImplementation(async (fields) => {
+        created = fields;
+        return { ...fields, toObject: () => ({ ...fields }) };
+      });
+    });
+
+    const create = async (body, chainId = 1337) => {
+      const res = mockResponse();
+      await webhookController.createWebhook({
+        walletAddress: WALLET,
+        chainId,
+        body: { url: 'https://hooks.example.com/in', events: ['ContractCreated'], ...body }
+      }, res);
+      return res;
+    };
+
+    it('Should pin contractIds to the request\'s network', async function () {
+      const res = await create({ contractIds: ['7'], contracts: [{ chainId: '1337', contractId: 3 }] }, 11155111);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(created.contracts).toEqual([{ chainId: 1337, contractId: 3 }, { chainId: 11155111, contractId: 7 }]);
+    });
+
+    it('Should subscribe to every contract without a filter', async function () {
+      await create({});
+
+      expect(created.contracts).toEqual([]);
+    });
+
+    it('Should reject filters on networks that are not connected', async function () {
+      const res = await create({ contracts: [{ chainId: 1, contractId: 3 }] });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatch(/supported chainIds: 1337, 11155111/);
+      expect(Webhook.create).not.toHaveBeenCalled();
+    });
+  });
+});
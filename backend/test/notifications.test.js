@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Notification = require('../src/models/Notification');
+const emailService = require('../src/services/emailService');
+const notificationService = require('../src/services/notificationService');
+const webhookService = require('../src/services/webhookService');
+const notificationController = require('../src/controllers/notificationController');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse } = require('./helpers/http');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const OTHER = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+describe('Notifications', function () {
+  let inbox;
+
+  /**
+   * Store `count` notifications for a wallet, oldest first
+   */
+  const seed = (count, walletAddress = WALLET, fields = {}) => Array.from({ length: count }, (_, i) => {
+    const notification = {
+      _id: new mongoose.Types.ObjectId(),
+      walletAddress,
+      kind: 'milestone-paid',
+      eventType: 'MilestonePaid',
+      payload: { contractId: i + 1 },
+      readAt: null,
+      ...fields
+    };
+    inbox.docs.push(notification);
+    return notification;
+  });
+
+  beforeEach(function () {
+    inbox = memoryModel(Notification);
+    jest.spyOn(webhookService, 'dispatch').mockResolvedValue();
+    jest.spyOn(emailService, 'queueNotification').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    notificationService.io = null;
+  });
+
+  describe('notify', function () {
+    let emit;
+
+    beforeEach(function () {
+      emit = jest.fn();
+      notificationService.io = { to: jest.fn(() => ({ emit })) };
+    });
+
+    it('Should store the notification and push it with its inbox ID', async function () {
+      await notificationService.notify(WALLET, 'milestone-paid', { contractId: 7 }, 'MilestonePaid');
+
+      expect(inbox.docs[0]).toMatchObject({ walletAddress: WALLET, kind: 'milestone-paid', payload: { contractId: 7 } });
+      expect(notificationService.io.to).toHaveBeenCalledWith(WALLET);
+      expect(emit).toHaveBeenCalledWith('milestone-paid', { contractId: 7, notificationId: inbox.docs[0]._id.toString() });
+      expect(webhookService.dispatch).toHaveBeenCalledWith(WALLET, 'MilestonePaid', { contractId: 7 });
+      expect(emailService.queueNotification).toHaveBeenCalledWith(WALLET, 'milestone-paid', { contractId: 7 });
+    });
+
+    it('Should still deliver on the other channels if one fails', async function () {
+      Notification.create.mockRejectedValue(new Error('mongo down'));
+      webhookService.dispatch.mockRejectedValue(new Error('queue full'));
+
+      await notificationService.notify(WALLET, 'milestone-paid', { contractId: 7 }, 'MilestonePaid');
+
+      expect(emit).toHaveBeenCalledWith('milestone-paid', { contractId: 7, notificationId: undefined });
+      expect(emailService.queueNotification).toHaveBeenCalled();
+    });
+  });
+
+  describe('replayMissed', function () {
+    const socket = () => ({ emit: jest.fn() });
+    const replayedIds = (client) => client.emit.mock.calls.map(([, payload]) => payload.notificationId);
+
+    it('Should re-emit everything after the cursor, oldest first', async function () {
+      const [first, second, third] = seed(3);
+      seed(1, OTHER);
+      second.readAt = new Date();
+      const client = socket();
+
+      const result = await notificationService.replayMissed(client, WALLET, first._id.toString());
+
+      expect(result).toEqual({ count: 2, hasMore: false });
+      expect(replayedIds(client)).toEqual([second._id.toString(), third._id.toString()]);
+      expect(client.emit).toHaveBeenCalledWith('milestone-paid', {
+        contractId: 2, notificationId: second._id.toString(), read: true, replayed: true
+      });
+    });
+
+    it('Should send the newest notifications on a first connection', async function () {
+      const notifications = seed(5);
+      const client = socket();
+
+      const result = await notificationService.replayMissed(client, WALLET, undefined, 3);
+
+      expect(result).toEqual({ count: 3, hasMore: true });
+      expect(replayedIds(client)).toEqual(notifications.slice(2).map(n => n._id.toString()));
+    });
+
+    it('Should page a long backlog from the cursor', async function () {
+      const notifications = seed(5);
+      const client = socket();
+
+      const result = await notificationService.replayMissed(client, WALLET, notifications[0]._id.toString(), 2);
+
+      expect(result).toEqual({ count: 2, hasMore: true });
+      expect(replayedIds(client)).toEqual(notifications.slice(1, 3).map(n => n._id.toString()));
+    });
+  });
+
+  describe('inbox', function () {
+    it('Should page the caller\'s inbox newest first', async function () {
+      const notifications = seed(5);
+      seed(2, OTHER);
+
+      const res = mockResponse();
+      await notificationController.getNotifications({ walletAddress: WALLET, query: { limit: '2' } }, res);
+      const page = res.json.mock.calls[0][0];
+
+      expect(page.notifications).toEqual([notifications[4], notifications[3]]);
+      expect(page.nextCursor).toBe(notifications[3]._id);
+      expect(page.unreadCount).toBe(5);
+
+      const next = mockResponse();
+      await notificationController.getNotifications({ walletAddress: WALLET, query: { limit: '2', before: page.nextCursor.toString() } }, next);
+
+      expect(next.json.mock.calls[0][0].notifications).toEqual([notifications[2], notifications[1]]);
+    });
+
+    it('Should list only unread notifications when asked', async function () {
+      const [read, unread] = seed(2);
+      read.readAt = new Date();
+
+      const res = mockResponse();
+      await notificationController.getNotifications({ walletAddress: WALLET, query: { unread: 'true' } }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ notifications: [unread], nextCursor: null, unreadCount: 1 });
+    });
+
+    it('Should reject a malformed cursor', async function () {
+      const res = mockResponse();
+      await notificationController.getNotifications({ walletAddress: WALLET, query: { before: 'nope' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('Should only mark the caller\'s own notification read', async function () {
+      const [mine] = seed(1);
+      const [theirs] = seed(1, OTHER);
+      // The real query is an aggregation pipeline update; only the filter matters here
+      Notification.findOneAndUpdate.mockImplementation(async (filter) =>
+        inbox.docs.find(doc => String(doc._id) === filter._id && doc.walletAddress === filter.walletAddress) || null);
+
+      const res = mockResponse();
+      await notificationController.markRead({ walletAddress: WALLET, params: { notificationId: mine._id.toString() } }, res);
+      expect(res.json).toHaveBeenCalledWith({ notification: mine });
+
+      for (const notificationId of [theirs._id.toString(), 'not-an-id']) {
+        const missing = mockResponse();
+        await notificationController.markRead({ walletAddress: WALLET, params: { notificationId } }, missing);
+        expect(missing.status).toHaveBeenCalledWith(404);
+      }
+    });
+
+    it('Should mark all of the caller\'s unread notifications read', async function () {
+      const mine = seed(3);
+      mine[0].readAt = new Date(0);
+      const [theirs] = seed(1, OTHER);
+
+      const res = mockResponse();
+      await notificationController.markAllRead({ walletAddress: WALLET }, res);
+
+      expect(res.json).toHaveBeenCalledWith({ updated: 2 });
+      expect(mine[0].readAt).toEqual(new Date(0));
+      expect(mine.every(n => n.readAt instanceof Date)).toBe(true);
+      expect(theirs.readAt).toBeNull();
+
+      const count = mockResponse();
+      await notificationController.getUnreadCount({ walletAddress: WALLET }, count);
+      expect(count.json).toHaveBeenCalledWith({ unreadCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const blockchainService = require('../src/services/blockchainService');
+const payoutPreviewService = require('../src/services/payoutPreviewService');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const GWEI = 1000000000n;
+
+const draftBody = () => ({
+  talent: TALENT,
+  jobTitle: 'Smart contract audit',
+  startDate: '2026-02-01',
+  endDate: '2026-03-01',
+  milestones: [
+    { description: 'Report', amount: '0.5', deadline: '2026-02-15' },
+    { description: 'Fixes reviewed', amount: '1', deadline: '2026-03-01' }
+  ]
+});
+
+describe('Payout preview', function () {
+  let estimateGas;
+
+  beforeEach(function () {
+    // Every lifecycle call estimates at 40000 gas unless a test says otherwise
+    estimateGas = {};
+    const employmentContract = new Proxy({}, {
+      get: (target, action) => ({
+        estimateGas: (estimateGas[action] ||= jest.fn(async () => 40000n))
+      })
+    });
+
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({
+      employmentContract,
+      provider: { getFeeData: async () => ({ maxFeePerGas: 2n * GWEI, gasPrice: GWEI }) }
+    });
+    jest.spyOn(blockchainService, 'getPlatformSettings').mockResolvedValue({ platformFeePercent: 3 });
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('split', function () {
+    it('Should take the fee rounded down like Solidity and give the talent the rest', function () {
+      expect(payoutPreviewService.split(101n, 3)).toMatchObject({ gross: '101', platformFee: '3', netPayout: '98' });
+      expect(payoutPreviewService.split(33n, 3)).toMatchObject({ platformFee: '0', netPayout: '33' });
+      expect(payoutPreviewService.split(ethers.parseEther('1'), 0)).toMatchObject({ platformFee: '0', netPayoutEth: '1.0' });
+    });
+
+    it('Should add up milestones into totals', function () {
+      const milestones = [payoutPreviewService.split(ethers.parseEther('0.5'), 3), payoutPreviewService.split(ethers.parseEther('1'), 3)];
+
+      expect(payoutPreviewService.totals(milestones, ethers.parseEther('1.5'))).toEqual({
+        escrowRequired: ethers.parseEther('1.5').toString(),
+        platformFees: ethers.parseEther('0.045').toString(),
+        netPayout: ethers.parseEther('1.455').toString(),
+        escrowRequiredEth: '1.5',
+        platformFeesEth: '0.045',
+        netPayoutEth: '1.455'
+      });
+    });
+  });
+
+  describe('previewDraft', function () {
+    it('Should show the fee and payout of each milestone at the live fee', async function () {
+      const preview = await payoutPreviewService.previewDraft(draftBody(), COMPANY, 1337);
+
+      expect(preview.platformFeePercent).toBe(3);
+      expect(preview.milestones.map(({ index, platformFeeEth, netPayoutEth }) => [index, platformFeeEth, netPayoutEth]))
+        .toEqual([[0, '0.015', '0.485'], [1, '0.03', '0.97']]);
+      expect(preview.totals).toMatchObject({ escrowRequiredEth: '1.5', platformFeesEth: '0.045', netPayoutEth: '1.455' });
+    });
+
+    it('Should estimate creating the contract and mark the other calls as typical figures', async function () {
+      estimateGas.createContract = jest.fn(async () => 500000n);
+
+      const { gas } = await payoutPreviewService.previewDraft(draftBody(), COMPANY, 1337);
+
+      expect(estimateGas.createContract).toHaveBeenCalledWith(
+        ethers.getAddress(TALENT), 'Smart contract audit', '', expect.any(Number), expect.any(Number),
+        ['Report', 'Fixes reviewed'], [ethers.parseEther('0.5'), ethers.parseEther('1')], expect.any(Array),
+        { from: COMPANY, value: ethers.parseEther('1.5') }
+      );
+      expect(gas.gasPrice).toBe((2n * GWEI).toString());
+      expect(gas.actions.createContract).toEqual({ gas: '500000', cost: (500000n * 2n * GWEI).toString(), costEth: '0.001', estimated: true });
+      expect(gas.actions.approveMilestone).toMatchObject({ gas: String(68000 + 3000 * 2), estimated: false });
+      expect(gas.actions.acceptContract.estimated).toBe(false);
+      expect(gas.happyPath.company).toMatchObject({ gas: String(500000 + 74000 * 2 + 49000), estimated: false });
+    });
+
+    it('Should fall back to the typical figure when creating can\'t be estimated', async function () {
+      estimateGas.createContract = jest.fn(async () => {
+        throw ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS');
+      });
+
+      const { gas } = await payoutPreviewService.previewDraft(draftBody(), COMPANY, 1337);
+
+      expect(gas.actions.createContract).toMatchObject({ gas: String(360000 + 75000 * 2), estimated: false });
+    });
+  });
+
+  describe('previewContract', function () {
+    const ONE = ethers.parseEther('1');
+
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'getContractDetails').mockResolvedValue({
+        id: 7,
+        company: COMPANY,
+        talent: TALENT,
+        status: 1,
+        totalAmount: (3n * ONE).toString(),
+        companyApproved: false,
+        talentApproved: false,
+        milestones: [
+          { description: 'Design', amount: ONE.toString(), deadline: 1, status: 4 },
+          { description: 'Build', amount: ONE.toString(), deadline: 2, status: 2 },
+          { description: 'Ship', amount: ONE.toString(), deadline: 3, status: 0 }
+        ]
+      });
+      // Paid while the fee was 2%
+      memoryModel(ContractActivity).docs.push({
+        chainId: 1337,
+        contractId: 7,
+        eventType: 'MilestonePaid',
+        eventData: { milestoneIndex: 0, amount: ethers.parseEther('0.98').toString() }
+      });
+    });
+
+    it('Should show what paid milestones actually paid and what is still in escrow', async function () {
+      const preview = await payoutPreviewService.previewContract(7, 1337);
+
+      expect(preview.milestones[0]).toMatchObject({ settled: true, platformFeeEth: '0.02', netPayoutEth: '0.98' });
+      expect(preview.milestones[1]).toMatchObject({ settled: false, platformFeeEth: '0.03', netPayoutEth: '0.97' });
+      expect(preview.totals).toMatchObject({ escrowRequiredEth: '3.0', platformFeesEth: '0.08', netPayoutEth: '2.92', escrowRemainingEth: '2.0' });
+    });
+
+    it('Should estimate the calls the contract accepts next, from the party that sends them', async function () {
+      const { gas } = await payoutPreviewService.previewContract(7, 1337);
+
+      expect(Object.keys(estimateGas).sort()).toEqual(['approveMilestone', 'raiseDispute', 'submitMilestone']);
+      expect(estimateGas.approveMilestone).toHaveBeenCalledWith(7, 1, { from: COMPANY });
+      expect(estimateGas.submitMilestone).toHaveBeenCalledWith(7, 2, expect.stringMatching(/^Qm/), { from: TALENT });
+      expect(gas.actions.approveMilestone).toMatchObject({ gas: '40000', estimated: true });
+      expect(gas.actions.finalizeContract.estimated).toBe(false);
+      expect(gas.happyPath.talent.estimated).toBe(false);
+    });
+
+    it('Should return null for a contract that does not exist', async function () {
+      blockchainService.getContractDetails.mockResolvedValue({ id: 0 });
+
+      expect(await payoutPreviewService.previewContract(8, 1337)).toBeNull();
+    });
+  });
+});
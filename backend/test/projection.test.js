@@ -0,0 +1,167 @@
+const ContractActivity = require('../src/models/ContractActivity');
+const ContractProjection = require('../src/models/ContractProjection');
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeNetwork } = require('./helpers/chain');
+
+const COMPANY = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TALENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+describe('Contract projections', function () {
+  let projections;
+  let chain;
+
+  /**
+   * A contract as getContractsWithMilestones returns it
+   */
+  const onChain = (id, fields = {}) => ({
+    id,
+    company: COMPANY,
+    talent: TALENT,
+    jobTitle: 'Auditor',
+    totalAmount: '3000',
+    status: 1,
+    milestoneCount: 2,
+    ipfsMetadata: 'ipfs://job',
+    startDate: 1700000000,
+    endDate: 1710000000,
+    createdAt: 1699990000,
+    companyApproved: false,
+    talentApproved: false,
+    milestones: [
+      { description: 'Design', amount: '1000', deadline: 1705000000, status: 2, ipfsHash: 'QmDesign' },
+      { description: 'Build', amount: '2000', deadline: 1710000000, status: 0, ipfsHash: '' }
+    ],
+    ...fields
+  });
+
+  const empty = () => ({ id: 0, milestoneCount: 0, milestones: [] });
+
+  beforeEach(function () {
+    projections = memoryModel(ContractProjection, { unique: [['chainId', 'contractId']] });
+    memoryModel(ContractActivity);
+    fakeNetwork();
+    chain = new Map([[1, onChain(1)], [2, onChain(2)]]);
+
+    jest.spyOn(blockchainService, 'getChainIds').mockReturnValue([1337]);
+    jest.spyOn(blockchainService, 'getContractsWithMilestones').mockImplementation(async (contractIds) =>
+      contractIds.map(contractId => structuredClone(chain.get(contractId) || empty())));
+    jest.spyOn(blockchainService, 'getContractDetails').mockImplementation(async (contractId, chainId) =>
+      (await blockchainService.getContractsWithMilestones([contractId], chainId))[0]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  const projection = (contractId) => projections.docs.find(doc => doc.contractId === contractId);
+
+  describe('refreshContracts', function () {
+    it('Should store every contract of a batched read with its milestones', async function () {
+      await contractProjectionService.refreshContracts([1, 2], 1337);
+
+      expect(blockchainService.getContractsWithMilestones).toHaveBeenCalledTimes(1);
+      expect(projection(1)).toMatchObject({
+        chainId: 1337,
+        company: COMPANY.toLowerCase(),
+        talent: TALENT.toLowerCase(),
+        createdOnChainAt: 1699990000,
+        milestones: [
+          expect.objectContaining({ index: 0, status: 2, ipfsHash: 'QmDesign' }),
+          expect.objectContaining({ index: 1, status: 0 })
+        ]
+      });
+      expect(projection(2)).toBeDefined();
+    });
+
+    it('Should drop the copy of a contract that no longer exists on chain', async function () {
+      await contractProjectionService.refreshContract(1, 1337);
+      chain.delete(1);
+
+      expect(await contractProjectionService.refreshContract(1, 1337)).toBeNull();
+      expect(projection(1)).toBeUndefined();
+    });
+  });
+
+  describe('getContract', function () {
+    it('Should serve the stored copy and re-read the chain only when asked', async function () {
+      await contractProjectionService.refreshContract(1, 1337);
+      blockchainService.getContractsWithMilestones.mockClear();
+      chain.get(1).status = 3;
+
+      expect((await contractProjectionService.getContract(1, { chainId: 1337 })).status).toBe(1);
+      expect(blockchainService.getContractsWithMilestones).not.toHaveBeenCalled();
+
+      expect((await contractProjectionService.getContract(1, { chainId: 1337, fresh: true })).status).toBe(3);
+    });
+
+    it('Should read and store a contract it has never projected', async function () {
+      const contract = await contractProjectionService.getContract(2, { chainId: 1337 });
+
+      expect(contract.contractId).toBe(2);
+      expect(projection(2)).toBeDefined();
+    });
+  });
+
+  describe('checkConsistency', function () {
+    beforeEach(async function () {
+      await contractProjectionService.refreshContracts([1, 2], 1337);
+      blockchainService.getContractsWithMilestones.mockClear();
+    });
+
+    it('Should report nothing when every copy matches the chain', async function () {
+      const report = await contractProjectionService.checkConsistency();
+
+      expect(report).toEqual({ checked: 2, drifted: [], missing: [], repaired: [], failed: [] });
+      // Both contracts in one batched read
+      expect(blockchainService.getContractsWithMilestones).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should find a milestone whose status or deliverable changed', async function () {
+      chain.get(1).milestones[1].status = 1;
+      chain.get(2).milestones[1].ipfsHash = 'QmBuild';
+
+      const report = await contractProjectionService.checkConsistency();
+
+      expect(report.drifted).toEqual([{ chainId: 1337, contractId: 1 }, { chainId: 1337, contractId: 2 }]);
+      expect(report.repaired).toEqual(report.drifted);
+      expect(projection(1).milestones[1].status).toBe(1);
+      expect(projection(2).milestones[1].ipfsHash).toBe('QmBuild');
+    });
+
+    it('Should find drift in fields outside the getContract summary', async function () {
+      chain.get(1).companyApproved = true;
+
+      const report = await contractProjectionService.checkConsistency({ repair: false });
+
+      expect(report.drifted).toEqual([{ chainId: 1337, contractId: 1 }]);
+      expect(report.repaired).toEqual([]);
+      expect(projection(1).companyApproved).toBe(false);
+    });
+
+    it('Should project contracts that were indexed but never stored', async function () {
+      chain.set(3, onChain(3));
+      await ContractActivity.create({ chainId: 1337, contractId: 3, eventType: 'ContractCreated' });
+
+      const report = await contractProjectionService.checkConsistency();
+
+      expect(report.missing).toEqual([{ chainId: 1337, contractId: 3 }]);
+      expect(projection(3)).toBeDefined();
+    });
+
+    it('Should only fail the contract that could not be read', async function () {
+      chain.get(2).status = 4;
+      blockchainService.getContractsWithMilestones.mockImplementation(async (contractIds) => {
+        if (contractIds.includes(1)) throw new Error('execution reverted');
+        return contractIds.map(contractId => structuredClone(chain.get(contractId)));
+      });
+
+      const report = await contractProjectionService.checkConsistency({ repair: false });
+
+      expect(report.failed).toEqual([{ chainId: 1337, contractId: 1 }]);
+      expect(report.drifted).toEqual([{ chainId: 1337, contractId: 2 }]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const ContractProjection = require('../src/models/ContractProjection');
+const MilestoneReminder = require('../src/models/MilestoneReminder');
+const User = require('../src/models/User');
+const milestoneReminderService = require('../src/services/milestoneReminderService');
+const notificationService = require('../src/services/notificationService');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+const DAY = 24 * 60 * 60;
+const HOUR = 60 * 60;
+const NOW = 1750000000;
+
+describe('Milestone reminders', function () {
+  let projections;
+  let reminders;
+  let users;
+
+  /**
+   * An ACTIVE contract whose single milestone is due at `deadline`
+   */
+  const contract = (contractId, deadline, fields = {}) => {
+    projections.docs.push({
+      chainId: 1337,
+      contractId,
+      company: COMPANY,
+      talent: TALENT,
+      jobTitle: 'Auditor',
+      status: 1,
+      milestones: [{ index: 0, description: 'Design', amount: '1000', deadline, status: 0 }],
+      ...fields
+    });
+  };
+
+  const sent = () => notificationService.notify.mock.calls.map(([recipient, kind, payload]) =>
+    [payload.contractId, recipient, kind]);
+
+  beforeEach(function () {
+    projections = memoryModel(ContractProjection);
+    reminders = memoryModel(MilestoneReminder, {
+      unique: [['chainId', 'contractId', 'milestoneIndex', 'recipient', 'kind']]
+    });
+    users = memoryModel(User);
+    jest.spyOn(Date, 'now').mockReturnValue(NOW * 1000);
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('reminderKind', function () {
+    it('Should pick the closest reminder window', function () {
+      expect(milestoneReminderService.reminderKind(NOW + 5 * DAY, NOW)).toBeNull();
+      expect(milestoneReminderService.reminderKind(NOW + 3 * DAY, NOW)).toBe('due-in-3d');
+      expect(milestoneReminderService.reminderKind(NOW + 2 * DAY, NOW)).toBe('due-in-3d');
+      expect(milestoneReminderService.reminderKind(NOW + DAY, NOW)).toBe('due-in-1d');
+      expect(milestoneReminderService.reminderKind(NOW + HOUR, NOW)).toBe('due-in-1d');
+    });
+
+    it('Should treat a deadline reached this second as overdue', function () {
+      expect(milestoneReminderService.reminderKind(NOW, NOW)).toBe('overdue');
+      expect(milestoneReminderService.reminderKind(NOW - DAY, NOW)).toBe('overdue');
+    });
+  });
+
+  describe('runOnce', function () {
+    it('Should remind both parties once per window', async function () {
+      contract(1, NOW + 2 * DAY);
+      contract(2, NOW + 10 * DAY);
+
+      expect(await milestoneReminderService.runOnce()).toBe(2);
+      expect(sent()).toEqual([[1, TALENT, 'milestone-due-soon'], [1, COMPANY, 'milestone-due-soon']]);
+      expect(notificationService.notify.mock.calls[0][2]).toMatchObject({
+        chainId: 1337, milestoneIndex: 0, description: 'Design', role: 'talent', daysLeft: 2
+      });
+
+      // Same window on the next pass: nothing new
+      expect(await milestoneReminderService.runOnce()).toBe(0);
+
+      // A day and a half later the 1-day window opens
+      Date.now.mockReturnValue((NOW + 1.5 * DAY) * 1000);
+      expect(await milestoneReminderService.runOnce()).toBe(2);
+      expect(reminders.docs.map(reminder => reminder.kind)).toEqual(['due-in-3d', 'due-in-3d', 'due-in-1d', 'due-in-1d']);
+    });
+
+    it('Should only send the closest reminder for a milestone first seen late', async function () {
+      contract(1, NOW + 12 * HOUR);
+
+      await milestoneReminderService.runOnce();
+
+      expect(reminders.docs.map(reminder => reminder.kind)).toEqual(['due-in-1d', 'due-in-1d']);
+    });
+
+    it('Should report a missed deadline as overdue', async function () {
+      contract(1, NOW - 3 * DAY - HOUR);
+
+      await milestoneReminderService.runOnce();
+
+      expect(sent()).toEqual([[1, TALENT, 'milestone-overdue'], [1, COMPANY, 'milestone-overdue']]);
+      expect(notificationService.notify).toHaveBeenCalledWith(COMPANY, 'milestone-overdue',
+        expect.objectContaining({ role: 'company', daysOverdue: 3 }), 'MilestoneOverdue');
+    });
+
+    it('Should skip submitted milestones, inactive contracts and missing deadlines', async function () {
+      contract(1, NOW - DAY, { milestones: [{ index: 0, description: 'Design', deadline: NOW - DAY, status: 2 }] });
+      contract(2, NOW - DAY, { status: 0 });
+      contract(3, 0);
+
+      expect(await milestoneReminderService.runOnce()).toBe(0);
+      expect(notificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('Should skip users who turned milestone reminders off', async function () {
+      users.docs.push({ walletAddress: TALENT, notifications: { milestoneReminders: false } });
+      contract(1, NOW + DAY);
+
+      expect(await milestoneReminderService.runOnce()).toBe(1);
+      expect(sent()).toEqual([[1, COMPANY, 'milestone-due-soon']]);
+    });
+  });
+
+  describe('findOverdueMilestones', function () {
+    it('Should list a company\'s overdue milestones, oldest first', async function () {
+      contract(1, NOW - HOUR);
+      contract(2, NOW - 2 * DAY - HOUR);
+      contract(3, NOW + DAY);
+      contract(4, NOW - DAY, { company: '0x90f79bf6eb2c4f870365e785982e1f101e93b906' });
+      contract(5, NOW - DAY, { chainId: 11155111 });
+
+      const overdue = await milestoneReminderService.findOverdueMilestones(COMPANY.toUpperCase(), 1337);
+
+      expect(overdue.map(item => [item.contractId, item.daysOverdue])).toEqual([[2, 2], [1, 0]]);
+      expect(overdue[0]).toMatchObject({ chainId: 1337, jobTitle: 'Auditor', talent: TALENT, milestoneIndex: 0 });
+    });
+  });
+});
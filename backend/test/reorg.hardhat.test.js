@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const SyncCheckpoint = require('../src/models/SyncCheckpoint');
+const User = require('../src/models/User');
+const EventListenerService = require('../src/services/eventListenerService');
+const ResilientProvider = require('../src/services/resilientProvider');
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const reputationService = require('../src/services/reputationService');
+const hardhat = require('./helpers/hardhat');
+const { memoryModel } = require('./helpers/memoryModel');
+
+jest.setTimeout(60000);
+
+const PORT = 18545;
+
+if (!hardhat.available) {
+  console.warn('Skipping Hardhat reorg tests: run npm install and npx hardhat compile in contracts/');
+}
+
+(hardhat.available ? describe : describe.skip)('Reorg on a Hardhat node', function () {
+  const env = { ...process.env };
+  let node;
+  let deployer;
+  let company;
+  let talent;
+  let employment;
+  let credential;
+  let network;
+  let activities;
+  let users;
+  let snapshot;
+
+  beforeAll(async function () {
+    node = await hardhat.startNode(PORT);
+
+    const provider = new ethers.JsonRpcProvider(node.url, 1337, { staticNetwork: true, cacheTimeout: -1 });
+    [deployer, company, talent] = await Promise.all([0, 1, 2].map(i => provider.getSigner(i)));
+    employment = await hardhat.deploy('EmploymentContract', deployer, [deployer.address]);
+    credential = await hardhat.deploy('CredentialNFT', deployer);
+
+    const readProvider = new ResilientProvider([{ url: node.url, weight: 1 }], 1337);
+    network = {
+      name: 'localhost',
+      chainId: 1337,
+      provider: readProvider,
+      deploymentBlock: 0,
+      employmentContract: employment.connect(readProvider),
+      credentialContract: credential.connect(readProvider)
+    };
+  });
+
+  afterAll(async function () {
+    network?.provider.destroy();
+    await node?.stop();
+  });
+
+  beforeEach(async function () {
+    // Every test starts from the freshly deployed contracts
+    snapshot = await node.rpc('evm_snapshot');
+    process.env.CONFIRMATION_DEPTH = '5';
+    activities = memoryModel(ContractActivity, { unique: [['chainId', 'transactionHash', 'logIndex']] });
+    users = memoryModel(User);
+    memoryModel(SyncCheckpoint);
+    users.docs.push(
+      { walletAddress: company.address.toLowerCase(), verification: { isAuthorizedIssuer: false }, credentials: [] },
+      { walletAddress: talent.address.toLowerCase(), verification: {}, credentials: [] }
+    );
+
+    jest.spyOn(blockchainService, 'getNetwork').mockReturnValue(network);
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+    jest.spyOn(notificationService, 'emitToContract').mockImplementation(() => {});
+    jest.spyOn(contractProjectionService, 'refreshContract').mockResolvedValue();
+    jest.spyOn(reputationService, 'recomputeReputation').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async function () {
+    await node.rpc('evm_revert', [snapshot]);
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  const profile = (signer) => users.docs.find(user => user.walletAddress === signer.address.toLowerCase());
+
+  /**
+   * Create a contract, authorize the company as issuer and issue a credential
+   */
+  const sendEvents = async () => {
+    const deadline = Math.floor(Date.now() / 1000) + 86400;
+    await (await employment.connect(company).createContract(
+      talent.address, 'Auditor', 'ipfs://job', deadline - 3600, deadline,
+      ['Audit'], [ethers.parseEther('1')], [deadline],
+      { value: ethers.parseEther('1') }
+    )).wait();
+    await (await credential.authorizeIssuer(company.address)).wait();
+    await (await credential.connect(company).issueCredential(talent.address, 'Solidity', 'skill', 'ipfs://cred')).wait();
+  };
+
+  const head = () => network.provider.getBlockNumber();
+
+  it('Should roll back activity whose blocks were reverted, with no side effects applied', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.syncPastEvents();
+
+    await sendEvents();
+    await listener.syncPastEvents();
+    await listener.reconcileBlocks(await head());
+
+    expect(activities.docs.map(activity => activity.eventType))
+      .toEqual(['ContractCreated', 'IssuerAuthorized', 'CredentialIssued']);
+    expect(activities.docs.every(activity => activity.status === 'pending')).toBe(true);
+
+    // Replace the blocks the events were mined in
+    await node.rpc('evm_revert', [snapshot]);
+    snapshot = await node.rpc('evm_snapshot');
+    await node.rpc('hardhat_mine', ['0x5']);
+    await listener.reconcileBlocks(await head());
+
+    expect(activities.docs).toHaveLength(0);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(profile(talent).credentials).toEqual([]);
+    expect(profile(company).verification.isAuthorizedIssuer).toBe(false);
+    expect(notificationService.emitToContract).toHaveBeenCalledWith(1337, 1, 'activity-reverted',
+      expect.objectContaining({ eventType: 'ContractCreated' }));
+  });
+
+  it('Should apply side effects once the activity is deep enough', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.syncPastEvents();
+
+    await sendEvents();
+    await listener.syncPastEvents();
+    await listener.reconcileBlocks(await head());
+    expect(notificationService.notify).not.toHaveBeenCalled();
+
+    await node.rpc('hardhat_mine', ['0x5']);
+    await listener.reconcileBlocks(await head());
+
+    expect(activities.docs.every(activity => activity.status === 'confirmed' && activity.processed)).toBe(true);
+    expect(profile(talent).credentials).toEqual([expect.objectContaining({ chainId: 1337, tokenId: 0, skillName: 'Solidity' })]);
+    expect(profile(company).verification.isAuthorizedIssuer).toBe(true);
+    expect(notificationService.notify).toHaveBeenCalledWith(talent.address.toLowerCase(), 'contract-received',
+      expect.objectContaining({ contractId: 1, amount: '1.0' }), 'ContractCreated');
+  });
+});
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const SyncCheckpoint = require('../src/models/SyncCheckpoint');
+const User = require('../src/models/User');
+const EventListenerService = require('../src/services/eventListenerService');
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const reputationService = require('../src/services/reputationService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeLog, fakeNetwork } = require('./helpers/chain');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+describe('Pending activity and reorgs', function () {
+  const env = { ...process.env };
+  let activities;
+  let users;
+  let network;
+
+  const created = (blockNumber, fork = 0) => fakeLog({
+    eventName: 'ContractCreated',
+    args: { contractId: 7n, company: COMPANY, talent: TALENT, totalAmount: ethers.parseEther('1.5') },
+    blockNumber,
+    fork
+  });
+
+  const issued = (blockNumber, fork = 0) => fakeLog({
+    eventName: 'CredentialIssued',
+    args: { tokenId: 3n, issuer: COMPANY, recipient: TALENT, skillName: 'Solidity' },
+    blockNumber,
+    fork
+  });
+
+  const authorized = (blockNumber, fork = 0) => fakeLog({
+    eventName: 'IssuerAuthorized',
+    args: { issuer: COMPANY },
+    blockNumber,
+    index: 1,
+    fork
+  });
+
+  beforeEach(function () {
+    process.env.CONFIRMATION_DEPTH = '3';
+    activities = memoryModel(ContractActivity, { unique: [['chainId', 'transactionHash', 'logIndex']] });
+    users = memoryModel(User);
+    memoryModel(SyncCheckpoint);
+    users.docs.push(
+      { walletAddress: COMPANY, verification: { isAuthorizedIssuer: false }, credentials: [] },
+      { walletAddress: TALENT, verification: {}, credentials: [] }
+    );
+    network = fakeNetwork({ head: 10 });
+
+    jest.spyOn(notificationService, 'notify').mockResolvedValue();
+    jest.spyOn(notificationService, 'emitToContract').mockImplementation(() => {});
+    jest.spyOn(contractProjectionService, 'refreshContract').mockResolvedValue();
+    jest.spyOn(reputationService, 'recomputeReputation').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  const talent = () => users.docs.find(user => user.walletAddress === TALENT);
+  const company = () => users.docs.find(user => user.walletAddress === COMPANY);
+
+  it('Should show new activity to the contract room as pending and notify no one yet', async function () {
+    const listener = new EventListenerService(1337);
+
+    await listener.processEvent(created(10));
+
+    expect(activities.docs).toHaveLength(1);
+    expect(activities.docs[0]).toMatchObject({ status: 'pending', processed: false, processingBy: null });
+    expect(notificationService.emitToContract).toHaveBeenCalledWith(1337, 7, 'contract-activity',
+      expect.objectContaining({ eventType: 'ContractCreated', status: 'pending' }));
+    expect(notificationService.notify).not.toHaveBeenCalled();
+  });
+
+  it('Should notify both parties once the activity is confirmed, and only once', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.processEvent(created(10));
+
+    await listener.reconcileBlocks(11);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+
+    await listener.reconcileBlocks(12);
+    expect(activities.docs[0]).toMatchObject({ status: 'confirmed', processed: true });
+    expect(activities.docs[0].processingBy).toBeUndefined();
+    expect(notificationService.notify).toHaveBeenCalledWith(COMPANY, 'contract-created',
+      { chainId: 1337, contractId: 7, talent: TALENT, amount: '1.5' }, 'ContractCreated');
+    expect(notificationService.notify).toHaveBeenCalledWith(TALENT, 'contract-received',
+      { chainId: 1337, contractId: 7, company: COMPANY, amount: '1.5' }, 'ContractCreated');
+
+    await listener.reconcileBlocks(13);
+    expect(notificationService.notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('Should apply side effects at once when no confirmations are required', async function () {
+    process.env.CONFIRMATION_DEPTH = '0';
+    const listener = new EventListenerService(1337);
+
+    await listener.processEvent(issued(10));
+
+    expect(activities.docs[0]).toMatchObject({ status: 'confirmed', processed: true });
+    expect(talent().credentials).toEqual([expect.objectContaining({ chainId: 1337, tokenId: 3, issuer: COMPANY })]);
+    expect(notificationService.notify).toHaveBeenCalledWith(TALENT, 'credential-received',
+      expect.objectContaining({ tokenId: 3, skillName: 'Solidity' }), 'CredentialIssued');
+  });
+
+  it('Should roll back orphaned activity without touching profiles or notifying', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.processEvent(issued(9));
+    await listener.processEvent(authorized(9));
+    await listener.processEvent(created(10));
+    await listener.saveCheckpoint('EmploymentContract', 10);
+
+    // The chain reorganises from block 9: same heights, different hashes, no events
+    network.fork = 1;
+    network.head = 12;
+    await listener.reconcileBlocks(12);
+
+    expect(activities.docs).toHaveLength(0);
+    expect(talent().credentials).toEqual([]);
+    expect(company().verification.isAuthorizedIssuer).toBe(false);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(notificationService.emitToContract).toHaveBeenCalledWith(1337, 7, 'activity-reverted',
+      expect.objectContaining({ eventType: 'ContractCreated' }));
+    expect(reputationService.recomputeReputation).not.toHaveBeenCalled();
+    // Re-indexed from the first orphaned block
+    expect(network.employmentContract.queryFilter).toHaveBeenCalledWith('*', 9, 12);
+  });
+
+  it('Should index the replacement block and process it once it is confirmed', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.processEvent(created(10));
+
+    // The same transaction is mined again in the replacement block 11
+    const replayed = { ...created(11, 1), transactionHash: activities.docs[0].transactionHash };
+    network.fork = 1;
+    network.head = 13;
+    network.employmentContract.queryFilter.mockResolvedValue([replayed]);
+    await listener.reconcileBlocks(13);
+
+    expect(activities.docs).toHaveLength(1);
+    expect(activities.docs[0]).toMatchObject({ blockNumber: 11, status: 'pending' });
+    expect(notificationService.notify).not.toHaveBeenCalled();
+
+    await listener.reconcileBlocks(13);
+    expect(activities.docs[0]).toMatchObject({ status: 'confirmed', processed: true });
+    expect(notificationService.notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('Should retry side effects that failed, and take over ones abandoned by another process', async function () {
+    const listener = new EventListenerService(1337);
+    await listener.processEvent(issued(9));
+    await listener.processEvent(created(10));
+    notificationService.notify.mockRejectedValueOnce(new Error('smtp down'));
+
+    await listener.reconcileBlocks(12);
+
+    // Processed in block order: the credential's notification failed
+    const [credential, contract] = activities.docs;
+    expect(credential.processed).toBe(false);
+    expect(contract.processed).toBe(true);
+
+    // Still claimed by this process: left alone until the claim times out
+    await listener.reconcileBlocks(13);
+    expect(credential.processed).toBe(false);
+
+    credential.processingBy = 'another-process';
+    await listener.reconcileBlocks(14);
+    expect(credential.processed).toBe(true);
+    // Pushing the credential again did not duplicate it
+    expect(talent().credentials).toHaveLength(1);
+  });
+
+  it('Should leave rows indexed before side effects waited for confirmation', async function () {
+    await ContractActivity.create({
+      chainId: 1337, contractId: 7, eventType: 'ContractCreated', transactionHash: '0x01', logIndex: 0,
+      blockNumber: 2, status: 'confirmed', processed: false, eventData: { amount: '1' }
+    });
+
+    await new EventListenerService(1337).reconcileBlocks(12);
+
+    expect(notificationService.notify).not.toHaveBeenCalled();
+  });
+
+  it('Should settle pending activity when the listener starts', async function () {
+    await ContractActivity.create({
+      chainId: 1337, contractId: 7, eventType: 'ContractCompleted', company: COMPANY, talent: TALENT,
+      transactionHash: '0x01', logIndex: 0, blockNumber: 4, blockHash: (await network.provider.getBlock(4)).hash,
+      status: 'pending', processed: false, processingBy: null
+    });
+    jest.spyOn(blockchainService, 'getContract').mockResolvedValue({ company: COMPANY, talent: TALENT });
+    const listener = new EventListenerService(1337);
+
+    await listener.startListening();
+    listener.stop();
+
+    expect(activities.docs[0]).toMatchObject({ status: 'confirmed', processed: true });
+    expect(notificationService.notify).toHaveBeenCalledWith(TALENT, 'contract-completed',
+      { chainId: 1337, contractId: 7 }, 'ContractCompleted');
+  });
+});
@@ -0,0 +1,160 @@
+const { ethers } = require('ethers');
+const ContractActivity = require('../src/models/ContractActivity');
+const User = require('../src/models/User');
+const EventListenerService = require('../src/services/eventListenerService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const reputationService = require('../src/services/reputationService');
+const { memoryModel } = require('./helpers/memoryModel');
+const { fakeLog, fakeNetwork } = require('./helpers/chain');
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+// Larger than Number.MAX_SAFE_INTEGER: sums must not lose precision
+const BIG = 10n ** 24n;
+
+describe('Reputation', function () {
+  let activities;
+  let users;
+  let logIndex;
+
+  const activity = (eventType, contractId, fields = {}) => ContractActivity.create({
+    chainId: 1337,
+    contractId,
+    eventType,
+    company: COMPANY,
+    talent: TALENT,
+    transactionHash: '0x01',
+    logIndex: logIndex++,
+    status: 'confirmed',
+    ...fields
+  });
+
+  beforeEach(function () {
+    logIndex = 0;
+    activities = memoryModel(ContractActivity);
+    users = memoryModel(User);
+    users.docs.push({ walletAddress: COMPANY, reputation: {} }, { walletAddress: TALENT, reputation: {} });
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeReputation', function () {
+    it('Should sum wei amounts beyond the safe integer range exactly', async function () {
+      await activity('ContractCreated', 1, { eventData: { amount: (3n * BIG + 1n).toString() } });
+      await activity('MilestonePaid', 1, { eventData: { amount: (BIG + 1n).toString() } });
+      await activity('MilestonePaid', 1, { eventData: { amount: (2n * BIG).toString() } });
+
+      const talent = await reputationService.computeReputation(TALENT);
+      const company = await reputationService.computeReputation(ethers.getAddress(COMPANY));
+
+      expect(talent.totalEarned).toBe((3n * BIG + 1n).toString());
+      expect(talent.totalSpent).toBe('0');
+      expect(company.totalSpent).toBe((3n * BIG + 1n).toString());
+      expect(company.totalEarned).toBe('0');
+    });
+
+    it('Should drop cancelled contracts and subtract their refund', async function () {
+      await activity('ContractCreated', 1, { eventData: { amount: '500' } });
+      await activity('ContractCreated', 2, { eventData: { amount: '300' } });
+      await activity('ContractCancelled', 2, { eventData: { amount: '300' } });
+      await activity('ContractCompleted', 1);
+
+      const metrics = await reputationService.computeReputation(COMPANY);
+
+      expect(metrics).toEqual({
+        totalContracts: 1,
+        completedContracts: 1,
+        disputedContracts: 0,
+        totalEarned: '0',
+        totalSpent: '500',
+        completionRate: 100
+      });
+    });
+
+    it('Should count the same contract ID on different networks as different contracts', async function () {
+      await activity('ContractCreated', 1, { eventData: { amount: '1' } });
+      await activity('ContractCreated', 1, { chainId: 11155111, eventData: { amount: '1' } });
+      await activity('ContractDisputed', 1);
+      await activity('ContractDisputed', 1);
+
+      const metrics = await reputationService.computeReputation(TALENT);
+
+      expect(metrics.totalContracts).toBe(2);
+      expect(metrics.disputedContracts).toBe(1);
+      expect(metrics.completionRate).toBe(0);
+    });
+
+    it('Should ignore pending activity but count rows indexed before confirmations existed', async function () {
+      await activity('ContractCreated', 1, { status: 'pending', eventData: { amount: '100' } });
+      await activity('ContractCreated', 2, { status: undefined, eventData: { amount: '40' } });
+
+      const metrics = await reputationService.computeReputation(COMPANY);
+
+      expect(metrics.totalContracts).toBe(1);
+      expect(metrics.totalSpent).toBe('40');
+    });
+  });
+
+  describe('recomputeReputation', function () {
+    it('Should store the metrics on the user', async function () {
+      await activity('ContractCreated', 1, { eventData: { amount: '10' } });
+      await activity('ContractCompleted', 1);
+
+      const metrics = await reputationService.recomputeReputation(TALENT);
+
+      expect(users.docs[1].reputation).toEqual(metrics);
+      expect(metrics.completionRate).toBe(100);
+    });
+
+    it('Should return null for a wallet without an account', async function () {
+      expect(await reputationService.recomputeReputation('0x90f79bf6eb2c4f870365e785982e1f101e93b906')).toBeNull();
+    });
+
+    it('Should give the same result however often it runs', async function () {
+      await activity('ContractCreated', 1, { eventData: { amount: '10' } });
+
+      const first = await reputationService.recomputeReputation(COMPANY);
+      const second = await reputationService.recomputeReputation(COMPANY);
+
+      expect(second).toEqual(first);
+      expect(activities.docs).toHaveLength(1);
+    });
+  });
+
+  describe('event listener', function () {
+    const env = { ...process.env };
+
+    beforeEach(function () {
+      process.env.CONFIRMATION_DEPTH = '2';
+      fakeNetwork({ head: 10 });
+      jest.spyOn(notificationService, 'notify').mockResolvedValue();
+      jest.spyOn(notificationService, 'emitToContract').mockImplementation(() => {});
+      jest.spyOn(contractProjectionService, 'refreshContract').mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(function () {
+      process.env = { ...env };
+    });
+
+    it('Should update both parties\' reputation once the activity is confirmed', async function () {
+      const listener = new EventListenerService(1337);
+      await listener.processEvent(fakeLog({
+        eventName: 'ContractCreated',
+        args: { contractId: 1n, company: COMPANY, talent: TALENT, totalAmount: 700n },
+        blockNumber: 10
+      }));
+
+      expect(users.docs[0].reputation).toEqual({});
+
+      await listener.reconcileBlocks(11);
+
+      expect(users.docs[0].reputation).toMatchObject({ totalContracts: 1, totalSpent: '700' });
+      expect(users.docs[1].reputation).toMatchObject({ totalContracts: 1, totalEarned: '0' });
+    });
+  });
+});
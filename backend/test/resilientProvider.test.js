@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+const ResilientProvider = require('../src/services/resilientProvider');
+
+const timeout = () => ethers.makeError('request timeout', 'TIMEOUT');
+const refused = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8545'), { code: 'ECONNREFUSED' });
+const reverted = () => ethers.makeError('execution reverted', 'CALL_EXCEPTION');
+
+describe('ResilientProvider', function () {
+  let provider;
+  let primary;
+  let backup;
+
+  beforeEach(function () {
+    provider = new ResilientProvider([
+      { url: 'https://backup.example', weight: 1 },
+      { url: 'https://primary.example/v2/SECRET_KEY', weight: 10 }
+    ], 1337);
+    [backup, primary] = provider.endpoints;
+
+    jest.spyOn(primary.provider, '_perform').mockResolvedValue('0x10');
+    jest.spyOn(backup.provider, '_perform').mockResolvedValue('0x0f');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    provider.destroy();
+  });
+
+  const blockNumber = () => provider._perform({ method: 'getBlockNumber' });
+
+  it('Should send requests to the highest-weight endpoint', async function () {
+    expect(await blockNumber()).toBe('0x10');
+    expect(backup.provider._perform).not.toHaveBeenCalled();
+  });
+
+  it('Should fail over to the next endpoint on a transient error', async function () {
+    primary.provider._perform.mockRejectedValueOnce(timeout());
+
+    expect(await blockNumber()).toBe('0x0f');
+    expect(primary.metrics).toMatchObject({ requests: 1, failures: 1, lastError: 'request timeout' });
+    expect(primary.circuit).toBe('closed');
+  });
+
+  it('Should throw request errors without trying another endpoint', async function () {
+    primary.provider._perform.mockRejectedValue(reverted());
+
+    await expect(provider._perform({ method: 'call' })).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(backup.provider._perform).not.toHaveBeenCalled();
+    expect(primary.consecutiveFailures).toBe(0);
+  });
+
+  it('Should open the circuit of an endpoint that keeps failing', async function () {
+    primary.provider._perform.mockRejectedValue(refused());
+
+    await blockNumber();
+    await blockNumber();
+    expect(primary.circuit).toBe('closed');
+    await blockNumber();
+    expect(primary.circuit).toBe('open');
+
+    // Skipped while open
+    primary.provider._perform.mockClear();
+    await blockNumber();
+    expect(primary.provider._perform).not.toHaveBeenCalled();
+  });
+
+  it('Should give an endpoint one trial request after the cooldown', async function () {
+    primary.provider._perform.mockRejectedValue(refused());
+    for (let i = 0; i < 3; i++) await blockNumber();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 30000);
+
+    // Failed trial: open again straight away
+    expect(await blockNumber()).toBe('0x0f');
+    expect(primary.circuit).toBe('open');
+    expect(primary.openedAt).toBe(now + 30000);
+
+    // Successful trial: back in use
+    Date.now.mockReturnValue(now + 60000);
+    primary.provider._perform.mockResolvedValue('0x11');
+    expect(primary.isAvailable()).toBe(true);
+    expect(primary.circuit).toBe('half-open');
+    expect(await blockNumber()).toBe('0x11');
+    expect(primary.circuit).toBe('closed');
+  });
+
+  it('Should only let one trial request through a half-open circuit', function () {
+    primary.circuit = 'half-open';
+    primary.trialInFlight = true;
+
+    expect(provider.availableEndpoints()).toEqual([backup]);
+  });
+
+  it('Should retry every endpoint with backoff before giving up', async function () {
+    primary.provider._perform.mockRejectedValue(timeout());
+    backup.provider._perform.mockRejectedValue(timeout());
+
+    const error = await blockNumber().catch(e => e);
+
+    expect(error).toMatchObject({ code: 'SERVER_ERROR' });
+    expect(error.message).toMatch(/All RPC endpoints failed for getBlockNumber: request timeout/);
+    // RPC_MAX_RETRIES (2) extra rounds, until both circuits opened
+    expect(primary.provider._perform).toHaveBeenCalledTimes(3);
+    expect(backup.provider._perform).toHaveBeenCalledTimes(3);
+  });
+
+  it('Should refuse an endpoint serving another chain but tolerate one that is down', async function () {
+    primary.provider._perform.mockResolvedValue('0x539');
+    backup.provider._perform.mockRejectedValue(refused());
+
+    expect(await provider.verifyEndpoints()).toBe(1);
+
+    backup.provider._perform.mockResolvedValue('0xaa36a7');
+    await expect(provider.verifyEndpoints()).rejects.toThrow('RPC endpoint https://backup.example is on chainId 11155111, expected 1337');
+  });
+
+  it('Should report how far each endpoint is behind the best head, without credentials', async function () {
+    const status = await provider.getStatus();
+
+    expect(status).toMatchObject({ headBlock: 16, healthyEndpoints: 2 });
+    expect(status.endpoints.map(endpoint => [endpoint.url, endpoint.blockNumber, endpoint.headLag])).toEqual([
+      ['https://backup.example', 15, 1],
+      ['https://primary.example/***', 16, 0]
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const auth = require('../src/middleware/auth');
+const ContractProjection = require('../src/models/ContractProjection');
+const JobPosting = require('../src/models/JobPosting');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/sessionService');
+const userController = require('../src/controllers/userController');
+const routes = require('../src/routes');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse, runRoute } = require('./helpers/http');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const OTHER = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+describe('Roles', function () {
+  const env = { ...process.env };
+
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('authorize', function () {
+    const check = (role, ...roles) => {
+      const req = { user: role === undefined ? undefined : { role } };
+      const res = mockResponse();
+      const next = jest.fn();
+      auth.authorize(...roles)(req, res, next);
+      return { res, next };
+    };
+
+    it('Should let users with the role through, with both acting as either', function () {
+      expect(check('company', 'company').next).toHaveBeenCalled();
+      expect(check('both', 'company').next).toHaveBeenCalled();
+      expect(check('both', 'talent').next).toHaveBeenCalled();
+      expect(check('talent', 'company', 'talent').next).toHaveBeenCalled();
+    });
+
+    it('Should refuse users without the role', function () {
+      const { res, next } = check('talent', 'company');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Only company accounts can do this', code: 'INSUFFICIENT_ROLE' });
+      expect(check('company', 'both').res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('Should send users who have not onboarded to pick a role', function () {
+      const { res } = check(null, 'talent');
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe('ROLE_REQUIRED');
+      expect(check(undefined, 'talent').res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('setRole', function () {
+    let contracts;
+    let jobs;
+    let user;
+
+    const setRole = async (role) => {
+      const res = mockResponse();
+      await userController.setRole({ user, body: { role } }, res);
+      return res;
+    };
+
+    beforeEach(function () {
+      contracts = memoryModel(ContractProjection);
+      jobs = memoryModel(JobPosting);
+      user = { walletAddress: WALLET, role: null, save: jest.fn() };
+    });
+
+    it('Should let a new user pick any role', async function () {
+      const res = await setRole('talent');
+
+      expect(res.json).toHaveBeenCalledWith({ role: 'talent', roleSelectedAt: expect.any(Date) });
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('Should reject unknown roles', async function () {
+      for (const role of ['admin', ['company'], undefined]) {
+        expect((await setRole(role)).status).toHaveBeenCalledWith(400);
+      }
+      expect(user.role).toBeNull();
+    });
+
+    it('Should always allow adding a role', async function () {
+      user.role = 'company';
+      contracts.docs.push({ chainId: 1337, contractId: 1, company: WALLET, talent: OTHER, status: 1 });
+
+      await setRole('both');
+
+      expect(user.role).toBe('both');
+    });
+
+    it('Should keep a role while a contract in it is still open', async function () {
+      user.role = 'both';
+      contracts.docs.push(
+        { chainId: 1337, contractId: 1, company: WALLET, talent: OTHER, status: 1 },
+        { chainId: 11155111, contractId: 1, company: WALLET, talent: OTHER, status: 5 }
+      );
+
+      const res = await setRole('talent');
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'ROLE_IN_USE', role: 'company', openContracts: 1, openJobs: 0
+      }));
+      expect(user.role).toBe('both');
+    });
+
+    it('Should keep the company role while a job posting is open', async function () {
+      user.role = 'company';
+      jobs.docs.push({ company: WALLET, status: 'open' }, { company: WALLET, status: 'closed' });
+
+      const res = await setRole('talent');
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ role: 'company', openContracts: 0, openJobs: 1 }));
+    });
+
+    it('Should drop a role once its contracts are closed', async function () {
+      user.role = 'both';
+      contracts.docs.push(
+        { chainId: 1337, contractId: 1, company: WALLET, talent: OTHER, status: 4 },
+        { chainId: 1337, contractId: 2, company: OTHER, talent: WALLET, status: 1 }
+      );
+
+      await setRole('talent');
+
+      expect(user.role).toBe('talent');
+    });
+  });
+
+  describe('routes', function () {
+    let users;
+
+    const as = (role) => {
+      users.docs.push({ walletAddress: WALLET, role });
+      const token = jwt.sign({ walletAddress: WALLET, sid: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+      return { headers: { authorization: `Bearer ${token}` } };
+    };
+
+    beforeEach(function () {
+      users = memoryModel(User);
+      jest.spyOn(sessionService, 'getActiveSession').mockResolvedValue({});
+    });
+
+    it('Should keep company routes from talent accounts', async function () {
+      const companyRoutes = [
+        ['post', '/jobs'],
+        ['post', '/contracts/create/prepare'],
+        ['post', '/contracts/preview'],
+        ['get', '/contracts/overdue-milestones']
+      ];
+
+      for (const [method, path] of companyRoutes) {
+        const res = await runRoute(routes, method, path, as('talent'));
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json.mock.calls[0][0].code).toBe('INSUFFICIENT_ROLE');
+        users.docs.length = 0;
+      }
+    });
+
+    it('Should keep talent routes from company accounts', async function () {
+      for (const [method, path] of [['post', '/jobs/:jobId/apply'], ['get', '/users/me/credentials']]) {
+        const res = await runRoute(routes, method, path, as('company'));
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        users.docs.length = 0;
+      }
+    });
+
+    it('Should require onboarding before role-gated routes', async function () {
+      const res = await runRoute(routes, 'post', '/jobs', as(null));
+
+      expect(res.json.mock.calls[0][0].code).toBe('ROLE_REQUIRED');
+    });
+
+    it('Should let accounts with both roles use company routes', async function () {
+      // Reaches the controller, which rejects the empty posting
+      const res = await runRoute(routes, 'post', '/jobs', as('both'));
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const auth = require('../src/middleware/auth');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/sessionService');
+const notificationService = require('../src/services/notificationService');
+const { mockResponse } = require('./helpers/http');
+const { SessionError } = sessionService;
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const OTHER_WALLET = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+
+describe('Sessions', function () {
+  const env = { ...process.env };
+
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(notificationService, 'disconnectSession').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('sessionService.revokeSession', function () {
+    it('Should revoke an active session of the wallet and sign its sockets out', async function () {
+      const sessionId = new mongoose.Types.ObjectId();
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await sessionService.revokeSession(WALLET, sessionId, 'logout')).toBe(true);
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId, walletAddress: WALLET, revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'logout' }) }
+      );
+      expect(notificationService.disconnectSession).toHaveBeenCalledWith(sessionId.toString());
+    });
+
+    it('Should not sign anyone out for another wallet\'s or an already revoked session', async function () {
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await sessionService.revokeSession(OTHER_WALLET, new mongoose.Types.ObjectId())).toBe(false);
+      expect(notificationService.disconnectSession).not.toHaveBeenCalled();
+    });
+
+    it('Should return false for an invalid session ID without querying', async function () {
+      jest.spyOn(Session, 'updateOne');
+
+      expect(await sessionService.revokeSession(WALLET, 'not-an-id')).toBe(false);
+      expect(Session.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sessionService.rotateRefreshToken', function () {
+    const sessionId = new mongoose.Types.ObjectId();
+
+    const rotate = async (token) => {
+      try {
+        await sessionService.rotateRefreshToken(token, '127.0.0.1');
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected rotateRefreshToken to throw');
+    };
+
+    const existingSession = (fields) => {
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Session, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          walletAddress: WALLET,
+          revokedAt: null,
+          expiresAt: new Date(Date.now() + 60000),
+          previousRefreshTokenHashes: [],
+          ...fields
+        })
+      });
+    };
+
+    it('Should exchange the current token for a new one of the same session', async function () {
+      const session = { _id: sessionId };
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+      const result = await sessionService.rotateRefreshToken(`${sessionId}.current`, '127.0.0.1');
+
+      expect(result.session).toBe(session);
+      expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+      expect(result.refreshToken).not.toBe(`${sessionId}.current`);
+    });
+
+    it('Should reject a malformed token', async function () {
+      for (const token of [undefined, 42, 'garbage', '.abc']) {
+        const error = await rotate(token);
+        expect(error).toBeInstanceOf(SessionError);
+        expect(error.code).toBe('INVALID_REFRESH_TOKEN');
+      }
+    });
+
+    it('Should reject a revoked or expired session', async function () {
+      existingSession({ revokedAt: new Date() });
+      expect((await rotate(`${sessionId}.old`)).code).toBe('SESSION_REVOKED');
+
+      jest.restoreAllMocks();
+      existingSession({ expiresAt: new Date(Date.now() - 1000) });
+      expect((await rotate(`${sessionId}.old`)).code).toBe('SESSION_EXPIRED');
+    });
+
+    it('Should revoke the session when a rotated-away token is reused', async function () {
+      const reused = `${sessionId}.stolen`;
+      existingSession({
+        previousRefreshTokenHashes: [crypto.createHash('sha256').update(reused).digest('hex')]
+      });
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect((await rotate(reused)).code).toBe('REFRESH_TOKEN_REUSED');
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: sessionId.toString(), walletAddress: WALLET }),
+        { $set: expect.objectContaining({ revokedReason: 'refresh-token-reuse' }) }
+      );
+      expect(notificationService.disconnectSession).toHaveBeenCalledWith(sessionId.toString());
+    });
+  });
+
+  describe('auth.authenticate', function () {
+    const sessionId = new mongoose.Types.ObjectId();
+    let session;
+
+    const authenticate = async (headers) => {
+      const req = { headers };
+      const res = mockResponse();
+      const next = jest.fn();
+      await auth.authenticate(req, res, next);
+      return { req, res, next };
+    };
+
+    const bearer = (payload, options = {}) => ({
+      authorization: `Bearer ${jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: 60, ...options })}`
+    });
+
+    beforeEach(function () {
+      session = {
+        _id: sessionId,
+        walletAddress: WALLET,
+        isActive: () => true
+      };
+      jest.spyOn(Session, 'findById').mockImplementation(async () => session);
+      jest.spyOn(User, 'findOne').mockResolvedValue({ walletAddress: WALLET, role: 'talent' });
+    });
+
+    it('Should let a token of an active session through', async function () {
+      const { req, next } = await authenticate(bearer({ walletAddress: WALLET, sid: sessionId.toString() }));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.walletAddress).toBe(WALLET);
+      expect(req.sessionId).toBe(sessionId.toString());
+    });
+
+    it('Should reject a request without a bearer token', async function () {
+      const { res, next } = await authenticate({ authorization: 'Basic abc' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('Should reject a token of a revoked session', async function () {
+      session.isActive = () => false;
+
+      const { res, next } = await authenticate(bearer({ walletAddress: WALLET, sid: sessionId.toString() }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    });
+
+    it('Should reject a token naming another wallet\'s session', async function () {
+      const { res } = await authenticate(bearer({ walletAddress: OTHER_WALLET, sid: sessionId.toString() }));
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    });
+
+    it('Should reject a token without a session (issued before sessions, or a share link)', async function () {
+      const { res } = await authenticate(bearer({ walletAddress: WALLET }));
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    });
+
+    it('Should reject an expired or forged token', async function () {
+      const expired = await authenticate(bearer({ walletAddress: WALLET, sid: sessionId.toString() }, { expiresIn: -10 }));
+      expect(expired.res.json).toHaveBeenCalledWith({ error: 'Token expired' });
+
+      const forged = jwt.sign({ walletAddress: WALLET, sid: sessionId.toString() }, 'another-secret');
+      const invalid = await authenticate({ authorization: `Bearer ${forged}` });
+      expect(invalid.res.json).toHaveBeenCalledWith({ error: 'Invalid token' });
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { ethers } = require('ethers');
+const { SiweError, buildMessage, parseMessage, validateMessage } = require('../src/utils/siwe');
+const auth = require('../src/middleware/auth');
+const User = require('../src/models/User');
+const blockchainService = require('../src/services/blockchainService');
+const sessionService = require('../src/services/sessionService');
+const { mockResponse } = require('./helpers/http');
+
+const wallet = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+const NOW = new Date('2026-01-01T12:00:00.000Z');
+const EXPECTED = { domain: 'app.example.com', uri: 'https://app.example.com', chainIds: [1337, 11155111] };
+
+const messageFields = (overrides = {}) => ({
+  domain: 'app.example.com',
+  address: wallet.address,
+  statement: 'Sign in to Blockchain HR Platform.',
+  uri: 'https://app.example.com',
+  version: '1',
+  chainId: 1337,
+  nonce: 'a1b2c3d4e5f6a7b8',
+  issuedAt: '2026-01-01T11:59:00.000Z',
+  expirationTime: '2026-01-01T12:09:00.000Z',
+  ...overrides
+});
+
+/**
+ * Expect fn to throw a SiweError with this code
+ */
+const expectCode = (fn, code) => {
+  let thrown;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error;
+  }
+  expect(thrown).toBeInstanceOf(SiweError);
+  expect(thrown.code).toBe(code);
+};
+
+describe('SIWE messages', function () {
+  describe('parseMessage', function () {
+    it('Should parse what buildMessage builds', function () {
+      const fields = messageFields({ resources: ['https://app.example.com/terms'] });
+      const parsed = parseMessage(buildMessage(fields));
+
+      expect(parsed).toMatchObject({ ...fields, chainId: 1337 });
+    });
+
+    it('Should parse a message without statement or resources', function () {
+      const parsed = parseMessage(buildMessage(messageFields({ statement: undefined })));
+
+      expect(parsed.statement).toBeUndefined();
+      expect(parsed.resources).toEqual([]);
+    });
+
+    it('Should reject a message that is not a string', function () {
+      expectCode(() => parseMessage({ domain: 'app.example.com' }), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject a missing header', function () {
+      const lines = buildMessage(messageFields()).split('\n');
+      lines[0] = 'app.example.com wants you to sign this:';
+
+      expectCode(() => parseMessage(lines.join('\n')), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject an address that is not checksummed', function () {
+      const message = buildMessage(messageFields()).replace(wallet.address, wallet.address.toLowerCase());
+
+      expectCode(() => parseMessage(message), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject a missing required field', function () {
+      const message = buildMessage(messageFields()).replace(/\nNonce: .*/, '');
+
+      expectCode(() => parseMessage(message), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject fields out of order', function () {
+      const message = buildMessage(messageFields())
+        .replace('Version: 1\nChain ID: 1337', 'Chain ID: 1337\nVersion: 1');
+
+      expectCode(() => parseMessage(message), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject extra lines', function () {
+      expectCode(() => parseMessage(`${buildMessage(messageFields())}\nPlease also approve a transfer`), 'MALFORMED_MESSAGE');
+    });
+
+    it('Should reject an invalid chain ID, version, nonce or timestamp', function () {
+      expectCode(() => parseMessage(buildMessage(messageFields({ chainId: '0x539' }))), 'MALFORMED_MESSAGE');
+      expectCode(() => parseMessage(buildMessage(messageFields({ version: '2' }))), 'MALFORMED_MESSAGE');
+      expectCode(() => parseMessage(buildMessage(messageFields({ nonce: 'short' }))), 'MALFORMED_MESSAGE');
+      expectCode(() => parseMessage(buildMessage(messageFields({ issuedAt: 'yesterday' }))), 'MALFORMED_MESSAGE');
+    });
+  });
+
+  describe('validateMessage', function () {
+    it('Should accept a message for this site, a supported chain and the current time', function () {
+      expect(() => validateMessage(messageFields(), EXPECTED, NOW)).not.toThrow();
+    });
+
+    it('Should reject another domain', function () {
+      expectCode(() => validateMessage(messageFields({ domain: 'evil.example.com' }), EXPECTED, NOW), 'DOMAIN_MISMATCH');
+    });
+
+    it('Should reject a URI on another origin', function () {
+      expectCode(() => validateMessage(messageFields({ uri: 'https://evil.example.com' }), EXPECTED, NOW), 'URI_MISMATCH');
+      expectCode(() => validateMessage(messageFields({ uri: 'not a uri' }), EXPECTED, NOW), 'URI_MISMATCH');
+    });
+
+    it('Should accept a URI on the same origin', function () {
+      const fields = messageFields({ uri: 'https://app.example.com/login' });
+
+      expect(() => validateMessage(fields, EXPECTED, NOW)).not.toThrow();
+    });
+
+    it('Should reject an unsupported chain', function () {
+      expectCode(() => validateMessage(messageFields({ chainId: 1 }), EXPECTED, NOW), 'UNSUPPORTED_CHAIN');
+    });
+
+    it('Should reject an expired message', function () {
+      const fields = messageFields({ expirationTime: '2026-01-01T11:59:59.000Z' });
+
+      expectCode(() => validateMessage(fields, EXPECTED, NOW), 'MESSAGE_EXPIRED');
+    });
+
+    it('Should reject a message that is not valid yet', function () {
+      const fields = messageFields({ notBefore: '2026-01-01T12:05:00.000Z' });
+
+      expectCode(() => validateMessage(fields, EXPECTED, NOW), 'MESSAGE_NOT_YET_VALID');
+    });
+
+    it('Should reject a message issued in the future beyond clock skew', function () {
+      const fields = messageFields({ issuedAt: '2026-01-01T12:10:00.000Z' });
+
+      expectCode(() => validateMessage(fields, EXPECTED, NOW), 'INVALID_ISSUED_AT');
+    });
+  });
+});
+
+describe('auth.verifySignature', function () {
+  const env = { ...process.env };
+  let user;
+
+  /**
+   * A fresh nonce issued for chainId, and a signed message for it
+   */
+  const signIn = async (overrides = {}) => {
+    const fields = messageFields({
+      issuedAt: new Date(Date.now() - 1000).toISOString(),
+      expirationTime: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      ...overrides
+    });
+    const message = buildMessage(fields);
+
+    return { message, signature: await wallet.signMessage(message) };
+  };
+
+  const verify = async (body) => {
+    const res = mockResponse();
+    await auth.verifySignature({ body, headers: {}, ip: '127.0.0.1' }, res);
+    return res;
+  };
+
+  beforeEach(function () {
+    process.env.SIWE_URI = 'https://app.example.com';
+
+    user = {
+      _id: 'user-1',
+      walletAddress: wallet.address.toLowerCase(),
+      nonce: 'a1b2c3d4e5f6a7b8',
+      nonceExpiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      nonceChainId: 1337
+    };
+
+    jest.spyOn(blockchainService, 'getChainIds').mockReturnValue([1337, 11155111]);
+    jest.spyOn(User, 'findOne').mockImplementation(async () => user);
+    // Consumes the nonce: only matches while it is still on the user
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (!user.nonce || filter.nonce !== user.nonce) return null;
+      user = { ...user, nonce: undefined, nonceExpiresAt: undefined, nonceChainId: undefined };
+      return { ...user, role: 'talent' };
+    });
+    jest.spyOn(sessionService, 'createSession').mockResolvedValue({
+      session: { _id: 'session-1', expiresAt: new Date(Date.now() + 86400000) },
+      refreshToken: 'refresh-token'
+    });
+    jest.spyOn(sessionService, 'issueAccessToken').mockReturnValue({ token: 'access-token', tokenExpiresAt: new Date() });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('Should start a session for a valid signed message', async function () {
+    const res = await verify(await signIn());
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'access-token', refreshToken: 'refresh-token' }));
+  });
+
+  it('Should reject the same message a second time (nonce is consumed)', async function () {
+    const body = await signIn();
+
+    await verify(body);
+    const res = await verify(body);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NONCE_NOT_FOUND' }));
+  });
+
+  it('Should reject a message for another chain than the nonce was issued for', async function () {
+    const res = await verify(await signIn({ chainId: 11155111 }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CHAIN_MISMATCH' }));
+  });
+
+  it('Should reject another nonce', async function () {
+    const res = await verify(await signIn({ nonce: 'ffffffffffffffff' }));
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NONCE_MISMATCH' }));
+  });
+
+  it('Should reject an expired nonce', async function () {
+    user.nonceExpiresAt = new Date(Date.now() - 1000);
+
+    const res = await verify(await signIn());
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NONCE_EXPIRED' }));
+  });
+
+  it('Should reject a message for another site', async function () {
+    const res = await verify(await signIn({ domain: 'evil.example.com' }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'DOMAIN_MISMATCH' }));
+  });
+
+  it('Should reject a signature by another wallet', async function () {
+    const { message } = await signIn();
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    const res = await verify({ message, signature });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+
+  it('Should reject a walletAddress that does not match the message', async function () {
+    const res = await verify({ ...(await signIn()), walletAddress: ethers.Wallet.createRandom().address });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ADDRESS_MISMATCH' }));
+  });
+
+  it('Should return 400 for a malformed message or non-string fields', async function () {
+    expect((await verify({ message: 'hello', signature: '0x00' })).status).toHaveBeenCalledWith(400);
+    expect((await verify({ ...(await signIn()), walletAddress: 42 })).status).toHaveBeenCalledWith(400);
+    expect((await verify({ message: ['a'], signature: '0x00' })).status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,204 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const blockchainService = require('../src/services/blockchainService');
+const contractProjectionService = require('../src/services/contractProjectionService');
+const notificationService = require('../src/services/notificationService');
+const sessionService = require('../src/services/sessionService');
+const { SessionError } = require('../src/services/sessionService');
+const { authenticateSocket, handleConnection } = require('../src/middleware/socketAuth');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const SESSION_ID = new mongoose.Types.ObjectId().toString();
+
+/**
+ * A socket whose joined rooms and registered handlers can be inspected
+ */
+const fakeSocket = ({ data = {}, auth = {}, headers = {} } = {}) => {
+  const handlers = {};
+  const socket = {
+    id: 'socket-1',
+    data,
+    handshake: { auth, headers },
+    rooms: new Set(),
+    handlers,
+    join: jest.fn(room => socket.rooms.add(room)),
+    leave: jest.fn(room => socket.rooms.delete(room)),
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; })
+  };
+  return socket;
+};
+
+describe('Socket.io', function () {
+  const env = { ...process.env };
+
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    process.env = { ...env };
+  });
+
+  describe('authenticateSocket', function () {
+    const token = (payload = {}, options = {}) =>
+      jwt.sign({ walletAddress: WALLET, sid: SESSION_ID, ...payload }, process.env.JWT_SECRET, { expiresIn: 60, ...options });
+
+    const authenticate = async (socket) => {
+      const next = jest.fn();
+      await authenticateSocket(socket, next);
+      return next.mock.calls[0][0];
+    };
+
+    beforeEach(function () {
+      const users = memoryModel(User);
+      users.docs.push({ walletAddress: WALLET });
+      jest.spyOn(sessionService, 'getActiveSession').mockResolvedValue({ _id: SESSION_ID });
+    });
+
+    it('Should bind the socket to the token\'s wallet and session', async function () {
+      const socket = fakeSocket({ auth: { token: token() } });
+
+      expect(await authenticate(socket)).toBeUndefined();
+      expect(socket.data).toMatchObject({ walletAddress: WALLET, sessionId: SESSION_ID });
+      expect(socket.data.tokenExpiresAt).toBeGreaterThan(Date.now());
+    });
+
+    it('Should accept the token in an Authorization header', async function () {
+      const socket = fakeSocket({ headers: { authorization: `Bearer ${token()}` } });
+
+      expect(await authenticate(socket)).toBeUndefined();
+      expect(socket.data.walletAddress).toBe(WALLET);
+    });
+
+    it('Should reject missing, invalid and expired tokens', async function () {
+      expect((await authenticate(fakeSocket())).message).toBe('No token provided');
+      expect((await authenticate(fakeSocket({ headers: { authorization: token() } }))).message).toBe('No token provided');
+      expect((await authenticate(fakeSocket({ auth: { token: 'not-a-jwt' } }))).message).toBe('Invalid token');
+      expect((await authenticate(fakeSocket({ auth: { token: token({}, { expiresIn: -10 }) } }))).message).toBe('Token expired');
+    });
+
+    it('Should reject tokens of revoked sessions and unknown wallets', async function () {
+      sessionService.getActiveSession.mockRejectedValueOnce(new SessionError('SESSION_REVOKED', 'Session has been revoked'));
+      expect((await authenticate(fakeSocket({ auth: { token: token() } }))).message).toBe('Session has been revoked');
+
+      const stranger = token({ walletAddress: TALENT });
+      expect((await authenticate(fakeSocket({ auth: { token: stranger } }))).message).toBe('User not found');
+    });
+  });
+
+  describe('handleConnection', function () {
+    let socket;
+
+    const emit = (event, ...args) => socket.handlers[event](...args);
+
+    beforeEach(function () {
+      jest.spyOn(blockchainService, 'hasNetwork').mockImplementation(chainId => [1337, 11155111].includes(chainId));
+      jest.replaceProperty(blockchainService, 'defaultChainId', 1337);
+      jest.spyOn(contractProjectionService, 'getContract').mockImplementation(async (contractId, { chainId }) =>
+        (contractId === 7 ? { chainId, contractId, company: WALLET, talent: TALENT } : null));
+
+      socket = fakeSocket({ data: { walletAddress: WALLET, sessionId: SESSION_ID, tokenExpiresAt: Date.now() + 60000 } });
+    });
+
+    afterEach(function () {
+      // Clears the token expiry timer
+      socket.handlers.disconnect?.();
+    });
+
+    it('Should join the wallet and session rooms only', function () {
+      handleConnection(socket);
+
+      expect([...socket.rooms]).toEqual([WALLET, `session:${SESSION_ID}`]);
+    });
+
+    it('Should let a party join a contract room and acknowledge it', async function () {
+      handleConnection(socket);
+      const ack = jest.fn();
+
+      await emit('join-contract', 7, ack);
+      await emit('join-contract', { contractId: '7', chainId: 11155111 }, ack);
+
+      expect(ack.mock.calls).toEqual([[{ success: true, chainId: 1337 }], [{ success: true, chainId: 11155111 }]]);
+      expect(socket.rooms).toContain('contract:1337:7');
+      expect(socket.rooms).toContain('contract:11155111:7');
+      expect(contractProjectionService.getContract).toHaveBeenCalledWith(7, { chainId: 11155111 });
+    });
+
+    it('Should refuse contract rooms of other wallets\' contracts', async function () {
+      handleConnection(socket);
+      const ack = jest.fn();
+
+      await emit('join-contract', 8, ack);
+
+      expect(ack).toHaveBeenCalledWith({ error: 'Only contract parties can join this room' });
+      expect(socket.rooms).not.toContain('contract:1337:8');
+    });
+
+    it('Should refuse networks that are not connected', async function () {
+      handleConnection(socket);
+      const ack = jest.fn();
+
+      await emit('join-contract', { contractId: 7, chainId: 1 }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ error: 'Unsupported network' });
+      expect(contractProjectionService.getContract).not.toHaveBeenCalled();
+    });
+
+    it('Should answer a failed lookup and tolerate a missing acknowledgement', async function () {
+      handleConnection(socket);
+      contractProjectionService.getContract.mockRejectedValue(new Error('RPC down'));
+      const ack = jest.fn();
+
+      await emit('join-contract', 7, ack);
+      await expect(emit('join-contract', 7, 'not-a-function')).resolves.toBeUndefined();
+      await expect(emit('join-contract', 7)).resolves.toBeUndefined();
+
+      expect(ack).toHaveBeenCalledWith({ error: 'Failed to join contract room' });
+    });
+
+    it('Should leave a contract room', async function () {
+      handleConnection(socket);
+      await emit('join-contract', { contractId: 7, chainId: 11155111 }, jest.fn());
+
+      emit('leave-contract', { contractId: 7, chainId: 11155111 });
+
+      expect(socket.rooms).not.toContain('contract:11155111:7');
+    });
+
+    it('Should replay missed notifications from a valid cursor only', async function () {
+      handleConnection(socket);
+      jest.spyOn(notificationService, 'replayMissed').mockResolvedValue({ replayed: 2, hasMore: false });
+      const cursor = new mongoose.Types.ObjectId().toString();
+      const ack = jest.fn();
+
+      await emit('sync', { $gt: '' }, ack);
+      await emit('sync', cursor, ack);
+
+      expect(ack.mock.calls).toEqual([[{ error: 'Invalid notification cursor' }], [{ replayed: 2, hasMore: false }]]);
+      expect(notificationService.replayMissed).toHaveBeenCalledTimes(1);
+      expect(notificationService.replayMissed).toHaveBeenCalledWith(socket, WALLET, cursor);
+    });
+
+    it('Should disconnect the socket when its token expires', function () {
+      jest.useFakeTimers();
+      socket.data.tokenExpiresAt = Date.now() + 1000;
+      handleConnection(socket);
+
+      jest.advanceTimersByTime(999);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(socket.emit).toHaveBeenCalledWith('token-expired');
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+  });
+});
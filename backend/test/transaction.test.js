@@ -0,0 +1,311 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../src/services/blockchainService');
+const transactionService = require('../src/services/transactionService');
+const transactionWatcherService = require('../src/services/transactionWatcherService');
+const { TransactionError } = transactionService;
+
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TALENT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const STRANGER = '0x15d34aaf54267db7d7c367839aaf71a00a2c6a65';
+const EMPLOYMENT_CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// The functions of EmploymentContract under test (the compiled ABI is a build artifact)
+const employmentContract = new ethers.Contract(EMPLOYMENT_CONTRACT, [
+  'function createContract(address,string,string,uint256,uint256,string[],uint256[],uint256[]) payable returns (uint256)',
+  'function acceptContract(uint256)',
+  'function submitMilestone(uint256,uint256,string)',
+  'function approveMilestone(uint256,uint256)',
+  'function raiseDispute(uint256)',
+  'function finalizeContract(uint256)',
+  'function cancelContract(uint256)'
+]);
+
+const createBody = (overrides = {}) => ({
+  talent: TALENT,
+  jobTitle: 'Smart contract audit',
+  startDate: '2026-02-01',
+  endDate: '2026-03-01',
+  milestones: [
+    { description: 'Report', amount: '0.5', deadline: '2026-02-15' },
+    { description: 'Fixes reviewed', amount: '1', deadline: '2026-03-01' }
+  ],
+  ...overrides
+});
+
+/**
+ * Expect a promise (or function) to fail with a TransactionError with this code
+ */
+const expectCode = async (promise, code, status) => {
+  let thrown;
+  try {
+    await (typeof promise === 'function' ? promise() : promise);
+  } catch (error) {
+    thrown = error;
+  }
+  expect(thrown).toBeInstanceOf(TransactionError);
+  expect(thrown.code).toBe(code);
+  if (status !== undefined) {
+    expect(thrown.status).toBe(status);
+  }
+};
+
+describe('transactionService', function () {
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCreateContract', function () {
+    it('Should turn a request into createContract arguments', function () {
+      const params = transactionService.parseCreateContract(createBody({ totalAmount: '1.5' }), COMPANY);
+
+      expect(params).toEqual({
+        talent: TALENT,
+        jobTitle: 'Smart contract audit',
+        ipfsMetadata: '',
+        startDate: Date.UTC(2026, 1, 1) / 1000,
+        endDate: Date.UTC(2026, 2, 1) / 1000,
+        milestoneDescriptions: ['Report', 'Fixes reviewed'],
+        milestoneAmounts: [ethers.parseEther('0.5'), ethers.parseEther('1')],
+        milestoneDeadlines: [Date.UTC(2026, 1, 15) / 1000, Date.UTC(2026, 2, 1) / 1000],
+        totalAmount: ethers.parseEther('1.5')
+      });
+    });
+
+    it('Should checksum the talent address', function () {
+      const params = transactionService.parseCreateContract(createBody({ talent: TALENT.toLowerCase() }), COMPANY);
+
+      expect(params.talent).toBe(TALENT);
+    });
+
+    it('Should reject an invalid, zero or own talent address', async function () {
+      for (const talent of [undefined, 'bob', ethers.ZeroAddress, COMPANY]) {
+        await expectCode(() => transactionService.parseCreateContract(createBody({ talent }), COMPANY), 'INVALID_PARAMS', 400);
+      }
+    });
+
+    it('Should reject a missing or too long job title and non-string metadata', async function () {
+      await expectCode(() => transactionService.parseCreateContract(createBody({ jobTitle: '' }), COMPANY), 'INVALID_PARAMS');
+      await expectCode(() => transactionService.parseCreateContract(createBody({ jobTitle: 'x'.repeat(201) }), COMPANY), 'INVALID_PARAMS');
+      await expectCode(() => transactionService.parseCreateContract(createBody({ ipfsMetadata: 42 }), COMPANY), 'INVALID_PARAMS');
+    });
+
+    it('Should reject invalid dates or an end before the start', async function () {
+      await expectCode(() => transactionService.parseCreateContract(createBody({ startDate: 'soon' }), COMPANY), 'INVALID_PARAMS');
+      await expectCode(() => transactionService.parseCreateContract(createBody({ endDate: null }), COMPANY), 'INVALID_PARAMS');
+      await expectCode(() => transactionService.parseCreateContract(createBody({ endDate: '2026-01-01' }), COMPANY), 'INVALID_PARAMS');
+    });
+
+    it('Should reject no milestones, too many, or invalid ones', async function () {
+      const milestone = { description: 'Work', amount: '0.1', deadline: '2026-02-15' };
+
+      for (const milestones of [undefined, [], new Array(51).fill(milestone), [null]]) {
+        await expectCode(() => transactionService.parseCreateContract(createBody({ milestones }), COMPANY), 'INVALID_PARAMS');
+      }
+      for (const amount of ['0', '-1', 'lots', undefined]) {
+        const milestones = [{ ...milestone, amount }];
+        await expectCode(() => transactionService.parseCreateContract(createBody({ milestones }), COMPANY), 'INVALID_PARAMS');
+      }
+    });
+
+    it('Should reject a totalAmount that is not the sum of the milestones', async function () {
+      await expectCode(() => transactionService.parseCreateContract(createBody({ totalAmount: '2' }), COMPANY), 'INVALID_PARAMS');
+    });
+  });
+
+  describe('prepareContractAction', function () {
+    let contract;
+
+    beforeEach(function () {
+      contract = {
+        id: 7,
+        company: ethers.getAddress(COMPANY),
+        talent: TALENT,
+        status: 1, // ACTIVE
+        milestones: [{ status: 4 }, { status: 2 }, { status: 0 }], // PAID, SUBMITTED, PENDING
+        companyApproved: false,
+        talentApproved: false
+      };
+
+      jest.spyOn(blockchainService, 'getContractDetails').mockImplementation(async (contractId) =>
+        (contractId === contract.id ? contract : { id: 0 }));
+      jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ employmentContract });
+      jest.spyOn(transactionService, 'prepare').mockImplementation(async (request) =>
+        ({ transaction: request, transactionId: 'tx-1' }));
+    });
+
+    it('Should build the call for a party allowed to make it', async function () {
+      const { transaction, transactionId } = await transactionService.prepareContractAction(
+        'approveMilestone', { contractId: '7', milestoneIndex: 1 }, COMPANY, 1337);
+
+      expect(transactionId).toBe('tx-1');
+      expect(transaction).toEqual({
+        from: COMPANY,
+        to: EMPLOYMENT_CONTRACT,
+        data: employmentContract.interface.encodeFunctionData('approveMilestone', [7, 1])
+      });
+      expect(transactionService.prepare).toHaveBeenCalledWith(expect.anything(), 1337, {
+        walletAddress: COMPANY,
+        action: 'approveMilestone',
+        contractId: 7,
+        milestoneIndex: 1
+      });
+    });
+
+    it('Should reject an unknown action or contract', async function () {
+      await expectCode(transactionService.prepareContractAction('selfdestruct', { contractId: 7 }, COMPANY, 1337), 'UNKNOWN_ACTION');
+      await expectCode(transactionService.prepareContractAction('raiseDispute', { contractId: 'x' }, COMPANY, 1337), 'INVALID_PARAMS');
+      await expectCode(transactionService.prepareContractAction('raiseDispute', { contractId: 8 }, COMPANY, 1337), 'CONTRACT_NOT_FOUND', 404);
+    });
+
+    it('Should only let the party the contract expects call it', async function () {
+      await expectCode(
+        transactionService.prepareContractAction('approveMilestone', { contractId: 7, milestoneIndex: 1 }, TALENT.toLowerCase(), 1337),
+        'NOT_ALLOWED', 403);
+      await expectCode(
+        transactionService.prepareContractAction('submitMilestone', { contractId: 7, milestoneIndex: 2, ipfsHash: 'Qm' }, COMPANY, 1337),
+        'NOT_ALLOWED', 403);
+      await expectCode(transactionService.prepareContractAction('raiseDispute', { contractId: 7 }, STRANGER, 1337), 'NOT_ALLOWED', 403);
+      expect(transactionService.prepare).not.toHaveBeenCalled();
+    });
+
+    it('Should reject actions the contract status does not allow', async function () {
+      await expectCode(transactionService.prepareContractAction('cancelContract', { contractId: 7 }, COMPANY, 1337), 'INVALID_STATUS', 409);
+
+      contract.status = 5; // FINALIZED
+      await expectCode(transactionService.prepareContractAction('raiseDispute', { contractId: 7 }, COMPANY, 1337), 'INVALID_STATUS', 409);
+    });
+
+    it('Should check the milestone index and status', async function () {
+      const approve = (milestoneIndex) =>
+        transactionService.prepareContractAction('approveMilestone', { contractId: 7, milestoneIndex }, COMPANY, 1337);
+
+      await expectCode(approve(3), 'INVALID_PARAMS');
+      await expectCode(approve(undefined), 'INVALID_PARAMS');
+      await expectCode(approve(0), 'INVALID_MILESTONE_STATUS', 409);
+    });
+
+    it('Should require the deliverable hash to submit a milestone', async function () {
+      const talent = TALENT.toLowerCase();
+
+      await expectCode(
+        transactionService.prepareContractAction('submitMilestone', { contractId: 7, milestoneIndex: 2 }, talent, 1337),
+        'INVALID_PARAMS');
+
+      const { transaction } = await transactionService.prepareContractAction(
+        'submitMilestone', { contractId: 7, milestoneIndex: 2, ipfsHash: 'QmDeliverable' }, talent, 1337);
+      expect(transaction.data).toBe(employmentContract.interface.encodeFunctionData('submitMilestone', [7, 2, 'QmDeliverable']));
+    });
+
+    it('Should not let a party approve finalizing twice', async function () {
+      contract.status = 2; // COMPLETED
+      contract.companyApproved = true;
+
+      await expectCode(transactionService.prepareContractAction('finalizeContract', { contractId: 7 }, COMPANY, 1337), 'ALREADY_APPROVED', 409);
+      await expect(transactionService.prepareContractAction('finalizeContract', { contractId: 7 }, TALENT.toLowerCase(), 1337))
+        .resolves.toMatchObject({ transactionId: 'tx-1' });
+    });
+  });
+
+  describe('prepareCreateContract', function () {
+    it('Should build a createContract call from the company escrowing the milestone total', async function () {
+      jest.spyOn(blockchainService, 'getNetwork').mockReturnValue({ employmentContract });
+      jest.spyOn(transactionService, 'prepare').mockImplementation(async (request) =>
+        ({ transaction: request, transactionId: 'tx-1' }));
+
+      const { transaction, params } = await transactionService.prepareCreateContract(createBody(), COMPANY, 1337);
+
+      expect(transaction.from).toBe(COMPANY);
+      expect(transaction.to).toBe(EMPLOYMENT_CONTRACT);
+      expect(transaction.value).toBe(ethers.parseEther('1.5'));
+      expect(employmentContract.interface.decodeFunctionData('createContract', transaction.data)[0]).toBe(params.talent);
+      expect(transactionService.prepare).toHaveBeenCalledWith(expect.anything(), 1337,
+        { walletAddress: COMPANY, action: 'createContract' });
+    });
+
+    it('Should not build anything for an invalid request', async function () {
+      jest.spyOn(transactionService, 'prepare');
+
+      await expectCode(transactionService.prepareCreateContract(createBody({ milestones: [] }), COMPANY, 1337), 'INVALID_PARAMS');
+      expect(transactionService.prepare).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('nextContractActions', function () {
+    const details = (fields) => ({
+      id: 7,
+      company: COMPANY,
+      talent: TALENT,
+      milestones: [{ status: 0 }],
+      companyApproved: false,
+      talentApproved: false,
+      ...fields
+    });
+
+    const actions = (contract) => transactionService.nextContractActions(contract, { ipfsHash: 'Qm' })
+      .map(({ action, from, milestoneIndex }) => ({ action, from, milestoneIndex }));
+
+    it('Should offer accepting to the talent and cancelling to the company while pending', function () {
+      expect(actions(details({ status: 0 }))).toEqual([
+        { action: 'acceptContract', from: TALENT, milestoneIndex: undefined },
+        { action: 'cancelContract', from: COMPANY, milestoneIndex: undefined }
+      ]);
+    });
+
+    it('Should pick the first milestone each milestone action applies to', function () {
+      const next = transactionService.nextContractActions(
+        details({ status: 1, milestones: [{ status: 4 }, { status: 2 }, { status: 1 }] }),
+        { ipfsHash: 'Qm' }
+      );
+
+      expect(next.find(({ action }) => action === 'submitMilestone')).toEqual({
+        action: 'submitMilestone', from: TALENT, milestoneIndex: 2, args: [7, 2, 'Qm']
+      });
+      expect(next.find(({ action }) => action === 'approveMilestone')).toMatchObject({ from: COMPANY, milestoneIndex: 1 });
+    });
+
+    it('Should skip milestone actions no milestone is ready for', function () {
+      expect(actions(details({ status: 1, milestones: [{ status: 4 }] }))).toEqual([
+        { action: 'raiseDispute', from: COMPANY, milestoneIndex: undefined }
+      ]);
+    });
+
+    it('Should have the talent finalize once the company approved', function () {
+      expect(actions(details({ status: 2 })).find(({ action }) => action === 'finalizeContract').from).toBe(COMPANY);
+      expect(actions(details({ status: 2, companyApproved: true })).find(({ action }) => action === 'finalizeContract').from).toBe(TALENT);
+    });
+
+    it('Should offer nothing once the contract is over', function () {
+      expect(actions(details({ status: 4 }))).toEqual([]);
+      expect(actions(details({ status: 5 }))).toEqual([]);
+    });
+  });
+
+  describe('prepare', function () {
+    const request = { from: COMPANY, to: EMPLOYMENT_CONTRACT, data: '0x' };
+
+    it('Should record the prepared transaction', async function () {
+      jest.spyOn(blockchainService, 'prepareTransaction').mockResolvedValue({ ...request, gasLimit: '21000' });
+      jest.spyOn(transactionWatcherService, 'recordPrepared').mockResolvedValue({ _id: 'tx-1' });
+
+      const result = await transactionService.prepare(request, 1337, { walletAddress: COMPANY, action: 'raiseDispute' });
+
+      expect(result).toEqual({ transaction: { ...request, gasLimit: '21000' }, transactionId: 'tx-1' });
+    });
+
+    it('Should turn a simulated revert into TRANSACTION_REVERTED with its reason', async function () {
+      jest.spyOn(blockchainService, 'prepareTransaction').mockRejectedValue(Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION' }));
+      jest.spyOn(blockchainService, 'decodeRevertReason').mockReturnValue('Not authorized');
+      jest.spyOn(transactionWatcherService, 'recordPrepared');
+
+      let thrown;
+      try {
+        await transactionService.prepare(request, 1337, { walletAddress: COMPANY, action: 'raiseDispute' });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toMatchObject({ code: 'TRANSACTION_REVERTED', message: 'Not authorized' });
+      expect(transactionWatcherService.recordPrepared).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const PendingTransaction = require('../src/models/PendingTransaction');
+const blockchainService = require('../src/services/blockchainService');
+const notificationService = require('../src/services/notificationService');
+const transactionService = require('../src/services/transactionService');
+const transactionWatcherService = require('../src/services/transactionWatcherService');
+const transactionController = require('../src/controllers/transactionController');
+const { memoryModel } = require('./helpers/memoryModel');
+const { mockResponse } = require('./helpers/http');
+
+// Hardhat account #1
+const COMPANY_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const COMPANY = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const EMPLOYMENT_CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CREDENTIAL_CONTRACT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const HASH = `0x${'ab'.repeat(32)}`;
+const REPLACEMENT_HASH = `0x${'cd'.repeat(32)}`;
+
+const employmentContract = new ethers.Contract(EMPLOYMENT_CONTRACT, [
+  'function raiseDispute(uint256)',
+  'event DisputeRaised(uint256 indexed contractId, address indexed raisedBy)'
+]);
+const credentialContract = new ethers.Contract(CREDENTIAL_CONTRACT, ['function revokeIssuer(address)']);
+
+describe('Transaction watcher', function () {
+  let network;
+
+  beforeEach(function () {
+    network = {
+      name: 'localhost',
+      employmentContract,
+      credentialContract,
+      provider: {
+        getTransactionReceipt: jest.fn(async () => null),
+        getTransaction: jest.fn(async () => null),
+        getTransactionCount: jest.fn(async () => 5),
+        broadcastTransaction: jest.fn(),
+        call: jest.fn()
+      }
+    };
+
+    jest.spyOn(blockchainService, 'getNetwork').mockImplementation(() => network);
+    jest.spyOn(blockchainService, 'networkSetting').mockImplementation((name, key) =>
+      (key === 'CONFIRMATION_DEPTH' ? '3' : undefined));
+    jest.spyOn(notificationService, 'emitToWallet').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkTransaction', function () {
+    // A stored record: hydrated, so only what the check changes counts as modified
+    const pending = (fields = {}) => {
+      const record = PendingTransaction.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        chainId: 1337,
+        walletAddress: COMPANY,
+        action: 'raiseDispute',
+        contractId: 7,
+        hash: HASH,
+        from: COMPANY,
+        to: EMPLOYMENT_CONTRACT.toLowerCase(),
+        data: employmentContract.interface.encodeFunctionData('raiseDispute', [7]),
+        value: '0',
+        nonce: 4,
+        status: 'pending',
+        submittedAt: new Date(),
+        ...fields
+      });
+      jest.spyOn(record, 'save').mockResolvedValue(record);
+      return record;
+    };
+
+    const receipt = (fields = {}) => ({
+      status: 1,
+      blockNumber: 10,
+      blockHash: `0x${'01'.repeat(32)}`,
+      gasUsed: 31000n,
+      logs: [],
+      ...fields
+    });
+
+    it('Should follow a transaction from mined to confirmed with its events', async function () {
+      const log = employmentContract.interface.encodeEventLog('DisputeRaised', [7, COMPANY]);
+      network.provider.getTransactionReceipt.mockResolvedValue(receipt({
+        logs: [{ address: EMPLOYMENT_CONTRACT, ...log }]
+      }));
+      const record = pending();
+
+      await transactionWatcherService.checkTransaction(record, 10);
+      expect(record).toMatchObject({ status: 'mined', blockNumber: 10, gasUsed: '31000', confirmations: 1 });
+      expect(record.events[0]).toMatchObject({ name: 'DisputeRaised', args: { contractId: '7', raisedBy: ethers.getAddress(COMPANY) } });
+
+      await transactionWatcherService.checkTransaction(record, 12);
+      expect(record).toMatchObject({ status: 'confirmed', confirmations: 3 });
+      expect(notificationService.emitToWallet).toHaveBeenCalledTimes(2);
+      expect(notificationService.emitToWallet).toHaveBeenLastCalledWith(COMPANY, 'transaction-updated',
+        expect.objectContaining({ hash: HASH, status: 'confirmed' }));
+    });
+
+    it('Should mark a reverted transaction failed with the reason replayed on the block before', async function () {
+      network.provider.getTransactionReceipt.mockResolvedValue(receipt({ status: 0 }));
+      network.provider.call.mockRejectedValue(new Error('execution reverted'));
+      jest.spyOn(blockchainService, 'decodeRevertReason').mockReturnValue('Cannot dispute in current status');
+      const record = pending();
+
+      await transactionWatcherService.checkTransaction(record, 10);
+
+      expect(record).toMatchObject({ status: 'failed', revertReason: 'Cannot dispute in current status' });
+      expect(network.provider.call).toHaveBeenCalledWith(expect.objectContaining({ to: record.to, blockTag: 9 }));
+    });
+
+    it('Should put a transaction whose block was reorged out back to pending', async function () {
+      const record = pending({ status: 'mined', blockNumber: 10, blockHash: `0x${'01'.repeat(32)}`, confirmations: 2 });
+
+      await transactionWatcherService.checkTransaction(record, 11);
+
+      expect(record).toMatchObject({ status: 'pending', blockNumber: undefined, confirmations: 0 });
+      expect(record.save).toHaveBeenCalled();
+    });
+
+    it('Should mark a transaction replaced once another took its nonce', async function () {
+      const records = memoryModel(PendingTransaction);
+      records.docs.push({ chainId: 1337, from: COMPANY, nonce: 4, hash: REPLACEMENT_HASH, status: 'mined' });
+      const record = pending();
+
+      await transactionWatcherService.checkTransaction(record, 10);
+
+      expect(record).toMatchObject({ status: 'replaced', replacedBy: REPLACEMENT_HASH });
+      expect(network.provider.getTransactionCount).toHaveBeenCalledWith(COMPANY, 'latest');
+    });
+
+    it('Should only drop a transaction the node forgot after TRANSACTION_DROPPED_AFTER_MINUTES', async function () {
+      memoryModel(PendingTransaction);
+      network.provider.getTransactionCount.mockResolvedValue(4);
+
+      const recent = pending({ submittedAt: new Date(Date.now() - 60 * 1000) });
+      await transactionWatcherService.checkTransaction(recent, 10);
+      expect(recent.status).toBe('pending');
+      expect(recent.save).not.toHaveBeenCalled();
+      expect(notificationService.emitToWallet).not.toHaveBeenCalled();
+
+      const old = pending({ submittedAt: new Date(Date.now() - 31 * 60 * 1000) });
+      await transactionWatcherService.checkTransaction(old, 10);
+      expect(old.status).toBe('dropped');
+      expect(notificationService.emitToWallet).toHaveBeenCalledWith(COMPANY, 'transaction-updated',
+        expect.objectContaining({ status: 'dropped' }));
+    });
+
+    it('Should leave a transaction the node still has pending', async function () {
+      network.provider.getTransaction.mockResolvedValue({ hash: HASH });
+      const record = pending({ submittedAt: new Date(0) });
+
+      await transactionWatcherService.checkTransaction(record, 10);
+
+      expect(record.status).toBe('pending');
+      expect(network.provider.getTransactionCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lookups by network', function () {
+    let records;
+
+    beforeEach(function () {
+      records = memoryModel(PendingTransaction);
+      records.docs.push(
+        { chainId: 11155111, walletAddress: COMPANY, hash: HASH, status: 'confirmed' },
+        { chainId: 1337, walletAddress: COMPANY, hash: REPLACEMENT_HASH, status: 'pending' }
+      );
+    });
+
+    it('Should only find a transaction on its own network', async function () {
+      expect(await transactionWatcherService.getTransaction(1337, HASH)).toBeNull();
+      expect((await transactionWatcherService.getTransaction(11155111, HASH)).status)
+        .toBe('confirmed');
+    });
+
+    it('Should not serve another network\'s transaction from GET /transactions/:hash', async function () {
+      const res = mockResponse();
+
+      await transactionController.getTransaction({ params: { hash: HASH }, chainId: 1337, walletAddress: COMPANY }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('submitTransaction after a broadcast error', function () {
+    let signed;
+    let hash;
+
+    beforeEach(async function () {
+      memoryModel(PendingTransaction);
+      jest.spyOn(transactionWatcherService, 'emitUpdate').mockImplementation(() => {});
+
+      signed = await new ethers.Wallet(COMPANY_KEY).signTransaction({
+        chainId: 1337,
+        nonce: 4,
+        to: EMPLOYMENT_CONTRACT,
+        data: employmentContract.interface.encodeFunctionData('raiseDispute', [7]),
+        gasLimit: 100000,
+        maxFeePerGas: 2000000000,
+        maxPriorityFeePerGas: 1000000000
+      });
+      hash = ethers.keccak256(signed);
+      network.provider.broadcastTransaction.mockRejectedValue(ethers.makeError('already known', 'UNKNOWN_ERROR'));
+    });
+
+    it('Should watch the transaction when the node has it anyway', async function () {
+      network.provider.getTransaction.mockResolvedValue({ hash });
+
+      const record = await transactionService.submitTransaction(signed, COMPANY, 1337);
+
+      expect(network.provider.getTransaction).toHaveBeenCalledWith(hash);
+      expect(record).toMatchObject({ chainId: 1337, hash, status: 'pending', action: 'raiseDispute', contractId: 7 });
+    });
+
+    it('Should return the record of a transaction already relayed on this network', async function () {
+      const first = await transactionWatcherService.recordSubmitted(ethers.Transaction.from(signed), { walletAddress: COMPANY, chainId: 1337 });
+
+      expect(await transactionService.submitTransaction(signed, COMPANY, 1337)).toBe(first);
+      expect(network.provider.getTransaction).not.toHaveBeenCalled();
+    });
+
+    it('Should report the error when the node does not have the transaction', async function () {
+      network.provider.broadcastTransaction.mockRejectedValue(ethers.makeError('nonce too low', 'NONCE_EXPIRED'));
+
+      await expect(transactionService.submitTransaction(signed, COMPANY, 1337))
+        .rejects.toMatchObject({ code: 'NONCE_ALREADY_USED', status: 409 });
+    });
+  });
+});
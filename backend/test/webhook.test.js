@@ -0,0 +1,248 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const Webhook = require('../src/models/Webhook');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookService = require('../src/services/webhookService');
+const { UnsafeAddressError, isPublicAddress, resolvePublicAddress } = require('../src/utils/publicAddress');
+const { memoryModel } = require('./helpers/memoryModel');
+
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const SECRET = 'whsec_test';
+
+describe('Webhooks', function () {
+  const env = { ...process.env };
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  describe('isPublicAddress', function () {
+    it('Should accept public IPv4 and IPv6 addresses', function () {
+      for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111']) {
+        expect(isPublicAddress(address)).toBe(true);
+      }
+    });
+
+    it('Should reject loopback, private, link-local and metadata addresses', function () {
+      const internal = [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1',
+        '169.254.169.254', '0.0.0.0', '224.0.0.1', '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1',
+        '::ffff:127.0.0.1', '::ffff:169.254.169.254', '64:ff9b::a9fe:a9fe'
+      ];
+      for (const address of internal) {
+        expect(isPublicAddress(address)).toBe(false);
+      }
+    });
+
+    it('Should not treat neighbours of private ranges as private', function () {
+      expect(isPublicAddress('172.32.0.1')).toBe(true);
+      expect(isPublicAddress('11.0.0.1')).toBe(true);
+    });
+
+    it('Should reject anything that is not an IP address', function () {
+      expect(isPublicAddress('localhost')).toBe(false);
+      expect(isPublicAddress('')).toBe(false);
+    });
+  });
+
+  describe('resolvePublicAddress', function () {
+    it('Should return the checked address to connect to', async function () {
+      jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      expect(await resolvePublicAddress('https://hooks.example.com/in')).toEqual({ address: '93.184.216.34', family: 4 });
+      expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true, verbatim: true });
+    });
+
+    it('Should reject a host if any of its addresses is internal', async function () {
+      jest.spyOn(dns, 'lookup').mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 }
+      ]);
+
+      await expect(resolvePublicAddress('https://rebind.example.com')).rejects.toThrow(UnsafeAddressError);
+    });
+
+    it('Should check IP literals, including bracketed IPv6', async function () {
+      await expect(resolvePublicAddress('http://127.0.0.1:8080/hook')).rejects.toThrow(UnsafeAddressError);
+      await expect(resolvePublicAddress('http://[::1]/hook')).rejects.toThrow(UnsafeAddressError);
+      await expect(resolvePublicAddress('http://169.254.169.254/latest/meta-data')).rejects.toThrow(/private or reserved/);
+    });
+
+    it('Should reject hosts that do not resolve', async function () {
+      jest.spyOn(dns, 'lookup').mockRejectedValue(Object.assign(new Error('ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+      await expect(resolvePublicAddress('https://nowhere.invalid')).rejects.toThrow(/Could not resolve/);
+    });
+
+    it('Should allow local receivers when explicitly enabled', async function () {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+      expect(await resolvePublicAddress('http://127.0.0.1:3001/hook')).toEqual({ address: '127.0.0.1', family: 4 });
+    });
+  });
+
+  describe('attemptDelivery', function () {
+    let webhook;
+    let delivery;
+
+    beforeEach(function () {
+      webhook = { _id: new mongoose.Types.ObjectId(), url: 'https://hooks.example.com/in', isActive: true, secret: SECRET };
+      delivery = {
+        _id: new mongoose.Types.ObjectId(),
+        webhook: webhook._id,
+        eventType: 'ContractCreated',
+        payload: { chainId: 1337, contractId: 7 },
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        status: 'pending',
+        attempts: 0,
+        attemptLog: [],
+        save: jest.fn(async function () { return this; })
+      };
+
+      jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => webhook });
+      jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+    });
+
+    it('Should sign the timestamp and body with the webhook secret', async function () {
+      await webhookService.attemptDelivery(delivery);
+
+      const [url, body, { headers }] = axios.post.mock.calls[0];
+      const timestamp = headers['X-Webhook-Timestamp'];
+      const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+      expect(url).toBe(webhook.url);
+      expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+      expect(headers['X-Webhook-Event']).toBe('ContractCreated');
+      expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+      expect(JSON.parse(body)).toEqual({
+        id: delivery._id.toString(),
+        event: 'ContractCreated',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        data: { chainId: 1337, contractId: 7 }
+      });
+      expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, lastStatusCode: 200 });
+    });
+
+    it('Should produce a signature that changes with the body or the secret', function () {
+      const signature = webhookService.sign(SECRET, 1700000000, '{"a":1}');
+
+      expect(signature).toMatch(/^[0-9a-f]{64}$/);
+      expect(webhookService.sign(SECRET, 1700000000, '{"a":2}')).not.toBe(signature);
+      expect(webhookService.sign('whsec_other', 1700000000, '{"a":1}')).not.toBe(signature);
+      expect(webhookService.sign(SECRET, 1700000001, '{"a":1}')).not.toBe(signature);
+    });
+
+    it('Should connect to the checked address without following redirects', async function () {
+      await webhookService.attemptDelivery(delivery);
+
+      const options = axios.post.mock.calls[0][2];
+      const callback = jest.fn();
+      options.lookup('hooks.example.com', {}, callback);
+
+      expect(callback).toHaveBeenCalledWith(null, '93.184.216.34', 4);
+      expect(options.maxRedirects).toBe(0);
+    });
+
+    it('Should not send to a host that now resolves to an internal address', async function () {
+      dns.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+
+      await webhookService.attemptDelivery(delivery);
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery.attemptLog[0].error).toMatch(/private or reserved/);
+      expect(delivery.status).toBe('pending');
+      expect(delivery.nextAttemptAt).toBeInstanceOf(Date);
+    });
+
+    it('Should back off exponentially and give up after the last attempt', async function () {
+      axios.post.mockResolvedValue({ status: 503 });
+
+      const before = Date.now();
+      await webhookService.attemptDelivery(delivery);
+      const firstDelay = delivery.nextAttemptAt - before;
+      await webhookService.attemptDelivery(delivery);
+      const secondDelay = delivery.nextAttemptAt - before;
+
+      expect(delivery.lastStatusCode).toBe(503);
+      expect(firstDelay).toBeGreaterThanOrEqual(30000);
+      expect(secondDelay).toBeGreaterThanOrEqual(60000);
+      expect(secondDelay).toBeLessThan(61000);
+
+      delivery.attempts = 5;
+      await webhookService.attemptDelivery(delivery);
+      expect(delivery.status).toBe('failed');
+    });
+
+    it('Should fail deliveries of a disabled webhook without sending', async function () {
+      webhook.isActive = false;
+
+      await webhookService.attemptDelivery(delivery);
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('failed');
+    });
+  });
+
+  describe('dispatch', function () {
+    let deliveries;
+    let webhooks;
+
+    beforeEach(function () {
+      webhooks = memoryModel(Webhook);
+      deliveries = memoryModel(WebhookDelivery);
+      jest.spyOn(webhookService, 'attemptDelivery').mockResolvedValue();
+    });
+
+    it('Should queue a delivery for each active webhook subscribed to the event', async function () {
+      webhooks.docs.push(
+        { _id: 'all', walletAddress: WALLET, isActive: true, events: ['ContractCreated', 'MilestonePaid'], contracts: [] },
+        { _id: 'other-event', walletAddress: WALLET, isActive: true, events: ['MilestonePaid'], contracts: [] },
+        { _id: 'disabled', walletAddress: WALLET, isActive: false, events: ['ContractCreated'], contracts: [] }
+      );
+
+      await webhookService.dispatch(WALLET.toUpperCase(), 'ContractCreated', { chainId: 1337, contractId: 7 });
+
+      expect(deliveries.docs.map(d => d.webhook)).toEqual(['all']);
+      expect(webhookService.attemptDelivery).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should match contract filters on chain and contract ID', async function () {
+      webhooks.docs.push({
+        _id: 'filtered',
+        walletAddress: WALLET,
+        isActive: true,
+        events: ['ContractCreated'],
+        contracts: [{ chainId: 11155111, contractId: 7 }]
+      });
+
+      await webhookService.dispatch(WALLET, 'ContractCreated', { chainId: 1337, contractId: 7 });
+      expect(deliveries.docs).toHaveLength(0);
+
+      await webhookService.dispatch(WALLET, 'ContractCreated', { chainId: 11155111, contractId: 7 });
+      expect(deliveries.docs).toHaveLength(1);
+    });
+  });
+
+  describe('processDueDeliveries', function () {
+    it('Should retry due deliveries and first attempts lost to a restart', async function () {
+      const deliveries = memoryModel(WebhookDelivery);
+      const now = Date.now();
+      deliveries.docs.push(
+        { _id: 'retry', status: 'pending', attempts: 2, nextAttemptAt: new Date(now - 1000), createdAt: new Date(now - 1000) },
+        { _id: 'later', status: 'pending', attempts: 1, nextAttemptAt: new Date(now + 60000), createdAt: new Date(now) },
+        { _id: 'in-flight', status: 'pending', attempts: 0, nextAttemptAt: new Date(now - 1000), createdAt: new Date(now - 1000) },
+        { _id: 'lost', status: 'pending', attempts: 0, nextAttemptAt: new Date(now - 600000), createdAt: new Date(now - 600000) },
+        { _id: 'done', status: 'succeeded', attempts: 1, nextAttemptAt: new Date(now - 1000), createdAt: new Date(now - 1000) }
+      );
+      jest.spyOn(webhookService, 'attemptDelivery').mockResolvedValue();
+
+      await webhookService.processDueDeliveries();
+
+      expect(webhookService.attemptDelivery.mock.calls.map(([delivery]) => delivery._id)).toEqual(['lost', 'retry']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall3
+ * @dev Batches several read calls into a single eth_call
+ *
+ * Interface-compatible subset of Multicall3 (https://github.com/mds1/multicall).
+ * Public networks already have it at 0xcA11bde05977b3631167028862bE2a173976CA11;
+ * deploy.js deploys this copy on local networks, where that address is empty.
+ *
+ * KEY WEB3 CONCEPTS:
+ * - Every eth_call is a network round trip to the RPC node
+ * - Multicall executes many calls inside ONE eth_call and returns all results
+ * - All results are read from the same block, so they are consistent
+ */
+contract Multicall3 {
+
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @dev Execute every call; reverts if a call with allowFailure = false fails
+     */
+    function aggregate3(Call3[] calldata calls) public payable returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            Result memory result = returnData[i];
+
+            (result.success, result.returnData) = call.target.call(call.callData);
+
+            if (!result.success && !call.allowFailure) {
+                // Bubble up the original revert reason
+                bytes memory revertData = result.returnData;
+                assembly {
+                    revert(add(revertData, 32), mload(revertData))
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Block the batch was executed in
+     */
+    function getBlockNumber() public view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+}
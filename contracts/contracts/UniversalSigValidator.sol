@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title UniversalSigValidator
+ * @dev Validates signatures of EOAs, deployed contract wallets (EIP-1271)
+ * and not-yet-deployed contract wallets (EIP-6492)
+ *
+ * Reference implementation from https://eips.ethereum.org/EIPS/eip-6492.
+ * The backend never deploys it: ValidateSigOffchain runs it inside a single
+ * eth_call (see blockchainService.verifySignature).
+ *
+ * KEY WEB3 CONCEPTS:
+ * - Contract wallets (Safe, multisigs...) have no private key, so ecrecover
+ *   can't check their signatures; the wallet answers isValidSignature instead
+ * - Counterfactual wallets have an address but no code yet (deployed on
+ *   first transaction). EIP-6492 wraps their signature together with the
+ *   factory call that would deploy them, so it can be checked anyway
+ */
+
+// As per ERC-1271
+interface IERC1271Wallet {
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4 magicValue);
+}
+
+error ERC1271Revert(bytes error);
+error ERC6492DeployFailed(bytes error);
+
+contract UniversalSigValidator {
+    bytes32 private constant ERC6492_DETECTION_SUFFIX = 0x6492649264926492649264926492649264926492649264926492649264926492;
+    bytes4 private constant ERC1271_SUCCESS = 0x1626ba7e;
+
+    function isValidSigImpl(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature,
+        bool allowSideEffects,
+        bool tryPrepare
+    ) public returns (bool) {
+        uint256 contractCodeLen = address(_signer).code.length;
+        bytes memory sigToValidate;
+
+        // The order is strictly defined by EIP-6492:
+        // - ERC-6492 suffix check and verification first, permissive if the
+        //   contract is already deployed (then the deployed version is used)
+        // - ERC-1271 verification if there's contract code
+        // - finally, ecrecover
+        bool isCounterfactual = _signature.length >= 32 &&
+            bytes32(_signature[_signature.length - 32:_signature.length]) == ERC6492_DETECTION_SUFFIX;
+
+        if (isCounterfactual) {
+            address create2Factory;
+            bytes memory factoryCalldata;
+            (create2Factory, factoryCalldata, sigToValidate) =
+                abi.decode(_signature[0:_signature.length - 32], (address, bytes, bytes));
+
+            if (contractCodeLen == 0 || tryPrepare) {
+                (bool success, bytes memory err) = create2Factory.call(factoryCalldata);
+                if (!success) revert ERC6492DeployFailed(err);
+            }
+        } else {
+            sigToValidate = _signature;
+        }
+
+        // Try ERC-1271 verification
+        if (isCounterfactual || contractCodeLen > 0) {
+            try IERC1271Wallet(_signer).isValidSignature(_hash, sigToValidate) returns (bytes4 magicValue) {
+                bool isValid = magicValue == ERC1271_SUCCESS;
+
+                // Retry, but this time assume the prefix is a prepare call
+                if (!isValid && !tryPrepare && contractCodeLen > 0) {
+                    return isValidSigImpl(_signer, _hash, _signature, allowSideEffects, true);
+                }
+
+                if (contractCodeLen == 0 && isCounterfactual && !allowSideEffects) {
+                    // The call deployed the wallet: return the result through
+                    // a revert so the deployment is undone
+                    assembly {
+                        mstore(0, isValid)
+                        revert(31, 1)
+                    }
+                }
+
+                return isValid;
+            } catch (bytes memory err) {
+                // Retry, but this time assume the prefix is a prepare call
+                if (!tryPrepare && contractCodeLen > 0) {
+                    return isValidSigImpl(_signer, _hash, _signature, allowSideEffects, true);
+                }
+
+                revert ERC1271Revert(err);
+            }
+        }
+
+        // ecrecover verification
+        require(_signature.length == 65, "SignatureValidator#recoverSigner: invalid signature length");
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (v != 27 && v != 28) {
+            revert("SignatureValidator: invalid signature v value");
+        }
+        return ecrecover(_hash, v, r, s) == _signer;
+    }
+
+    function isValidSigWithSideEffects(address _signer, bytes32 _hash, bytes calldata _signature)
+        external
+        returns (bool)
+    {
+        return this.isValidSigImpl(_signer, _hash, _signature, true, false);
+    }
+
+    function isValidSig(address _signer, bytes32 _hash, bytes calldata _signature)
+        external
+        returns (bool)
+    {
+        try this.isValidSigImpl(_signer, _hash, _signature, false, false) returns (bool isValid) {
+            return isValid;
+        } catch (bytes memory error) {
+            // To avoid side effects from the wallet getting deployed, the
+            // whole call reverts with a single byte result
+            uint256 len = error.length;
+            if (len == 1) {
+                return error[0] == 0x01;
+            }
+            // All other errors are forwarded as-is
+            assembly {
+                revert(add(error, 0x20), len)
+            }
+        }
+    }
+}
+
+/**
+ * @title ValidateSigOffchain
+ * @dev Runs UniversalSigValidator from its constructor, so a signature can be
+ * checked with one eth_call of this contract's creation code, without
+ * deploying anything. Returns a single byte: 0x01 valid, 0x00 invalid.
+ */
+contract ValidateSigOffchain {
+    constructor(address _signer, bytes32 _hash, bytes memory _signature) {
+        UniversalSigValidator validator = new UniversalSigValidator();
+        bool isValidSig = validator.isValidSigWithSideEffects(_signer, _hash, _signature);
+        assembly {
+            mstore(0, isValidSig)
+            return(31, 1)
+        }
+    }
+}
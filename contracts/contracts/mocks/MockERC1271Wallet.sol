@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev Minimal contract wallet for tests: a signature is valid if the
+ * wallet's owner signed the hash (stands in for a Safe or other multisig)
+ */
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view override returns (bytes4) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+
+        return error == ECDSA.RecoverError.NoError && recovered == owner
+            ? IERC1271.isValidSignature.selector
+            : bytes4(0xffffffff);
+    }
+}
+
+/**
+ * @title MockERC1271WalletFactory
+ * @dev Deploys MockERC1271Wallet with CREATE2, so a wallet's address is known
+ * before it exists (counterfactual wallets, EIP-6492)
+ */
+contract MockERC1271WalletFactory {
+    function deploy(address owner, bytes32 salt) external returns (address) {
+        return address(new MockERC1271Wallet{salt: salt}(owner));
+    }
+
+    function computeAddress(address owner, bytes32 salt) external view returns (address) {
+        bytes32 bytecodeHash = keccak256(
+            abi.encodePacked(type(MockERC1271Wallet).creationCode, abi.encode(owner))
+        );
+
+        return address(uint160(uint256(keccak256(
+            abi.encodePacked(bytes1(0xff), address(this), salt, bytecodeHash)
+        ))));
+    }
+}
@@ -26,14 +26,33 @@ async function main() {
   const credentialAddress = await credentialNFT.getAddress();
   console.log("✅ CredentialNFT deployed to:", credentialAddress, "\n");
 
+  // ===== Deploy Multicall3 (local networks only) =====
+  // Public networks already have it at 0xcA11bde05977b3631167028862bE2a173976CA11
+  let multicallAddress = null;
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    console.log("📦 Deploying Multicall3...");
+    const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+    console.log("✅ Multicall3 deployed to:", multicallAddress, "\n");
+  }
+
   // ===== Save deployment info =====
+  // The backend loads this manifest (DEPLOYMENT_MANIFESTS) and starts indexing
+  // events from deploymentBlock
   const fs = require("fs");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentReceipt = await employmentContract.deploymentTransaction().wait();
   const deploymentInfo = {
     network: hre.network.name,
+    chainId: Number(chainId),
+    deploymentBlock: deploymentReceipt.blockNumber,
     deployer: deployer.address,
     contracts: {
       EmploymentContract: employmentAddress,
-      CredentialNFT: credentialAddress
+      CredentialNFT: credentialAddress,
+      ...(multicallAddress && { Multicall3: multicallAddress })
     },
     timestamp: new Date().toISOString()
   };
@@ -83,6 +102,19 @@ async function main() {
     }, null, 2)
   );
 
+  // Copy ValidateSigOffchain creation code (never deployed: the backend
+  // eth_calls it to check EIP-6492 signatures of undeployed contract wallets)
+  const validatorArtifact = JSON.parse(
+    fs.readFileSync(`${artifactsDir}/UniversalSigValidator.sol/ValidateSigOffchain.json`)
+  );
+  fs.writeFileSync(
+    `${backendAbiDir}/ValidateSigOffchain.json`,
+    JSON.stringify({
+      abi: validatorArtifact.abi,
+      bytecode: validatorArtifact.bytecode
+    }, null, 2)
+  );
+
   console.log("✅ ABIs copied to backend/contracts/\n");
 
   console.log("=" .repeat(60));
@@ -91,9 +123,12 @@ async function main() {
   console.log("\n📍 Contract Addresses:");
   console.log("   EmploymentContract:", employmentAddress);
   console.log("   CredentialNFT:", credentialAddress);
-  console.log("\n🔗 Network:", hre.network.name);
+  if (multicallAddress) {
+    console.log("   Multicall3:", multicallAddress);
+  }
+  console.log("\n🔗 Network:", hre.network.name, `(chainId ${deploymentInfo.chainId})`);
   console.log("\n💡 Next Steps:");
-  console.log("   1. Update backend .env with contract addresses");
+  console.log("   1. Add deployments/" + hre.network.name + ".json to DEPLOYMENT_MANIFESTS in backend .env");
   console.log("   2. Update frontend .env with contract addresses");
   console.log("   3. Verify contracts on Etherscan (optional):");
   console.log("      npx hardhat verify --network", hre.network.name, employmentAddress, platformWallet);
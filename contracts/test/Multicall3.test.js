@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Multicall3", function () {
+  let multicall, employmentContract;
+  let company, talent, platformWallet;
+
+  beforeEach(async function () {
+    [, company, talent, platformWallet] = await ethers.getSigners();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+
+    const EmploymentContract = await ethers.getContractFactory("EmploymentContract");
+    employmentContract = await EmploymentContract.deploy(platformWallet.address);
+
+    const now = Math.floor(Date.now() / 1000);
+    await employmentContract.connect(company).createContract(
+      talent.address,
+      "Developer",
+      "ipfs://",
+      now,
+      now + 86400 * 30,
+      ["Design", "Build"],
+      [ethers.parseEther("1"), ethers.parseEther("2")],
+      [now + 86400 * 7, now + 86400 * 14],
+      { value: ethers.parseEther("3") }
+    );
+  });
+
+  const call = (fn, args, allowFailure = false) => ({
+    target: employmentContract.target,
+    allowFailure,
+    callData: employmentContract.interface.encodeFunctionData(fn, args)
+  });
+
+  it("Should return every result of a batch in order", async function () {
+    const results = await multicall.aggregate3.staticCall([
+      call("getContract", [1]),
+      call("getMilestone", [1, 0]),
+      call("getMilestone", [1, 1])
+    ]);
+
+    expect(results).to.have.length(3);
+    results.forEach(result => expect(result.success).to.equal(true));
+
+    const contract = employmentContract.interface.decodeFunctionResult("getContract", results[0].returnData);
+    expect(contract.company).to.equal(company.address);
+    expect(contract.milestoneCount).to.equal(2);
+
+    const milestone = employmentContract.interface.decodeFunctionResult("getMilestone", results[2].returnData);
+    expect(milestone.description).to.equal("Build");
+    expect(milestone.amount).to.equal(ethers.parseEther("2"));
+  });
+
+  it("Should report failed calls when failure is allowed", async function () {
+    const results = await multicall.aggregate3.staticCall([
+      call("getMilestone", [1, 0], true),
+      call("getMilestone", [1, 5], true) // Invalid milestone index
+    ]);
+
+    expect(results[0].success).to.equal(true);
+    expect(results[1].success).to.equal(false);
+  });
+
+  it("Should revert with the call's reason when failure is not allowed", async function () {
+    await expect(
+      multicall.aggregate3.staticCall([call("getMilestone", [1, 5])])
+    ).to.be.revertedWith("Invalid milestone");
+  });
+
+  it("Should return the current block number", async function () {
+    expect(await multicall.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
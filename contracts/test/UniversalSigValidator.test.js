@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const ERC6492_SUFFIX = "0x" + "6492".repeat(16);
+
+describe("UniversalSigValidator", function () {
+  let validator, factory, wallet;
+  let owner, stranger;
+
+  const message = "example.com wants you to sign in with your Ethereum account";
+  const hash = ethers.hashMessage(message);
+
+  beforeEach(async function () {
+    [owner, stranger] = await ethers.getSigners();
+
+    const UniversalSigValidator = await ethers.getContractFactory("UniversalSigValidator");
+    validator = await UniversalSigValidator.deploy();
+
+    const Factory = await ethers.getContractFactory("MockERC1271WalletFactory");
+    factory = await Factory.deploy();
+
+    const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+    wallet = await Wallet.deploy(owner.address);
+  });
+
+  // Signature of a wallet that doesn't exist yet, wrapped per EIP-6492
+  const wrap6492 = (signature, salt) => ethers.concat([
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes", "bytes"],
+      [factory.target, factory.interface.encodeFunctionData("deploy", [owner.address, salt]), signature]
+    ),
+    ERC6492_SUFFIX
+  ]);
+
+  // Validate in a single eth_call without deploying anything (what the backend does)
+  const validateOffchain = async (signer, signature) => {
+    const ValidateSigOffchain = await ethers.getContractFactory("ValidateSigOffchain");
+    const { data } = await ValidateSigOffchain.getDeployTransaction(signer, hash, signature);
+    return (await ethers.provider.call({ data })) === "0x01";
+  };
+
+  describe("EIP-1271 mock wallet", function () {
+    it("Should accept signatures by its owner", async function () {
+      const signature = await owner.signMessage(message);
+      expect(await wallet.isValidSignature(hash, signature)).to.equal(ERC1271_MAGIC_VALUE);
+    });
+
+    it("Should reject signatures by anyone else", async function () {
+      const signature = await stranger.signMessage(message);
+      expect(await wallet.isValidSignature(hash, signature)).to.not.equal(ERC1271_MAGIC_VALUE);
+    });
+  });
+
+  describe("isValidSig", function () {
+    it("Should validate EOA signatures with ecrecover", async function () {
+      const signature = await owner.signMessage(message);
+
+      expect(await validator.isValidSig.staticCall(owner.address, hash, signature)).to.equal(true);
+      expect(await validator.isValidSig.staticCall(stranger.address, hash, signature)).to.equal(false);
+    });
+
+    it("Should validate deployed contract wallets through EIP-1271", async function () {
+      expect(await validator.isValidSig.staticCall(
+        wallet.target, hash, await owner.signMessage(message)
+      )).to.equal(true);
+      expect(await validator.isValidSig.staticCall(
+        wallet.target, hash, await stranger.signMessage(message)
+      )).to.equal(false);
+    });
+
+    it("Should validate counterfactual wallets without deploying them (EIP-6492)", async function () {
+      const salt = ethers.id("counterfactual");
+      const walletAddress = await factory.computeAddress(owner.address, salt);
+      expect(await ethers.provider.getCode(walletAddress)).to.equal("0x");
+
+      const valid = wrap6492(await owner.signMessage(message), salt);
+      const forged = wrap6492(await stranger.signMessage(message), salt);
+
+      expect(await validator.isValidSig.staticCall(walletAddress, hash, valid)).to.equal(true);
+      expect(await validator.isValidSig.staticCall(walletAddress, hash, forged)).to.equal(false);
+
+      // Even a real transaction leaves the wallet undeployed
+      await validator.isValidSig(walletAddress, hash, valid);
+      expect(await ethers.provider.getCode(walletAddress)).to.equal("0x");
+    });
+
+    it("Should accept EIP-6492 signatures of wallets deployed since", async function () {
+      const salt = ethers.id("deployed-later");
+      const walletAddress = await factory.computeAddress(owner.address, salt);
+      await factory.deploy(owner.address, salt);
+
+      const signature = wrap6492(await owner.signMessage(message), salt);
+      expect(await validator.isValidSig.staticCall(walletAddress, hash, signature)).to.equal(true);
+    });
+  });
+
+  describe("ValidateSigOffchain", function () {
+    it("Should validate every signature kind in one eth_call", async function () {
+      const salt = ethers.id("offchain");
+      const counterfactual = await factory.computeAddress(owner.address, salt);
+      const ownerSignature = await owner.signMessage(message);
+
+      expect(await validateOffchain(owner.address, ownerSignature)).to.equal(true);
+      expect(await validateOffchain(wallet.target, ownerSignature)).to.equal(true);
+      expect(await validateOffchain(counterfactual, wrap6492(ownerSignature, salt))).to.equal(true);
+
+      const strangerSignature = await stranger.signMessage(message);
+      expect(await validateOffchain(owner.address, strangerSignature)).to.equal(false);
+      expect(await validateOffchain(wallet.target, strangerSignature)).to.equal(false);
+      expect(await validateOffchain(counterfactual, wrap6492(strangerSignature, salt))).to.equal(false);
+    });
+  });
+});